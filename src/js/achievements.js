@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Achievement registry
+ * Every achievement has a goal and a way to measure progress towards it:
+ * either read from the game statistics, or tracked game by game with the
+ * tracked values kept in the statistics' achievementProgress. Unlocks are
+ * stored once in the statistics' achievements list as {id, unlockedAt}.
+ * Titles and descriptions are the i18n keys achievements.items.<id>.title
+ * and .description.
+ */
+
+import { getHueSextant } from './colorUtils.js';
+import { getDailyKeyFromSeed, getPreviousDailyKey } from './dailyChallenge.js';
+import { PALETTE_WIN_ACCURACY } from './palette.js';
+
+/**
+ * @typedef {Object} Achievement
+ * @property {string} id - Stable identifier, also the key of its strings
+ * @property {string} icon - Emoji shown with it
+ * @property {number} goal - Progress needed to unlock it
+ * @property {function(Object): number} [progress] - Progress read from the statistics
+ * @property {function(*, Object): *} [track] - Fold a game result into the tracked
+ *   value (undefined before the first game); the value must be JSON data
+ * @property {function(*): number} [measure] - Progress of a tracked value; defaults to the value
+ */
+
+/**
+ * Wins needed for the win milestones
+ * @private
+ */
+const WIN_MILESTONES = [5, 10, 25, 50, 100];
+
+/**
+ * Consecutive wins needed for the streak achievements
+ * @private
+ */
+const STREAK_MILESTONES = [3, 5, 10];
+
+/**
+ * Track the number of games matching a condition
+ * @private
+ */
+const countGames = (matches) => ({
+  track: (count = 0, game) => count + (matches(game) ? 1 : 0)
+});
+
+/**
+ * Hue sextants of the colors a game matched; palettes count every swatch won
+ * @private
+ */
+function getMatchedSextants({ won, targetColor, swatches }) {
+  const colors = swatches
+    ? swatches.filter(({ accuracy }) => accuracy >= PALETTE_WIN_ACCURACY).map(({ target }) => target)
+    : won ? [targetColor] : [];
+  return colors.filter(Boolean).map(getHueSextant).filter((sextant) => sextant !== null);
+}
+
+/**
+ * Track the run of Daily Challenges won on consecutive days
+ * @private
+ */
+function trackDailyRun(run = { date: null, days: 0 }, { mode, seed, won }) {
+  const date = mode === 'daily' ? getDailyKeyFromSeed(seed) : null;
+  if (!date) return run;
+  if (!won) return { date, days: 0 };
+  return { date, days: run.date === getPreviousDailyKey(date) ? run.days + 1 : 1 };
+}
+
+/**
+ * Registry of achievements, in the order the gallery lists them
+ * @type {Achievement[]}
+ * @readonly
+ */
+export const ACHIEVEMENTS = [
+  { id: 'first-win', icon: '🥇', goal: 1, progress: (stats) => stats.gamesWon },
+  ...WIN_MILESTONES.map((wins) => ({
+    id: `wins-${wins}`,
+    icon: '🏆',
+    goal: wins,
+    progress: (stats) => stats.gamesWon
+  })),
+  ...STREAK_MILESTONES.map((wins) => ({
+    id: `streak-${wins}`,
+    icon: '📈',
+    goal: wins,
+    progress: (stats) => Math.max(stats.bestStreak || 0, stats.currentStreak || 0)
+  })),
+  {
+    id: 'perfect-match',
+    icon: '🎯',
+    goal: 1,
+    ...countGames(({ won, accuracy }) => won && accuracy === 100)
+  },
+  {
+    id: 'sharp-eye',
+    icon: '👁️',
+    goal: 10,
+    ...countGames(({ accuracy }) => accuracy > 95)
+  },
+  {
+    id: 'lightning-fast',
+    icon: '⚡',
+    goal: 1,
+    ...countGames(({ won, time }) => won && time < 10000)
+  },
+  {
+    id: 'hard-lightning',
+    icon: '🌩️',
+    goal: 1,
+    ...countGames(({ won, time, difficulty }) => won && difficulty === 'hard' && time < 5000)
+  },
+  {
+    id: 'hard-mode-master',
+    icon: '🔥',
+    goal: 10,
+    progress: (stats) => stats.difficultyCounts?.hard?.won || 0
+  },
+  {
+    id: 'color-wheel',
+    icon: '🌈',
+    goal: 6,
+    track: (sextants = [], game) => [...new Set([...sextants, ...getMatchedSextants(game)])].sort(),
+    measure: (sextants) => sextants.length
+  },
+  {
+    id: 'daily-week',
+    icon: '📅',
+    goal: 7,
+    track: trackDailyRun,
+    measure: (run) => run.days
+  }
+];
+
+/**
+ * Ids of the stored unlocks with their time
+ * @private
+ */
+function getUnlocks(stats) {
+  // Entries may be bare ids in data merged from elsewhere
+  return new Map((stats.achievements || []).map((entry) => [entry?.id ?? entry, entry?.unlockedAt ?? null]));
+}
+
+/**
+ * Measure the progress towards every achievement
+ * @param {Object} stats - Game statistics
+ * @param {Achievement[]} [achievements=ACHIEVEMENTS] - Registry
+ * @returns {Object<string, number>} Progress by id, capped at the goal
+ */
+export function getAchievementProgress(stats, achievements = ACHIEVEMENTS) {
+  return Object.fromEntries(achievements.map(({ id, goal, progress, track, measure = (value) => value }) => {
+    const tracked = stats.achievementProgress?.[id];
+    const value = track ? (tracked === undefined ? 0 : measure(tracked)) : progress(stats);
+    return [id, Math.min(goal, value || 0)];
+  }));
+}
+
+/**
+ * Count a game towards the achievements and store the ones it unlocks.
+ * Achievements already earned before the game, e.g. ones added to the
+ * registry later, are stored without a time and not reported.
+ * @param {Object} stats - Game statistics after the game, updated in place
+ * @param {Object} game - Game result as passed to storage.recordGame
+ * @param {string} playedAt - ISO time of the game
+ * @param {Object<string, number>} before - Progress before the game (see getAchievementProgress)
+ * @param {Achievement[]} [achievements=ACHIEVEMENTS] - Registry
+ * @returns {Achievement[]} Achievements the game unlocked
+ */
+export function unlockAchievements(stats, game, playedAt, before, achievements = ACHIEVEMENTS) {
+  stats.achievementProgress = { ...stats.achievementProgress };
+  achievements
+    .filter(({ track }) => track)
+    .forEach(({ id, track }) => {
+      stats.achievementProgress[id] = track(stats.achievementProgress[id], game);
+    });
+
+  const unlocks = getUnlocks(stats);
+  const progress = getAchievementProgress(stats, achievements);
+  const unlocked = achievements.filter(({ id, goal }) => !unlocks.has(id) && progress[id] >= goal);
+
+  stats.achievements = [
+    ...(stats.achievements || []),
+    ...unlocked.map(({ id, goal }) => ({ id, unlockedAt: before[id] >= goal ? null : playedAt }))
+  ];
+
+  return unlocked.filter(({ id, goal }) => !(before[id] >= goal));
+}
+
+/**
+ * Get the achievements the last recorded game unlocked
+ * @param {Object} stats - Game statistics as returned by storage.recordGame
+ * @param {Achievement[]} [achievements=ACHIEVEMENTS] - Registry
+ * @returns {Achievement[]} Achievements unlocked at stats.lastPlayed
+ */
+export function getLatestUnlocks(stats, achievements = ACHIEVEMENTS) {
+  const unlocks = getUnlocks(stats);
+  return achievements.filter(({ id }) => stats.lastPlayed && unlocks.get(id) === stats.lastPlayed);
+}
+
+/**
+ * Get the gallery state of every achievement
+ * @param {Object} stats - Game statistics
+ * @param {Achievement[]} [achievements=ACHIEVEMENTS] - Registry
+ * @returns {Array<{id: string, icon: string, goal: number, progress: number,
+ *   state: string, unlockedAt: string|null}>} Entries in registry order; state is
+ *   'unlocked', 'progress' or 'locked'
+ */
+export function getAchievementStates(stats, achievements = ACHIEVEMENTS) {
+  const unlocks = getUnlocks(stats);
+  const progress = getAchievementProgress(stats, achievements);
+
+  return achievements.map(({ id, icon, goal }) => {
+    const unlocked = unlocks.has(id) || progress[id] >= goal;
+    return {
+      id,
+      icon,
+      goal,
+      progress: unlocked ? goal : progress[id],
+      state: unlocked ? 'unlocked' : progress[id] > 0 ? 'progress' : 'locked',
+      unlockedAt: unlocks.get(id) ?? null
+    };
+  });
+}
@@ -108,6 +108,12 @@ export class Analytics {
     
     // Load stored events
     this.loadStoredEvents();
+
+    // Stored data may only become readable once storage moved to IndexedDB
+    storage.ready.then(() => {
+      this.userId = this.getUserId();
+      this.loadStoredEvents();
+    });
   }
 
   /**
@@ -269,7 +275,10 @@ export class Analytics {
       try {
         const stored = storage.get('tonetracker_analytics_events', []);
         if (Array.isArray(stored)) {
-          this.events = stored.slice(-this.config.maxEvents);
+          // Keep events tracked before the stored ones could be read
+          const storedIds = new Set(stored.map(event => event.id));
+          const tracked = this.events.filter(event => !storedIds.has(event.id));
+          this.events = [...stored, ...tracked].slice(-this.config.maxEvents);
         }
       } catch (error) {
         console.warn('Failed to load stored analytics events:', error);
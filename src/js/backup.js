@@ -0,0 +1,476 @@
+/**
+ * @fileoverview Backup files
+ * Validation, merging and previewing of exported game data. A backup holds
+ * one section per STORAGE_KEYS entry, named like the entry (GAME_STATISTICS,
+ * HIGH_SCORES, ...). Merging unions the record lists and recomputes the
+ * statistics from the merged game history.
+ */
+
+import { ToneTrackerError, ERROR_CATEGORIES, ERROR_LEVELS } from './errorHandler.js';
+import { getPreviousDailyKey } from './dailyChallenge.js';
+
+/**
+ * Format marker and version of backup files
+ */
+export const BACKUP_FORMAT = 'tonetracker-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Expected shape of every section: its type and, for record lists, the list
+ * property and the fields every record needs
+ * @private
+ */
+const BACKUP_SCHEMA = {
+  GAME_STATISTICS: { type: 'object' },
+  USER_PREFERENCES: { type: 'object' },
+  HIGH_SCORES: {
+    type: 'object',
+    list: 'scores',
+    fields: { score: 'number', time: 'number', difficulty: 'string' }
+  },
+  CUSTOM_HIGH_SCORES: {
+    type: 'object',
+    list: 'scores',
+    fields: { score: 'number', time: 'number', difficulty: 'string' }
+  },
+  DAILY_CHALLENGES: { type: 'object', list: 'results', fields: { date: 'string', status: 'string' } },
+  SESSIONS: { type: 'object', list: 'sessions', fields: { id: 'string', rounds: 'number' } },
+  REPLAYS: { type: 'object', list: 'replays', fields: { id: 'string', replay: 'object' } },
+  GAME_HISTORY: {
+    type: 'object',
+    list: 'games',
+    fields: { id: 'string', date: 'string', won: 'boolean', score: 'number' }
+  },
+  SETTINGS: { type: 'object' },
+  LOCALE: { type: 'string' },
+  ERRORS: { type: 'array' }
+};
+
+/**
+ * Sections written back on import. The locale and the error log belong to
+ * modules that keep them in localStorage themselves; they are exported only.
+ */
+export const IMPORTED_SECTIONS = Object.keys(BACKUP_SCHEMA).filter((name) => !['LOCALE', 'ERRORS'].includes(name));
+
+/**
+ * Type name used in validation messages
+ * @private
+ */
+const typeOf = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+/**
+ * Throw the error of an unusable backup
+ * @private
+ */
+function rejectBackup(problems) {
+  throw new ToneTrackerError(
+    `Invalid backup: ${problems.slice(0, 5).join('; ')}${problems.length > 5 ? '; …' : ''}`,
+    ERROR_CATEGORIES.VALIDATION,
+    ERROR_LEVELS.WARN,
+    { problems }
+  );
+}
+
+/**
+ * Check one section against its schema
+ * @private
+ * @returns {string[]} Problems found
+ */
+function checkSection(name, value) {
+  const schema = BACKUP_SCHEMA[name];
+  if (typeOf(value) !== schema.type) {
+    return [`${name} must be ${schema.type}`];
+  }
+  if (!schema.list) return [];
+
+  const records = value[schema.list];
+  if (!Array.isArray(records)) {
+    return [`${name}.${schema.list} must be array`];
+  }
+
+  return records.flatMap((record, index) =>
+    Object.entries(schema.fields)
+      .filter(([field, type]) => typeOf(record?.[field]) !== type)
+      .map(([field, type]) => `${name}.${schema.list}[${index}].${field} must be ${type}`)
+  );
+}
+
+/**
+ * Wrap stored sections into a backup
+ * @param {Object<string, *>} sections - Stored values by section name
+ * @param {Object} [options] - Options
+ * @param {number} [options.schemaVersion] - Schema version of the data
+ * @param {Date} [options.now=new Date()] - Export time
+ * @returns {Object} Backup ({format, version, schemaVersion, exportedAt, data})
+ */
+export function createBackup(sections, { schemaVersion, now = new Date() } = {}) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion,
+    exportedAt: now.toISOString(),
+    data: sections
+  };
+}
+
+/**
+ * Validate a backup. Exports from before the backup format, with the
+ * sections at the top level, are accepted too.
+ * @param {string|Object} input - File contents or parsed backup
+ * @returns {{version: number, exportedAt: string|null, data: Object<string, *>}} Known,
+ *   non-empty sections by name
+ * @throws {ToneTrackerError} When the backup does not match the schema
+ */
+export function validateBackup(input) {
+  let backup = input;
+  if (typeof input === 'string') {
+    try {
+      backup = JSON.parse(input);
+    } catch {
+      rejectBackup(['not JSON']);
+    }
+  }
+  if (typeOf(backup) !== 'object') {
+    rejectBackup(['not an object']);
+  }
+
+  const legacy = backup.format === undefined;
+  if (!legacy && backup.format !== BACKUP_FORMAT) {
+    rejectBackup(['unknown format']);
+  }
+  if (!legacy && !(Number.isInteger(backup.version) && backup.version <= BACKUP_VERSION)) {
+    rejectBackup(['unsupported version']);
+  }
+
+  const sections = legacy ? backup : backup.data;
+  if (typeOf(sections) !== 'object') {
+    rejectBackup(['missing data']);
+  }
+
+  const data = {};
+  const problems = [];
+  Object.keys(BACKUP_SCHEMA).forEach((name) => {
+    const value = sections[name];
+    if (value === undefined || value === null) return;
+    problems.push(...checkSection(name, value));
+    data[name] = value;
+  });
+
+  if (Object.keys(data).length === 0) {
+    problems.push('no data');
+  }
+  if (problems.length > 0) {
+    rejectBackup(problems);
+  }
+
+  return { version: legacy ? 0 : backup.version, exportedAt: backup.exportedAt ?? null, data };
+}
+
+/**
+ * Union two record lists, keeping the first of every key
+ * @private
+ */
+function unionBy(first = [], second = [], keyOf) {
+  const records = new Map();
+  [...first, ...second].forEach((record) => {
+    const key = keyOf(record);
+    if (!records.has(key)) {
+      records.set(key, record);
+    }
+  });
+  return [...records.values()];
+}
+
+/**
+ * Union the record list of a section, then sort and trim it to the stored limit
+ * @private
+ */
+function mergeList(current, incoming, { list, limit, keyOf, compare }) {
+  if (!current || !incoming) return current || incoming;
+
+  const records = unionBy(current[list], incoming[list], keyOf).sort(compare);
+  const max = current[limit] ?? incoming[limit];
+  return { ...incoming, ...current, [list]: max ? records.slice(0, max) : records };
+}
+
+/**
+ * Newest first by an ISO date field
+ * @private
+ */
+const byDateDesc = (field) => (a, b) => String(b[field] ?? '').localeCompare(String(a[field] ?? ''));
+
+/**
+ * Identify high scores by id; entries from before ids by time and score
+ * @private
+ */
+const highScoreKey = (entry) => entry.id ?? `${entry.timestamp ?? entry.date}|${entry.score}`;
+
+/**
+ * Merge Daily Challenge results day by day and recompute the streaks
+ * @private
+ */
+function mergeDailies(current, incoming) {
+  if (!current || !incoming) return current || incoming;
+
+  const byDate = new Map();
+  [...current.results, ...incoming.results].forEach((entry) => {
+    const kept = byDate.get(entry.date);
+    // A completed attempt beats one that was only started
+    if (!kept || (kept.status !== 'completed' && entry.status === 'completed')) {
+      byDate.set(entry.date, entry);
+    }
+  });
+  const results = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+
+  let run = 0;
+  let bestStreak = 0;
+  let previous = null;
+  results
+    .filter((entry) => entry.status === 'completed')
+    .forEach((entry) => {
+      run = previous && getPreviousDailyKey(entry.date) === previous ? run + 1 : 1;
+      bestStreak = Math.max(bestStreak, run);
+      previous = entry.date;
+    });
+
+  return {
+    ...incoming,
+    ...current,
+    results,
+    currentStreak: run,
+    bestStreak: Math.max(bestStreak, current.bestStreak || 0, incoming.bestStreak || 0),
+    lastCompletedDate: previous
+  };
+}
+
+/**
+ * Counters that add up across games
+ * @private
+ */
+const ADDITIVE_STATS = ['totalGames', 'gamesWon', 'gamesLost', 'totalScore', 'totalTimeSpent'];
+
+/**
+ * Total up game records into statistics counters
+ * @private
+ */
+function aggregateGames(games) {
+  const totals = { totalGames: 0, gamesWon: 0, gamesLost: 0, totalScore: 0, totalTimeSpent: 0, difficultyCounts: {} };
+
+  games.forEach(({ won, score = 0, time = 0, difficulty }) => {
+    const counts = (totals.difficultyCounts[difficulty] ??= { played: 0, won: 0, totalScore: 0 });
+    totals.totalGames += 1;
+    totals.totalTimeSpent += time;
+    counts.played += 1;
+    if (won) {
+      totals.gamesWon += 1;
+      totals.totalScore += score;
+      counts.won += 1;
+      counts.totalScore += score;
+    } else {
+      totals.gamesLost += 1;
+    }
+  });
+
+  return totals;
+}
+
+/**
+ * Counters of games played before the history began, or dropped from it
+ * @private
+ */
+function getUntrackedTotals(stats = {}, games = []) {
+  const tracked = aggregateGames(games);
+  const untracked = { difficultyCounts: {} };
+
+  ADDITIVE_STATS.forEach((field) => {
+    untracked[field] = Math.max(0, (stats[field] || 0) - tracked[field]);
+  });
+  Object.entries(stats.difficultyCounts || {}).forEach(([difficulty, counts]) => {
+    const seen = tracked.difficultyCounts[difficulty] || {};
+    untracked.difficultyCounts[difficulty] = Object.fromEntries(
+      ['played', 'won', 'totalScore'].map((field) => [field, Math.max(0, (counts[field] || 0) - (seen[field] || 0))])
+    );
+  });
+
+  return untracked;
+}
+
+/**
+ * Merge achievement progress by id: the higher count, the union of lists,
+ * and the current value of anything else
+ * @private
+ */
+function mergeProgress(current = {}, incoming = {}) {
+  const progress = { ...incoming };
+  Object.entries(current).forEach(([id, value]) => {
+    const other = progress[id];
+    if (typeof value === 'number' && typeof other === 'number') {
+      progress[id] = Math.max(value, other);
+    } else if (Array.isArray(value) && Array.isArray(other)) {
+      progress[id] = [...new Set([...value, ...other])].sort();
+    } else {
+      progress[id] = value;
+    }
+  });
+  return progress;
+}
+
+/**
+ * Recompute the statistics from the merged history. Games older than either
+ * history are carried over from the side that has more of them, as both
+ * sides may share those.
+ * @private
+ */
+function mergeStatistics(current, incoming, histories) {
+  if (!current || !incoming) return current || incoming;
+
+  const games = histories.merged;
+  const totals = aggregateGames(games);
+  const untracked = [
+    getUntrackedTotals(current, histories.current),
+    getUntrackedTotals(incoming, histories.incoming)
+  ].sort((a, b) => b.totalGames - a.totalGames)[0];
+
+  ADDITIVE_STATS.forEach((field) => {
+    totals[field] += untracked[field];
+  });
+  const difficultyCounts = { ...incoming.difficultyCounts, ...current.difficultyCounts };
+  Object.keys(difficultyCounts).forEach((difficulty) => {
+    const counted = totals.difficultyCounts[difficulty] || {};
+    const extra = untracked.difficultyCounts[difficulty] || {};
+    difficultyCounts[difficulty] = Object.fromEntries(
+      ['played', 'won', 'totalScore'].map((field) => [field, (counted[field] || 0) + (extra[field] || 0)])
+    );
+  });
+  Object.entries(totals.difficultyCounts).forEach(([difficulty, counts]) => {
+    difficultyCounts[difficulty] ??= counts;
+  });
+
+  // The history is newest first
+  const wins = games.findIndex((game) => !game.won);
+  let run = 0;
+  let longestRun = 0;
+  games.forEach((game) => {
+    run = game.won ? run + 1 : 0;
+    longestRun = Math.max(longestRun, run);
+  });
+  const wonTimes = games.filter((game) => game.won).map((game) => game.time);
+  const bestTimes = [current.bestTime, incoming.bestTime, ...wonTimes].filter((time) => time > 0);
+  const firstDate = [current.createdAt, incoming.createdAt].filter(Boolean).sort()[0];
+  const lastDate = [current.lastPlayed, incoming.lastPlayed, games[0]?.date].filter(Boolean).sort().pop();
+
+  return {
+    ...incoming,
+    ...current,
+    ...totals,
+    difficultyCounts,
+    averageScore: totals.gamesWon > 0 ? Math.round(totals.totalScore / totals.gamesWon) : 0,
+    averageTime: totals.totalGames > 0 ? Math.round(totals.totalTimeSpent / totals.totalGames) : 0,
+    bestScore: Math.max(current.bestScore || 0, incoming.bestScore || 0, ...games.map((game) => (game.won ? game.score : 0))),
+    bestTime: bestTimes.length > 0 ? Math.min(...bestTimes) : null,
+    currentStreak: games.length > 0 ? (wins === -1 ? games.length : wins) : current.currentStreak,
+    bestStreak: Math.max(current.bestStreak || 0, incoming.bestStreak || 0, longestRun),
+    colorAccuracyHistory: games.length > 0
+      ? games.slice(0, 50).map((game) => game.accuracy).filter((accuracy) => accuracy !== undefined).reverse()
+      : current.colorAccuracyHistory,
+    achievements: unionBy(current.achievements, incoming.achievements, (item) => item?.id ?? item),
+    achievementProgress: mergeProgress(current.achievementProgress, incoming.achievementProgress),
+    // A rating cannot be replayed from the history; keep the better established one
+    skillRating: (incoming.skillRating?.games || 0) > (current.skillRating?.games || 0)
+      ? incoming.skillRating
+      : current.skillRating,
+    createdAt: firstDate ?? current.createdAt,
+    lastPlayed: lastDate ?? null
+  };
+}
+
+/**
+ * Merge a backup into the stored data
+ * @param {Object<string, *>} current - Stored sections by name
+ * @param {Object<string, *>} incoming - Backup sections by name
+ * @returns {Object<string, *>} Sections to store
+ */
+export function mergeBackup(current, incoming) {
+  const history = mergeList(current.GAME_HISTORY, incoming.GAME_HISTORY, {
+    list: 'games',
+    limit: 'maxGames',
+    keyOf: (game) => game.id,
+    compare: byDateDesc('date')
+  });
+
+  const scoreList = {
+    list: 'scores',
+    limit: 'maxScores',
+    keyOf: highScoreKey,
+    compare: (a, b) => (b.score !== a.score ? b.score - a.score : a.time - b.time)
+  };
+
+  const merged = {
+    GAME_HISTORY: history,
+    HIGH_SCORES: mergeList(current.HIGH_SCORES, incoming.HIGH_SCORES, scoreList),
+    CUSTOM_HIGH_SCORES: mergeList(current.CUSTOM_HIGH_SCORES, incoming.CUSTOM_HIGH_SCORES, scoreList),
+    REPLAYS: mergeList(current.REPLAYS, incoming.REPLAYS, {
+      list: 'replays',
+      limit: 'maxReplays',
+      keyOf: (entry) => entry.id,
+      compare: byDateDesc('savedAt')
+    }),
+    SESSIONS: mergeList(current.SESSIONS, incoming.SESSIONS, {
+      list: 'sessions',
+      limit: 'maxSessions',
+      keyOf: (session) => session.id,
+      compare: byDateDesc('completedAt')
+    }),
+    DAILY_CHALLENGES: mergeDailies(current.DAILY_CHALLENGES, incoming.DAILY_CHALLENGES),
+    GAME_STATISTICS: mergeStatistics(current.GAME_STATISTICS, incoming.GAME_STATISTICS, {
+      current: current.GAME_HISTORY?.games || [],
+      incoming: incoming.GAME_HISTORY?.games || [],
+      merged: history?.games || []
+    }),
+    // Preferences belong to the device; the backup only fills in what is missing,
+    // custom difficulties included
+    USER_PREFERENCES: current.USER_PREFERENCES && incoming.USER_PREFERENCES
+      ? {
+        ...incoming.USER_PREFERENCES,
+        ...current.USER_PREFERENCES,
+        customDifficulties: {
+          ...incoming.USER_PREFERENCES.customDifficulties,
+          ...current.USER_PREFERENCES.customDifficulties
+        }
+      }
+      : current.USER_PREFERENCES || incoming.USER_PREFERENCES,
+    SETTINGS: current.SETTINGS && incoming.SETTINGS
+      ? { ...incoming.SETTINGS, ...current.SETTINGS }
+      : current.SETTINGS || incoming.SETTINGS
+  };
+
+  return Object.fromEntries(
+    Object.entries(merged).filter(([, value]) => value !== undefined && value !== null)
+  );
+}
+
+/**
+ * Summarize what importing would change
+ * @param {Object<string, *>} before - Stored sections by name
+ * @param {Object<string, *>} after - Sections once the backup is imported
+ * @returns {Object<string, {before: number, after: number}>} Figures before and after, by row
+ *   (totalGames, bestScore, games, highScores, customHighScores, replays, sessions, dailies,
+ *   achievements)
+ */
+export function diffBackup(before, after) {
+  const figures = (data) => ({
+    totalGames: data.GAME_STATISTICS?.totalGames || 0,
+    bestScore: data.GAME_STATISTICS?.bestScore || 0,
+    games: data.GAME_HISTORY?.games.length || 0,
+    highScores: data.HIGH_SCORES?.scores.length || 0,
+    customHighScores: data.CUSTOM_HIGH_SCORES?.scores.length || 0,
+    replays: data.REPLAYS?.replays.length || 0,
+    sessions: data.SESSIONS?.sessions.length || 0,
+    dailies: data.DAILY_CHALLENGES?.results.length || 0,
+    achievements: data.GAME_STATISTICS?.achievements?.length || 0
+  });
+  const old = figures(before);
+  const updated = figures(after);
+
+  return Object.fromEntries(Object.keys(old).map((row) => [row, { before: old[row], after: updated[row] }]));
+}
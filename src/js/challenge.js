@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Challenge links
+ * A challenge link carries the seed, difficulty, mode, color metric and
+ * scoring mode of a finished game and optionally the challenger's result, so
+ * a friend can play the exact same target under the same rules and compare. A checksum over the parameters makes edited links
+ * detectable; it does not stop someone from forging a link from scratch.
+ */
+
+import { ToneTrackerError, ERROR_CATEGORIES, ERROR_LEVELS } from './errorHandler.js';
+import { hashSeed, normalizeSeed } from './rng.js';
+import { DIFFICULTIES } from './difficulties.js';
+import { PALETTE_SIZES, PALETTE_ORDERS } from './palette.js';
+import { compareDailyResults } from './dailyChallenge.js';
+import { MIN_LEVEL, MAX_LEVEL } from './skillRating.js';
+import { getAvailableMetrics } from './colorUtils.js';
+import { SCORING_MODES } from './scoring.js';
+
+/**
+ * Challenge link format version
+ */
+export const CHALLENGE_VERSION = 1;
+
+/**
+ * Query parameters of a challenge link, in checksum order
+ * @readonly
+ */
+export const CHALLENGE_PARAMS = [
+  'challenge',
+  'seed',
+  'difficulty',
+  'mode',
+  'size',
+  'order',
+  'level',
+  'metric',
+  'scoring',
+  'score',
+  'accuracy',
+  'time'
+];
+
+/**
+ * Query parameter holding the checksum
+ */
+export const CHECKSUM_PARAM = 'sig';
+
+/**
+ * Modes a challenge can be played in; dailies and session rounds are
+ * shared as classic games on the same seed
+ * @readonly
+ */
+export const CHALLENGE_MODES = ['classic', 'palette'];
+
+const MAX_SEED_LENGTH = 64;
+
+/**
+ * Checksum of the challenge parameters
+ * @private
+ * @param {URLSearchParams} params - Link parameters
+ * @returns {string} Base-36 checksum
+ */
+function checksum(params) {
+  const payload = CHALLENGE_PARAMS
+    .filter((key) => params.has(key))
+    .map((key) => `${key}=${params.get(key)}`)
+    .join('&');
+  return hashSeed(`tonetracker-challenge:${payload}`).toString(36);
+}
+
+/**
+ * Build the query parameters of a challenge
+ * @param {Object} challenge - Challenge data
+ * @param {string} challenge.seed - Game seed
+ * @param {string} challenge.difficulty - Difficulty level
+ * @param {string} [challenge.mode='classic'] - Game mode; anything but palette is shared as classic
+ * @param {number} [challenge.paletteSize] - Swatches of a palette game
+ * @param {string} [challenge.paletteOrder] - PALETTE_ORDERS value of a palette game
+ * @param {number} [challenge.level] - Adaptive level of a classic game
+ * @param {string} [challenge.metric] - Color metric the game was played with
+ * @param {string} [challenge.scoringMode] - SCORING_MODES value the game was played with
+ * @param {number} [challenge.score] - Challenger's score
+ * @param {number} [challenge.accuracy] - Challenger's accuracy percentage
+ * @param {number} [challenge.time] - Challenger's time in ms
+ * @returns {URLSearchParams} Signed parameters
+ */
+export function createChallengeParams({
+  seed,
+  difficulty,
+  mode = 'classic',
+  paletteSize,
+  paletteOrder,
+  level,
+  metric,
+  scoringMode,
+  score,
+  accuracy,
+  time
+}) {
+  const params = new URLSearchParams();
+  params.set('challenge', String(CHALLENGE_VERSION));
+  params.set('seed', seed);
+  params.set('difficulty', difficulty);
+
+  if (mode === 'palette') {
+    params.set('mode', 'palette');
+    params.set('size', String(paletteSize));
+    params.set('order', paletteOrder || PALETTE_ORDERS.ORDERED);
+  } else {
+    params.set('mode', 'classic');
+    if (level) params.set('level', String(level));
+  }
+
+  if (metric) params.set('metric', metric);
+  if (scoringMode) params.set('scoring', scoringMode);
+
+  if (Number.isFinite(score)) params.set('score', String(Math.round(score)));
+  if (Number.isFinite(accuracy)) params.set('accuracy', String(Math.round(accuracy)));
+  if (Number.isFinite(time)) params.set('time', String(Math.round(time)));
+
+  params.set(CHECKSUM_PARAM, checksum(params));
+  return params;
+}
+
+/**
+ * Build a challenge link
+ * @param {Object} challenge - Challenge data (see createChallengeParams)
+ * @param {string} baseUrl - Page the link opens
+ * @returns {string} Challenge URL
+ */
+export function createChallengeLink(challenge, baseUrl) {
+  const url = new URL(baseUrl);
+  url.search = createChallengeParams(challenge).toString();
+  url.hash = '';
+  return url.toString();
+}
+
+/**
+ * Read a challenge from a query string
+ * @param {string|URLSearchParams} search - Query string of the page
+ * @returns {Object|null} Challenge ({seed, difficulty, mode, paletteSize, paletteOrder,
+ *   level, metric, scoringMode, score, accuracy, time}) or null when the page was not
+ *   opened from a challenge link; metric and scoringMode are null in links made before
+ *   they were carried, which are played with the player's own settings
+ * @throws {ToneTrackerError} When the link was edited or is malformed
+ */
+export function parseChallenge(search) {
+  const params = new URLSearchParams(search);
+  if (!params.has('challenge')) return null;
+
+  const fail = (reason) => new ToneTrackerError(
+    `Invalid challenge link: ${reason}`,
+    ERROR_CATEGORIES.VALIDATION,
+    ERROR_LEVELS.WARN,
+    { reason, search: params.toString() }
+  );
+
+  if (params.get(CHECKSUM_PARAM) !== checksum(params)) throw fail('checksum mismatch');
+  if (params.get('challenge') !== String(CHALLENGE_VERSION)) throw fail('unsupported version');
+
+  const seed = normalizeSeed(params.get('seed'));
+  if (!seed || seed.length > MAX_SEED_LENGTH) throw fail('bad seed');
+
+  const difficulty = params.get('difficulty');
+  if (!DIFFICULTIES[difficulty]) throw fail('unknown difficulty');
+
+  const mode = params.get('mode') || 'classic';
+  if (!CHALLENGE_MODES.includes(mode)) throw fail('unknown mode');
+
+  const readNumber = (key) => {
+    if (!params.has(key)) return null;
+    const value = Number(params.get(key));
+    if (!Number.isFinite(value) || value < 0) throw fail(`bad ${key}`);
+    return value;
+  };
+
+  const challenge = {
+    seed,
+    difficulty,
+    mode,
+    paletteSize: null,
+    paletteOrder: null,
+    level: null,
+    metric: params.get('metric'),
+    scoringMode: params.get('scoring'),
+    score: readNumber('score'),
+    accuracy: readNumber('accuracy'),
+    time: readNumber('time')
+  };
+
+  if (params.has('level')) {
+    challenge.level = readNumber('level');
+    if (!Number.isInteger(challenge.level) || challenge.level < MIN_LEVEL || challenge.level > MAX_LEVEL) {
+      throw fail('bad level');
+    }
+  }
+
+  if (challenge.metric !== null && !getAvailableMetrics().some(({ name }) => name === challenge.metric)) {
+    throw fail('unknown metric');
+  }
+  if (challenge.scoringMode !== null && !Object.values(SCORING_MODES).includes(challenge.scoringMode)) {
+    throw fail('unknown scoring mode');
+  }
+
+  if (mode === 'palette') {
+    challenge.paletteSize = readNumber('size');
+    challenge.paletteOrder = params.get('order');
+    if (!PALETTE_SIZES.includes(challenge.paletteSize)) throw fail('bad palette size');
+    if (!Object.values(PALETTE_ORDERS).includes(challenge.paletteOrder)) throw fail('bad palette order');
+  }
+
+  return challenge;
+}
+
+/**
+ * Remove the challenge parameters from a query string, keeping any others
+ * @param {string} search - Query string
+ * @returns {string} Remaining query string, with its leading '?' when not empty
+ */
+export function removeChallengeParams(search) {
+  const params = new URLSearchParams(search);
+  [...CHALLENGE_PARAMS, CHECKSUM_PARAM].forEach((key) => params.delete(key));
+  const rest = params.toString();
+  return rest ? `?${rest}` : '';
+}
+
+/**
+ * Compare the player's result with the challenger's
+ * Results are ranked like Daily Challenge results: score, then accuracy, then
+ * time. Figures the link does not carry are treated as equal. Scores compare
+ * as the game is played with the link's metric and scoring mode.
+ * @param {Object} challenge - Parsed challenge
+ * @param {Object} result - Player's result ({score, accuracy, time})
+ * @returns {{outcome: string|null, challenger: Object, player: Object}} Outcome is
+ *   'win', 'loss' or 'tie', or null when the link carries no score
+ */
+export function compareWithChallenge(challenge, { score, accuracy, time }) {
+  const player = { score, accuracy, time };
+  const challenger = { score: challenge.score, accuracy: challenge.accuracy, time: challenge.time };
+  if (challenge.score === null) {
+    return { outcome: null, challenger, player };
+  }
+
+  const order = compareDailyResults(
+    { score: challenge.score, accuracy: challenge.accuracy ?? accuracy, time: challenge.time ?? time },
+    player
+  );
+  return { outcome: order > 0 ? 'win' : order < 0 ? 'loss' : 'tie', challenger, player };
+}
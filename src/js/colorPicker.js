@@ -0,0 +1,525 @@
+/**
+ * @fileoverview Canvas color picker with a hue ring and a saturation/lightness square
+ * Works with pointer, touch and keyboard input and exposes ARIA sliders for both areas
+ */
+
+import { hexToRgb, rgbToHex, rgbToHsl, hslToRgb } from './colorUtils.js';
+
+/**
+ * Keyboard step sizes
+ * @readonly
+ */
+const KEY_STEPS = {
+  small: 1,
+  large: 10,
+};
+
+/**
+ * Compute the layout of the picker for a given canvas size
+ * @param {number} size - Canvas width and height in CSS pixels
+ * @param {number} [ringWidth] - Width of the hue ring
+ * @returns {{cx: number, cy: number, outerRadius: number, innerRadius: number, square: {x: number, y: number, size: number}}} Layout
+ */
+export function getPickerLayout(size, ringWidth = Math.round(size * 0.12)) {
+  const cx = size / 2;
+  const cy = size / 2;
+  const outerRadius = size / 2;
+  const innerRadius = outerRadius - ringWidth;
+  // Largest square that fits inside the ring, with a little breathing room
+  const squareSize = Math.floor(innerRadius * Math.SQRT2 * 0.92);
+
+  return {
+    cx,
+    cy,
+    outerRadius,
+    innerRadius,
+    square: {
+      x: cx - squareSize / 2,
+      y: cy - squareSize / 2,
+      size: squareSize,
+    },
+  };
+}
+
+/**
+ * Hue angle of a point around the ring center (0° at 3 o'clock, clockwise)
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @param {number} cx - Center x
+ * @param {number} cy - Center y
+ * @returns {number} Hue in degrees (0-360)
+ */
+export function pointToHue(x, y, cx, cy) {
+  const degrees = (Math.atan2(y - cy, x - cx) * 180) / Math.PI;
+  return degrees < 0 ? degrees + 360 : degrees;
+}
+
+/**
+ * Position of a hue on a circle around the center
+ * @param {number} hue - Hue in degrees
+ * @param {number} cx - Center x
+ * @param {number} cy - Center y
+ * @param {number} radius - Circle radius
+ * @returns {{x: number, y: number}} Point
+ */
+export function hueToPoint(hue, cx, cy, radius) {
+  const radians = (hue * Math.PI) / 180;
+  return {
+    x: cx + radius * Math.cos(radians),
+    y: cy + radius * Math.sin(radians),
+  };
+}
+
+/**
+ * Check whether a point lies on the hue ring
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @param {Object} layout - Result of getPickerLayout
+ * @returns {boolean} Whether the point is on the ring
+ */
+export function isPointInRing(x, y, { cx, cy, innerRadius, outerRadius }) {
+  const distance = Math.hypot(x - cx, y - cy);
+  return distance >= innerRadius && distance <= outerRadius;
+}
+
+/**
+ * Check whether a point lies inside the saturation/lightness square
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @param {{x: number, y: number, size: number}} square - Square bounds
+ * @returns {boolean} Whether the point is in the square
+ */
+export function isPointInSquare(x, y, square) {
+  return (
+    x >= square.x &&
+    x <= square.x + square.size &&
+    y >= square.y &&
+    y <= square.y + square.size
+  );
+}
+
+/**
+ * Saturation and lightness at a point of the square, clamped to its edges
+ * Saturation grows to the right, lightness grows upwards.
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @param {{x: number, y: number, size: number}} square - Square bounds
+ * @returns {{s: number, l: number}} Saturation and lightness in percent
+ */
+export function pointToSaturationLightness(x, y, square) {
+  const clamp = (value) => Math.min(1, Math.max(0, value));
+  return {
+    s: clamp((x - square.x) / square.size) * 100,
+    l: (1 - clamp((y - square.y) / square.size)) * 100,
+  };
+}
+
+/**
+ * Point of the square for a saturation and lightness
+ * @param {number} s - Saturation in percent
+ * @param {number} l - Lightness in percent
+ * @param {{x: number, y: number, size: number}} square - Square bounds
+ * @returns {{x: number, y: number}} Point
+ */
+export function saturationLightnessToPoint(s, l, square) {
+  return {
+    x: square.x + (s / 100) * square.size,
+    y: square.y + (1 - l / 100) * square.size,
+  };
+}
+
+/**
+ * Canvas color picker component
+ */
+export class ColorPicker {
+  /**
+   * @param {HTMLElement} container - Element the picker is rendered into
+   * @param {Object} [options] - Picker options
+   * @param {number} [options.size=220] - Canvas size in CSS pixels
+   * @param {HTMLInputElement} [options.target] - Input that receives the hex value and an `input` event
+   * @param {Function} [options.onChange] - Called with the hex value on every change
+   */
+  constructor(container, { size = 220, target = null, onChange = null } = {}) {
+    this.container = container;
+    this.size = size;
+    this.target = target;
+    this.onChange = onChange;
+    this.layout = getPickerLayout(size);
+    this.hsl = { h: 0, s: 100, l: 50 };
+    this.dragArea = null;
+    this.windowListeners = [];
+
+    this.render();
+    this.attachEvents();
+    this.draw();
+  }
+
+  /**
+   * Build the canvas and the two ARIA slider thumbs
+   * @private
+   */
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'color-picker';
+    this.element.style.width = `${this.size}px`;
+    this.element.style.height = `${this.size}px`;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'color-picker-canvas';
+    this.canvas.setAttribute('aria-hidden', 'true');
+    const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    this.canvas.width = this.size * ratio;
+    this.canvas.height = this.size * ratio;
+    this.canvas.style.width = `${this.size}px`;
+    this.canvas.style.height = `${this.size}px`;
+    this.ctx = this.canvas.getContext ? this.canvas.getContext('2d') : null;
+    if (this.ctx) {
+      this.ctx.scale(ratio, ratio);
+    }
+
+    this.hueThumb = this.createThumb('color-picker-thumb color-picker-hue-thumb', {
+      'aria-label': 'Színárnyalat',
+      'aria-valuemin': '0',
+      'aria-valuemax': '359',
+    });
+
+    this.areaThumb = this.createThumb('color-picker-thumb color-picker-area-thumb', {
+      'aria-label': 'Telítettség és világosság',
+      'aria-valuemin': '0',
+      'aria-valuemax': '100',
+    });
+
+    this.element.appendChild(this.canvas);
+    this.element.appendChild(this.hueThumb);
+    this.element.appendChild(this.areaThumb);
+    this.container.appendChild(this.element);
+  }
+
+  /**
+   * Create a focusable slider thumb
+   * @private
+   */
+  createThumb(className, attributes) {
+    const thumb = document.createElement('div');
+    thumb.className = className;
+    thumb.tabIndex = 0;
+    thumb.setAttribute('role', 'slider');
+    Object.entries(attributes).forEach(([name, value]) => {
+      thumb.setAttribute(name, value);
+    });
+    return thumb;
+  }
+
+  /**
+   * Attach pointer, touch and keyboard handlers
+   * @private
+   */
+  attachEvents() {
+    if (typeof window !== 'undefined' && window.PointerEvent) {
+      this.element.addEventListener('pointerdown', (event) => {
+        if (this.handleStart(event.clientX, event.clientY)) {
+          event.preventDefault();
+          this.element.setPointerCapture?.(event.pointerId);
+        }
+      });
+      this.element.addEventListener('pointermove', (event) => {
+        this.handleMove(event.clientX, event.clientY);
+      });
+      this.element.addEventListener('pointerup', () => this.handleEnd());
+      this.element.addEventListener('pointercancel', () => this.handleEnd());
+    } else {
+      this.element.addEventListener('mousedown', (event) => {
+        if (this.handleStart(event.clientX, event.clientY)) {
+          event.preventDefault();
+        }
+      });
+      // Mouse drags may leave the picker, so follow them on the window
+      this.windowListeners = [
+        ['mousemove', (event) => this.handleMove(event.clientX, event.clientY)],
+        ['mouseup', () => this.handleEnd()],
+      ];
+      this.windowListeners.forEach(([type, listener]) => {
+        window.addEventListener(type, listener);
+      });
+
+      this.element.addEventListener('touchstart', (event) => {
+        const touch = event.touches[0];
+        if (touch && this.handleStart(touch.clientX, touch.clientY)) {
+          event.preventDefault();
+        }
+      }, { passive: false });
+      this.element.addEventListener('touchmove', (event) => {
+        const touch = event.touches[0];
+        if (touch && this.dragArea) {
+          event.preventDefault();
+          this.handleMove(touch.clientX, touch.clientY);
+        }
+      }, { passive: false });
+      this.element.addEventListener('touchend', () => this.handleEnd());
+    }
+
+    this.hueThumb.addEventListener('keydown', (event) => this.handleHueKey(event));
+    this.areaThumb.addEventListener('keydown', (event) => this.handleAreaKey(event));
+  }
+
+  /**
+   * Convert client coordinates to canvas coordinates
+   * @private
+   */
+  toLocal(clientX, clientY) {
+    const rect = this.element.getBoundingClientRect();
+    return { x: clientX - rect.left, y: clientY - rect.top };
+  }
+
+  /**
+   * Begin a drag if the point hits the ring or the square
+   * @private
+   * @returns {boolean} Whether a drag started
+   */
+  handleStart(clientX, clientY) {
+    const { x, y } = this.toLocal(clientX, clientY);
+
+    if (isPointInSquare(x, y, this.layout.square)) {
+      this.dragArea = 'square';
+      this.areaThumb.focus();
+    } else if (isPointInRing(x, y, this.layout)) {
+      this.dragArea = 'ring';
+      this.hueThumb.focus();
+    } else {
+      return false;
+    }
+
+    this.applyPoint(x, y);
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  handleMove(clientX, clientY) {
+    if (!this.dragArea) return;
+    const { x, y } = this.toLocal(clientX, clientY);
+    this.applyPoint(x, y);
+  }
+
+  /**
+   * @private
+   */
+  handleEnd() {
+    this.dragArea = null;
+  }
+
+  /**
+   * Update the color from a point in the active drag area
+   * @private
+   */
+  applyPoint(x, y) {
+    if (this.dragArea === 'ring') {
+      const { cx, cy } = this.layout;
+      this.update({ h: Math.round(pointToHue(x, y, cx, cy)) % 360 });
+    } else if (this.dragArea === 'square') {
+      const { s, l } = pointToSaturationLightness(x, y, this.layout.square);
+      this.update({ s: Math.round(s), l: Math.round(l) });
+    }
+  }
+
+  /**
+   * Arrow keys rotate the hue; Home/End jump to red
+   * @private
+   */
+  handleHueKey(event) {
+    const step = event.shiftKey ? KEY_STEPS.large : KEY_STEPS.small;
+    let { h } = this.hsl;
+
+    switch (event.key) {
+      case 'ArrowRight':
+      case 'ArrowUp':
+        h += step;
+        break;
+      case 'ArrowLeft':
+      case 'ArrowDown':
+        h -= step;
+        break;
+      case 'PageUp':
+        h += KEY_STEPS.large;
+        break;
+      case 'PageDown':
+        h -= KEY_STEPS.large;
+        break;
+      case 'Home':
+        h = 0;
+        break;
+      case 'End':
+        h = 359;
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    this.update({ h: ((h % 360) + 360) % 360 });
+  }
+
+  /**
+   * Left/Right change saturation, Up/Down change lightness
+   * @private
+   */
+  handleAreaKey(event) {
+    const step = event.shiftKey ? KEY_STEPS.large : KEY_STEPS.small;
+    let { s, l } = this.hsl;
+
+    switch (event.key) {
+      case 'ArrowRight':
+        s += step;
+        break;
+      case 'ArrowLeft':
+        s -= step;
+        break;
+      case 'ArrowUp':
+        l += step;
+        break;
+      case 'ArrowDown':
+        l -= step;
+        break;
+      case 'PageUp':
+        l += KEY_STEPS.large;
+        break;
+      case 'PageDown':
+        l -= KEY_STEPS.large;
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    const clamp = (value) => Math.min(100, Math.max(0, value));
+    this.update({ s: clamp(s), l: clamp(l) });
+  }
+
+  /**
+   * Apply an HSL change, redraw and emit
+   * @private
+   */
+  update(changes) {
+    this.hsl = { ...this.hsl, ...changes };
+    this.draw();
+    this.emit();
+  }
+
+  /**
+   * Send the current color to the target input and the onChange callback
+   * @private
+   */
+  emit() {
+    const hex = this.getColor();
+
+    if (this.target) {
+      this.target.value = hex;
+      this.target.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    if (this.onChange) {
+      this.onChange(hex);
+    }
+  }
+
+  /**
+   * Get the picked color
+   * @returns {string} Uppercase hex color
+   */
+  getColor() {
+    return rgbToHex(hslToRgb(this.hsl));
+  }
+
+  /**
+   * Move the picker to a color without emitting events
+   * @param {string} hex - Hex color string
+   */
+  setColor(hex) {
+    if (!hex || hex.toUpperCase() === this.getColor()) return;
+
+    const next = rgbToHsl(hexToRgb(hex));
+    // Keep the current hue for greys so the ring does not snap back to red
+    this.hsl = {
+      h: next.s === 0 ? this.hsl.h : Math.round(next.h) % 360,
+      s: Math.round(next.s),
+      l: Math.round(next.l),
+    };
+    this.draw();
+  }
+
+  /**
+   * Redraw the canvas and position the thumbs
+   * @private
+   */
+  draw() {
+    this.updateThumbs();
+    if (!this.ctx) return;
+
+    const { ctx } = this;
+    const { cx, cy, outerRadius, innerRadius, square } = this.layout;
+    ctx.clearRect(0, 0, this.size, this.size);
+
+    // Hue ring, one wedge per degree
+    for (let hue = 0; hue < 360; hue++) {
+      const start = ((hue - 0.5) * Math.PI) / 180;
+      const end = ((hue + 1.5) * Math.PI) / 180;
+      ctx.beginPath();
+      ctx.arc(cx, cy, outerRadius, start, end);
+      ctx.arc(cx, cy, innerRadius, end, start, true);
+      ctx.closePath();
+      ctx.fillStyle = `hsl(${hue}, 100%, 50%)`;
+      ctx.fill();
+    }
+
+    // Saturation runs left to right at 50% lightness...
+    const saturation = ctx.createLinearGradient(square.x, 0, square.x + square.size, 0);
+    saturation.addColorStop(0, `hsl(${this.hsl.h}, 0%, 50%)`);
+    saturation.addColorStop(1, `hsl(${this.hsl.h}, 100%, 50%)`);
+    ctx.fillStyle = saturation;
+    ctx.fillRect(square.x, square.y, square.size, square.size);
+
+    // ...then white and black are blended in towards the top and bottom
+    const lightness = ctx.createLinearGradient(0, square.y, 0, square.y + square.size);
+    lightness.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    lightness.addColorStop(0.5, 'rgba(255, 255, 255, 0)');
+    lightness.addColorStop(0.5, 'rgba(0, 0, 0, 0)');
+    lightness.addColorStop(1, 'rgba(0, 0, 0, 1)');
+    ctx.fillStyle = lightness;
+    ctx.fillRect(square.x, square.y, square.size, square.size);
+  }
+
+  /**
+   * Position the thumbs and refresh their ARIA values
+   * @private
+   */
+  updateThumbs() {
+    const { cx, cy, outerRadius, innerRadius, square } = this.layout;
+    const { h, s, l } = this.hsl;
+
+    const huePoint = hueToPoint(h, cx, cy, (outerRadius + innerRadius) / 2);
+    this.hueThumb.style.left = `${huePoint.x}px`;
+    this.hueThumb.style.top = `${huePoint.y}px`;
+    this.hueThumb.setAttribute('aria-valuenow', String(h));
+    this.hueThumb.setAttribute('aria-valuetext', `${h}°`);
+
+    const areaPoint = saturationLightnessToPoint(s, l, square);
+    this.areaThumb.style.left = `${areaPoint.x}px`;
+    this.areaThumb.style.top = `${areaPoint.y}px`;
+    this.areaThumb.setAttribute('aria-valuenow', String(l));
+    this.areaThumb.setAttribute(
+      'aria-valuetext',
+      `Telítettség ${s}%, világosság ${l}%`
+    );
+  }
+
+  /**
+   * Remove the picker from the page
+   */
+  destroy() {
+    this.windowListeners.forEach(([type, listener]) => {
+      window.removeEventListener(type, listener);
+    });
+    this.element.remove();
+  }
+}
@@ -1,26 +1,66 @@
+import { NAMED_COLORS } from './colorNames.js';
+
 /**
- * Converts a hexadecimal color string to RGB values
+ * Parses a 3, 4, 6 or 8 digit hexadecimal color string
  * @param {string} hex - Hexadecimal color string (with or without #)
- * @returns {{r: number, g: number, b: number}} RGB color object
+ * @returns {{r: number, g: number, b: number, alpha: number}} RGBA color object
  * @throws {Error} When hex color is invalid
  */
-function hexToRgb(hex) {
+function parseHex(hex) {
   if (!hex || typeof hex !== 'string') {
     throw new Error('Invalid hex color: must be a non-empty string');
   }
-  
-  const cleanHex = hex.replace('#', '');
-  if (!/^[0-9A-Fa-f]{6}$/.test(cleanHex)) {
+
+  let cleanHex = hex.trim().replace(/^#/, '');
+  if (!/^([0-9A-Fa-f]{3,4}|[0-9A-Fa-f]{6}|[0-9A-Fa-f]{8})$/.test(cleanHex)) {
     throw new Error(`Invalid hex color format: ${hex}`);
   }
-  
-  const bigint = parseInt(cleanHex, 16);
-  const r = (bigint >> 16) & 255;
-  const g = (bigint >> 8) & 255;
-  const b = bigint & 255;
+
+  if (cleanHex.length <= 4) {
+    cleanHex = cleanHex
+      .split('')
+      .map((digit) => digit + digit)
+      .join('');
+  }
+
+  const r = parseInt(cleanHex.substring(0, 2), 16);
+  const g = parseInt(cleanHex.substring(2, 4), 16);
+  const b = parseInt(cleanHex.substring(4, 6), 16);
+  const alpha =
+    cleanHex.length === 8 ? parseInt(cleanHex.substring(6, 8), 16) / 255 : 1;
+  return { r, g, b, alpha };
+}
+
+/**
+ * Converts a hexadecimal color string to RGB values
+ * @param {string} hex - 3, 4, 6 or 8 digit hex color string (with or without #)
+ * @returns {{r: number, g: number, b: number}} RGB color object
+ * @throws {Error} When hex color is invalid
+ */
+export function hexToRgb(hex) {
+  const { r, g, b } = parseHex(hex);
   return { r, g, b };
 }
 
+/**
+ * Converts RGB values to an uppercase six-digit hex string
+ * @param {{r: number, g: number, b: number}} rgb - RGB color object (0-255)
+ * @returns {string} Hex color string with leading #
+ */
+export function rgbToHex({ r, g, b }) {
+  return (
+    '#' +
+    [r, g, b]
+      .map((c) => clampChannel(c).toString(16).padStart(2, '0'))
+      .join('')
+      .toUpperCase()
+  );
+}
+
+function clampChannel(value) {
+  return Math.min(255, Math.max(0, Math.round(value)));
+}
+
 /**
  * Converts RGB color values to XYZ color space
  * @param {number} r - Red component (0-255)
@@ -69,7 +109,7 @@ function rgbToLab(rgb) {
   return xyzToLab(xyz.x, xyz.y, xyz.z);
 }
 
-function deltaE76(lab1, lab2) {
+export function deltaE76(lab1, lab2) {
   return Math.sqrt(
     Math.pow(lab1.l - lab2.l, 2) +
       Math.pow(lab1.a - lab2.a, 2) +
@@ -77,19 +117,226 @@ function deltaE76(lab1, lab2) {
   );
 }
 
+/**
+ * CIE94 color difference (graphic arts weighting)
+ * @param {{l: number, a: number, b: number}} lab1 - Reference Lab color
+ * @param {{l: number, a: number, b: number}} lab2 - Sample Lab color
+ * @returns {number} Delta E value
+ */
+export function deltaE94(lab1, lab2) {
+  const deltaL = lab1.l - lab2.l;
+  const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+  const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+  const deltaC = c1 - c2;
+  const deltaA = lab1.a - lab2.a;
+  const deltaB = lab1.b - lab2.b;
+  const deltaH = Math.sqrt(
+    Math.max(0, deltaA * deltaA + deltaB * deltaB - deltaC * deltaC)
+  );
+
+  const sC = 1 + 0.045 * c1;
+  const sH = 1 + 0.015 * c1;
+
+  return Math.sqrt(
+    Math.pow(deltaL, 2) + Math.pow(deltaC / sC, 2) + Math.pow(deltaH / sH, 2)
+  );
+}
+
+/**
+ * CIEDE2000 color difference
+ * @param {{l: number, a: number, b: number}} lab1 - Reference Lab color
+ * @param {{l: number, a: number, b: number}} lab2 - Sample Lab color
+ * @returns {number} Delta E value
+ */
+export function deltaE2000(lab1, lab2) {
+  const toRad = Math.PI / 180;
+  const toDeg = 180 / Math.PI;
+
+  const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+  const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+  const cBar7 = Math.pow((c1 + c2) / 2, 7);
+  const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + Math.pow(25, 7))));
+
+  const a1 = lab1.a * (1 + g);
+  const a2 = lab2.a * (1 + g);
+  const c1p = Math.sqrt(a1 * a1 + lab1.b * lab1.b);
+  const c2p = Math.sqrt(a2 * a2 + lab2.b * lab2.b);
+
+  const hueAngle = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const angle = Math.atan2(b, a) * toDeg;
+    return angle >= 0 ? angle : angle + 360;
+  };
+  const h1p = hueAngle(lab1.b, a1);
+  const h2p = hueAngle(lab2.b, a2);
+
+  const deltaLp = lab2.l - lab1.l;
+  const deltaCp = c2p - c1p;
+
+  let deltahp = 0;
+  if (c1p * c2p !== 0) {
+    deltahp = h2p - h1p;
+    if (deltahp > 180) deltahp -= 360;
+    else if (deltahp < -180) deltahp += 360;
+  }
+  const deltaHp = 2 * Math.sqrt(c1p * c2p) * Math.sin((deltahp / 2) * toRad);
+
+  const lBarP = (lab1.l + lab2.l) / 2;
+  const cBarP = (c1p + c2p) / 2;
+
+  let hBarP = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) {
+      hBarP /= 2;
+    } else if (h1p + h2p < 360) {
+      hBarP = (hBarP + 360) / 2;
+    } else {
+      hBarP = (hBarP - 360) / 2;
+    }
+  }
+
+  const t =
+    1 -
+    0.17 * Math.cos((hBarP - 30) * toRad) +
+    0.24 * Math.cos(2 * hBarP * toRad) +
+    0.32 * Math.cos((3 * hBarP + 6) * toRad) -
+    0.2 * Math.cos((4 * hBarP - 63) * toRad);
+
+  const deltaTheta = 30 * Math.exp(-Math.pow((hBarP - 275) / 25, 2));
+  const cBarP7 = Math.pow(cBarP, 7);
+  const rC = 2 * Math.sqrt(cBarP7 / (cBarP7 + Math.pow(25, 7)));
+  const lBarMinus50Sq = Math.pow(lBarP - 50, 2);
+  const sL = 1 + (0.015 * lBarMinus50Sq) / Math.sqrt(20 + lBarMinus50Sq);
+  const sC = 1 + 0.045 * cBarP;
+  const sH = 1 + 0.015 * cBarP * t;
+  const rT = -Math.sin(2 * deltaTheta * toRad) * rC;
+
+  return Math.sqrt(
+    Math.pow(deltaLp / sL, 2) +
+      Math.pow(deltaCp / sC, 2) +
+      Math.pow(deltaHp / sH, 2) +
+      rT * (deltaCp / sC) * (deltaHp / sH)
+  );
+}
+
+/**
+ * Converts RGB color values to the OKLab perceptual color space
+ * @param {{r: number, g: number, b: number}} rgb - RGB color object (0-255)
+ * @returns {{l: number, a: number, b: number}} OKLab color object (l in 0-1)
+ */
+export function rgbToOklab(rgb) {
+  const toLinear = (c) => {
+    c /= 255;
+    return c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+  };
+  const r = toLinear(rgb.r);
+  const g = toLinear(rgb.g);
+  const b = toLinear(rgb.b);
+
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+  return {
+    l: 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  };
+}
+
+/**
+ * Euclidean distance in OKLab, scaled by 100 so it sits on the same
+ * range as the CIE Delta E metrics
+ * @param {{r: number, g: number, b: number}} rgb1 - First RGB color
+ * @param {{r: number, g: number, b: number}} rgb2 - Second RGB color
+ * @returns {number} Scaled OKLab distance
+ */
+function deltaEOk(rgb1, rgb2) {
+  const lab1 = rgbToOklab(rgb1);
+  const lab2 = rgbToOklab(rgb2);
+  return 100 * deltaE76(lab1, lab2);
+}
+
+/**
+ * Metric used for players who have not picked one
+ */
+export const DEFAULT_COLOR_METRIC = 'ciede2000';
+
+/**
+ * Named color difference metrics. Each entry takes two RGB objects.
+ */
+const colorMetrics = new Map([
+  ['cie76', { label: 'CIE76', compute: (rgb1, rgb2) => deltaE76(rgbToLab(rgb1), rgbToLab(rgb2)) }],
+  ['cie94', { label: 'CIE94', compute: (rgb1, rgb2) => deltaE94(rgbToLab(rgb1), rgbToLab(rgb2)) }],
+  ['ciede2000', { label: 'CIEDE2000', compute: (rgb1, rgb2) => deltaE2000(rgbToLab(rgb1), rgbToLab(rgb2)) }],
+  ['oklab', { label: 'OKLab', compute: deltaEOk }],
+]);
+
+/**
+ * Register a color difference metric
+ * @param {string} name - Metric name used in preferences and game records
+ * @param {Function} compute - Function (rgb1, rgb2) => Delta E
+ * @param {string} [label] - Human readable label
+ * @throws {Error} When the metric definition is invalid
+ */
+export function registerColorMetric(name, compute, label = name) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Metric name must be a non-empty string');
+  }
+  if (typeof compute !== 'function') {
+    throw new Error(`Metric ${name} must provide a compute function`);
+  }
+  colorMetrics.set(name, { label, compute });
+}
+
+/**
+ * Remove a registered color metric
+ * @param {string} name - Metric name
+ * @returns {boolean} Whether the metric was registered
+ */
+export function unregisterColorMetric(name) {
+  return colorMetrics.delete(name);
+}
+
+/**
+ * Get a registered color metric
+ * @param {string} name - Metric name
+ * @returns {{label: string, compute: Function}} Metric definition
+ * @throws {Error} When the metric is not registered
+ */
+export function getColorMetric(name) {
+  const metric = colorMetrics.get(name);
+  if (!metric) {
+    throw new Error(`Unknown color metric: ${name}`);
+  }
+  return metric;
+}
+
+/**
+ * List registered color metrics
+ * @returns {Array<{name: string, label: string}>} Registered metrics
+ */
+export function getAvailableMetrics() {
+  return Array.from(colorMetrics.entries()).map(([name, { label }]) => ({
+    name,
+    label,
+  }));
+}
+
 /**
  * Compares two hex colors and returns feedback with similarity percentage
  * @param {string} userColor - User's guessed color in hex format
  * @param {string} correctColor - The correct color in hex format
+ * @param {string} [metric=DEFAULT_COLOR_METRIC] - Name of a registered color metric
  * @returns {string} Feedback message with percentage similarity
  * @throws {Error} When color formats are invalid
  */
-export function compareColors(userColor, correctColor) {
+export function compareColors(userColor, correctColor, metric = DEFAULT_COLOR_METRIC) {
   try {
-    const userLab = rgbToLab(hexToRgb(userColor));
-    const correctLab = rgbToLab(hexToRgb(correctColor));
-
-    const deltaE = deltaE76(userLab, correctLab);
+    const deltaE = getColorMetric(metric).compute(
+      hexToRgb(userColor),
+      hexToRgb(correctColor)
+    );
     const percentage = Math.max(0, 100 - (deltaE / 2.3) * 100); // Normalize to 0-100%
     let feedbackText = `A tipp ${percentage.toFixed(2)}%-ban helyes.`;
 
@@ -134,11 +381,16 @@ export function adjustHexColor(hex, component, value) {
   return [r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('');
 }
 
-export function generateRandomColor() {
+/**
+ * Generate a random hex color
+ * @param {Function} [rng=Math.random] - Random number generator returning [0, 1)
+ * @returns {string} Uppercase hex color
+ */
+export function generateRandomColor(rng = Math.random) {
   const letters = '0123456789ABCDEF';
   let color = '#';
   for (let i = 0; i < 6; i++) {
-    color += letters[Math.floor(Math.random() * 16)];
+    color += letters[Math.floor(rng() * 16)];
   }
   return color;
 }
@@ -147,8 +399,14 @@ export function isValidHexColor(hex) {
   return /^#?[0-9A-F]{6}$/i.test(hex);
 }
 
-export function generateCloseColor(generatedColor) {
-  const offset = Math.floor(Math.random() * 20) - 10; // Small deviation +/- 10
+/**
+ * Generate a color close to a given one by shifting every channel equally
+ * @param {string} generatedColor - Hex color to stay close to
+ * @param {Function} [rng=Math.random] - Random number generator returning [0, 1)
+ * @returns {string} Hex color
+ */
+export function generateCloseColor(generatedColor, rng = Math.random) {
+  const offset = Math.floor(rng() * 20) - 10; // Small deviation +/- 10
   let r = Math.min(
     255,
     Math.max(0, parseInt(generatedColor.substring(1, 3), 16) + offset)
@@ -166,23 +424,566 @@ export function generateCloseColor(generatedColor) {
 }
 
 /**
- * Calculate color difference using Delta E (CIE76)
+ * Calculate color difference using a registered Delta E metric
  * @param {string} color1 - First hex color
  * @param {string} color2 - Second hex color  
+ * @param {string} [metric=DEFAULT_COLOR_METRIC] - Name of a registered color metric
  * @returns {number} Delta E value (0 = identical, higher = more different)
  * @throws {Error} When color formats are invalid
  */
-export function calculateColorDifference(color1, color2) {
+export function calculateColorDifference(color1, color2, metric = DEFAULT_COLOR_METRIC) {
   try {
     const rgb1 = hexToRgb(color1);
     const rgb2 = hexToRgb(color2);
-    
-    const lab1 = rgbToLab(rgb1);
-    const lab2 = rgbToLab(rgb2);
-    
-    return deltaE76(lab1, lab2);
+
+    return getColorMetric(metric).compute(rgb1, rgb2);
   } catch (error) {
     console.error('Color difference calculation failed:', error);
     return 100; // Return high difference on error
   }
 }
+
+const SRGB_TO_XYZ_D65 = [
+  [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+  [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+  [0.01933081871559182, 0.11919477979462598, 0.9505321522496607],
+];
+
+const XYZ_D65_TO_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+];
+
+// Bradford chromatic adaptation between the D65 and D50 white points
+const D65_TO_D50 = [
+  [1.0479298208405488, 0.022946793341019088, -0.05019222954313557],
+  [0.029627815688159344, 0.990434484573249, -0.01707382502938514],
+  [-0.009243058152591178, 0.015055144896577895, 0.7518742899580008],
+];
+
+const D50_TO_D65 = [
+  [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+  [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+  [0.012314001688319899, -0.020507696433477912, 1.3303659366080753],
+];
+
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+function multiplyMatrix(matrix, vector) {
+  return matrix.map(
+    (row) => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]
+  );
+}
+
+function srgbToLinear(c) {
+  const sign = c < 0 ? -1 : 1;
+  const abs = Math.abs(c);
+  return abs > 0.04045 ? sign * Math.pow((abs + 0.055) / 1.055, 2.4) : c / 12.92;
+}
+
+function linearToSrgb(c) {
+  const sign = c < 0 ? -1 : 1;
+  const abs = Math.abs(c);
+  return abs > 0.0031308
+    ? sign * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055)
+    : 12.92 * c;
+}
+
+function rgbToLinear({ r, g, b }) {
+  return [r, g, b].map((c) => srgbToLinear(c / 255));
+}
+
+function linearToRgb([r, g, b]) {
+  return {
+    r: clampChannel(linearToSrgb(r) * 255),
+    g: clampChannel(linearToSrgb(g) * 255),
+    b: clampChannel(linearToSrgb(b) * 255),
+  };
+}
+
+function normalizeHue(hue) {
+  const normalized = hue % 360;
+  return normalized < 0 ? normalized + 360 : normalized;
+}
+
+/**
+ * Hue of an RGB color in degrees, shared by HSL, HSV and HWB
+ * @private
+ */
+function rgbHue(r, g, b, max, delta) {
+  if (delta === 0) return 0;
+  let hue;
+  if (max === r) {
+    hue = ((g - b) / delta) % 6;
+  } else if (max === g) {
+    hue = (b - r) / delta + 2;
+  } else {
+    hue = (r - g) / delta + 4;
+  }
+  return normalizeHue(hue * 60);
+}
+
+/**
+ * Converts RGB to HSL
+ * @param {{r: number, g: number, b: number}} rgb - RGB color object (0-255)
+ * @returns {{h: number, s: number, l: number}} Hue in degrees, saturation and lightness in percent
+ */
+export function rgbToHsl({ r, g, b }) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const delta = max - min;
+  const l = (max + min) / 2;
+  const s = delta === 0 ? 0 : delta / (1 - Math.abs(2 * l - 1));
+
+  return { h: rgbHue(r, g, b, max, delta), s: s * 100, l: l * 100 };
+}
+
+/**
+ * Converts HSL to RGB
+ * @param {{h: number, s: number, l: number}} hsl - Hue in degrees, saturation and lightness in percent
+ * @returns {{r: number, g: number, b: number}} RGB color object (0-255)
+ */
+export function hslToRgb({ h, s, l }) {
+  s = Math.min(100, Math.max(0, s)) / 100;
+  l = Math.min(100, Math.max(0, l)) / 100;
+  const k = (n) => (n + normalizeHue(h) / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) =>
+    l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+
+  return {
+    r: clampChannel(f(0) * 255),
+    g: clampChannel(f(8) * 255),
+    b: clampChannel(f(4) * 255),
+  };
+}
+
+/**
+ * Saturation and lightness bounds (percent) of colors with a discernible hue
+ * @private
+ */
+const CHROMATIC_MIN_SATURATION = 25;
+const CHROMATIC_LIGHTNESS = [15, 85];
+
+/**
+ * Get the 60° hue sextant of a color: 0 red, 1 yellow, 2 green, 3 cyan, 4 blue, 5 magenta
+ * @param {string} hex - Hex color string
+ * @returns {number|null} Sextant, or null for greys and colors too dark or light to tell
+ */
+export function getHueSextant(hex) {
+  const { h, s, l } = rgbToHsl(hexToRgb(hex));
+  if (s < CHROMATIC_MIN_SATURATION || l < CHROMATIC_LIGHTNESS[0] || l > CHROMATIC_LIGHTNESS[1]) {
+    return null;
+  }
+  // Centre the sextants on the primaries and secondaries
+  return Math.floor(((h + 30) % 360) / 60);
+}
+
+/**
+ * Converts RGB to HSV
+ * @param {{r: number, g: number, b: number}} rgb - RGB color object (0-255)
+ * @returns {{h: number, s: number, v: number}} Hue in degrees, saturation and value in percent
+ */
+export function rgbToHsv({ r, g, b }) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const delta = max - min;
+
+  return {
+    h: rgbHue(r, g, b, max, delta),
+    s: max === 0 ? 0 : (delta / max) * 100,
+    v: max * 100,
+  };
+}
+
+/**
+ * Converts HSV to RGB
+ * @param {{h: number, s: number, v: number}} hsv - Hue in degrees, saturation and value in percent
+ * @returns {{r: number, g: number, b: number}} RGB color object (0-255)
+ */
+export function hsvToRgb({ h, s, v }) {
+  s = Math.min(100, Math.max(0, s)) / 100;
+  v = Math.min(100, Math.max(0, v)) / 100;
+  const f = (n) => {
+    const k = (n + normalizeHue(h) / 60) % 6;
+    return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+  };
+
+  return {
+    r: clampChannel(f(5) * 255),
+    g: clampChannel(f(3) * 255),
+    b: clampChannel(f(1) * 255),
+  };
+}
+
+/**
+ * Converts RGB to HWB
+ * @param {{r: number, g: number, b: number}} rgb - RGB color object (0-255)
+ * @returns {{h: number, w: number, b: number}} Hue in degrees, whiteness and blackness in percent
+ */
+export function rgbToHwb(rgb) {
+  const { h, s, v } = rgbToHsv(rgb);
+  return { h, w: ((100 - s) * v) / 100, b: 100 - v };
+}
+
+/**
+ * Converts HWB to RGB
+ * @param {{h: number, w: number, b: number}} hwb - Hue in degrees, whiteness and blackness in percent
+ * @returns {{r: number, g: number, b: number}} RGB color object (0-255)
+ */
+export function hwbToRgb({ h, w, b }) {
+  w = Math.max(0, w) / 100;
+  b = Math.max(0, b) / 100;
+  if (w + b >= 1) {
+    const gray = (w / (w + b)) * 255;
+    return { r: clampChannel(gray), g: clampChannel(gray), b: clampChannel(gray) };
+  }
+  const v = 1 - b;
+  return hsvToRgb({ h, s: (1 - w / v) * 100, v: v * 100 });
+}
+
+/**
+ * Converts OKLab to RGB, clipping out-of-gamut colors
+ * @param {{l: number, a: number, b: number}} oklab - OKLab color object (l in 0-1)
+ * @returns {{r: number, g: number, b: number}} RGB color object (0-255)
+ */
+export function oklabToRgb({ l, a, b }) {
+  const lp = Math.pow(l + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const mp = Math.pow(l - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const sp = Math.pow(l - 0.0894841775 * a - 1.291485548 * b, 3);
+
+  return linearToRgb([
+    4.0767416621 * lp - 3.3077115913 * mp + 0.2309699292 * sp,
+    -1.2684380046 * lp + 2.6097574011 * mp - 0.3413193965 * sp,
+    -0.0041960863 * lp - 0.7034186147 * mp + 1.707614701 * sp,
+  ]);
+}
+
+/**
+ * Converts RGB to OKLCH
+ * @param {{r: number, g: number, b: number}} rgb - RGB color object (0-255)
+ * @returns {{l: number, c: number, h: number}} Lightness (0-1), chroma and hue in degrees
+ */
+export function rgbToOklch(rgb) {
+  const { l, a, b } = rgbToOklab(rgb);
+  return toPolar(l, a, b);
+}
+
+/**
+ * Converts OKLCH to RGB, clipping out-of-gamut colors
+ * @param {{l: number, c: number, h: number}} oklch - Lightness (0-1), chroma and hue in degrees
+ * @returns {{r: number, g: number, b: number}} RGB color object (0-255)
+ */
+export function oklchToRgb({ l, c, h }) {
+  return oklabToRgb(fromPolar(l, c, h));
+}
+
+/**
+ * Converts RGB to CSS Lab (CIE Lab relative to D50, as used by `lab()`)
+ * @param {{r: number, g: number, b: number}} rgb - RGB color object (0-255)
+ * @returns {{l: number, a: number, b: number}} Lab color object
+ */
+export function rgbToCssLab(rgb) {
+  const xyz = multiplyMatrix(
+    D65_TO_D50,
+    multiplyMatrix(SRGB_TO_XYZ_D65, rgbToLinear(rgb))
+  );
+  const epsilon = 216 / 24389;
+  const kappa = 24389 / 27;
+  const [fx, fy, fz] = xyz.map((value, i) => {
+    const ratio = value / D50_WHITE[i];
+    return ratio > epsilon ? Math.cbrt(ratio) : (kappa * ratio + 16) / 116;
+  });
+
+  return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+/**
+ * Converts CSS Lab (D50) to RGB, clipping out-of-gamut colors
+ * @param {{l: number, a: number, b: number}} lab - Lab color object
+ * @returns {{r: number, g: number, b: number}} RGB color object (0-255)
+ */
+export function cssLabToRgb({ l, a, b }) {
+  const epsilon = 216 / 24389;
+  const kappa = 24389 / 27;
+  const fy = (l + 16) / 116;
+  const fx = a / 500 + fy;
+  const fz = fy - b / 200;
+
+  const xyz = [
+    Math.pow(fx, 3) > epsilon ? Math.pow(fx, 3) : (116 * fx - 16) / kappa,
+    l > kappa * epsilon ? Math.pow(fy, 3) : l / kappa,
+    Math.pow(fz, 3) > epsilon ? Math.pow(fz, 3) : (116 * fz - 16) / kappa,
+  ].map((value, i) => value * D50_WHITE[i]);
+
+  return linearToRgb(
+    multiplyMatrix(XYZ_D65_TO_SRGB, multiplyMatrix(D50_TO_D65, xyz))
+  );
+}
+
+function toPolar(l, a, b) {
+  const c = Math.sqrt(a * a + b * b);
+  const h = c < 1e-7 ? 0 : normalizeHue((Math.atan2(b, a) * 180) / Math.PI);
+  return { l, c, h };
+}
+
+function fromPolar(l, c, h) {
+  const radians = (h * Math.PI) / 180;
+  return { l, a: c * Math.cos(radians), b: c * Math.sin(radians) };
+}
+
+/**
+ * Color notations supported by formatColor
+ * @readonly
+ */
+export const COLOR_FORMATS = ['hex', 'rgb', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch'];
+
+const NUMBER_PATTERN = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|rad|grad|turn)?$/i;
+
+/**
+ * Parse one CSS numeric component
+ * @private
+ * @param {string} token - Raw token
+ * @param {Object} options - Parsing options
+ * @param {number} [options.percentScale] - Value that 100% maps to (percent not allowed when omitted)
+ * @param {boolean} [options.angle] - Whether the token is a hue angle
+ * @returns {number} Parsed value
+ */
+function parseComponent(token, { percentScale, angle = false } = {}) {
+  if (token === 'none') return 0;
+
+  const match = NUMBER_PATTERN.exec(token);
+  if (!match) {
+    throw new Error(`Invalid color component: ${token}`);
+  }
+
+  const value = parseFloat(match[1]);
+  const unit = (match[2] || '').toLowerCase();
+
+  if (unit === '%') {
+    if (percentScale === undefined) {
+      throw new Error(`Percentage not allowed here: ${token}`);
+    }
+    return (value / 100) * percentScale;
+  }
+
+  if (unit) {
+    if (!angle) {
+      throw new Error(`Unexpected unit in color component: ${token}`);
+    }
+    const turns = { deg: 1 / 360, rad: 1 / (2 * Math.PI), grad: 1 / 400, turn: 1 };
+    return normalizeHue(value * turns[unit] * 360);
+  }
+
+  return angle ? normalizeHue(value) : value;
+}
+
+/**
+ * Split the body of a functional color notation into channel and alpha tokens
+ * @private
+ */
+function splitFunctionArguments(body) {
+  let channels;
+  let alpha;
+
+  if (body.includes(',')) {
+    // Legacy comma syntax: rgb(255, 0, 0) / rgba(255, 0, 0, 0.5)
+    const parts = body.split(',').map((part) => part.trim());
+    channels = parts.slice(0, 3);
+    alpha = parts[3];
+    if (parts.length > 4) {
+      throw new Error(`Too many color components: ${body}`);
+    }
+  } else {
+    const [channelPart, alphaPart, ...rest] = body.split('/');
+    if (rest.length > 0) {
+      throw new Error(`Invalid alpha separator: ${body}`);
+    }
+    channels = channelPart.trim().split(/\s+/);
+    alpha = alphaPart !== undefined ? alphaPart.trim() : undefined;
+  }
+
+  if (channels.length !== 3 || channels.some((token) => token === '')) {
+    throw new Error(`Expected three color components: ${body}`);
+  }
+
+  return { channels, alpha };
+}
+
+const COLOR_FUNCTIONS = {
+  rgb: ([r, g, b]) => ({
+    r: clampChannel(parseComponent(r, { percentScale: 255 })),
+    g: clampChannel(parseComponent(g, { percentScale: 255 })),
+    b: clampChannel(parseComponent(b, { percentScale: 255 })),
+  }),
+  hsl: ([h, s, l]) =>
+    hslToRgb({
+      h: parseComponent(h, { angle: true }),
+      s: parseComponent(s, { percentScale: 100 }),
+      l: parseComponent(l, { percentScale: 100 }),
+    }),
+  hwb: ([h, w, b]) =>
+    hwbToRgb({
+      h: parseComponent(h, { angle: true }),
+      w: parseComponent(w, { percentScale: 100 }),
+      b: parseComponent(b, { percentScale: 100 }),
+    }),
+  lab: ([l, a, b]) =>
+    cssLabToRgb({
+      l: parseComponent(l, { percentScale: 100 }),
+      a: parseComponent(a, { percentScale: 125 }),
+      b: parseComponent(b, { percentScale: 125 }),
+    }),
+  lch: ([l, c, h]) =>
+    cssLabToRgb(
+      fromPolar(
+        parseComponent(l, { percentScale: 100 }),
+        parseComponent(c, { percentScale: 150 }),
+        parseComponent(h, { angle: true })
+      )
+    ),
+  oklab: ([l, a, b]) =>
+    oklabToRgb({
+      l: parseComponent(l, { percentScale: 1 }),
+      a: parseComponent(a, { percentScale: 0.4 }),
+      b: parseComponent(b, { percentScale: 0.4 }),
+    }),
+  oklch: ([l, c, h]) =>
+    oklchToRgb({
+      l: parseComponent(l, { percentScale: 1 }),
+      c: parseComponent(c, { percentScale: 0.4 }),
+      h: parseComponent(h, { angle: true }),
+    }),
+};
+COLOR_FUNCTIONS.rgba = COLOR_FUNCTIONS.rgb;
+COLOR_FUNCTIONS.hsla = COLOR_FUNCTIONS.hsl;
+
+/**
+ * Parses any CSS Color 4 color string
+ * Supports hex (3/4/6/8 digits, # optional), named colors, `transparent`,
+ * and the rgb(), hsl(), hwb(), lab(), lch(), oklab() and oklch() functions.
+ * @param {string} input - CSS color string
+ * @returns {{r: number, g: number, b: number, alpha: number}} RGBA color (channels 0-255, alpha 0-1)
+ * @throws {Error} When the string is not a valid color
+ */
+export function parseColor(input) {
+  if (!input || typeof input !== 'string') {
+    throw new Error('Invalid color: must be a non-empty string');
+  }
+
+  const value = input.trim().toLowerCase();
+
+  if (value === 'transparent') {
+    return { r: 0, g: 0, b: 0, alpha: 0 };
+  }
+
+  if (Object.prototype.hasOwnProperty.call(NAMED_COLORS, value)) {
+    return { ...hexToRgb(NAMED_COLORS[value]), alpha: 1 };
+  }
+
+  const functional = /^([a-z]+)\(\s*(.*?)\s*\)$/.exec(value);
+  if (functional) {
+    const [, name, body] = functional;
+    const convert = COLOR_FUNCTIONS[name];
+    if (!convert) {
+      throw new Error(`Unsupported color function: ${name}()`);
+    }
+
+    const { channels, alpha } = splitFunctionArguments(body);
+    const rgb = convert(channels);
+    const alphaValue =
+      alpha === undefined ? 1 : parseComponent(alpha, { percentScale: 1 });
+
+    return { ...rgb, alpha: Math.min(1, Math.max(0, alphaValue)) };
+  }
+
+  return parseHex(value);
+}
+
+/**
+ * Checks whether a string is any valid CSS color
+ * @param {string} input - CSS color string
+ * @returns {boolean} Whether the string can be parsed
+ */
+export function isValidColor(input) {
+  try {
+    parseColor(input);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalizes any CSS color string to an uppercase six-digit hex
+ * @param {string} input - CSS color string
+ * @returns {string} Hex color string with leading #
+ * @throws {Error} When the string is not a valid color
+ */
+export function toHex(input) {
+  return rgbToHex(parseColor(input));
+}
+
+function formatNumber(value, decimals = 2) {
+  const rounded = Number(value.toFixed(decimals));
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+/**
+ * Formats a color in the given CSS notation
+ * @param {string|{r: number, g: number, b: number, alpha?: number}} color - CSS color string or RGB(A) object
+ * @param {string} [format='hex'] - One of COLOR_FORMATS
+ * @returns {string} Formatted CSS color string
+ * @throws {Error} When the color or format is invalid
+ */
+export function formatColor(color, format = 'hex') {
+  const rgba = typeof color === 'string' ? parseColor(color) : color;
+  const rgb = { r: rgba.r, g: rgba.g, b: rgba.b };
+  const alpha = rgba.alpha === undefined ? 1 : rgba.alpha;
+  const alphaSuffix = alpha < 1 ? ` / ${formatNumber(alpha, 3)}` : '';
+
+  switch (format) {
+    case 'hex': {
+      const hex = rgbToHex(rgb);
+      return alpha < 1
+        ? hex + clampChannel(alpha * 255).toString(16).padStart(2, '0').toUpperCase()
+        : hex;
+    }
+    case 'rgb':
+      return `rgb(${clampChannel(rgb.r)} ${clampChannel(rgb.g)} ${clampChannel(rgb.b)}${alphaSuffix})`;
+    case 'hsl': {
+      const { h, s, l } = rgbToHsl(rgb);
+      return `hsl(${formatNumber(h)} ${formatNumber(s)}% ${formatNumber(l)}%${alphaSuffix})`;
+    }
+    case 'hwb': {
+      const { h, w, b } = rgbToHwb(rgb);
+      return `hwb(${formatNumber(h)} ${formatNumber(w)}% ${formatNumber(b)}%${alphaSuffix})`;
+    }
+    case 'lab': {
+      const { l, a, b } = rgbToCssLab(rgb);
+      return `lab(${formatNumber(l)}% ${formatNumber(a)} ${formatNumber(b)}${alphaSuffix})`;
+    }
+    case 'lch': {
+      const lab = rgbToCssLab(rgb);
+      const { l, c, h } = toPolar(lab.l, lab.a, lab.b);
+      return `lch(${formatNumber(l)}% ${formatNumber(c)} ${formatNumber(h)}${alphaSuffix})`;
+    }
+    case 'oklab': {
+      const { l, a, b } = rgbToOklab(rgb);
+      return `oklab(${formatNumber(l * 100, 3)}% ${formatNumber(a, 5)} ${formatNumber(b, 5)}${alphaSuffix})`;
+    }
+    case 'oklch': {
+      const { l, c, h } = rgbToOklch(rgb);
+      return `oklch(${formatNumber(l * 100, 3)}% ${formatNumber(c, 5)} ${formatNumber(h)}${alphaSuffix})`;
+    }
+    default:
+      throw new Error(`Unsupported color format: ${format}`);
+  }
+}
@@ -1,39 +1,107 @@
 export const DOM = {
   randomColor: document.getElementById('randomColor'),
+  paletteSwatches: document.getElementById('palette-swatches'),
+  paletteSize: document.getElementById('paletteSize'),
+  paletteOrder: document.getElementById('paletteOrder'),
+  paletteSummary: document.getElementById('paletteSummary'),
   userColor: document.getElementById('userColor'),
   colorInput: document.getElementById('colorInput'),
   checkButton: document.getElementById('check-button'),
   computerGuessButton: document.getElementById('computer-tip-button'),
   feedback: document.getElementById('feedback'),
   colorAdjust: document.getElementById('colorAdjust'),
+  colorPickerContainer: document.getElementById('color-picker-container'),
   plusRedButton: document.getElementById('plusRedButton'),
   minusRedButton: document.getElementById('minusRedButton'),
   plusGreenButton: document.getElementById('plusGreenButton'),
   minusGreenButton: document.getElementById('minusGreenButton'),
   plusBlueButton: document.getElementById('plusBlueButton'),
   minusBlueButton: document.getElementById('minusBlueButton'),
+  inputPanel: document.getElementById('inputPanel'),
+  rgbButtonsPanel: document.getElementById('rgb-buttons-panel'),
+  inputPanelContainer: document.getElementById('input-panel-container'),
   difficulty: document.getElementById('difficulty'),
+  adaptiveDifficulty: document.getElementById('adaptiveDifficulty'),
+  colorMetric: document.getElementById('colorMetric'),
+  colorFormat: document.getElementById('colorFormat'),
   timer: document.getElementById('timer'),
   score: document.getElementById('score'),
   newGameButton: document.getElementById('new-game-button'),
   resultModal: document.getElementById('resultModal'),
   correctColorCode: document.getElementById('correctColorCode'),
+  gameSeed: document.getElementById('gameSeed'),
+  dailyResult: document.getElementById('dailyResult'),
+  sessionRounds: document.getElementById('sessionRounds'),
+  scoringMode: document.getElementById('scoringMode'),
+  scoreBreakdown: document.getElementById('scoreBreakdown'),
+  roundDisplay: document.getElementById('round-display'),
+  round: document.getElementById('round'),
+  sessionSummary: document.getElementById('sessionSummary'),
+  nextRoundButton: document.getElementById('nextRoundButton'),
+  dailyChallengeButton: document.getElementById('daily-challenge-button'),
+  replaySeedButton: document.getElementById('replaySeedButton'),
+  challengeResult: document.getElementById('challengeResult'),
+  challengeLinkButton: document.getElementById('challengeLinkButton'),
+  shareButton: document.getElementById('shareButton'),
+  shareImageButton: document.getElementById('shareImageButton'),
+  watchReplayButton: document.getElementById('watchReplayButton'),
+  replaysButton: document.getElementById('replays-button'),
+  replayModal: document.getElementById('replayModal'),
+  historyButton: document.getElementById('history-button'),
+  historyModal: document.getElementById('historyModal'),
+  historyFilters: document.getElementById('historyFilters'),
+  historyListView: document.getElementById('historyListView'),
+  historySummary: document.getElementById('historySummary'),
+  historyList: document.getElementById('historyList'),
+  historyPage: document.getElementById('historyPage'),
+  historyPrevButton: document.getElementById('historyPrevButton'),
+  historyNextButton: document.getElementById('historyNextButton'),
+  historyDetail: document.getElementById('historyDetail'),
+  historyDetailBody: document.getElementById('historyDetailBody'),
+  historyBackButton: document.getElementById('historyBackButton'),
+  historyReplayButton: document.getElementById('historyReplayButton'),
+  achievementsButton: document.getElementById('achievements-button'),
+  achievementsModal: document.getElementById('achievementsModal'),
+  achievementSummary: document.getElementById('achievementSummary'),
+  achievementList: document.getElementById('achievementList'),
+  profileSelect: document.getElementById('profileSelect'),
+  profilesButton: document.getElementById('profiles-button'),
+  profilesModal: document.getElementById('profilesModal'),
+  profileList: document.getElementById('profileList'),
+  profileForm: document.getElementById('profileForm'),
+  profileName: document.getElementById('profileName'),
+  profileLeaderboard: document.getElementById('profileLeaderboard'),
+  settingsButton: document.getElementById('settings-button'),
+  settingsModal: document.getElementById('settingsModal'),
+  exportBackupButton: document.getElementById('exportBackupButton'),
+  importBackupInput: document.getElementById('importBackupInput'),
+  backupPreview: document.getElementById('backupPreview'),
+  backupPreviewBody: document.getElementById('backupPreviewBody'),
+  applyBackupButton: document.getElementById('applyBackupButton'),
+  cancelBackupButton: document.getElementById('cancelBackupButton'),
+  difficultyForm: document.getElementById('difficultyForm'),
+  difficultyPreset: document.getElementById('difficultyPreset'),
+  difficultyName: document.getElementById('difficultyName'),
+  difficultyMemorizeTime: document.getElementById('difficultyMemorizeTime'),
+  difficultyTipCount: document.getElementById('difficultyTipCount'),
+  difficultyComputerTipCount: document.getElementById('difficultyComputerTipCount'),
+  difficultyWinThreshold: document.getElementById('difficultyWinThreshold'),
+  difficultyTimeBonusDecay: document.getElementById('difficultyTimeBonusDecay'),
+  difficultyPanels: document.getElementById('difficultyPanels'),
+  deleteDifficultyButton: document.getElementById('deleteDifficultyButton'),
+  customLeaderboard: document.getElementById('customLeaderboard'),
+  customDifficultyOptions: document.getElementById('customDifficultyOptions'),
+  replaySelect: document.getElementById('replaySelect'),
+  replaySwatch: document.getElementById('replaySwatch'),
+  replayTargetSwatch: document.getElementById('replayTargetSwatch'),
+  replayScrubber: document.getElementById('replayScrubber'),
+  replayEventLabel: document.getElementById('replayEventLabel'),
+  replayPlayButton: document.getElementById('replayPlayButton'),
+  replayExportButton: document.getElementById('replayExportButton'),
+  replayImportInput: document.getElementById('replayImportInput'),
   allSecondaryButtons: document.querySelectorAll('.btn-secondary'),
   modalCloseButtons: document.querySelectorAll('.js-modal-close'),
 };
 
-export const DIFFICULTIES = {
-  easy: { tipCount: 3, computerTipCount: 3, score: 100 },
-  medium: { tipCount: 2, computerTipCount: 2, score: 200 },
-  hard: { tipCount: 1, computerTipCount: 1, score: 300 },
-};
-
-export const STRINGS = {
-  memorizeColor: 'Memorizáld a színt!',
-  congratulations: 'Gratulálok! Eltaláltad!',
-  sorry: 'Sajnálom, nem találtad el.',
-  tryAgain: (tips) => `Próbáld újra! Még ${tips} tippelési lehetőséged van. `,
-  noMoreTips: 'Nincs több tipp',
-  computerTip: (tips) => `Gép tippje (${tips} maradt)`,
-  invalidColor: 'Érvénytelen színkód, alapértelmezettre állítva.',
-};
+export { DIFFICULTIES } from './difficulties.js';
+export { STRINGS } from './strings.js';
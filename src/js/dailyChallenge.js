@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Daily Challenge helpers
+ * The day's seed is derived from the local calendar date, so every player gets
+ * the same target without any server and the mode works fully offline.
+ */
+
+/**
+ * Difficulty every Daily Challenge is played on
+ */
+export const DAILY_DIFFICULTY = 'medium';
+
+/**
+ * Prefix of Daily Challenge seeds
+ * @private
+ */
+const DAILY_SEED_PREFIX = 'DAILY-';
+
+/**
+ * Get the calendar day key of a date in the player's local time zone
+ * @param {Date} [date=new Date()] - Date to convert
+ * @returns {string} Day key in YYYY-MM-DD form
+ */
+export function getDailyKey(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get the day key of the calendar day before a given day
+ * @param {string} dateKey - Day key in YYYY-MM-DD form
+ * @returns {string} Previous day key
+ */
+export function getPreviousDailyKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return getDailyKey(new Date(year, month - 1, day - 1));
+}
+
+/**
+ * Get the seed of a day's challenge
+ * @param {string} dateKey - Day key in YYYY-MM-DD form
+ * @returns {string} Seed shared by every player on that day
+ */
+export function getDailySeed(dateKey) {
+  return `${DAILY_SEED_PREFIX}${dateKey}`;
+}
+
+/**
+ * Get the day a Daily Challenge seed belongs to
+ * @param {string} seed - Game seed
+ * @returns {string|null} Day key in YYYY-MM-DD form, or null for other seeds
+ */
+export function getDailyKeyFromSeed(seed) {
+  const dateKey = seed?.startsWith(DAILY_SEED_PREFIX) ? seed.slice(DAILY_SEED_PREFIX.length) : '';
+  return /^\d{4}-\d{2}-\d{2}$/.test(dateKey) ? dateKey : null;
+}
+
+/**
+ * Order two daily results, best first: higher score, then higher accuracy, then faster
+ * @param {Object} a - Daily result
+ * @param {Object} b - Daily result
+ * @returns {number} Sort order
+ */
+export function compareDailyResults(a, b) {
+  if (b.score !== a.score) return b.score - a.score;
+  if ((b.accuracy || 0) !== (a.accuracy || 0)) return (b.accuracy || 0) - (a.accuracy || 0);
+  return (a.time || 0) - (b.time || 0);
+}
+
+/**
+ * Rank a daily result against the player's other completed dailies
+ * @param {Object} result - Result to rank
+ * @param {Array<Object>} results - All completed daily results, including `result`
+ * @returns {{rank: number, total: number}} 1-based rank and number of completed dailies
+ */
+export function rankDailyResult(result, results) {
+  const others = results.filter((entry) => entry !== result && entry.date !== result.date);
+  const better = others.filter((entry) => compareDailyResults(entry, result) < 0).length;
+  return { rank: better + 1, total: others.length + 1 };
+}
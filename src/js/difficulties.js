@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Difficulty settings
+ * Kept free of DOM access so the game rules can load outside the browser.
+ * The built-in difficulties and the player's custom ones share one structure;
+ * custom difficulties live in the user preferences under ids starting with
+ * CUSTOM_DIFFICULTY_PREFIX and are scored on their own leaderboard.
+ */
+
+import { ToneTrackerError, ERROR_CATEGORIES, ERROR_LEVELS } from './errorHandler.js';
+import { INPUT_PANELS } from './inputPanels.js';
+
+/**
+ * Time the target of a single-color game is shown, in milliseconds
+ */
+export const DEFAULT_MEMORIZE_TIME = 3000;
+
+/**
+ * Difficulty of new players, and the one selected when a custom difficulty
+ * in use is deleted
+ */
+export const DEFAULT_DIFFICULTY = 'easy';
+
+/**
+ * Prefix of custom difficulty ids
+ */
+export const CUSTOM_DIFFICULTY_PREFIX = 'custom-';
+
+/**
+ * Base score of custom difficulties; they are ranked among themselves only
+ */
+export const CUSTOM_DIFFICULTY_SCORE = 200;
+
+/**
+ * Allowed range of every numeric setting
+ * @readonly
+ */
+export const DIFFICULTY_LIMITS = Object.freeze({
+  memorizeTime: { min: 500, max: 10000 },
+  tipCount: { min: 1, max: 5 },
+  computerTipCount: { min: 0, max: 5 },
+  winThreshold: { min: 1, max: 20 },
+  timeBonusDecay: { min: 0, max: 5 }
+});
+
+/**
+ * Longest custom difficulty name
+ */
+export const MAX_DIFFICULTY_NAME_LENGTH = 30;
+
+const ALL_INPUT_PANELS = Object.freeze(Object.keys(INPUT_PANELS));
+
+/**
+ * Built-in difficulties, read-only
+ * winThreshold: largest Delta E that still counts as a match (2.3 ≈ just noticeable)
+ * timeBonusDecay: points lost for every second spent guessing
+ * inputPanels: INPUT_PANELS ids the player may guess with
+ * @readonly
+ */
+export const DIFFICULTIES = Object.freeze({
+  easy: Object.freeze({
+    tipCount: 3,
+    computerTipCount: 3,
+    score: 100,
+    winThreshold: 10,
+    memorizeTime: DEFAULT_MEMORIZE_TIME,
+    timeBonusDecay: 1,
+    inputPanels: ALL_INPUT_PANELS
+  }),
+  medium: Object.freeze({
+    tipCount: 2,
+    computerTipCount: 2,
+    score: 200,
+    winThreshold: 5,
+    memorizeTime: DEFAULT_MEMORIZE_TIME,
+    timeBonusDecay: 1,
+    inputPanels: ALL_INPUT_PANELS
+  }),
+  hard: Object.freeze({
+    tipCount: 1,
+    computerTipCount: 1,
+    score: 300,
+    winThreshold: 2.3,
+    memorizeTime: DEFAULT_MEMORIZE_TIME,
+    timeBonusDecay: 1,
+    inputPanels: ALL_INPUT_PANELS
+  }),
+});
+
+/**
+ * Check whether a difficulty is one of the built-in ones
+ * @param {string} id - Difficulty id
+ * @returns {boolean} Whether the id is easy, medium or hard
+ */
+export function isBuiltInDifficulty(id) {
+  return Object.prototype.hasOwnProperty.call(DIFFICULTIES, id);
+}
+
+/**
+ * Check whether an id has the form of a custom difficulty
+ * @param {string} id - Difficulty id
+ * @returns {boolean} Whether the id names a custom difficulty
+ */
+export function isCustomDifficulty(id) {
+  return typeof id === 'string' && /^custom-[a-z0-9]+$/.test(id);
+}
+
+/**
+ * Check whether an id can name a difficulty at all
+ * @param {string} id - Difficulty id
+ * @returns {boolean} Whether the id is built-in or custom
+ */
+export function isDifficultyId(id) {
+  return isBuiltInDifficulty(id) || isCustomDifficulty(id);
+}
+
+/**
+ * Generate the id of a new custom difficulty
+ * @returns {string} Id starting with CUSTOM_DIFFICULTY_PREFIX
+ */
+export function createCustomDifficultyId() {
+  return `${CUSTOM_DIFFICULTY_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Validate the settings of a custom difficulty
+ * @param {Object} settings - Editor values ({name, memorizeTime, tipCount,
+ *   computerTipCount, winThreshold, timeBonusDecay, inputPanels})
+ * @returns {Object} Difficulty in the structure of the built-in ones, with its name
+ * @throws {ToneTrackerError} When a setting is missing or out of range
+ */
+export function createCustomDifficulty(settings) {
+  const problems = [];
+  const name = typeof settings.name === 'string' ? settings.name.trim() : '';
+  if (!name || name.length > MAX_DIFFICULTY_NAME_LENGTH) {
+    problems.push(`name must be 1-${MAX_DIFFICULTY_NAME_LENGTH} characters`);
+  }
+
+  Object.entries(DIFFICULTY_LIMITS).forEach(([field, { min, max }]) => {
+    const value = settings[field];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      problems.push(`${field} must be between ${min} and ${max}`);
+    }
+  });
+  ['tipCount', 'computerTipCount'].forEach((field) => {
+    if (Number.isFinite(settings[field]) && !Number.isInteger(settings[field])) {
+      problems.push(`${field} must be a whole number`);
+    }
+  });
+
+  const inputPanels = Array.isArray(settings.inputPanels)
+    ? ALL_INPUT_PANELS.filter((panel) => settings.inputPanels.includes(panel))
+    : [];
+  if (inputPanels.length === 0 || inputPanels.length !== new Set(settings.inputPanels).size) {
+    problems.push(`inputPanels must list some of ${ALL_INPUT_PANELS.join(', ')}`);
+  }
+
+  if (problems.length > 0) {
+    throw new ToneTrackerError(
+      `Invalid difficulty: ${problems.join('; ')}`,
+      ERROR_CATEGORIES.VALIDATION,
+      ERROR_LEVELS.WARN,
+      { problems }
+    );
+  }
+
+  return {
+    name,
+    tipCount: settings.tipCount,
+    computerTipCount: settings.computerTipCount,
+    score: CUSTOM_DIFFICULTY_SCORE,
+    winThreshold: settings.winThreshold,
+    memorizeTime: Math.round(settings.memorizeTime),
+    timeBonusDecay: settings.timeBonusDecay,
+    inputPanels
+  };
+}
+
+/**
+ * Build the difficulty table of a player
+ * @param {Object<string, Object>} [custom={}] - Custom difficulties by id
+ * @returns {Object<string, Object>} Built-in and custom difficulties by id; custom
+ *   entries with an invalid id or a built-in id are left out
+ */
+export function getDifficultyTable(custom = {}) {
+  const entries = Object.entries(custom || {}).filter(([id]) => isCustomDifficulty(id));
+  return { ...Object.fromEntries(entries), ...DIFFICULTIES };
+}
@@ -58,7 +58,7 @@ class ErrorLogger {
   constructor() {
     this.logs = [];
     this.maxLogs = 100; // Keep only last 100 logs in memory
-    this.isProduction = import.meta.env.MODE === 'production';
+    this.isProduction = import.meta.env?.MODE === 'production';
   }
 
   /**
@@ -74,8 +74,8 @@ class ErrorLogger {
       category: error.category || ERROR_CATEGORIES.GAME_LOGIC,
       level: error.level || ERROR_LEVELS.ERROR,
       context: { ...error.context, ...additionalContext },
-      url: window.location.href,
-      userAgent: navigator.userAgent
+      url: typeof window !== 'undefined' ? window.location.href : null,
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null
     };
 
     // Add to in-memory logs
@@ -191,6 +191,9 @@ export class ErrorHandler {
    * @private
    */
   setupGlobalHandlers() {
+    // Workers and Node have no window to listen on
+    if (typeof window === 'undefined') return;
+
     // Handle unhandled promise rejections
     window.addEventListener('unhandledrejection', (event) => {
       this.handleError(
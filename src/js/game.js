@@ -1,190 +1,344 @@
-import { state, resetState, setDifficulty } from './state.js';
 import * as ui from './ui.js';
 import * as colorUtils from './colorUtils.js';
-import { DOM, STRINGS, DIFFICULTIES } from './constants.js';
+import { DOM, STRINGS } from './constants.js';
 import { analytics, trackGameStart, trackGameEnd, trackEvent, EVENT_TYPES } from './analytics.js';
 import { storage } from './storage.js';
 import { startTiming, endTiming } from './performance.js';
+import { generateSeed } from './rng.js';
+import { DAILY_DIFFICULTY, getDailyKey, getDailySeed } from './dailyChallenge.js';
+import {
+  createSession,
+  getNextRound,
+  getRoundSeed,
+  isSessionComplete,
+  summarizeSession
+} from './session.js';
+import { stateManager, actions } from './stateManager.js';
+import { SCORING_MODES } from './scoring.js';
+import { PALETTE_ORDERS } from './palette.js';
+import { GameEngine, ENGINE_EVENTS, ENGINE_PHASES } from './gameEngine.js';
+import { ReplayRecorder, REPLAY_EVENT_TYPES } from './replay.js';
+import { compareWithChallenge, createChallengeLink } from './challenge.js';
+import { getLatestUnlocks } from './achievements.js';
+import { i18n } from './i18n.js';
+import { getSkillLevel } from './skillRating.js';
+import { isCustomDifficulty } from './difficulties.js';
+
+/**
+ * Engine running the current game, the timers driving its clock and the
+ * recorder capturing the player's inputs
+ * @private
+ */
+let engine = new GameEngine();
+let timerInterval = null;
+let memorizeTimeout = null;
+let recorder = null;
+
+/**
+ * Challenge link the current game was started from, and a summary of the last
+ * finished game for challenge links and share cards
+ * @private
+ */
+let activeChallenge = null;
+let lastFinishedGame = null;
+
+/**
+ * Id of the Daily Challenge attempt this tab claimed, so only that attempt is scored
+ * @private
+ */
+let dailyAttempt = null;
+
+/**
+ * Get a snapshot of the current game from the store
+ * @returns {Object} Frozen game state
+ */
+function getGame() {
+  return stateManager.select('game');
+}
+
+/**
+ * Show a feedback message through the store
+ * @param {string} message - Feedback text
+ */
+function setFeedback(message) {
+  stateManager.dispatch(actions.setFeedback(message));
+}
 
 function startTimer() {
-  if (state.timerInterval) {
-    clearInterval(state.timerInterval);
+  stopTimer();
+  timerInterval = setInterval(() => applyEvents(engine.tick().events), 1000);
+}
+
+function stopTimer() {
+  if (timerInterval) {
+    clearInterval(timerInterval);
+    timerInterval = null;
   }
-  state.timerInterval = setInterval(ui.updateTimer, 1000);
 }
 
-function calculateScore() {
-  const elapsedTime = Math.floor((Date.now() - state.startTime) / 1000);
-  const baseScore = DIFFICULTIES[state.difficulty].score;
-  const newScore = Math.max(0, baseScore - elapsedTime);
-  state.score += newScore;
+/**
+ * End the memorize phase once the engine's clock says so
+ */
+function advanceMemorize() {
+  const { state, events } = engine.tick();
+  if (state.phase === ENGINE_PHASES.MEMORIZE) {
+    // Timers may fire a little early
+    memorizeTimeout = setTimeout(advanceMemorize, Math.max(0, state.memorizeEndsAt - Date.now()));
+    return;
+  }
+  memorizeTimeout = null;
+  applyEvents(events);
+}
+
+/**
+ * Get the scoring mode chosen by the player, or the challenge link's while
+ * a challenge is played
+ * @returns {string} SCORING_MODES value
+ */
+function getScoringMode() {
+  return (
+    activeChallenge?.scoringMode ||
+    storage.getUserPreferences().scoringMode ||
+    SCORING_MODES.ACCURACY
+  );
 }
 
-function calculateAccuracy() {
-  if (!state.generatedColor || !DOM.colorInput.value) return 0;
-  
-  const userColor = '#' + DOM.colorInput.value.replace('#', '');
-  const targetColor = state.generatedColor;
-  
-  // Calculate color difference using Delta E approximation
-  const deltaE = colorUtils.calculateColorDifference(userColor, targetColor);
-  
-  // Convert Delta E to accuracy percentage (0-100)
-  // Perfect match (deltaE = 0) = 100%, deltaE > 100 = 0%
-  const accuracy = Math.max(0, Math.min(100, 100 - (deltaE / 100) * 100));
-  
-  return Math.round(accuracy * 100) / 100; // Round to 2 decimal places
+/**
+ * Get the color difference metric chosen by the player, or the challenge
+ * link's while a challenge is played
+ * @returns {string} Registered metric name
+ */
+function getActiveMetric() {
+  return (
+    activeChallenge?.metric ||
+    storage.getUserPreferences().colorMetric ||
+    colorUtils.DEFAULT_COLOR_METRIC
+  );
 }
 
 /**
- * Check for and show achievement notifications
- * @param {boolean} won - Whether the game was won
- * @param {number} score - Final score
- * @param {Object} stats - Current game statistics
+ * Read the player's color from the text input in any supported CSS notation
+ * @returns {string|null} Uppercase hex color or null when the input is not a color
  */
-function checkAndShowAchievements(won, score) {
-  if (!won) return;
-  
+function readUserColor() {
+  const value = DOM.colorInput.value.trim();
+  if (!value) return null;
+
   try {
-    const gameStats = storage.getGameStats();
-    const highScores = storage.getHighScores();
-    
-    // First win achievement
-    if (gameStats.gamesWon === 1) {
-      ui.showAchievement(
-        'First Victory',
-        'Congratulations on your first successful color match!'
-      );
-    }
-    
-    // Multiple wins milestones
-    const winMilestones = [5, 10, 25, 50, 100];
-    if (winMilestones.includes(gameStats.gamesWon)) {
-      ui.showAchievement(
-        `${gameStats.gamesWon} Wins`,
-        `You've successfully completed ${gameStats.gamesWon} games!`
-      );
-    }
-    
-    // High score achievement
-    if (highScores.length > 0 && score === highScores[0].score) {
-      ui.showAchievement(
-        'New High Score!',
-        `Amazing! You scored ${score} points!`
-      );
-    }
-    
-    // Perfect accuracy achievement
-    const accuracy = calculateAccuracy();
-    if (accuracy === 100) {
-      ui.showAchievement(
-        'Perfect Match',
-        'Incredible! You got the exact color!'
-      );
-    }
-    
-    // Speed achievement (won in less than 10 seconds)
-    const gameDuration = Date.now() - state.startTime;
-    if (gameDuration < 10000) {
-      ui.showAchievement(
-        'Lightning Fast',
-        'You completed the game in under 10 seconds!'
-      );
+    return colorUtils.toHex(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Hand the text input's color to the engine; typing does not go through it
+ */
+function syncUserColor() {
+  engine.setColor(readUserColor());
+}
+
+/**
+ * Mirror engine events into the store and run their side effects
+ * @param {Array<Object>} events - Events returned by the engine
+ */
+function applyEvents(events) {
+  const game = engine.getState();
+
+  events.forEach((event) => {
+    switch (event.type) {
+      case ENGINE_EVENTS.GUESSING_STARTED:
+        stateManager.dispatch(actions.beginGuessing(event.startTime));
+        recorder.start(event.startTime);
+        if (game.mode === 'palette') {
+          setFeedback(STRINGS.paletteGuessPrompt(1, game.targets.length));
+        }
+        startTimer();
+        break;
+
+      case ENGINE_EVENTS.TICK:
+        ui.updateTimer();
+        break;
+
+      case ENGINE_EVENTS.COLOR_CHANGED:
+        ui.setColorInputValue(event.color);
+        stateManager.dispatch(actions.setUserColor(event.color));
+        break;
+
+      case ENGINE_EVENTS.INVALID_COLOR:
+        setFeedback(STRINGS.invalidColor);
+        break;
+
+      case ENGINE_EVENTS.WRONG_GUESS:
+        stateManager.dispatch(actions.wrongGuess(event.color, event.accuracy));
+        trackEvent(EVENT_TYPES.COLOR_GUESS, {
+          attempt: engine.getSettings().tipCount - event.remainingTips,
+          totalAttempts: engine.getSettings().tipCount,
+          accuracy: event.accuracy,
+          remainingTips: event.remainingTips,
+          difficulty: game.difficulty
+        });
+        if (event.remainingTips > 0) {
+          setFeedback(
+            STRINGS.tryAgain(event.remainingTips) +
+              colorUtils.compareColors(event.color, game.target, getActiveMetric())
+          );
+          console.log(`🎯 Color guess: ${event.accuracy}% accuracy, ${event.remainingTips} tips remaining`);
+        }
+        break;
+
+      case ENGINE_EVENTS.PALETTE_GUESS:
+        stateManager.dispatch(actions.submitPaletteGuess(event.color));
+        trackEvent(EVENT_TYPES.COLOR_GUESS, {
+          mode: 'palette',
+          swatch: event.index + 1,
+          swatches: game.targets.length,
+          order: game.paletteOrder,
+          difficulty: game.difficulty
+        });
+        if (event.remaining > 0) {
+          setFeedback(STRINGS.paletteGuessPrompt(event.index + 2, game.targets.length));
+        }
+        break;
+
+      case ENGINE_EVENTS.HINT:
+        stateManager.dispatch(actions.useComputerTip(event.hint.type, event.hint.hintState));
+        setFeedback(event.hint.message);
+        trackEvent(EVENT_TYPES.COMPUTER_TIP_USED, {
+          hintType: event.hint.type,
+          tipNumber: event.tipNumber,
+          remainingTips: event.remainingTips,
+          difficulty: game.difficulty,
+          mode: game.mode
+        });
+        break;
+
+      case ENGINE_EVENTS.ENDED:
+        stopTimer();
+        if (game.mode === 'palette') {
+          endPaletteGame(game, event.result);
+        } else {
+          endGame(game, event.result);
+        }
+        break;
     }
-    
-    // Difficulty-based achievements
-    if (state.difficulty === 'hard') {
+  });
+}
+
+/**
+ * Announce the achievements a recorded game unlocked, and a new top score
+ * @param {Object} stats - Game statistics as returned by storage.recordGame
+ * @param {Object} result - Engine result
+ */
+function showAchievements(stats, { won, score }) {
+  try {
+    getLatestUnlocks(stats).forEach(({ id, icon }) => {
       ui.showAchievement(
-        'Hard Mode Master',
-        'Excellent work completing hard difficulty!'
+        i18n.t(`achievements.items.${id}.title`),
+        i18n.t(`achievements.items.${id}.description`),
+        icon
       );
+    });
+
+    // Beating the previous best is worth a note every time, unlike an unlock
+    const { scores } = storage.getHighScores();
+    if (won && scores.length > 1 && scores[0].score === score && scores[1].score < score) {
+      ui.showToast(i18n.t('achievements.newHighScore', { score }), 'success');
     }
-    
   } catch (error) {
     console.error('❌ Failed to check achievements:', error);
   }
 }
 
-function endGame(isCorrect) {
-  clearInterval(state.timerInterval);
-  state.isGameActive = false;
-  
-  // Calculate game metrics
-  const gameDuration = Date.now() - state.startTime;
-  const difficulty = state.difficulty;
-  const accuracy = calculateAccuracy();
-  const finalScore = isCorrect ? state.score : 0;
-  
+/**
+ * Record and announce a finished single-color game
+ * @param {Object} game - Finished engine snapshot
+ * @param {Object} result - Engine result ({won, score, accuracy, time, breakdown})
+ */
+async function endGame(game, result) {
+  const { won: isCorrect, score: finalScore, accuracy, time: gameDuration, breakdown } = result;
+  const { difficulty } = game;
+  const settings = engine.getSettings();
+  const userGuess = game.userColor;
+
+  stateManager.dispatch(actions.finishGame(isCorrect, finalScore));
+  setFeedback(isCorrect ? STRINGS.congratulations : STRINGS.sorry);
+  ui.playSound(isCorrect ? 'correct' : 'wrong');
+
+  // Track game completion
+  trackGameEnd(isCorrect, finalScore, gameDuration, difficulty, accuracy);
+
+  // Record game statistics
+  const stats = storage.recordGame({
+    won: isCorrect,
+    score: finalScore,
+    time: gameDuration,
+    difficulty: difficulty,
+    accuracy: accuracy,
+    metric: getActiveMetric(),
+    scoringMode: getScoringMode(),
+    targetColor: game.target,
+    userGuess,
+    seed: game.seed,
+    mode: game.mode,
+    level: game.level,
+    difficultyName: settings.name,
+    attempts: settings.tipCount - game.tipCount + (isCorrect ? 1 : 0),
+    computerTipsUsed: settings.computerTipCount - game.computerTipCount,
+    replay: recorder.finish(result),
+    timestamp: Date.now()
+  });
+
   if (isCorrect) {
-    ui.updateFeedback(STRINGS.congratulations);
-    ui.playSound('correct');
-    calculateScore();
-    ui.updateScore();
-    
-    // Track successful game completion
-    trackGameEnd(true, state.score, gameDuration, difficulty, accuracy);
-    
-    // Record game statistics
-    storage.recordGame({
-      won: true,
-      score: state.score,
-      time: gameDuration,
-      difficulty: difficulty,
-      accuracy: accuracy,
-      targetColor: state.generatedColor,
-      attempts: DIFFICULTIES[difficulty].tips - state.tipCount + 1,
-      computerTipsUsed: DIFFICULTIES[difficulty].tips - state.computerTipCount,
-      timestamp: Date.now()
-    });
-    
     console.log('🎉 Game won!', {
-      score: state.score,
+      score: finalScore,
       time: `${Math.round(gameDuration / 1000)}s`,
       accuracy: `${accuracy}%`,
       difficulty
     });
-    
   } else {
-    ui.updateFeedback(STRINGS.sorry);
-    ui.playSound('wrong');
-    
-    // Track failed game completion
-    trackGameEnd(false, 0, gameDuration, difficulty, accuracy);
-    
-    // Record failed game
-    storage.recordGame({
-      won: false,
-      score: 0,
-      time: gameDuration,
-      difficulty: difficulty,
-      accuracy: accuracy,
-      targetColor: state.generatedColor,
-      attempts: DIFFICULTIES[difficulty].tips + 1,
-      computerTipsUsed: DIFFICULTIES[difficulty].tips - state.computerTipCount,
-      timestamp: Date.now()
-    });
-    
     console.log('💔 Game lost', {
       time: `${Math.round(gameDuration / 1000)}s`,
       accuracy: `${accuracy}%`,
       difficulty,
-      targetColor: state.generatedColor
+      targetColor: game.target,
+      seed: game.seed
     });
   }
-  
+
   // End performance timing
   endTiming('game-session', {
     won: isCorrect,
     difficulty: difficulty,
     score: finalScore
   });
-  
+
+  // Score the day's single Daily Challenge attempt
+  const dailyResult = game.mode === 'daily'
+    ? await completeDailyChallenge(game.dailyKey, isCorrect, finalScore, accuracy, gameDuration)
+    : null;
+
+  // Add the round to the running session
+  const sessionResult = game.mode === 'session'
+    ? completeSessionRound({
+        won: isCorrect,
+        score: finalScore,
+        accuracy,
+        time: gameDuration,
+        targetColor: game.target,
+        guess: userGuess,
+        seed: game.seed
+      })
+    : null;
+
   // Update statistics display
   ui.updateStatistics();
-  
+
   // Show achievement notifications for milestones
-  checkAndShowAchievements(isCorrect, finalScore);
-  
+  showAchievements(stats, result);
+
+  const headToHead = finishChallenge(game, result);
+
   // Show result notification
   if (isCorrect) {
     ui.showToast(
@@ -194,130 +348,445 @@ function endGame(isCorrect) {
     );
   } else {
     ui.showToast(
-      `😔 Better luck next time! Target was ${state.generatedColor}`,
+      `😔 Better luck next time! Target was ${game.target}`,
       'warning',
       4000
     );
   }
 
-  ui.showResultModal();
-  ui.disableGameControls();
+  ui.showResultModal({ daily: dailyResult, session: sessionResult, breakdown, challenge: headToHead });
 }
 
-export function checkColor() {
-  if (!state.isGameActive) return;
-
-  const userColor = '#' + DOM.colorInput.value.replace('#', '');
-  const isCorrect = userColor.toUpperCase() === state.generatedColor;
-  const accuracy = calculateAccuracy();
-  
-  // Track color guess attempt
-  analytics.trackColorGuess(userColor, state.generatedColor, accuracy, isCorrect);
-  
-  if (isCorrect) {
-    endGame(true);
-  } else {
-    state.tipCount--;
-    
-    trackEvent(EVENT_TYPES.COLOR_GUESS, {
-      attempt: DIFFICULTIES[state.difficulty].tips - state.tipCount,
-      totalAttempts: DIFFICULTIES[state.difficulty].tips,
-      accuracy: accuracy,
-      remainingTips: state.tipCount,
-      difficulty: state.difficulty
-    });
-    
-    if (state.tipCount > 0) {
-      let feedbackMessage = STRINGS.tryAgain(state.tipCount);
-      feedbackMessage += colorUtils.compareColors(
-        userColor,
-        state.generatedColor
-      );
-      ui.updateFeedback(feedbackMessage);
-      
-      console.log(`🎯 Color guess: ${accuracy}% accuracy, ${state.tipCount} tips remaining`);
-    } else {
-      endGame(false);
+/**
+ * Summarize a finished game: what a challenge link needs, the accuracy of
+ * every attempt (every swatch in palette games) and the swatches to show
+ * @param {Object} game - Finished engine snapshot
+ * @param {Object} result - Engine result
+ * @returns {Object} Game summary
+ */
+function summarizeFinishedGame(game, result) {
+  const palette = game.mode === 'palette';
+  const misses = getGame().misses.map((miss) => miss.accuracy);
+
+  return {
+    seed: game.seed,
+    difficulty: game.difficulty,
+    mode: game.mode,
+    paletteSize: game.targets.length,
+    paletteOrder: game.paletteOrder,
+    level: game.level,
+    metric: getActiveMetric(),
+    scoringMode: getScoringMode(),
+    difficultyName: engine.getSettings().name ?? null,
+    won: result.won,
+    score: result.score,
+    accuracy: result.accuracy,
+    time: result.time,
+    attempts: palette
+      ? result.swatches.map((swatch) => swatch.accuracy)
+      : [...misses, ...(result.won ? [result.accuracy] : [])],
+    maxAttempts: palette ? game.targets.length : engine.getSettings().tipCount,
+    swatches: palette
+      ? result.swatches.map(({ target, guess }) => ({ target, guess }))
+      : [{ target: game.target, guess: game.userColor }]
+  };
+}
+
+/**
+ * Remember a finished game and compare it with the challenge it was started from
+ * @param {Object} game - Finished engine snapshot
+ * @param {Object} result - Engine result
+ * @returns {Object|null} Head-to-head comparison, or null outside challenges
+ */
+function finishChallenge(game, result) {
+  lastFinishedGame = summarizeFinishedGame(game, result);
+  if (!activeChallenge) return null;
+
+  const { score, accuracy, time } = result;
+
+  const headToHead = compareWithChallenge(activeChallenge, { score, accuracy, time });
+  trackEvent(EVENT_TYPES.FEATURE_USED, {
+    feature: 'challenge-complete',
+    outcome: headToHead.outcome,
+    difficulty: game.difficulty
+  });
+  return headToHead;
+}
+
+/**
+ * Build a challenge link for the last finished game
+ * @param {string} baseUrl - Page the link should open
+ * @returns {string|null} Challenge URL, or null before any game finished and after games
+ *   on a custom difficulty, which other players do not have
+ */
+export function getChallengeLink(baseUrl) {
+  if (!lastFinishedGame || isCustomDifficulty(lastFinishedGame.difficulty)) return null;
+  return createChallengeLink(lastFinishedGame, baseUrl);
+}
+
+/**
+ * Get the share card data of the last finished game
+ * @returns {Object|null} Game summary for shareCard.js, or null before any game finished
+ */
+export function getShareCard() {
+  return lastFinishedGame;
+}
+
+/**
+ * Add a finished round to the running session, storing the session once its
+ * last round is played
+ * @param {Object} result - Round result
+ * @returns {{session: Object, summary: Object, complete: boolean}} Session progress
+ */
+function completeSessionRound(result) {
+  stateManager.dispatch(actions.addRoundResult(result));
+  const { session } = getGame();
+  const summary = summarizeSession(session);
+  const complete = isSessionComplete(session);
+
+  if (complete) {
+    try {
+      storage.recordSession(session, summary);
+    } catch (error) {
+      console.warn('Failed to record session:', error);
     }
+    stateManager.dispatch(actions.endSession());
+    trackEvent(EVENT_TYPES.FEATURE_USED, {
+      feature: 'session-complete',
+      rounds: summary.rounds,
+      totalScore: summary.totalScore,
+      wins: summary.wins
+    });
   }
+
+  return { session, summary, complete };
 }
 
-export function computerGuess() {
-  if (state.computerTipCount <= 0 || !state.isGameActive) return;
-
-  const messages = [
-    { text: 'Ez közel lehet!', type: 'close' },
-    { text: 'Ez csak egy tipp, ne bízz meg benne!', type: 'wrong' },
-    { text: 'Ez csak vicc volt!', type: 'silly' },
-  ];
-  const randomMessage = messages[Math.floor(Math.random() * messages.length)];
-
-  let guess;
-  switch (randomMessage.type) {
-    case 'close':
-      guess = colorUtils.generateCloseColor(state.generatedColor);
-      break;
-    case 'wrong':
-      guess = colorUtils.generateRandomColor();
-      break;
-    case 'silly':
-      guess = '#FFFFFF';
-      break;
+/**
+ * Store the result of the Daily Challenge being played
+ * @param {string} dateKey - Day key of the challenge
+ * @returns {Promise<Object|null>} Ranked daily result or null when it could not be stored
+ */
+async function completeDailyChallenge(dateKey, won, score, accuracy, time) {
+  try {
+    return await storage.completeDailyChallenge(dateKey, { won, score, accuracy, time }, dailyAttempt);
+  } catch (error) {
+    console.warn('Failed to record Daily Challenge:', error);
+    return null;
+  }
+}
+
+export function checkColor() {
+  if (!getGame().isActive) return;
+
+  const userColor = readUserColor();
+  if (!userColor) {
+    setFeedback(STRINGS.unrecognizedColor);
+    return;
+  }
+
+  const { state: game, events } = engine.guess(userColor);
+  if (game.mode !== 'palette') {
+    const miss = events.find((event) => event.type === ENGINE_EVENTS.WRONG_GUESS);
+    const accuracy = miss ? miss.accuracy : game.result.accuracy;
+    analytics.trackColorGuess(userColor, game.target, accuracy, !miss);
   }
+  // Recorded before the events, which finish the replay when the game ends
+  recordInput(REPLAY_EVENT_TYPES.CHECK, userColor);
+  applyEvents(events);
+}
 
-  DOM.colorInput.value = guess.replace('#', '');
-  ui.updateUserColor(guess);
-  ui.updateFeedback(randomMessage.text);
-  state.computerTipCount--;
-  ui.updateTipButton();
+/**
+ * Give the next computer hint
+ * The hint engine picks a strategy from the difficulty and the tips already
+ * used; swatch hints are also placed in the color input.
+ */
+export function computerGuess() {
+  if (!getGame().isActive) return;
+
+  syncUserColor();
+  applyEvents(engine.hint().events);
+  recordInput(REPLAY_EVENT_TYPES.HINT, engine.getState().userColor);
 }
 
 export function adjustColor(component, value) {
-  if (!state.isGameActive) return;
-  let currentColor = DOM.colorInput.value.replace('#', '');
-  if (!colorUtils.isValidHexColor(currentColor)) {
-    currentColor = '000000';
-    ui.updateFeedback(STRINGS.invalidColor);
+  if (!getGame().isActive) return;
+
+  syncUserColor();
+  applyEvents(engine.adjust(component, value).events);
+  recordInput(REPLAY_EVENT_TYPES.STEP, engine.getState().userColor);
+  showComparison();
+}
+
+/**
+ * Apply a color chosen through an input control (buttons, sliders, picker)
+ * Writes the text input and stores the color; the swatch, component buttons
+ * and panels follow the store.
+ * @param {string} hex - Hex color string
+ */
+export function setUserColor(hex) {
+  if (!getGame().isActive) return;
+
+  applyEvents(engine.setColor(hex).events);
+  recordInput(REPLAY_EVENT_TYPES.SLIDER, engine.getState().userColor);
+  showComparison();
+}
+
+/**
+ * Add an input to the running game's replay
+ * @param {string} type - REPLAY_EVENT_TYPES value
+ * @param {string|null} color - Player's color after the input
+ */
+export function recordInput(type, color) {
+  if (recorder && getGame().isActive) {
+    recorder.record(type, color);
   }
-  const adjustedColor = colorUtils.adjustHexColor(
-    currentColor,
-    component,
-    value
-  );
-  DOM.colorInput.value = adjustedColor;
-  DOM.colorAdjust.value = '#' + adjustedColor;
-  ui.updateUserColor('#' + adjustedColor);
+}
 
-  const feedbackMessage = colorUtils.compareColors(
-    adjustedColor,
-    state.generatedColor
-  );
-  ui.updateFeedback(feedbackMessage);
-  ui.updateComponentButtonsState(adjustedColor);
+/**
+ * Tell the player how close their color is
+ * Palette games are scored only once every swatch is guessed.
+ */
+function showComparison() {
+  const { mode, userColor, target } = engine.getState();
+  if (mode !== 'palette' && userColor) {
+    setFeedback(colorUtils.compareColors(userColor, target, getActiveMetric()));
+  }
 }
 
-export function startGame() {
-  resetState();
-  setDifficulty(DOM.difficulty.value);
-  ui.resetUI();
+/**
+ * Get the adaptive level of a new game from the player's skill rating
+ * Only classic games adapt; dailies, sessions and palettes stay comparable
+ * between players.
+ * @param {string} mode - Game mode
+ * @returns {number|null} Level, or null when adaptive difficulty is off
+ */
+function getAdaptiveLevel(mode) {
+  if (mode !== 'classic' || !storage.getUserPreferences().adaptiveDifficulty) return null;
+  return getSkillLevel(storage.getSkillRating().rating);
+}
 
-  state.generatedColor = colorUtils.generateRandomColor();
-  ui.updateRandomColor(state.generatedColor, STRINGS.memorizeColor);
-  ui.setPulseAnimation(true);
-  ui.disableGameControls();
+/**
+ * Start a new game
+ * Every game draws its target and computer hints from a seeded generator, so
+ * replaying the same seed on the same difficulty reproduces the game.
+ * @param {Object} [options] - Game options
+ * @param {string} [options.seed] - Seed to replay; a new one is generated when omitted
+ * @param {string} [options.difficulty] - Difficulty to play; defaults to the selector value
+ * @param {string} [options.mode='classic'] - Game mode ('classic', 'daily', 'session' or 'palette')
+ * @param {number} [options.paletteSize] - Number of swatches in palette games
+ * @param {string} [options.paletteOrder] - PALETTE_ORDERS value in palette games
+ * @param {string} [options.dailyKey] - Day key of a Daily Challenge
+ * @param {number|null} [options.level] - Adaptive level of a classic game; taken from
+ *   the skill rating when omitted and adaptive difficulty is on, null plays the difficulty
+ * @param {Object} [options.challenge] - Parsed challenge link the game is played against
+ */
+export function startGame({
+  seed,
+  difficulty,
+  mode = 'classic',
+  paletteSize,
+  paletteOrder,
+  dailyKey,
+  level,
+  challenge = null
+} = {}) {
+  // A pending memorize phase belongs to the previous game
+  clearTimeout(memorizeTimeout);
+  stopTimer();
+  activeChallenge = challenge;
+
+  engine = new GameEngine({
+    difficulties: storage.getDifficulties(),
+    metric: getActiveMetric(),
+    scoringMode: getScoringMode()
+  });
+  const { state: game, events } = engine.start({
+    difficulty: difficulty || DOM.difficulty.value,
+    seed,
+    mode,
+    paletteSize,
+    paletteOrder: paletteOrder || PALETTE_ORDERS.ORDERED,
+    dailyKey,
+    level: level === undefined ? getAdaptiveLevel(mode) : level
+  });
+  recorder = new ReplayRecorder({
+    seed: game.seed,
+    difficulty: game.difficulty,
+    mode,
+    target: game.target,
+    targets: mode === 'palette' ? game.targets : []
+  });
+
+  if (mode === 'session') {
+    stateManager.dispatch(actions.nextRound());
+  }
+  stateManager.dispatch(actions.newGame({
+    mode,
+    difficulty: game.difficulty,
+    seed: game.seed,
+    color: game.target,
+    targets: game.targets,
+    paletteOrder: game.paletteOrder,
+    tipCount: game.tipCount,
+    computerTipCount: game.computerTipCount,
+    dailyKey: game.dailyKey,
+    level: game.level
+  }));
+  if (mode === 'palette') {
+    setFeedback(STRINGS.memorizePalette(paletteSize));
+  }
 
   // Track game start
-  trackGameStart(state.difficulty, state.generatedColor);
+  trackGameStart(game.difficulty, game.target);
   startTiming('game-session');
 
-  setTimeout(() => {
-    ui.updateRandomColor('#FFFFFF', '');
-    ui.setPulseAnimation(false);
-    state.isGameActive = true;
-    ui.playSound('start');
-    ui.enableGameControls();
-    ui.updateTipButton();
-    state.startTime = Date.now();
-    startTimer();
-  }, 3000);
+  memorizeTimeout = setTimeout(advanceMemorize, events[0].memorizeTime);
+}
+
+/**
+ * Start the exact game of a challenge link
+ * @param {Object} challenge - Challenge from parseChallenge
+ */
+export function startChallenge(challenge) {
+  startGame({
+    seed: challenge.seed,
+    difficulty: challenge.difficulty,
+    mode: challenge.mode,
+    paletteSize: challenge.paletteSize,
+    paletteOrder: challenge.paletteOrder,
+    level: challenge.level,
+    challenge
+  });
+}
+
+/**
+ * Start today's Daily Challenge
+ * Every player gets the same target for a calendar day and may submit one
+ * scored attempt; starting the challenge uses up that attempt.
+ * @param {Date} [date=new Date()] - Day to play
+ * @returns {Promise<boolean>} Whether the challenge started
+ */
+export async function startDailyChallenge(date = new Date()) {
+  const dateKey = getDailyKey(date);
+
+  if (storage.hasPlayedDailyChallenge(dateKey)) {
+    ui.showToast(STRINGS.dailyAlreadyPlayed, 'info', 4000);
+    return false;
+  }
+
+  const seed = getDailySeed(dateKey);
+  try {
+    // Another tab may have claimed the day since the check above
+    const entry = await storage.startDailyChallenge({ date: dateKey, seed, difficulty: DAILY_DIFFICULTY });
+    dailyAttempt = entry.attempt;
+  } catch (error) {
+    console.warn('Failed to start Daily Challenge:', error);
+    ui.showToast(STRINGS.dailyAlreadyPlayed, 'info', 4000);
+    return false;
+  }
+  startGame({ seed, difficulty: DAILY_DIFFICULTY, mode: 'daily', dailyKey: dateKey });
+  return true;
+}
+
+/**
+ * Start a multi-round session
+ * Rounds are scored individually and totalled; the finished session is stored
+ * as one entry with its rounds nested.
+ * @param {number} rounds - Number of rounds (one of SESSION_ROUND_OPTIONS)
+ * @param {Object} [options] - Session options
+ * @param {string} [options.difficulty] - Difficulty to play; defaults to the selector value
+ */
+export function startSession(rounds, { difficulty } = {}) {
+  const session = createSession({
+    rounds,
+    difficulty: difficulty || DOM.difficulty.value,
+    seed: generateSeed()
+  });
+  stateManager.dispatch(actions.startSession(rounds, session));
+  startNextRound();
+}
+
+/**
+ * Start the next round of the running session
+ * @returns {boolean} Whether a round started
+ */
+export function startNextRound() {
+  const { session } = getGame();
+  if (!session || isSessionComplete(session)) return false;
+
+  startGame({
+    seed: getRoundSeed(session, getNextRound(session)),
+    difficulty: session.difficulty,
+    mode: 'session'
+  });
+  return true;
+}
+
+/**
+ * Start a palette memory game
+ * Several swatches are shown at once; the player then reproduces each of them
+ * and every swatch is scored by its own Delta E.
+ * @param {number} size - Number of swatches (one of PALETTE_SIZES)
+ * @param {Object} [options] - Palette options
+ * @param {string} [options.order='ordered'] - PALETTE_ORDERS value
+ * @param {string} [options.seed] - Seed to replay
+ * @param {string} [options.difficulty] - Difficulty to play; defaults to the selector value
+ */
+export function startPaletteGame(size, { order = PALETTE_ORDERS.ORDERED, seed, difficulty } = {}) {
+  startGame({ seed, difficulty, mode: 'palette', paletteSize: size, paletteOrder: order });
+}
+
+/**
+ * Record and announce a finished palette game
+ * @param {Object} game - Finished engine snapshot
+ * @param {Object} result - Engine result ({won, score, accuracy, swatches, averageDeltaE, time})
+ */
+function endPaletteGame(game, result) {
+  const { won, score: finalScore, time: gameDuration } = result;
+  const { difficulty } = game;
+  const metric = getActiveMetric();
+
+  stateManager.dispatch(actions.finishGame(won, finalScore));
+  ui.revealPalette(result.swatches);
+  setFeedback(won ? STRINGS.congratulations : STRINGS.sorry);
+  ui.playSound(won ? 'correct' : 'wrong');
+
+  trackGameEnd(won, finalScore, gameDuration, difficulty, result.accuracy);
+
+  const stats = storage.recordGame({
+    won,
+    score: finalScore,
+    time: gameDuration,
+    difficulty,
+    difficultyName: engine.getSettings().name,
+    accuracy: result.accuracy,
+    metric,
+    scoringMode: getScoringMode(),
+    targetColor: null,
+    targets: game.targets,
+    guesses: game.guesses,
+    swatches: result.swatches,
+    paletteOrder: game.paletteOrder,
+    seed: game.seed,
+    mode: game.mode,
+    replay: recorder.finish(result),
+    timestamp: Date.now()
+  });
+
+  endTiming('game-session', { won, difficulty, score: finalScore });
+
+  ui.updateStatistics();
+  showAchievements(stats, result);
+  const headToHead = finishChallenge(game, result);
+  ui.showResultModal({
+    challenge: headToHead,
+    palette: {
+      swatches: result.swatches,
+      averageDeltaE: result.averageDeltaE,
+      accuracy: result.accuracy,
+      won,
+      score: finalScore
+    }
+  });
 }
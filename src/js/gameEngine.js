@@ -0,0 +1,505 @@
+/**
+ * @fileoverview Headless game engine
+ * The rules of a game (targets, memorize and guess phases, guesses, computer
+ * hints and scoring) with no DOM access, so they run in the browser, a worker,
+ * Node or a test alike. Every call returns a frozen snapshot of the game and
+ * the events it caused; the browser UI in game.js is an adapter over it.
+ */
+
+import { DIFFICULTIES, DEFAULT_MEMORIZE_TIME } from './difficulties.js';
+import {
+  adjustHexColor,
+  calculateColorDifference,
+  generateRandomColor,
+  toHex,
+  DEFAULT_COLOR_METRIC
+} from './colorUtils.js';
+import { createRng, generateSeed, normalizeSeed } from './rng.js';
+import { SCORING_MODES, isWinningGuess, calculateScoreBreakdown } from './scoring.js';
+import { createHintState, generateHint } from './hints.js';
+import {
+  PALETTE_ORDERS,
+  PALETTE_WIN_ACCURACY,
+  generatePalette,
+  getPaletteMemorizeTime,
+  scorePalette,
+  calculatePaletteScore
+} from './palette.js';
+import { generateAdaptiveColor, getAdaptiveProfile } from './skillRating.js';
+import { ToneTrackerError, ERROR_CATEGORIES, ERROR_LEVELS } from './errorHandler.js';
+
+/**
+ * Game phases
+ * @readonly
+ * @enum {string}
+ */
+export const ENGINE_PHASES = {
+  IDLE: 'idle',
+  MEMORIZE: 'memorize',
+  GUESS: 'guess',
+  ENDED: 'ended'
+};
+
+/**
+ * Events returned by engine calls
+ * @readonly
+ * @enum {string}
+ */
+export const ENGINE_EVENTS = {
+  STARTED: 'started',
+  GUESSING_STARTED: 'guessing-started',
+  TICK: 'tick',
+  COLOR_CHANGED: 'color-changed',
+  INVALID_COLOR: 'invalid-color',
+  WRONG_GUESS: 'wrong-guess',
+  PALETTE_GUESS: 'palette-guess',
+  HINT: 'hint',
+  ENDED: 'ended'
+};
+
+export { DEFAULT_MEMORIZE_TIME };
+
+/**
+ * Snapshot of an engine that has not started a game
+ * @private
+ */
+const IDLE_STATE = {
+  phase: ENGINE_PHASES.IDLE,
+  mode: 'classic',
+  difficulty: null,
+  seed: null,
+  dailyKey: null,
+  level: null,
+  target: null,
+  targets: [],
+  guesses: [],
+  paletteOrder: PALETTE_ORDERS.ORDERED,
+  userColor: null,
+  tipCount: 0,
+  computerTipCount: 0,
+  hintState: null,
+  memorizeEndsAt: null,
+  startTime: null,
+  elapsedSeconds: 0,
+  result: null
+};
+
+/**
+ * Freeze a value and everything reachable from it
+ * @private
+ */
+function freeze(value) {
+  if (value !== null && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(freeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * Normalize any CSS color to hex, or null when it is not a color
+ * @private
+ */
+function parseGuess(color) {
+  try {
+    return toHex(color);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert a Delta E value to an accuracy percentage
+ * Perfect match (deltaE = 0) = 100%, deltaE >= 100 = 0%
+ * @private
+ */
+function toAccuracy(deltaE) {
+  return Math.round(Math.max(0, Math.min(100, 100 - deltaE)) * 100) / 100;
+}
+
+/**
+ * Headless game engine
+ * @example
+ * const engine = new GameEngine({ now: () => clock });
+ * engine.start({ difficulty: 'easy', seed: 'ABCD1234' });
+ * clock += DEFAULT_MEMORIZE_TIME;
+ * engine.tick();
+ * const { state, events } = engine.guess('#336699');
+ */
+export class GameEngine {
+  /**
+   * @param {Object} [config] - Engine configuration
+   * @param {Object} [config.difficulties=DIFFICULTIES] - Difficulty table
+   * @param {Function} [config.rng] - Random number generator; by default every
+   *   game seeds its own from the game seed, which makes seeds replayable
+   * @param {string} [config.metric=DEFAULT_COLOR_METRIC] - Registered color metric name
+   * @param {string} [config.scoringMode='accuracy'] - SCORING_MODES value
+   * @param {Function} [config.now=Date.now] - Clock returning milliseconds
+   * @param {number} [config.memorizeTime=DEFAULT_MEMORIZE_TIME] - Single-color memorize time
+   *   of difficulties that do not set their own
+   */
+  constructor({
+    difficulties = DIFFICULTIES,
+    rng = null,
+    metric = DEFAULT_COLOR_METRIC,
+    scoringMode = SCORING_MODES.ACCURACY,
+    now = Date.now,
+    memorizeTime = DEFAULT_MEMORIZE_TIME
+  } = {}) {
+    this._config = { difficulties, rng, metric, scoringMode, now, memorizeTime };
+    this._rng = rng || Math.random;
+    this._state = freeze({ ...IDLE_STATE });
+  }
+
+  /**
+   * Get the current snapshot
+   * @returns {Object} Frozen game state
+   */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Get the difficulty settings of the current game
+   * @returns {Object|null} Entry of the difficulty table, or null before the first game
+   */
+  getSettings() {
+    return this._config.difficulties[this._state.difficulty] ?? null;
+  }
+
+  /**
+   * Start a new game in its memorize phase
+   * @param {Object} options - Game options
+   * @param {string} options.difficulty - Key of the difficulty table
+   * @param {string} [options.seed] - Seed to replay; a new one is generated when omitted
+   * @param {string} [options.mode='classic'] - 'classic', 'daily', 'session' or 'palette'
+   * @param {number} [options.paletteSize] - Number of swatches in palette games
+   * @param {string} [options.paletteOrder='ordered'] - PALETTE_ORDERS value
+   * @param {string} [options.dailyKey] - Day key of a Daily Challenge
+   * @param {number} [options.level] - Adaptive level (see skillRating.js) choosing the
+   *   target and memorize time of a single-color game
+   * @returns {{state: Object, events: Array<Object>}} Snapshot and events
+   * @throws {ToneTrackerError} When the difficulty is not in the table
+   */
+  start({
+    difficulty,
+    seed,
+    mode = 'classic',
+    paletteSize,
+    paletteOrder = PALETTE_ORDERS.ORDERED,
+    dailyKey = null,
+    level = null
+  } = {}) {
+    const settings = this._config.difficulties[difficulty];
+    if (!settings) {
+      throw new ToneTrackerError(
+        `Unknown difficulty: ${difficulty}`,
+        ERROR_CATEGORIES.VALIDATION,
+        ERROR_LEVELS.ERROR,
+        { difficulty, allowed: Object.keys(this._config.difficulties) }
+      );
+    }
+
+    const gameSeed = normalizeSeed(seed) || generateSeed();
+    this._rng = this._config.rng || createRng(gameSeed);
+
+    const palette = mode === 'palette';
+    const adaptiveLevel = palette ? null : level;
+    const targets = palette ? generatePalette(paletteSize, this._rng) : [];
+    const singleTarget = () => (adaptiveLevel
+      ? generateAdaptiveColor(adaptiveLevel, this._rng)
+      : generateRandomColor(this._rng));
+    const target = palette ? targets[0] : singleTarget();
+    const singleMemorizeTime = adaptiveLevel
+      ? getAdaptiveProfile(adaptiveLevel).memorizeTime
+      : settings.memorizeTime ?? this._config.memorizeTime;
+    const memorizeTime = palette ? getPaletteMemorizeTime(paletteSize) : singleMemorizeTime;
+
+    return this._commit(
+      {
+        ...IDLE_STATE,
+        phase: ENGINE_PHASES.MEMORIZE,
+        mode,
+        difficulty,
+        seed: gameSeed,
+        dailyKey,
+        level: adaptiveLevel,
+        target,
+        targets,
+        paletteOrder,
+        tipCount: settings.tipCount,
+        computerTipCount: settings.computerTipCount,
+        memorizeEndsAt: this._config.now() + memorizeTime
+      },
+      [{ type: ENGINE_EVENTS.STARTED, target, targets, memorizeTime }]
+    );
+  }
+
+  /**
+   * Advance the clock: ends the memorize phase once its time is up and
+   * reports every new elapsed second while guessing
+   * @returns {{state: Object, events: Array<Object>}} Snapshot and events
+   */
+  tick() {
+    const state = this._state;
+    const now = this._config.now();
+
+    if (state.phase === ENGINE_PHASES.MEMORIZE && now >= state.memorizeEndsAt) {
+      return this._commit(
+        { ...state, phase: ENGINE_PHASES.GUESS, startTime: now, elapsedSeconds: 0 },
+        [{ type: ENGINE_EVENTS.GUESSING_STARTED, startTime: now }]
+      );
+    }
+
+    if (state.phase === ENGINE_PHASES.GUESS) {
+      const elapsedSeconds = Math.floor((now - state.startTime) / 1000);
+      if (elapsedSeconds !== state.elapsedSeconds) {
+        return this._commit(
+          { ...state, elapsedSeconds },
+          [{ type: ENGINE_EVENTS.TICK, elapsedSeconds }]
+        );
+      }
+    }
+
+    return this._unchanged();
+  }
+
+  /**
+   * Set the player's current color without guessing
+   * @param {string|null} color - Any CSS color; anything else clears the color
+   * @returns {{state: Object, events: Array<Object>}} Snapshot and events
+   */
+  setColor(color) {
+    if (this._state.phase !== ENGINE_PHASES.GUESS) return this._unchanged();
+
+    const hex = parseGuess(color);
+    if (!hex) {
+      return this._commit(
+        { ...this._state, userColor: null },
+        [{ type: ENGINE_EVENTS.INVALID_COLOR, input: color }]
+      );
+    }
+    return this._changeColor(hex, []);
+  }
+
+  /**
+   * Nudge one RGB channel of the player's color; a missing color starts from black
+   * @param {string} component - 'r', 'g' or 'b'
+   * @param {number} delta - Amount to add to the channel
+   * @returns {{state: Object, events: Array<Object>}} Snapshot and events
+   */
+  adjust(component, delta) {
+    if (this._state.phase !== ENGINE_PHASES.GUESS) return this._unchanged();
+
+    const events = [];
+    let current = this._state.userColor;
+    if (!current) {
+      current = '#000000';
+      events.push({ type: ENGINE_EVENTS.INVALID_COLOR, input: null });
+    }
+    const adjusted = toHex(`#${adjustHexColor(current.replace('#', ''), component, delta)}`);
+    return this._changeColor(adjusted, events);
+  }
+
+  /**
+   * Submit a guess. Single-color games end on a win or when the tips run
+   * out; palette games record the guess for the next swatch and end once
+   * every swatch is guessed.
+   * @param {string} color - Any CSS color
+   * @returns {{state: Object, events: Array<Object>}} Snapshot and events
+   */
+  guess(color) {
+    const state = this._state;
+    if (state.phase !== ENGINE_PHASES.GUESS) return this._unchanged();
+
+    const hex = parseGuess(color);
+    if (!hex) {
+      return this._unchanged([{ type: ENGINE_EVENTS.INVALID_COLOR, input: color }]);
+    }
+
+    if (state.mode === 'palette') {
+      return this._guessPalette(hex);
+    }
+
+    const { difficulties, metric, scoringMode } = this._config;
+    const deltaE = calculateColorDifference(hex, state.target, metric);
+    const accuracy = toAccuracy(deltaE);
+    const won = isWinningGuess(
+      { difficulty: state.difficulty, deltaE, exactMatch: hex === state.target },
+      scoringMode,
+      difficulties
+    );
+    const guessed = { ...state, userColor: hex };
+
+    if (won) {
+      return this._end(guessed, { won, accuracy }, []);
+    }
+
+    const tipCount = state.tipCount - 1;
+    const events = [{
+      type: ENGINE_EVENTS.WRONG_GUESS,
+      color: hex,
+      deltaE,
+      accuracy,
+      remainingTips: tipCount
+    }];
+    if (tipCount > 0) {
+      return this._commit({ ...guessed, tipCount }, events);
+    }
+    return this._end({ ...guessed, tipCount }, { won, accuracy }, events);
+  }
+
+  /**
+   * Use a computer tip
+   * @returns {{state: Object, events: Array<Object>}} Snapshot and events; swatch
+   *   hints also change the player's color
+   */
+  hint() {
+    const state = this._state;
+    if (state.phase !== ENGINE_PHASES.GUESS || state.computerTipCount <= 0) {
+      return this._unchanged();
+    }
+
+    const settings = this._config.difficulties[state.difficulty];
+    const tipsUsed = settings.computerTipCount - state.computerTipCount;
+    const hint = generateHint({
+      difficulty: state.difficulty,
+      tipsUsed,
+      target: state.target,
+      userColor: state.userColor,
+      hintState: state.hintState || createHintState(),
+      metric: this._config.metric,
+      rng: this._rng
+    });
+
+    const events = [{
+      type: ENGINE_EVENTS.HINT,
+      hint,
+      tipNumber: tipsUsed + 1,
+      remainingTips: state.computerTipCount - 1
+    }];
+    if (hint.color) {
+      events.push({ type: ENGINE_EVENTS.COLOR_CHANGED, color: hint.color });
+    }
+
+    return this._commit(
+      {
+        ...state,
+        computerTipCount: state.computerTipCount - 1,
+        hintState: hint.hintState,
+        userColor: hint.color || state.userColor
+      },
+      events
+    );
+  }
+
+  /**
+   * Store a new player color
+   * @private
+   */
+  _changeColor(hex, events) {
+    const deltaE = calculateColorDifference(hex, this._state.target, this._config.metric);
+    return this._commit(
+      { ...this._state, userColor: hex },
+      [...events, { type: ENGINE_EVENTS.COLOR_CHANGED, color: hex, deltaE }]
+    );
+  }
+
+  /**
+   * Record the guess for the next palette swatch
+   * @private
+   */
+  _guessPalette(hex) {
+    const state = this._state;
+    const guesses = [...state.guesses, hex];
+    const events = [{
+      type: ENGINE_EVENTS.PALETTE_GUESS,
+      color: hex,
+      index: guesses.length - 1,
+      remaining: state.targets.length - guesses.length
+    }];
+
+    if (guesses.length < state.targets.length) {
+      // Point hints at the next swatch
+      return this._commit(
+        { ...state, userColor: hex, guesses, target: state.targets[guesses.length], hintState: null },
+        events
+      );
+    }
+
+    const scored = scorePalette(state.targets, guesses, {
+      order: state.paletteOrder,
+      metric: this._config.metric
+    });
+    return this._end(
+      { ...state, userColor: hex, guesses },
+      {
+        won: scored.accuracy >= PALETTE_WIN_ACCURACY,
+        accuracy: scored.accuracy,
+        averageDeltaE: scored.averageDeltaE,
+        swatches: scored.swatches
+      },
+      events
+    );
+  }
+
+  /**
+   * Score and end the game
+   * @private
+   * @param {Object} state - Game state after the final guess
+   * @param {Object} outcome - {won, accuracy}; palette outcomes also carry their swatches
+   * @param {Array<Object>} events - Events caused by the final guess
+   */
+  _end(state, outcome, events) {
+    const time = this._config.now() - state.startTime;
+    const elapsedSeconds = Math.floor(time / 1000);
+    const settings = this._config.difficulties[state.difficulty];
+    let result;
+
+    if (outcome.swatches) {
+      const score = calculatePaletteScore(
+        outcome.swatches,
+        settings.score,
+        elapsedSeconds,
+        settings.timeBonusDecay
+      );
+      result = { ...outcome, score, time };
+    } else {
+      const breakdown = calculateScoreBreakdown(
+        {
+          difficulty: state.difficulty,
+          won: outcome.won,
+          accuracy: outcome.accuracy,
+          elapsedSeconds,
+          guessesUsed: settings.tipCount - state.tipCount + (outcome.won ? 1 : 0),
+          computerTipsUsed: settings.computerTipCount - state.computerTipCount
+        },
+        this._config.scoringMode,
+        this._config.difficulties
+      );
+      result = { ...outcome, score: breakdown.total, time, breakdown };
+    }
+
+    return this._commit(
+      { ...state, phase: ENGINE_PHASES.ENDED, elapsedSeconds, result },
+      [...events, { type: ENGINE_EVENTS.ENDED, result }]
+    );
+  }
+
+  /**
+   * Replace the snapshot
+   * @private
+   */
+  _commit(state, events) {
+    this._state = freeze(state);
+    return freeze({ state: this._state, events });
+  }
+
+  /**
+   * Result of a call that leaves the game as it is
+   * @private
+   */
+  _unchanged(events = []) {
+    return freeze({ state: this._state, events });
+  }
+}
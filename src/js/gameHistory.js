@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Game history helpers
+ * Filtering, paging and summarizing of the stored game records. Records are
+ * kept most recent first.
+ */
+
+import { getDailyKey } from './dailyChallenge.js';
+
+/**
+ * Records shown per history page
+ */
+export const HISTORY_PAGE_SIZE = 10;
+
+/**
+ * Build the stored record of a finished game
+ * @param {Object} gameResult - Game result as passed to storage.recordGame
+ * @param {Object} [extra] - Fields known only to storage ({replayId})
+ * @returns {Object} History record
+ */
+export function createGameRecord(gameResult, { replayId = null } = {}) {
+  const {
+    won,
+    score,
+    time,
+    difficulty,
+    accuracy,
+    targetColor = null,
+    userGuess = null,
+    metric,
+    scoringMode,
+    seed,
+    mode = 'classic',
+    targets,
+    guesses,
+    swatches,
+    paletteOrder,
+    attempts,
+    computerTipsUsed,
+    level,
+    difficultyName,
+    timestamp = Date.now()
+  } = gameResult;
+
+  return {
+    id: `game_${timestamp.toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+    date: new Date(timestamp).toISOString(),
+    won,
+    score,
+    time,
+    difficulty,
+    mode,
+    accuracy,
+    metric,
+    scoringMode,
+    seed,
+    targetColor,
+    userGuess,
+    ...(targets && { targets, guesses, swatches, paletteOrder }),
+    ...(attempts !== undefined && { attempts }),
+    ...(computerTipsUsed !== undefined && { computerTipsUsed }),
+    ...(level && { level }),
+    ...(difficultyName && { difficultyName }),
+    replayId
+  };
+}
+
+/**
+ * Filter records by difficulty, mode and calendar day range
+ * @param {Array<Object>} games - History records
+ * @param {Object} [filters] - Filters; empty values match everything
+ * @param {string} [filters.difficulty] - Difficulty level
+ * @param {string} [filters.mode] - Game mode
+ * @param {string} [filters.from] - First day in YYYY-MM-DD form
+ * @param {string} [filters.to] - Last day in YYYY-MM-DD form
+ * @returns {Array<Object>} Matching records
+ */
+export function filterGameHistory(games, { difficulty, mode, from, to } = {}) {
+  return games.filter((game) => {
+    if (difficulty && game.difficulty !== difficulty) return false;
+    if (mode && game.mode !== mode) return false;
+    if (from || to) {
+      // Day keys in YYYY-MM-DD form compare correctly as strings
+      const day = getDailyKey(new Date(game.date));
+      if (from && day < from) return false;
+      if (to && day > to) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Cut one page out of a list
+ * @param {Array} items - Items
+ * @param {number} [page=1] - Page number, starting at 1; clamped to the available pages
+ * @param {number} [pageSize=HISTORY_PAGE_SIZE] - Items per page
+ * @returns {{items: Array, page: number, pages: number, total: number}} Page
+ */
+export function paginate(items, page = 1, pageSize = HISTORY_PAGE_SIZE) {
+  const pages = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(1, Math.floor(page) || 1), pages);
+  const start = (current - 1) * pageSize;
+
+  return {
+    items: items.slice(start, start + pageSize),
+    page: current,
+    pages,
+    total: items.length
+  };
+}
+
+/**
+ * Summarize a list of records
+ * @param {Array<Object>} games - History records
+ * @returns {{totalGames: number, gamesWon: number, winRate: number, averageAccuracy: number}}
+ *   Totals; rates are percentages
+ */
+export function summarizeGameHistory(games) {
+  const totalGames = games.length;
+  const gamesWon = games.filter((game) => game.won).length;
+  const totalAccuracy = games.reduce((sum, game) => sum + (game.accuracy || 0), 0);
+
+  return {
+    totalGames,
+    gamesWon,
+    winRate: totalGames > 0 ? (gamesWon / totalGames) * 100 : 0,
+    averageAccuracy: totalGames > 0 ? totalAccuracy / totalGames : 0
+  };
+}
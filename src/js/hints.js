@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Computer hint engine
+ * Every hint narrows the search space: it reveals a channel's range, names the
+ * channel that is furthest off, halves the hue or lightness interval like a
+ * binary search, or shows a swatch a fixed Delta E away from the target.
+ */
+
+import {
+  hexToRgb,
+  rgbToHex,
+  rgbToHsl,
+  calculateColorDifference,
+  DEFAULT_COLOR_METRIC
+} from './colorUtils.js';
+import { STRINGS } from './strings.js';
+
+/**
+ * Available hint types
+ * @readonly
+ * @enum {string}
+ */
+export const HINT_TYPES = {
+  CHANNEL_RANGE: 'channel-range',
+  FURTHEST_CHANNEL: 'furthest-channel',
+  BISECT_HUE: 'bisect-hue',
+  BISECT_LIGHTNESS: 'bisect-lightness',
+  DELTA_E_SWATCH: 'delta-e-swatch'
+};
+
+/**
+ * Hints given in order as computer tips are used up. Vaguer hints come first,
+ * the last tip is the most precise one the difficulty allows.
+ * @readonly
+ */
+export const HINT_PLANS = {
+  easy: [HINT_TYPES.BISECT_HUE, HINT_TYPES.FURTHEST_CHANNEL, HINT_TYPES.DELTA_E_SWATCH],
+  medium: [HINT_TYPES.BISECT_LIGHTNESS, HINT_TYPES.FURTHEST_CHANNEL, HINT_TYPES.CHANNEL_RANGE],
+  hard: [HINT_TYPES.CHANNEL_RANGE]
+};
+
+/**
+ * Width of a revealed channel range per difficulty
+ * @readonly
+ */
+export const CHANNEL_RANGE_WIDTH = { easy: 32, medium: 48, hard: 64 };
+
+/**
+ * Delta E between the target and a hint swatch per difficulty
+ * @readonly
+ */
+export const SWATCH_DELTA_E = { easy: 5, medium: 10, hard: 15 };
+
+/**
+ * Hue differences below this saturation (percent) are meaningless
+ * @private
+ */
+const MIN_HUE_SATURATION = 10;
+
+/**
+ * RGB channel keys
+ * @private
+ */
+const CHANNELS = ['r', 'g', 'b'];
+
+/**
+ * Create the per-game hint state: the intervals narrowed so far and the
+ * channels already revealed
+ * @returns {Object} Hint state
+ */
+export function createHintState() {
+  return {
+    hue: [0, 360],
+    lightness: [0, 100],
+    revealedChannels: []
+  };
+}
+
+/**
+ * Choose the hint to give next
+ * @param {Object} context - Hint context
+ * @param {string} context.difficulty - Difficulty level
+ * @param {number} context.tipsUsed - Computer tips already used this game
+ * @param {string} context.target - Target hex color
+ * @param {string|null} [context.userColor] - Player's current color, if any
+ * @param {Object} context.hintState - Hint state
+ * @returns {string} HINT_TYPES value
+ */
+export function chooseHintType({ difficulty, tipsUsed, target, userColor, hintState }) {
+  const plan = HINT_PLANS[difficulty] || HINT_PLANS.medium;
+  let type = plan[Math.min(tipsUsed, plan.length - 1)];
+
+  // Nothing to compare against yet
+  if (type === HINT_TYPES.FURTHEST_CHANNEL && (!userColor || userColor === target)) {
+    type = HINT_TYPES.CHANNEL_RANGE;
+  }
+
+  // Greys have no meaningful hue
+  if (type === HINT_TYPES.BISECT_HUE && rgbToHsl(hexToRgb(target)).s < MIN_HUE_SATURATION) {
+    type = HINT_TYPES.BISECT_LIGHTNESS;
+  }
+
+  // Every channel already revealed
+  if (type === HINT_TYPES.CHANNEL_RANGE && hintState.revealedChannels.length === CHANNELS.length) {
+    type = HINT_TYPES.DELTA_E_SWATCH;
+  }
+
+  return type;
+}
+
+/**
+ * Reveal a window of one not yet revealed channel that contains its value
+ * @private
+ */
+function channelRangeHint({ target, difficulty, hintState, rng }) {
+  const hidden = CHANNELS.filter((channel) => !hintState.revealedChannels.includes(channel));
+  const channel = hidden[Math.floor(rng() * hidden.length)];
+  const value = hexToRgb(target)[channel];
+  const width = CHANNEL_RANGE_WIDTH[difficulty] || CHANNEL_RANGE_WIDTH.medium;
+  const min = Math.max(0, Math.min(255 - width, value - Math.floor(rng() * (width + 1))));
+  const max = min + width;
+
+  return {
+    channel,
+    range: [min, max],
+    message: STRINGS.hints.channelRange(STRINGS.hints.channelNames[channel], min, max),
+    hintState: { ...hintState, revealedChannels: [...hintState.revealedChannels, channel] }
+  };
+}
+
+/**
+ * Name the channel with the largest error and the direction to move it
+ * @private
+ */
+function furthestChannelHint({ target, userColor, hintState }) {
+  const targetRgb = hexToRgb(target);
+  const userRgb = hexToRgb(userColor);
+  const channel = CHANNELS.reduce((furthest, key) =>
+    Math.abs(targetRgb[key] - userRgb[key]) > Math.abs(targetRgb[furthest] - userRgb[furthest])
+      ? key
+      : furthest
+  );
+  const direction = targetRgb[channel] > userRgb[channel] ? 'up' : 'down';
+
+  return {
+    channel,
+    direction,
+    message: STRINGS.hints.furthestChannel(STRINGS.hints.channelNames[channel], direction),
+    hintState
+  };
+}
+
+/**
+ * Halve an interval and keep the half holding the target value
+ * @private
+ */
+function bisect([low, high], value) {
+  const middle = (low + high) / 2;
+  return value < middle ? [low, middle] : [middle, high];
+}
+
+/**
+ * Halve the known hue interval
+ * @private
+ */
+function bisectHueHint({ target, hintState }) {
+  const hue = [...bisect(hintState.hue, rgbToHsl(hexToRgb(target)).h)];
+  return {
+    range: hue,
+    message: STRINGS.hints.hueRange(Math.round(hue[0]), Math.round(hue[1])),
+    hintState: { ...hintState, hue }
+  };
+}
+
+/**
+ * Halve the known lightness interval
+ * @private
+ */
+function bisectLightnessHint({ target, hintState }) {
+  const lightness = [...bisect(hintState.lightness, rgbToHsl(hexToRgb(target)).l)];
+  return {
+    range: lightness,
+    message: STRINGS.hints.lightnessRange(Math.round(lightness[0]), Math.round(lightness[1])),
+    hintState: { ...hintState, lightness }
+  };
+}
+
+/**
+ * Find a color about `distance` away from the target along a random RGB direction
+ * @param {string} target - Target hex color
+ * @param {number} distance - Wanted Delta E
+ * @param {Object} [options] - Options
+ * @param {string} [options.metric=DEFAULT_COLOR_METRIC] - Registered color metric name
+ * @param {Function} [options.rng=Math.random] - Random number generator
+ * @returns {string} Hex color
+ */
+export function findColorAtDistance(target, distance, { metric = DEFAULT_COLOR_METRIC, rng = Math.random } = {}) {
+  const origin = hexToRgb(target);
+  let best = target;
+  let bestError = Infinity;
+
+  // Directions pointing out of the gamut can fall short; retry a few
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const direction = CHANNELS.map(() => rng() * 2 - 1);
+    const length = Math.hypot(...direction) || 1;
+    const colorAt = (scale) => rgbToHex({
+      r: origin.r + (direction[0] / length) * scale,
+      g: origin.g + (direction[1] / length) * scale,
+      b: origin.b + (direction[2] / length) * scale
+    });
+
+    let low = 0;
+    let high = 442; // RGB cube diagonal
+    for (let step = 0; step < 24; step++) {
+      const middle = (low + high) / 2;
+      if (calculateColorDifference(target, colorAt(middle), metric) < distance) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    const candidate = colorAt(high);
+    const error = Math.abs(calculateColorDifference(target, candidate, metric) - distance);
+    if (error < bestError) {
+      best = candidate;
+      bestError = error;
+    }
+    if (error < 0.5) break;
+  }
+
+  return best;
+}
+
+/**
+ * Show a swatch a fixed Delta E away from the target
+ * @private
+ */
+function deltaESwatchHint({ target, difficulty, metric, hintState, rng }) {
+  const distance = SWATCH_DELTA_E[difficulty] || SWATCH_DELTA_E.medium;
+  return {
+    color: findColorAtDistance(target, distance, { metric, rng }),
+    distance,
+    message: STRINGS.hints.deltaESwatch(distance),
+    hintState
+  };
+}
+
+/**
+ * Hint generators by type
+ * @private
+ */
+const HINT_GENERATORS = {
+  [HINT_TYPES.CHANNEL_RANGE]: channelRangeHint,
+  [HINT_TYPES.FURTHEST_CHANNEL]: furthestChannelHint,
+  [HINT_TYPES.BISECT_HUE]: bisectHueHint,
+  [HINT_TYPES.BISECT_LIGHTNESS]: bisectLightnessHint,
+  [HINT_TYPES.DELTA_E_SWATCH]: deltaESwatchHint
+};
+
+/**
+ * Generate the next computer hint
+ * @param {Object} context - Hint context
+ * @param {string} context.difficulty - Difficulty level
+ * @param {number} context.tipsUsed - Computer tips already used this game
+ * @param {string} context.target - Target hex color
+ * @param {string|null} [context.userColor] - Player's current color, if any
+ * @param {Object} [context.hintState] - Hint state; a fresh one is used when omitted
+ * @param {string} [context.metric=DEFAULT_COLOR_METRIC] - Registered color metric name
+ * @param {Function} [context.rng=Math.random] - Random number generator
+ * @returns {{type: string, message: string, color?: string, hintState: Object}} Hint;
+ *   `color` is set for swatch hints
+ */
+export function generateHint({
+  difficulty,
+  tipsUsed,
+  target,
+  userColor = null,
+  hintState = createHintState(),
+  metric = DEFAULT_COLOR_METRIC,
+  rng = Math.random
+}) {
+  const context = { difficulty, tipsUsed, target, userColor, hintState, metric, rng };
+  const type = chooseHintType(context);
+  return { type, ...HINT_GENERATORS[type](context) };
+}
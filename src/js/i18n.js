@@ -105,6 +105,30 @@ const translations = {
     websiteLink: 'Dr. Porkoláb Ádám profiloldala (megnyílik egy új lapon)',
     githubLink: 'GitHub profil (megnyílik egy új lapon)',
     
+    // Achievements
+    achievements: {
+      unlocked: 'Új kitüntetés!',
+      newHighScore: 'Új rekord: {{score}} pont!',
+      items: {
+        'first-win': { title: 'Első győzelem', description: 'Találd el először a színt.' },
+        'wins-5': { title: '5 győzelem', description: 'Nyerj 5 játékot.' },
+        'wins-10': { title: '10 győzelem', description: 'Nyerj 10 játékot.' },
+        'wins-25': { title: '25 győzelem', description: 'Nyerj 25 játékot.' },
+        'wins-50': { title: '50 győzelem', description: 'Nyerj 50 játékot.' },
+        'wins-100': { title: '100 győzelem', description: 'Nyerj 100 játékot.' },
+        'streak-3': { title: 'Sorozat', description: 'Nyerj 3 játékot egymás után.' },
+        'streak-5': { title: 'Lendületben', description: 'Nyerj 5 játékot egymás után.' },
+        'streak-10': { title: 'Megállíthatatlan', description: 'Nyerj 10 játékot egymás után.' },
+        'perfect-match': { title: 'Tökéletes egyezés', description: 'Találd el a színt 100%-os pontossággal.' },
+        'sharp-eye': { title: 'Sasszem', description: 'Érj el 95% feletti pontosságot 10 játékban.' },
+        'lightning-fast': { title: 'Villámgyors', description: 'Nyerj 10 másodpercen belül.' },
+        'hard-lightning': { title: 'Villámcsapás', description: 'Nyerj nehéz szinten 5 másodpercen belül.' },
+        'hard-mode-master': { title: 'A nehéz szint mestere', description: 'Nyerj 10 játékot nehéz szinten.' },
+        'color-wheel': { title: 'Körbe a színkörön', description: 'Találj el egy-egy színt a színkör mind a hat tartományából.' },
+        'daily-week': { title: 'Tökéletes hét', description: 'Nyerd meg a napi kihívást hét egymást követő napon.' }
+      }
+    },
+    
     // Error messages
     errors: {
       validation: 'Érvénytelen adat. Kérjük, ellenőrizze a bevitt értékeket.',
@@ -216,6 +240,30 @@ const translations = {
     websiteLink: 'Dr. Ádám Porkoláb\'s website (opens in new tab)',
     githubLink: 'GitHub profile (opens in new tab)',
     
+    // Achievements
+    achievements: {
+      unlocked: 'Achievement unlocked!',
+      newHighScore: 'New high score: {{score}} points!',
+      items: {
+        'first-win': { title: 'First Victory', description: 'Match a color for the first time.' },
+        'wins-5': { title: '5 Wins', description: 'Win 5 games.' },
+        'wins-10': { title: '10 Wins', description: 'Win 10 games.' },
+        'wins-25': { title: '25 Wins', description: 'Win 25 games.' },
+        'wins-50': { title: '50 Wins', description: 'Win 50 games.' },
+        'wins-100': { title: '100 Wins', description: 'Win 100 games.' },
+        'streak-3': { title: 'On a Roll', description: 'Win 3 games in a row.' },
+        'streak-5': { title: 'Hot Streak', description: 'Win 5 games in a row.' },
+        'streak-10': { title: 'Unstoppable', description: 'Win 10 games in a row.' },
+        'perfect-match': { title: 'Perfect Match', description: 'Match a color with 100% accuracy.' },
+        'sharp-eye': { title: 'Sharp Eye', description: 'Reach over 95% accuracy in 10 games.' },
+        'lightning-fast': { title: 'Lightning Fast', description: 'Win in under 10 seconds.' },
+        'hard-lightning': { title: 'Lightning Strike', description: 'Win on hard in under 5 seconds.' },
+        'hard-mode-master': { title: 'Hard Mode Master', description: 'Win 10 games on hard.' },
+        'color-wheel': { title: 'Around the Wheel', description: 'Match a color from each of the six hue ranges.' },
+        'daily-week': { title: 'Perfect Week', description: 'Win the Daily Challenge seven days in a row.' }
+      }
+    },
+    
     // Error messages
     errors: {
       validation: 'Invalid data. Please check the entered values.',
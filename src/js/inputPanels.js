@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Switchable color input panels
+ * Provides RGB, HSL, HSV and OKLCH slider panels next to the classic RGB +/- buttons
+ */
+
+import {
+  hexToRgb,
+  rgbToHex,
+  rgbToHsl,
+  hslToRgb,
+  rgbToHsv,
+  hsvToRgb,
+  rgbToOklch,
+  oklchToRgb,
+} from './colorUtils.js';
+
+/**
+ * Panel shown when the player has not chosen one
+ */
+export const DEFAULT_INPUT_PANEL = 'buttons';
+
+/**
+ * Input panel definitions. Slider panels describe their channels and how to
+ * convert between a hex color and channel values; the `buttons` panel is the
+ * static RGB +/- fieldset in index.html.
+ * @readonly
+ */
+export const INPUT_PANELS = {
+  buttons: {
+    label: 'RGB ±1',
+    channels: null,
+  },
+  rgb: {
+    label: 'RGB',
+    channels: [
+      { key: 'r', label: 'R', min: 0, max: 255, step: 1 },
+      { key: 'g', label: 'G', min: 0, max: 255, step: 1 },
+      { key: 'b', label: 'B', min: 0, max: 255, step: 1 },
+    ],
+    toChannels: (hex) => hexToRgb(hex),
+    fromChannels: (values) => rgbToHex(values),
+  },
+  hsl: {
+    label: 'HSL',
+    channels: [
+      { key: 'h', label: 'H', min: 0, max: 360, step: 1, unit: '°' },
+      { key: 's', label: 'S', min: 0, max: 100, step: 1, unit: '%' },
+      { key: 'l', label: 'L', min: 0, max: 100, step: 1, unit: '%' },
+    ],
+    toChannels: (hex) => rgbToHsl(hexToRgb(hex)),
+    fromChannels: (values) => rgbToHex(hslToRgb(values)),
+  },
+  hsv: {
+    label: 'HSV',
+    channels: [
+      { key: 'h', label: 'H', min: 0, max: 360, step: 1, unit: '°' },
+      { key: 's', label: 'S', min: 0, max: 100, step: 1, unit: '%' },
+      { key: 'v', label: 'V', min: 0, max: 100, step: 1, unit: '%' },
+    ],
+    toChannels: (hex) => rgbToHsv(hexToRgb(hex)),
+    fromChannels: (values) => rgbToHex(hsvToRgb(values)),
+  },
+  oklch: {
+    label: 'OKLCH',
+    channels: [
+      { key: 'l', label: 'L', min: 0, max: 100, step: 0.1, unit: '%' },
+      { key: 'c', label: 'C', min: 0, max: 0.37, step: 0.001 },
+      { key: 'h', label: 'H', min: 0, max: 360, step: 0.1, unit: '°' },
+    ],
+    toChannels: (hex) => {
+      const { l, c, h } = rgbToOklch(hexToRgb(hex));
+      return { l: l * 100, c, h };
+    },
+    fromChannels: ({ l, c, h }) => rgbToHex(oklchToRgb({ l: l / 100, c, h })),
+  },
+};
+
+/**
+ * Check whether a panel id is known
+ * @param {string} panelId - Panel id
+ * @returns {boolean} Whether the panel exists
+ */
+export function isInputPanel(panelId) {
+  return Object.prototype.hasOwnProperty.call(INPUT_PANELS, panelId);
+}
+
+/**
+ * Round a channel value to its slider step
+ * @private
+ */
+function snapToStep(value, { min, max, step }) {
+  const decimals = (String(step).split('.')[1] || '').length;
+  const clamped = Math.min(max, Math.max(min, value));
+  return Number((Math.round(clamped / step) * step).toFixed(decimals));
+}
+
+/**
+ * Get slider values for a color in a given panel
+ * @param {string} panelId - Slider panel id
+ * @param {string} hex - Hex color string
+ * @returns {Object<string, number>} Channel values keyed by channel key
+ */
+export function getPanelValues(panelId, hex) {
+  const panel = INPUT_PANELS[panelId];
+  const values = panel.toChannels(hex);
+  return Object.fromEntries(
+    panel.channels.map((channel) => [
+      channel.key,
+      snapToStep(values[channel.key], channel),
+    ])
+  );
+}
+
+/**
+ * Input panel currently mounted in the page
+ * @private
+ */
+let activePanel = null;
+
+/**
+ * Render a slider panel into a container, replacing any previous panel
+ * @param {HTMLElement} container - Element that hosts the sliders
+ * @param {string} panelId - Slider panel id (not `buttons`)
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onInput - Called with a hex color while a slider moves
+ * @param {Function} [handlers.onCommit] - Called with the channel key when a slider is released
+ * @returns {{setColor: Function, setDisabled: Function}} Panel controller
+ */
+export function mountInputPanel(container, panelId, { onInput, onCommit }) {
+  const panel = INPUT_PANELS[panelId];
+  container.innerHTML = '';
+  activePanel = null;
+
+  if (!panel || !panel.channels) {
+    return null;
+  }
+
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'input-panel';
+  fieldset.dataset.panel = panelId;
+
+  const legend = document.createElement('legend');
+  legend.className = 'sr-only';
+  legend.textContent = `${panel.label} csúszkák`;
+  fieldset.appendChild(legend);
+
+  const sliders = {};
+  const outputs = {};
+  let lastEmitted = null;
+
+  panel.channels.forEach((channel) => {
+    const row = document.createElement('div');
+    row.className = 'input-panel-row';
+
+    const id = `input-panel-${panelId}-${channel.key}`;
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = channel.label;
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.id = id;
+    slider.className = 'input-panel-slider';
+    slider.min = String(channel.min);
+    slider.max = String(channel.max);
+    slider.step = String(channel.step);
+    slider.dataset.channel = channel.key;
+
+    const output = document.createElement('output');
+    output.htmlFor = id;
+    output.className = 'input-panel-value';
+
+    slider.addEventListener('input', () => {
+      const values = Object.fromEntries(
+        Object.entries(sliders).map(([key, input]) => [key, parseFloat(input.value)])
+      );
+      updateOutput(channel.key, values[channel.key]);
+      lastEmitted = panel.fromChannels(values);
+      onInput(lastEmitted);
+    });
+
+    slider.addEventListener('change', () => {
+      if (onCommit) onCommit(channel.key);
+    });
+
+    sliders[channel.key] = slider;
+    outputs[channel.key] = output;
+
+    row.appendChild(label);
+    row.appendChild(slider);
+    row.appendChild(output);
+    fieldset.appendChild(row);
+  });
+
+  function updateOutput(key, value) {
+    const channel = panel.channels.find((c) => c.key === key);
+    const text = `${value}${channel.unit || ''}`;
+    outputs[key].textContent = text;
+    sliders[key].setAttribute('aria-valuetext', text);
+  }
+
+  const controller = {
+    /**
+     * Move the sliders to a color set elsewhere (typing, hints, buttons)
+     * @param {string} hex - Hex color string
+     */
+    setColor(hex) {
+      // Skip our own echo so hue does not jump while dragging through greys
+      if (hex && hex.toUpperCase() === lastEmitted) return;
+      lastEmitted = null;
+
+      const values = getPanelValues(panelId, hex);
+      Object.entries(values).forEach(([key, value]) => {
+        sliders[key].value = String(value);
+        updateOutput(key, value);
+      });
+    },
+
+    /**
+     * Enable or disable every slider in the panel
+     * @param {boolean} disabled - Whether the sliders are disabled
+     */
+    setDisabled(disabled) {
+      Object.values(sliders).forEach((slider) => {
+        slider.disabled = disabled;
+      });
+    },
+  };
+
+  container.appendChild(fieldset);
+  activePanel = controller;
+  return controller;
+}
+
+/**
+ * Sync the mounted slider panel with the current user color
+ * @param {string} hex - Hex color string
+ */
+export function syncInputPanel(hex) {
+  if (activePanel && hex) {
+    try {
+      activePanel.setColor(hex);
+    } catch (error) {
+      console.warn('Input panel sync failed:', error);
+    }
+  }
+}
+
+/**
+ * Enable or disable the mounted slider panel
+ * @param {boolean} disabled - Whether the sliders are disabled
+ */
+export function setInputPanelDisabled(disabled) {
+  if (activePanel) {
+    activePanel.setDisabled(disabled);
+  }
+}
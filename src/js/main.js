@@ -1,28 +1,124 @@
 import '../css/main.css';
-import { DOM } from './constants.js';
-import { checkColor, computerGuess, startGame, adjustColor } from './game.js';
+import { DOM, STRINGS } from './constants.js';
 import {
-  updateUserColor,
-  updateComponentButtonsState,
+  checkColor,
+  computerGuess,
+  startGame,
+  startSession,
+  startNextRound,
+  startPaletteGame,
+  startDailyChallenge,
+  adjustColor,
+  setUserColor,
+  recordInput,
+  startChallenge,
+  getChallengeLink,
+  getShareCard
+} from './game.js';
+import {
+  bindGameState,
   hideModal,
   updateStatistics,
+  setColorInputValue,
+  applyColorFormat,
+  onUserColorChange,
+  showReplayModal,
+  showDialog,
+  renderReplayList,
+  renderHistoryPage,
+  renderHistoryDetail,
+  renderAchievements,
+  renderBackupPreview,
+  renderDifficultyOptions,
+  fillDifficultyForm,
+  readDifficultyForm,
+  renderCustomLeaderboard,
+  renderProfiles,
+  renderProfileLeaderboard,
+  downloadFile,
+  showToast,
 } from './ui.js';
-import { isValidHexColor } from './colorUtils.js';
-import { setDifficulty } from './state.js';
+import { isValidColor, toHex } from './colorUtils.js';
+import { mountInputPanel, isInputPanel, DEFAULT_INPUT_PANEL, INPUT_PANELS } from './inputPanels.js';
+import { isBuiltInDifficulty, DEFAULT_DIFFICULTY } from './difficulties.js';
+import { ColorPicker } from './colorPicker.js';
+import { ReplayViewer } from './replayViewer.js';
+import { parseReplay, REPLAY_EVENT_TYPES } from './replay.js';
+import { parseChallenge, removeChallengeParams } from './challenge.js';
+import { buildShareText, createShareImage, shareText } from './shareCard.js';
+import { stateManager, actions } from './stateManager.js';
 import { i18n } from './i18n.js';
 import { analytics, trackEvent, EVENT_TYPES } from './analytics.js';
-import { storage } from './storage.js';
+import { storage, STORAGE_KEYS, PROFILES_KEY } from './storage.js';
 import { performanceMonitor, startTiming, endTiming, fpsMonitor } from './performance.js';
 import { pwaManager } from './pwaManager.js';
 
+/**
+ * Store the selected difficulty; a running game keeps the one it started with
+ * @param {string} difficulty - Difficulty level
+ */
+function setDifficulty(difficulty) {
+  if (stateManager.select('game.isActive')) return;
+  stateManager.dispatch(actions.setGameField('difficulty', difficulty));
+}
+
 // Event Listeners with Analytics Integration
 function initializeEventListeners() {
   DOM.newGameButton.addEventListener('click', () => {
     startTiming('game-start');
     trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'new-game-button' });
-    startGame();
+    const rounds = Number(DOM.sessionRounds.value);
+    const paletteSize = Number(DOM.paletteSize.value);
+    if (paletteSize > 1) {
+      startPaletteGame(paletteSize, { order: DOM.paletteOrder.value });
+    } else if (rounds > 1) {
+      startSession(rounds);
+    } else {
+      startGame();
+    }
     endTiming('game-start');
   });
+
+  DOM.sessionRounds.addEventListener('change', (e) => {
+    const rounds = Number(e.target.value);
+    storage.updateUserPreferences({ sessionRounds: rounds });
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'session-rounds-selector', rounds });
+  });
+
+  DOM.scoringMode.addEventListener('change', (e) => {
+    const scoringMode = e.target.value;
+    storage.updateUserPreferences({ scoringMode });
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'scoring-mode-selector', scoringMode });
+  });
+
+  DOM.paletteSize.addEventListener('change', (e) => {
+    const paletteSize = Number(e.target.value);
+    storage.updateUserPreferences({ paletteSize });
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'palette-size-selector', paletteSize });
+  });
+
+  DOM.adaptiveDifficulty.addEventListener('change', (e) => {
+    const adaptiveDifficulty = e.target.checked;
+    storage.updateUserPreferences({ adaptiveDifficulty });
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'adaptive-difficulty', adaptiveDifficulty });
+  });
+
+  DOM.paletteOrder.addEventListener('change', (e) => {
+    const paletteOrder = e.target.value;
+    storage.updateUserPreferences({ paletteOrder });
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'palette-order-selector', paletteOrder });
+  });
+
+  DOM.nextRoundButton.addEventListener('click', () => {
+    hideModal();
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'next-round-button' });
+    startNextRound();
+  });
+
+  DOM.dailyChallengeButton.addEventListener('click', () => {
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'daily-challenge-button' });
+    startDailyChallenge();
+  });
   
   DOM.checkButton.addEventListener('click', () => {
     startTiming('color-check');
@@ -32,17 +128,16 @@ function initializeEventListeners() {
   });
   
   DOM.computerGuessButton.addEventListener('click', () => {
-    trackEvent(EVENT_TYPES.COMPUTER_TIP_USED, { 
-      feature: 'computer-tip-button',
-      difficulty: storage.get('current_difficulty', 'medium')
-    });
+    // The hint itself is tracked with its type by computerGuess
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'computer-tip-button' });
     computerGuess();
   });
 
   DOM.colorInput.addEventListener('input', () => {
-    const userColor = '#' + DOM.colorInput.value.replace('#', '');
-    if (isValidHexColor(userColor)) {
-      updateUserColor(userColor);
+    if (isFreeInputAllowed() && isValidColor(DOM.colorInput.value)) {
+      const userColor = toHex(DOM.colorInput.value);
+      stateManager.dispatch(actions.setUserColor(userColor));
+      recordInput(REPLAY_EVENT_TYPES.TYPE, userColor);
       trackEvent(EVENT_TYPES.FEATURE_USED, { 
         feature: 'color-input-typing',
         inputLength: DOM.colorInput.value.length
@@ -50,16 +145,24 @@ function initializeEventListeners() {
     }
   });
 
+  // The color picker writes into colorAdjust, so this also covers the picker
   DOM.colorAdjust.addEventListener('input', () => {
-    const userColor = DOM.colorAdjust.value;
-    if (isValidHexColor(userColor)) {
-      DOM.colorInput.value = userColor.replace('#', '');
-      updateUserColor(userColor);
-      updateComponentButtonsState(userColor.replace('#', ''));
+    if (isFreeInputAllowed() && isValidColor(DOM.colorAdjust.value)) {
+      const userColor = toHex(DOM.colorAdjust.value);
+      setColorInputValue(userColor);
+      stateManager.dispatch(actions.setUserColor(userColor));
+      recordInput(REPLAY_EVENT_TYPES.PICKER, userColor);
       trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'color-adjust-input' });
     }
   });
 
+  // Custom difficulties may leave the buttons out; stop the click before the button handlers
+  DOM.rgbButtonsPanel.addEventListener('click', (e) => {
+    if (!getAllowedInputPanels().includes('buttons')) {
+      e.stopPropagation();
+    }
+  }, true);
+
   // RGB Component buttons with tracking
   DOM.plusRedButton.addEventListener('click', () => {
     adjustColor('r', 1);
@@ -97,6 +200,7 @@ function initializeEventListeners() {
     
     setDifficulty(newDifficulty);
     storage.set('current_difficulty', newDifficulty);
+    storage.updateUserPreferences({ difficulty: newDifficulty });
     
     trackEvent(EVENT_TYPES.DIFFICULTY_CHANGE, {
       oldDifficulty,
@@ -107,6 +211,41 @@ function initializeEventListeners() {
     console.log(`🎯 Difficulty changed: ${oldDifficulty} → ${newDifficulty}`);
   });
 
+  DOM.colorMetric.addEventListener('change', (e) => {
+    const oldMetric = storage.getUserPreferences().colorMetric;
+    const newMetric = e.target.value;
+
+    storage.updateUserPreferences({ colorMetric: newMetric });
+
+    trackEvent(EVENT_TYPES.FEATURE_USED, {
+      feature: 'color-metric-selector',
+      oldMetric,
+      newMetric
+    });
+
+    console.log(`📐 Color metric changed: ${oldMetric} → ${newMetric}`);
+  });
+
+  DOM.colorFormat.addEventListener('change', (e) => {
+    const oldFormat = storage.getUserPreferences().colorFormat;
+    const newFormat = e.target.value;
+    const currentColor = isValidColor(DOM.colorInput.value)
+      ? toHex(DOM.colorInput.value)
+      : null;
+
+    storage.updateUserPreferences({ colorFormat: newFormat });
+    applyColorFormat(newFormat);
+    if (currentColor) {
+      setColorInputValue(currentColor);
+    }
+
+    trackEvent(EVENT_TYPES.FEATURE_USED, {
+      feature: 'color-format-selector',
+      oldFormat,
+      newFormat
+    });
+  });
+
   DOM.modalCloseButtons.forEach((button) => {
     button.addEventListener('click', () => {
       hideModal();
@@ -114,6 +253,22 @@ function initializeEventListeners() {
     });
   });
 
+  DOM.replaySeedButton.addEventListener('click', () => {
+    const { seed, difficulty, mode, targets, paletteOrder, level } = stateManager.select('game');
+    if (!seed) return;
+    hideModal();
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'replay-seed-button', seed, difficulty });
+    if (mode === 'palette') {
+      startPaletteGame(targets.length, { order: paletteOrder, seed, difficulty });
+    } else {
+      startGame({ seed, difficulty, level });
+    }
+  });
+
+  DOM.challengeLinkButton.addEventListener('click', shareChallengeLink);
+  DOM.shareButton.addEventListener('click', shareResult);
+  DOM.shareImageButton.addEventListener('click', downloadShareImage);
+
   DOM.resultModal.addEventListener('click', (e) => {
     if (e.target === DOM.resultModal) {
       hideModal();
@@ -122,6 +277,137 @@ function initializeEventListeners() {
   });
 }
 
+/**
+ * Get the input panels a difficulty allows
+ * @param {string} [difficulty] - Difficulty id; the selected one by default
+ * @returns {string[]} INPUT_PANELS ids
+ */
+function getAllowedInputPanels(difficulty = stateManager.select('game.difficulty')) {
+  return storage.getDifficulties()[difficulty]?.inputPanels ?? Object.keys(INPUT_PANELS);
+}
+
+/**
+ * Check whether the hex field and the color picker may be used. They set any
+ * color directly, so only difficulties allowing every panel offer them.
+ * @param {string} [difficulty] - Difficulty id; the selected one by default
+ * @returns {boolean} Whether free color entry is allowed
+ */
+function isFreeInputAllowed(difficulty) {
+  return getAllowedInputPanels(difficulty).length === Object.keys(INPUT_PANELS).length;
+}
+
+/**
+ * Offer only the inputs a difficulty allows, switching away from the shown
+ * panel when it is not among them
+ * @param {string} difficulty - Difficulty id
+ */
+function restrictInputPanels(difficulty) {
+  const allowed = getAllowedInputPanels(difficulty);
+
+  Array.from(DOM.inputPanel.options).forEach((option) => {
+    option.disabled = !allowed.includes(option.value);
+  });
+  if (!allowed.includes(DOM.inputPanel.value)) {
+    DOM.inputPanel.value = allowed[0];
+    showInputPanel(allowed[0]);
+  }
+
+  const free = isFreeInputAllowed(difficulty);
+  DOM.colorInput.readOnly = !free;
+  DOM.colorAdjust.disabled = !free;
+  if (DOM.colorPickerContainer) {
+    DOM.colorPickerContainer.hidden = !free;
+  }
+}
+
+/**
+ * Show an input panel and mount its sliders
+ * @param {string} panelId - Panel id from INPUT_PANELS
+ */
+function showInputPanel(panelId) {
+  const isButtons = panelId === 'buttons';
+  DOM.rgbButtonsPanel.hidden = !isButtons;
+  DOM.inputPanelContainer.hidden = isButtons;
+
+  const panel = mountInputPanel(DOM.inputPanelContainer, panelId, {
+    onInput: (hex) => {
+      if (getAllowedInputPanels().includes(panelId)) {
+        setUserColor(hex);
+      }
+    },
+    onCommit: (channel) => {
+      trackEvent(EVENT_TYPES.FEATURE_USED, {
+        feature: 'input-panel-slider',
+        panel: panelId,
+        channel
+      });
+    }
+  });
+
+  if (panel) {
+    const currentColor = isValidColor(DOM.colorInput.value)
+      ? toHex(DOM.colorInput.value)
+      : '#808080';
+    panel.setColor(currentColor);
+    panel.setDisabled(DOM.checkButton.disabled);
+  }
+}
+
+// Initialize the switchable RGB/HSL/HSV/OKLCH input panels
+function initializeInputPanels() {
+  const savedPanel = storage.getUserPreferences().inputPanel;
+  const panelId = isInputPanel(savedPanel) ? savedPanel : DEFAULT_INPUT_PANEL;
+
+  DOM.inputPanel.value = panelId;
+  showInputPanel(panelId);
+
+  restrictInputPanels(stateManager.select('game.difficulty'));
+  stateManager.subscribe('game.difficulty', restrictInputPanels);
+
+  DOM.inputPanel.addEventListener('change', (e) => {
+    const oldPanel = storage.getUserPreferences().inputPanel;
+    const newPanel = e.target.value;
+    if (!getAllowedInputPanels().includes(newPanel)) {
+      restrictInputPanels(stateManager.select('game.difficulty'));
+      return;
+    }
+
+    storage.updateUserPreferences({ inputPanel: newPanel });
+    showInputPanel(newPanel);
+
+    trackEvent(EVENT_TYPES.FEATURE_USED, {
+      feature: 'input-panel-selector',
+      oldPanel,
+      newPanel
+    });
+  });
+}
+
+// Initialize the canvas hue ring / saturation-lightness picker
+function initializeColorPicker() {
+  if (!DOM.colorPickerContainer) return;
+
+  // The picker writes into the colorAdjust input and fires its input event,
+  // so it shares the handler registered in initializeEventListeners
+  const picker = new ColorPicker(DOM.colorPickerContainer, {
+    target: DOM.colorAdjust
+  });
+
+  onUserColorChange((color) => {
+    if (isValidColor(color)) {
+      picker.setColor(toHex(color));
+    }
+  });
+
+  let pickerUsed = false;
+  DOM.colorPickerContainer.addEventListener('pointerdown', () => {
+    if (!pickerUsed) {
+      pickerUsed = true;
+      trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'color-picker' });
+    }
+  });
+}
+
 // Initialize language system and load user preferences
 async function initializeI18nAndPreferences() {
   try {
@@ -132,23 +418,17 @@ async function initializeI18nAndPreferences() {
     console.log('📋 Loading user preferences:', userPreferences);
     
     // Initialize i18n with preferred language
-    await i18n.initialize(userPreferences.language);
-    console.log('🌍 i18n initialized with language:', userPreferences.language);
+    await i18n.initialize(userPreferences.preferredLanguage);
+    console.log('🌍 i18n initialized with language:', userPreferences.preferredLanguage);
     
-    // Apply preferences to UI
-    if (userPreferences.difficulty) {
-      DOM.difficulty.value = userPreferences.difficulty;
-      setDifficulty(userPreferences.difficulty);
-    }
+    applyUserPreferences(userPreferences);
     
     // Create language switcher if container exists
     const langContainer = document.getElementById('language-switcher-container');
     if (langContainer) {
       const switcher = i18n.createLanguageSwitcher((newLang, oldLang) => {
         // Update user preferences when language changes
-        const prefs = storage.getUserPreferences();
-        prefs.language = newLang;
-        storage.updateUserPreferences({ language: newLang });
+        storage.updateUserPreferences({ preferredLanguage: newLang });
         
         trackEvent(EVENT_TYPES.LANGUAGE_CHANGE, {
           oldLanguage: oldLang,
@@ -172,6 +452,42 @@ async function initializeI18nAndPreferences() {
   }
 }
 
+// Apply the stored preferences to the game settings
+function applyUserPreferences(userPreferences) {
+  // Custom difficulties must be listed before one is selected
+  renderDifficultyOptions(storage.getDifficulties());
+  if (userPreferences.difficulty) {
+    DOM.difficulty.value = userPreferences.difficulty;
+    setDifficulty(userPreferences.difficulty);
+  }
+
+  DOM.adaptiveDifficulty.checked = Boolean(userPreferences.adaptiveDifficulty);
+
+  if (userPreferences.scoringMode) {
+    DOM.scoringMode.value = userPreferences.scoringMode;
+  }
+
+  if (userPreferences.paletteSize) {
+    DOM.paletteSize.value = String(userPreferences.paletteSize);
+  }
+
+  if (userPreferences.paletteOrder) {
+    DOM.paletteOrder.value = userPreferences.paletteOrder;
+  }
+
+  if (userPreferences.sessionRounds) {
+    DOM.sessionRounds.value = String(userPreferences.sessionRounds);
+  }
+
+  if (userPreferences.colorMetric) {
+    DOM.colorMetric.value = userPreferences.colorMetric;
+  }
+
+  if (userPreferences.colorFormat) {
+    DOM.colorFormat.value = userPreferences.colorFormat;
+  }
+}
+
 // Update UI elements with translated text
 function updateUIWithTranslations() {
   try {
@@ -180,8 +496,8 @@ function updateUIWithTranslations() {
     DOM.checkButton.textContent = i18n.t('ui.checkColor');
     DOM.computerGuessButton.textContent = i18n.t('ui.computerTip');
     
-    // Update placeholder text
-    DOM.colorInput.placeholder = i18n.t('ui.colorInputPlaceholder');
+    // Update placeholder text for the player's color format
+    applyColorFormat(storage.getUserPreferences().colorFormat || 'hex');
     
     // Update difficulty options
     const difficultyOptions = DOM.difficulty.querySelectorAll('option');
@@ -204,6 +520,481 @@ function updateUIWithTranslations() {
   }
 }
 
+/**
+ * Viewer of the replay dialog
+ * @private
+ */
+let viewer = null;
+
+/**
+ * Open the replay viewer
+ * @param {string|null} [id] - Stored replay to show; the most recent one when omitted
+ */
+function showReplay(id = null) {
+  const { replays } = storage.getReplays();
+  const entry = replays.find((item) => item.id === id) || replays[0] || null;
+  renderReplayList(replays, entry ? entry.id : null);
+  viewer.load(entry ? entry.replay : null);
+  DOM.replayExportButton.disabled = !entry;
+  showReplayModal();
+}
+
+// Initialize the replay viewer with its picker, export and import
+function initializeReplayViewer() {
+  if (!DOM.replayModal) return;
+
+  viewer = new ReplayViewer({
+    swatch: DOM.replaySwatch,
+    targetSwatch: DOM.replayTargetSwatch,
+    scrubber: DOM.replayScrubber,
+    playButton: DOM.replayPlayButton,
+    eventLabel: DOM.replayEventLabel
+  });
+
+  DOM.watchReplayButton.addEventListener('click', () => {
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'watch-replay-button' });
+    showReplay();
+  });
+
+  DOM.replaysButton.addEventListener('click', () => {
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'replays-button' });
+    showReplay();
+  });
+
+  DOM.replaySelect.addEventListener('change', (e) => {
+    const entry = storage.getReplay(e.target.value);
+    viewer.load(entry ? entry.replay : null);
+  });
+
+  DOM.replayExportButton.addEventListener('click', () => {
+    const { replay } = viewer;
+    if (!replay) return;
+    downloadFile(`tonetracker-replay-${replay.seed}.json`, JSON.stringify(replay));
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'replay-export' });
+  });
+
+  DOM.replayImportInput.addEventListener('change', async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const entry = storage.saveReplay(parseReplay(await file.text()), { imported: true });
+      showReplay(entry.id);
+      showToast(STRINGS.replay.importDone, 'success');
+      trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'replay-import' });
+    } catch (error) {
+      console.warn('Replay import failed:', error);
+      showToast(STRINGS.replay.importFailed, 'error');
+    }
+  });
+
+  DOM.replayModal.addEventListener('click', (e) => {
+    if (e.target === DOM.replayModal) {
+      viewer.pause();
+      hideModal();
+    }
+  });
+
+  DOM.modalCloseButtons.forEach((button) => {
+    button.addEventListener('click', () => viewer.pause());
+  });
+}
+
+// Initialize the game history browser with its filters, pages and detail view
+function initializeHistoryPanel() {
+  if (!DOM.historyModal) return;
+
+  let page = 1;
+  const showPage = () => {
+    const filters = Object.fromEntries(new FormData(DOM.historyFilters));
+    const result = storage.queryGameHistory(filters, { page });
+    page = result.page;
+    renderHistoryPage(result);
+  };
+
+  DOM.historyButton.addEventListener('click', () => {
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'history-button' });
+    page = 1;
+    showPage();
+    showDialog(DOM.historyModal);
+  });
+
+  DOM.historyFilters.addEventListener('change', () => {
+    page = 1;
+    showPage();
+  });
+  DOM.historyFilters.addEventListener('submit', (e) => e.preventDefault());
+
+  DOM.historyPrevButton.addEventListener('click', () => {
+    page -= 1;
+    showPage();
+  });
+  DOM.historyNextButton.addEventListener('click', () => {
+    page += 1;
+    showPage();
+  });
+
+  DOM.historyList.addEventListener('click', (e) => {
+    const item = e.target.closest('.history-item');
+    const record = item && storage.getGameRecord(item.dataset.id);
+    if (record) {
+      renderHistoryDetail(record);
+    }
+  });
+
+  DOM.historyBackButton.addEventListener('click', showPage);
+
+  DOM.historyReplayButton.addEventListener('click', () => {
+    const { replayId } = DOM.historyReplayButton.dataset;
+    if (replayId && viewer) {
+      showReplay(replayId);
+    }
+  });
+
+  DOM.historyModal.addEventListener('click', (e) => {
+    if (e.target === DOM.historyModal) {
+      hideModal();
+    }
+  });
+}
+
+// Initialize the achievements gallery
+function initializeAchievementsPanel() {
+  if (!DOM.achievementsModal) return;
+
+  DOM.achievementsButton.addEventListener('click', () => {
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'achievements-button' });
+    renderAchievements(storage.getAchievements());
+    showDialog(DOM.achievementsModal);
+  });
+
+  DOM.achievementsModal.addEventListener('click', (e) => {
+    if (e.target === DOM.achievementsModal) {
+      hideModal();
+    }
+  });
+}
+
+/**
+ * Load the settings of the profile just switched to and start a fresh game
+ * with them; statistics follow through their storage subscription
+ */
+function applyActiveProfile() {
+  const preferences = storage.getUserPreferences();
+  applyUserPreferences(preferences);
+
+  const { preferredLanguage } = preferences;
+  if (preferredLanguage && preferredLanguage !== i18n.getCurrentLocale() && i18n.isLocaleSupported(preferredLanguage)) {
+    i18n.setLocale(preferredLanguage);
+    const languageSelect = document.getElementById('language-switcher');
+    if (languageSelect) languageSelect.value = preferredLanguage;
+  }
+  updateUIWithTranslations();
+
+  const panelId = isInputPanel(preferences.inputPanel) ? preferences.inputPanel : DEFAULT_INPUT_PANEL;
+  DOM.inputPanel.value = panelId;
+  showInputPanel(panelId);
+  restrictInputPanels(stateManager.select('game.difficulty'));
+
+  startGame();
+}
+
+// Initialize the header profile switcher and the profile manager
+function initializeProfiles() {
+  if (!DOM.profilesModal) return;
+
+  const strings = STRINGS.profiles;
+  const render = () => {
+    const activeId = storage.getActiveProfile().id;
+    renderProfiles({ ...storage.getProfiles(), activeId });
+    renderProfileLeaderboard(storage.getProfileLeaderboard(), activeId);
+  };
+  const rejectChange = (error) => {
+    console.warn('Profile change rejected:', error);
+    showToast(error.context?.reason === 'last profile' ? strings.lastProfile : strings.invalid, 'error');
+  };
+  const switchTo = (id) => {
+    const profile = storage.switchProfile(id);
+    applyActiveProfile();
+    render();
+    showToast(strings.switched(profile.name), 'info');
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'profile-switch' });
+  };
+
+  render();
+
+  // Other tabs add, rename and delete profiles too, possibly the one open here
+  storage.subscribe(PROFILES_KEY, (registry) => {
+    if (!registry) return;
+    if (registry.profiles.some(({ id }) => id === storage.activeProfileId)) {
+      render();
+    } else {
+      switchTo(registry.activeId);
+    }
+  });
+
+  DOM.profileSelect.addEventListener('change', (e) => switchTo(e.target.value));
+
+  DOM.profilesButton.addEventListener('click', () => {
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'profiles-button' });
+    render();
+    showDialog(DOM.profilesModal);
+  });
+
+  DOM.profileForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    try {
+      const profile = storage.createProfile(DOM.profileName.value);
+      DOM.profileName.value = '';
+      showToast(strings.created(profile.name), 'success');
+      switchTo(profile.id);
+    } catch (error) {
+      rejectChange(error);
+    }
+  });
+
+  DOM.profileList.addEventListener('click', (e) => {
+    const item = e.target.closest('.profile-item');
+    if (!item) return;
+    const { profileId } = item.dataset;
+
+    try {
+      if (e.target.closest('.js-profile-rename')) {
+        storage.renameProfile(profileId, item.querySelector('input').value);
+        showToast(strings.renamed, 'success');
+      } else if (e.target.closest('.js-profile-delete')) {
+        const { name } = storage.getProfiles().profiles.find(({ id }) => id === profileId);
+        if (!window.confirm(strings.confirmDelete(name))) return;
+
+        const wasActive = profileId === storage.activeProfileId;
+        storage.deleteProfile(profileId);
+        if (wasActive) applyActiveProfile();
+        render();
+        showToast(strings.deleted, 'success');
+      }
+    } catch (error) {
+      rejectChange(error);
+    }
+  });
+
+  DOM.profilesModal.addEventListener('click', (e) => {
+    if (e.target === DOM.profilesModal) {
+      hideModal();
+    }
+  });
+}
+
+// Initialize the settings panel with backup export and import
+function initializeSettingsPanel() {
+  if (!DOM.settingsModal) return;
+
+  // Contents of the chosen backup file until it is applied or dismissed
+  let pendingBackup = null;
+  const resetPreview = () => {
+    pendingBackup = null;
+    DOM.backupPreview.hidden = true;
+  };
+
+  DOM.settingsButton.addEventListener('click', () => {
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'settings-button' });
+    resetPreview();
+    showDialog(DOM.settingsModal);
+  });
+
+  DOM.exportBackupButton.addEventListener('click', () => {
+    const backup = storage.exportData();
+    downloadFile(`tonetracker-backup-${backup.exportedAt.slice(0, 10)}.json`, JSON.stringify(backup, null, 2));
+    showToast(STRINGS.backup.exported, 'success');
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'backup-export' });
+  });
+
+  DOM.importBackupInput.addEventListener('change', async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    resetPreview();
+    try {
+      const text = await file.text();
+      const { diff } = storage.previewImport(text);
+      if (Object.values(diff).every(({ before, after }) => before === after)) {
+        showToast(STRINGS.backup.unchanged, 'info');
+        return;
+      }
+      pendingBackup = text;
+      renderBackupPreview(diff);
+    } catch (error) {
+      console.warn('Backup import failed:', error);
+      showToast(STRINGS.backup.invalid, 'error');
+    }
+  });
+
+  DOM.applyBackupButton.addEventListener('click', () => {
+    if (!pendingBackup) return;
+
+    try {
+      storage.importData(pendingBackup, true);
+      updateStatistics();
+      showToast(STRINGS.backup.imported, 'success');
+      trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'backup-import' });
+    } catch (error) {
+      console.warn('Backup import failed:', error);
+      showToast(STRINGS.backup.invalid, 'error');
+    }
+    resetPreview();
+  });
+
+  DOM.cancelBackupButton.addEventListener('click', resetPreview);
+
+  initializeDifficultyEditor();
+
+  DOM.settingsModal.addEventListener('click', (e) => {
+    if (e.target === DOM.settingsModal) {
+      hideModal();
+    }
+  });
+}
+
+/**
+ * Wire the custom difficulty editor and leaderboard of the settings panel
+ */
+function initializeDifficultyEditor() {
+  const showPreset = (id) => {
+    const difficulties = storage.getDifficulties();
+    renderDifficultyOptions(difficulties, id);
+    fillDifficultyForm(DOM.difficultyPreset.value, difficulties[DOM.difficultyPreset.value]);
+  };
+  const refresh = (id) => {
+    showPreset(id);
+    renderCustomLeaderboard(storage.getCustomHighScores().scores.slice(0, 10));
+  };
+
+  DOM.settingsButton.addEventListener('click', () => refresh(DOM.difficulty.value));
+  DOM.difficultyPreset.addEventListener('change', (e) => showPreset(e.target.value));
+
+  DOM.difficultyForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const presetId = DOM.difficultyPreset.value;
+
+    try {
+      // Built-in presets are read-only; saving one creates a custom copy
+      const { id, difficulty } = isBuiltInDifficulty(presetId)
+        ? storage.saveCustomDifficulty(readDifficultyForm())
+        : storage.saveCustomDifficulty(readDifficultyForm(), presetId);
+      refresh(id);
+      restrictInputPanels(stateManager.select('game.difficulty'));
+      showToast(STRINGS.difficulties.saved(difficulty.name), 'success');
+      trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'difficulty-save', created: id !== presetId });
+    } catch (error) {
+      console.warn('Difficulty not saved:', error);
+      showToast(STRINGS.difficulties.invalid, 'error', 5000);
+    }
+  });
+
+  DOM.deleteDifficultyButton.addEventListener('click', () => {
+    const deletedId = DOM.difficultyPreset.value;
+    const selected = DOM.difficulty.value === deletedId;
+    if (!storage.deleteCustomDifficulty(deletedId)) return;
+
+    // The preferences fall back to the default difficulty when the deleted one was selected
+    refresh(DEFAULT_DIFFICULTY);
+    if (selected) {
+      DOM.difficulty.value = DEFAULT_DIFFICULTY;
+      setDifficulty(DEFAULT_DIFFICULTY);
+      storage.set('current_difficulty', DEFAULT_DIFFICULTY);
+    }
+    showToast(STRINGS.difficulties.deleted, 'info');
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'difficulty-delete' });
+  });
+}
+
+/**
+ * Start the game a challenge link points at
+ * The challenge parameters are removed from the address bar so reloading
+ * does not restart the challenge.
+ * @returns {boolean} Whether a challenge started
+ */
+function startChallengeFromUrl() {
+  const { search, pathname, hash } = window.location;
+  let challenge;
+
+  try {
+    challenge = parseChallenge(search);
+  } catch (error) {
+    console.warn('Ignoring challenge link:', error);
+    showToast(STRINGS.challenge.invalid, 'error', 5000);
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'challenge-link-invalid' });
+  }
+
+  if (search && search !== removeChallengeParams(search)) {
+    window.history.replaceState(null, '', pathname + removeChallengeParams(search) + hash);
+  }
+  if (!challenge) return false;
+
+  trackEvent(EVENT_TYPES.FEATURE_USED, {
+    feature: 'challenge-link',
+    difficulty: challenge.difficulty,
+    mode: challenge.mode
+  });
+  showToast(STRINGS.challenge.started(challenge.score), 'info', 5000);
+  startChallenge(challenge);
+  return true;
+}
+
+/**
+ * Copy a challenge link for the last finished game
+ */
+async function shareChallengeLink() {
+  const link = getChallengeLink(window.location.origin + window.location.pathname);
+  if (!link) {
+    if (getShareCard()) showToast(STRINGS.challenge.customUnavailable, 'info');
+    return;
+  }
+
+  trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'challenge-link-button' });
+  try {
+    await navigator.clipboard.writeText(link);
+    showToast(STRINGS.challenge.copied, 'success');
+  } catch {
+    // Clipboard access needs a secure context and permission
+    window.prompt(STRINGS.challenge.copyPrompt, link);
+  }
+}
+
+/**
+ * Share the spoiler-free text card of the last finished game
+ */
+async function shareResult() {
+  const card = getShareCard();
+  if (!card) return;
+
+  const text = buildShareText(card);
+  const outcome = await shareText(text);
+  if (outcome === 'copied') {
+    showToast(STRINGS.share.copied, 'success');
+  } else if (outcome === 'failed') {
+    window.prompt(STRINGS.share.copyPrompt, text);
+  }
+  trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'share-result', outcome, mode: card.mode });
+}
+
+/**
+ * Download the PNG card of the last finished game
+ */
+async function downloadShareImage() {
+  const card = getShareCard();
+  if (!card) return;
+
+  try {
+    const image = await createShareImage(card);
+    downloadFile(`tonetracker-${card.seed}.png`, image, 'image/png');
+    trackEvent(EVENT_TYPES.FEATURE_USED, { feature: 'share-image', mode: card.mode });
+  } catch (error) {
+    console.error('❌ Failed to render share card:', error);
+  }
+}
+
 // Initialize performance monitoring
 function initializePerformanceMonitoring() {
   try {
@@ -287,6 +1078,10 @@ async function initializeApp() {
   try {
     console.log('🚀 ToneTracker v2.0.0 initializing...');
     
+    // Move saved data to IndexedDB where available before anything reads it
+    const storageBackend = await storage.init();
+    console.log('💾 Storage backend:', storageBackend);
+    
     // Track app startup
     trackEvent(EVENT_TYPES.SESSION_START, {
       version: '2.0.0',
@@ -300,7 +1095,15 @@ async function initializeApp() {
     
     // Initialize all systems
     await initializeI18nAndPreferences();
+    bindGameState();
     initializeEventListeners();
+    initializeInputPanels();
+    initializeColorPicker();
+    initializeReplayViewer();
+    initializeHistoryPanel();
+    initializeAchievementsPanel();
+    initializeSettingsPanel();
+    initializeProfiles();
     initializePerformanceMonitoring();
     initializeAnalytics();
     
@@ -311,11 +1114,14 @@ async function initializeApp() {
     
     console.log('✅ App initialization complete');
     
-    // Load and display initial statistics
+    // Load and display initial statistics, and again whenever another tab finishes a game
     updateStatistics();
+    storage.subscribe(STORAGE_KEYS.GAME_STATISTICS, () => updateStatistics());
     
-    // Start the first game automatically
-    startGame();
+    // Start the game of a challenge link, or the first game automatically
+    if (!startChallengeFromUrl()) {
+      startGame();
+    }
     
     // Track successful initialization
     trackEvent(EVENT_TYPES.FEATURE_USED, {
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Versioned schema migrations for persisted data
+ * Every stored object carries a `version`. Migrations are listed in version
+ * order and upgrade single keys one version at a time, so data saved by any
+ * earlier release walks the whole chain. Keys are spelled out rather than
+ * taken from STORAGE_KEYS: a migration describes data as an old release
+ * stored it, which must not change when a key is renamed later.
+ */
+
+import { ToneTrackerError, ERROR_CATEGORIES, ERROR_LEVELS } from './errorHandler.js';
+
+/**
+ * Fill in the fields an older release did not store
+ * @private
+ */
+const fillDefaults = (data, { key, defaults = {} }) => ({ ...defaults[key], ...data });
+
+/**
+ * Ordered migration registry. `up` maps storage keys to functions taking the
+ * stored value and a context ({key, defaults}) and returning the upgraded value.
+ * @readonly
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill in fields missing from unversioned data',
+    up: {
+      tonetracker_game_stats: fillDefaults,
+      tonetracker_user_prefs: fillDefaults,
+      tonetracker_high_scores: fillDefaults
+    }
+  },
+  {
+    version: 2,
+    description: 'Keep the chosen interface language in preferredLanguage',
+    up: {
+      // `language` was set by the language switcher while the unused
+      // `preferredLanguage` always held the default; null means detect
+      tonetracker_user_prefs: ({ language, ...prefs }) => ({
+        ...prefs,
+        preferredLanguage: language || null
+      })
+    }
+  }
+];
+
+/**
+ * Schema version written by this release
+ */
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Get the schema version of a stored value; data from before versioning is 0
+ * @param {*} value - Stored value
+ * @returns {number} Schema version
+ */
+export function getSchemaVersion(value) {
+  return Number.isInteger(value?.version) ? value.version : 0;
+}
+
+/**
+ * Run the migrations a snapshot of stored data needs. The snapshot is left
+ * untouched, so a migration that throws leaves nothing half-upgraded.
+ * @param {Object<string, *>} snapshot - Stored values by key; missing keys are skipped
+ * @param {Object} [options] - Options
+ * @param {Array<Object>} [options.migrations=MIGRATIONS] - Registry to run
+ * @param {Object} [options.context] - Extra context for the migrations ({defaults})
+ * @returns {{data: Object<string, *>, applied: Array<{version: number, key: string, description: string}>}}
+ *   Upgraded values of the changed keys and the steps that ran, in order
+ * @throws {ToneTrackerError} When a migration fails
+ */
+export function runMigrations(snapshot, { migrations = MIGRATIONS, context = {} } = {}) {
+  const data = {};
+  const applied = [];
+
+  migrations.forEach(({ version, description, up }) => {
+    Object.entries(up).forEach(([key, migrate]) => {
+      const value = key in data ? data[key] : snapshot[key];
+      if (!value || typeof value !== 'object' || getSchemaVersion(value) >= version) {
+        return;
+      }
+
+      try {
+        // Work on a copy so a migration cannot reach into the snapshot
+        const upgraded = migrate(JSON.parse(JSON.stringify(value)), { ...context, key });
+        data[key] = { ...upgraded, version };
+      } catch (error) {
+        throw new ToneTrackerError(
+          `Migration to schema v${version} failed for ${key}: ${error.message}`,
+          ERROR_CATEGORIES.STORAGE,
+          ERROR_LEVELS.ERROR,
+          { version, key, applied, error: error.message }
+        );
+      }
+      applied.push({ version, key, description });
+    });
+  });
+
+  return { data, applied };
+}
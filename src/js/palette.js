@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Palette memory mode helpers
+ * The player memorizes several swatches at once and reproduces each of them,
+ * either in the order shown or in any order. In any-order games guesses are
+ * matched to targets with the assignment that minimizes the total Delta E.
+ */
+
+import { calculateColorDifference, generateRandomColor, DEFAULT_COLOR_METRIC } from './colorUtils.js';
+import { ToneTrackerError, ERROR_CATEGORIES, ERROR_LEVELS } from './errorHandler.js';
+
+/**
+ * Number of swatches a palette game can show
+ * @readonly
+ */
+export const PALETTE_SIZES = [2, 3, 4, 5];
+
+/**
+ * How guesses are matched to targets
+ * @readonly
+ * @enum {string}
+ */
+export const PALETTE_ORDERS = {
+  ORDERED: 'ordered',
+  ANY: 'any'
+};
+
+/**
+ * Average per-swatch accuracy needed to win a palette game
+ */
+export const PALETTE_WIN_ACCURACY = 90;
+
+/**
+ * Memorize time for a palette: the classic 3 seconds plus 1.5 seconds per extra swatch
+ * @param {number} size - Number of swatches
+ * @returns {number} Memorize time in milliseconds
+ */
+export function getPaletteMemorizeTime(size) {
+  return 3000 + 1500 * (size - 1);
+}
+
+/**
+ * Generate the target swatches of a palette game
+ * @param {number} size - Number of swatches (one of PALETTE_SIZES)
+ * @param {Function} [rng=Math.random] - Random number generator
+ * @returns {string[]} Target hex colors
+ * @throws {ToneTrackerError} When the size is not supported
+ */
+export function generatePalette(size, rng = Math.random) {
+  if (!PALETTE_SIZES.includes(size)) {
+    throw new ToneTrackerError(
+      `Unsupported palette size: ${size}`,
+      ERROR_CATEGORIES.VALIDATION,
+      ERROR_LEVELS.ERROR,
+      { size, allowed: PALETTE_SIZES }
+    );
+  }
+
+  return Array.from({ length: size }, () => generateRandomColor(rng));
+}
+
+/**
+ * Solve the assignment problem for a square cost matrix (Hungarian algorithm, O(n³))
+ * @param {number[][]} cost - cost[row][column]
+ * @returns {number[]} For every row, the column assigned to it
+ */
+export function solveAssignment(cost) {
+  const n = cost.length;
+  if (n === 0) return [];
+
+  // 1-based potentials and matching as in the classic formulation
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const matchedRow = new Array(n + 1).fill(0); // column -> row
+  const way = new Array(n + 1).fill(0);
+
+  for (let row = 1; row <= n; row++) {
+    matchedRow[0] = row;
+    let column = 0;
+    const minSlack = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+
+    do {
+      used[column] = true;
+      const currentRow = matchedRow[column];
+      let delta = Infinity;
+      let nextColumn = 0;
+
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+        const slack = cost[currentRow - 1][j - 1] - u[currentRow] - v[j];
+        if (slack < minSlack[j]) {
+          minSlack[j] = slack;
+          way[j] = column;
+        }
+        if (minSlack[j] < delta) {
+          delta = minSlack[j];
+          nextColumn = j;
+        }
+      }
+
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) {
+          u[matchedRow[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minSlack[j] -= delta;
+        }
+      }
+      column = nextColumn;
+    } while (matchedRow[column] !== 0);
+
+    do {
+      const previousColumn = way[column];
+      matchedRow[column] = matchedRow[previousColumn];
+      column = previousColumn;
+    } while (column !== 0);
+  }
+
+  const assignment = new Array(n);
+  for (let j = 1; j <= n; j++) {
+    assignment[matchedRow[j] - 1] = j - 1;
+  }
+  return assignment;
+}
+
+/**
+ * Convert a Delta E value to an accuracy percentage, as for single-color games
+ * @private
+ */
+function deltaEToAccuracy(deltaE) {
+  return Math.round(Math.max(0, Math.min(100, 100 - deltaE)) * 100) / 100;
+}
+
+/**
+ * Score the player's guesses against the palette
+ * @param {string[]} targets - Target hex colors
+ * @param {string[]} guesses - Guessed hex colors, one per target
+ * @param {Object} [options] - Scoring options
+ * @param {string} [options.order='ordered'] - PALETTE_ORDERS value
+ * @param {string} [options.metric=DEFAULT_COLOR_METRIC] - Registered color metric name
+ * @returns {{swatches: Array<Object>, averageDeltaE: number, accuracy: number}}
+ *   Per-swatch matches ({target, guess, deltaE, accuracy}) in target order and averages
+ */
+export function scorePalette(targets, guesses, { order = PALETTE_ORDERS.ORDERED, metric = DEFAULT_COLOR_METRIC } = {}) {
+  if (guesses.length !== targets.length) {
+    throw new ToneTrackerError(
+      `Expected ${targets.length} guesses, got ${guesses.length}`,
+      ERROR_CATEGORIES.VALIDATION,
+      ERROR_LEVELS.ERROR,
+      { targets: targets.length, guesses: guesses.length }
+    );
+  }
+
+  const cost = targets.map((target) =>
+    guesses.map((guess) => calculateColorDifference(guess, target, metric))
+  );
+  const assignment = order === PALETTE_ORDERS.ANY
+    ? solveAssignment(cost)
+    : targets.map((_, index) => index);
+
+  const swatches = targets.map((target, index) => {
+    const deltaE = cost[index][assignment[index]];
+    return {
+      target,
+      guess: guesses[assignment[index]],
+      deltaE: Math.round(deltaE * 100) / 100,
+      accuracy: deltaEToAccuracy(deltaE)
+    };
+  });
+
+  const averageDeltaE = swatches.reduce((sum, swatch) => sum + swatch.deltaE, 0) / swatches.length;
+  const accuracy = swatches.reduce((sum, swatch) => sum + swatch.accuracy, 0) / swatches.length;
+
+  return {
+    swatches,
+    averageDeltaE: Math.round(averageDeltaE * 100) / 100,
+    accuracy: Math.round(accuracy * 100) / 100
+  };
+}
+
+/**
+ * Points for a scored palette: every swatch is worth the difficulty's base
+ * score weighted by its accuracy, minus the difficulty's time decay per elapsed second
+ * @param {Array<Object>} swatches - Scored swatches
+ * @param {number} baseScore - Difficulty base score
+ * @param {number} elapsedSeconds - Seconds since the reproduce phase started
+ * @param {number} [timeBonusDecay=1] - Points lost per second
+ * @returns {number} Palette score
+ */
+export function calculatePaletteScore(swatches, baseScore, elapsedSeconds, timeBonusDecay = 1) {
+  const points = swatches.reduce(
+    (sum, swatch) => sum + Math.round((baseScore * swatch.accuracy) / 100),
+    0
+  );
+  return Math.max(0, points - Math.round(elapsedSeconds * timeBonusDecay));
+}
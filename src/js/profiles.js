@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Player profiles
+ * Several players can share one device, each with their own statistics,
+ * preferences, scores and history. The registry of profiles is stored once;
+ * the profile data lives under the usual storage keys with the profile id
+ * appended (see getProfileKey). The default profile keeps the unsuffixed
+ * keys, so the data stored before profiles existed becomes its data.
+ */
+
+import { ToneTrackerError, ERROR_CATEGORIES, ERROR_LEVELS } from './errorHandler.js';
+import { STRINGS } from './strings.js';
+
+/**
+ * Id of the profile created for the data stored before profiles existed
+ */
+export const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * Longest profile name
+ */
+export const MAX_PROFILE_NAME_LENGTH = 20;
+
+/**
+ * Separator between a storage key and the profile id
+ * @private
+ */
+const PROFILE_KEY_SEPARATOR = '@';
+
+/**
+ * Get the storage key of a profile's copy of a value
+ * @param {string} key - Storage key
+ * @param {string} profileId - Profile id
+ * @returns {string} Key of the value in that profile
+ */
+export function getProfileKey(key, profileId) {
+  return profileId === DEFAULT_PROFILE_ID ? key : `${key}${PROFILE_KEY_SEPARATOR}${profileId}`;
+}
+
+/**
+ * Split a storage key into the key and the profile it belongs to
+ * @param {string} key - Stored key
+ * @param {string[]} keys - Storage keys kept per profile
+ * @returns {{key: string, profileId: string}|null} Key and profile id, or null for
+ *   keys shared by every profile
+ */
+export function parseProfileKey(key, keys) {
+  const [base, profileId = DEFAULT_PROFILE_ID] = key.split(PROFILE_KEY_SEPARATOR);
+  return keys.includes(base) ? { key: base, profileId } : null;
+}
+
+/**
+ * Create the registry with the default profile as the only, active one
+ * @param {string} [createdAt=new Date().toISOString()] - Creation time
+ * @returns {{activeId: string, profiles: Array<{id: string, name: string, createdAt: string}>}}
+ *   Registry
+ */
+export function createProfileRegistry(createdAt = new Date().toISOString()) {
+  return {
+    activeId: DEFAULT_PROFILE_ID,
+    profiles: [{ id: DEFAULT_PROFILE_ID, name: STRINGS.profiles.defaultName, createdAt }]
+  };
+}
+
+/**
+ * Throw the error of a rejected profile change
+ * @private
+ */
+function rejectProfile(reason, context) {
+  throw new ToneTrackerError(
+    `Invalid profile change: ${reason}`,
+    ERROR_CATEGORIES.VALIDATION,
+    ERROR_LEVELS.WARN,
+    { reason, ...context }
+  );
+}
+
+/**
+ * Find a profile in the registry
+ * @param {Object} registry - Profile registry
+ * @param {string} id - Profile id
+ * @returns {Object} Profile
+ * @throws {ToneTrackerError} When there is no such profile
+ */
+export function findProfile(registry, id) {
+  const profile = registry.profiles.find((entry) => entry.id === id);
+  if (!profile) rejectProfile('unknown profile', { id });
+  return profile;
+}
+
+/**
+ * Check a profile name: trimmed, not empty, and not used by another profile
+ * @private
+ */
+function checkName(registry, name, exceptId = null) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+    rejectProfile(`name must be 1-${MAX_PROFILE_NAME_LENGTH} characters`, { name });
+  }
+  const taken = registry.profiles.some(
+    (profile) => profile.id !== exceptId && profile.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (taken) rejectProfile('name taken', { name: trimmed });
+  return trimmed;
+}
+
+/**
+ * Add a profile
+ * @param {Object} registry - Profile registry
+ * @param {string} name - Profile name
+ * @returns {{registry: Object, profile: Object}} New registry and the profile added
+ * @throws {ToneTrackerError} When the name is empty, too long or taken
+ */
+export function addProfile(registry, name) {
+  const profile = {
+    id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: checkName(registry, name),
+    createdAt: new Date().toISOString()
+  };
+  return { registry: { ...registry, profiles: [...registry.profiles, profile] }, profile };
+}
+
+/**
+ * Rename a profile
+ * @param {Object} registry - Profile registry
+ * @param {string} id - Profile id
+ * @param {string} name - New name
+ * @returns {Object} New registry
+ * @throws {ToneTrackerError} When the profile is unknown or the name is invalid
+ */
+export function renameProfile(registry, id, name) {
+  findProfile(registry, id);
+  const trimmed = checkName(registry, name, id);
+  return {
+    ...registry,
+    profiles: registry.profiles.map((profile) => (profile.id === id ? { ...profile, name: trimmed } : profile))
+  };
+}
+
+/**
+ * Remove a profile; removing the active one activates the first remaining
+ * @param {Object} registry - Profile registry
+ * @param {string} id - Profile id
+ * @returns {Object} New registry
+ * @throws {ToneTrackerError} When the profile is unknown or the last one
+ */
+export function removeProfile(registry, id) {
+  findProfile(registry, id);
+  if (registry.profiles.length === 1) rejectProfile('last profile', { id });
+
+  const profiles = registry.profiles.filter((profile) => profile.id !== id);
+  return { activeId: registry.activeId === id ? profiles[0].id : registry.activeId, profiles };
+}
+
+/**
+ * Rank profiles by their best score, then by wins
+ * @param {Array<{profile: Object, stats: Object|null}>} entries - Every profile with its
+ *   game statistics
+ * @returns {Array<{id: string, name: string, bestScore: number, gamesWon: number,
+ *   totalGames: number, winRate: number, achievements: number}>} Leaderboard rows
+ */
+export function rankProfiles(entries) {
+  return entries
+    .map(({ profile, stats }) => {
+      const { bestScore = 0, gamesWon = 0, totalGames = 0, achievements = [] } = stats || {};
+      return {
+        id: profile.id,
+        name: profile.name,
+        bestScore,
+        gamesWon,
+        totalGames,
+        winRate: totalGames > 0 ? Math.round((gamesWon / totalGames) * 100) : 0,
+        achievements: achievements.length
+      };
+    })
+    .sort((a, b) => b.bestScore - a.bestScore || b.gamesWon - a.gamesWon);
+}
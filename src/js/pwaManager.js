@@ -5,6 +5,7 @@
 
 import { analytics, EVENT_TYPES } from './analytics.js';
 import { ToneTrackerError, ERROR_CATEGORIES, ERROR_LEVELS } from './errorHandler.js';
+import { storage } from './storage.js';
 
 /**
  * PWA Manager class for handling Progressive Web App features
@@ -606,6 +607,13 @@ export class PWAManager {
           localStorage.removeItem(key);
         }
       });
+
+      // Game data lives in IndexedDB where available; the keys listed belong to every profile
+      const storedKeys = await storage.keys();
+      storedKeys
+        .filter(key => !keysToKeep.includes(key))
+        .forEach(key => storage.removeKey(key));
+      await storage.flush();
       
       console.log('🧹 App data cleared');
       
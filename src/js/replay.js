@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Game replay recording and playback
+ * Every color input of a game is recorded as a timestamped event. Stored
+ * replays are compact: events are `[delta ms, type code, hex without '#']`
+ * tuples, and drags that fire many input events are coalesced.
+ */
+
+import { ToneTrackerError, ERROR_CATEGORIES, ERROR_LEVELS } from './errorHandler.js';
+
+/**
+ * Replay format version
+ */
+export const REPLAY_VERSION = 1;
+
+/**
+ * Recorded input types
+ * @readonly
+ * @enum {string}
+ */
+export const REPLAY_EVENT_TYPES = {
+  TYPE: 'type',
+  PICKER: 'picker',
+  STEP: 'step',
+  SLIDER: 'slider',
+  HINT: 'hint',
+  CHECK: 'check'
+};
+
+/**
+ * One-letter codes of the input types in stored replays
+ * @private
+ */
+const TYPE_CODES = {
+  [REPLAY_EVENT_TYPES.TYPE]: 't',
+  [REPLAY_EVENT_TYPES.PICKER]: 'p',
+  [REPLAY_EVENT_TYPES.STEP]: 's',
+  [REPLAY_EVENT_TYPES.SLIDER]: 'l',
+  [REPLAY_EVENT_TYPES.HINT]: 'h',
+  [REPLAY_EVENT_TYPES.CHECK]: 'c'
+};
+
+const CODE_TYPES = Object.fromEntries(
+  Object.entries(TYPE_CODES).map(([type, code]) => [code, type])
+);
+
+/**
+ * Continuous inputs closer together than this (ms) keep only the latest color
+ * @private
+ */
+const COALESCE_WINDOW = 100;
+
+const COALESCED_TYPES = new Set([
+  REPLAY_EVENT_TYPES.TYPE,
+  REPLAY_EVENT_TYPES.PICKER,
+  REPLAY_EVENT_TYPES.SLIDER
+]);
+
+const HEX_PATTERN = /^[0-9A-F]{6}$/;
+const TARGET_PATTERN = /^#[0-9A-F]{6}$/i;
+
+/**
+ * Records the inputs of one game
+ */
+export class ReplayRecorder {
+  /**
+   * @param {Object} game - Game being recorded
+   * @param {string} game.seed - Game seed
+   * @param {string} game.difficulty - Difficulty level
+   * @param {string} game.mode - Game mode
+   * @param {string} game.target - First target hex color
+   * @param {string[]} [game.targets] - Every target of a palette game
+   * @param {Object} [options] - Recorder options
+   * @param {Function} [options.now=Date.now] - Clock
+   */
+  constructor({ seed, difficulty, mode, target, targets = [] }, { now = Date.now } = {}) {
+    this.game = { seed, difficulty, mode, target, targets };
+    this.now = now;
+    this.startTime = null;
+    this.events = [];
+  }
+
+  /**
+   * Start the replay clock; inputs before this are ignored
+   * @param {number} [startTime] - Time guessing started
+   */
+  start(startTime = this.now()) {
+    this.startTime = startTime;
+    this.events = [];
+  }
+
+  /**
+   * Whether inputs are being recorded
+   * @returns {boolean} Whether the clock runs
+   */
+  isRecording() {
+    return this.startTime !== null;
+  }
+
+  /**
+   * Record an input
+   * @param {string} type - REPLAY_EVENT_TYPES value
+   * @param {string|null} color - Player's color after the input
+   */
+  record(type, color) {
+    if (!this.isRecording() || !TYPE_CODES[type]) return;
+
+    const event = {
+      time: Math.max(0, this.now() - this.startTime),
+      type,
+      color: color ? color.toUpperCase() : null
+    };
+    const last = this.events[this.events.length - 1];
+
+    if (last && last.type === type && COALESCED_TYPES.has(type)) {
+      // One sample per window while dragging: the earlier time, the latest color
+      if (event.time - last.time < COALESCE_WINDOW) {
+        last.color = event.color;
+        return;
+      }
+      if (last.color === event.color) return;
+    }
+
+    this.events.push(event);
+  }
+
+  /**
+   * Stop recording and build the stored replay
+   * @param {Object} [result] - Game result ({won, score, accuracy})
+   * @returns {Object} Compact replay
+   */
+  finish({ won = false, score = 0, accuracy = 0 } = {}) {
+    const replay = encodeReplay({
+      ...this.game,
+      recordedAt: new Date().toISOString(),
+      result: { won, score, accuracy },
+      events: this.events
+    });
+    this.startTime = null;
+    return replay;
+  }
+}
+
+/**
+ * Build a compact replay from expanded events
+ * @param {Object} replay - Replay with `events` as {time, type, color} objects
+ * @returns {Object} Compact replay
+ */
+export function encodeReplay({ events, targets = [], ...meta }) {
+  let previous = 0;
+  return {
+    v: REPLAY_VERSION,
+    ...meta,
+    ...(targets.length > 0 && { targets }),
+    events: events.map(({ time, type, color }) => {
+      const tuple = [time - previous, TYPE_CODES[type], color ? color.slice(1) : ''];
+      previous = time;
+      return tuple;
+    })
+  };
+}
+
+/**
+ * Expand the events of a compact replay
+ * @param {Object} replay - Compact replay
+ * @returns {Array<{time: number, type: string, color: string|null}>} Events with
+ *   times measured from the start of guessing
+ */
+export function expandReplayEvents(replay) {
+  let time = 0;
+  return replay.events.map(([delta, code, hex]) => {
+    time += delta;
+    return { time, type: CODE_TYPES[code], color: hex ? `#${hex}` : null };
+  });
+}
+
+/**
+ * Validate an imported replay
+ * @param {string|Object} input - Replay JSON text or parsed object
+ * @returns {Object} Compact replay
+ * @throws {ToneTrackerError} When the input is not a replay
+ */
+export function parseReplay(input) {
+  const fail = (reason) => new ToneTrackerError(
+    `Invalid replay: ${reason}`,
+    ERROR_CATEGORIES.VALIDATION,
+    ERROR_LEVELS.WARN,
+    { reason }
+  );
+
+  let replay = input;
+  if (typeof input === 'string') {
+    try {
+      replay = JSON.parse(input);
+    } catch {
+      throw fail('not JSON');
+    }
+  }
+
+  if (!replay || typeof replay !== 'object') throw fail('not an object');
+  if (replay.v !== REPLAY_VERSION) throw fail(`unsupported version ${replay.v}`);
+  if (!TARGET_PATTERN.test(replay.target)) {
+    throw fail('missing target color');
+  }
+  if (!Array.isArray(replay.events)) throw fail('missing events');
+
+  replay.events.forEach((event, index) => {
+    const valid =
+      Array.isArray(event) &&
+      Number.isInteger(event[0]) &&
+      event[0] >= 0 &&
+      CODE_TYPES[event[1]] !== undefined &&
+      (event[2] === '' || HEX_PATTERN.test(event[2]));
+    if (!valid) throw fail(`malformed event ${index}`);
+  });
+
+  return replay;
+}
+
+/**
+ * Length of a replay
+ * @param {Array<{time: number}>} events - Expanded events
+ * @returns {number} Time of the last event in ms
+ */
+export function getReplayDuration(events) {
+  return events.length > 0 ? events[events.length - 1].time : 0;
+}
+
+/**
+ * Find the last event at or before a point of the replay
+ * @param {Array<{time: number}>} events - Expanded events, sorted by time
+ * @param {number} time - Replay time in ms
+ * @returns {number} Event index, -1 before the first event
+ */
+export function getEventIndexAt(events, time) {
+  let low = 0;
+  let high = events.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (events[middle].time <= time) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return found;
+}
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Step-by-step replay viewer
+ * Re-animates the player's color swatch from a recorded replay, with a
+ * scrubber to jump to any point of the game.
+ */
+
+import { STRINGS } from './strings.js';
+import {
+  REPLAY_EVENT_TYPES,
+  expandReplayEvents,
+  getReplayDuration,
+  getEventIndexAt
+} from './replay.js';
+
+/**
+ * Plays a replay back into a set of elements
+ */
+export class ReplayViewer {
+  /**
+   * @param {Object} elements - Viewer elements
+   * @param {HTMLElement} elements.swatch - Swatch showing the player's color
+   * @param {HTMLElement} elements.targetSwatch - Swatch showing the target
+   * @param {HTMLInputElement} elements.scrubber - Range input over the replay time
+   * @param {HTMLButtonElement} elements.playButton - Play/pause button
+   * @param {HTMLElement} elements.eventLabel - Description of the current event
+   */
+  constructor({ swatch, targetSwatch, scrubber, playButton, eventLabel }) {
+    this.swatch = swatch;
+    this.targetSwatch = targetSwatch;
+    this.scrubber = scrubber;
+    this.playButton = playButton;
+    this.eventLabel = eventLabel;
+
+    this.replay = null;
+    this.events = [];
+    this.colors = [];
+    this.duration = 0;
+    this.time = 0;
+    this.frame = null;
+    this.lastFrameTime = null;
+
+    this.onScrub = () => {
+      this.pause();
+      this.seek(Number(this.scrubber.value));
+    };
+    this.onPlayClick = () => this.toggle();
+    this.scrubber.addEventListener('input', this.onScrub);
+    this.playButton.addEventListener('click', this.onPlayClick);
+  }
+
+  /**
+   * Show a replay from its start
+   * @param {Object|null} replay - Compact replay, or null to clear the viewer
+   */
+  load(replay) {
+    this.pause();
+    this.replay = replay;
+    this.events = replay ? expandReplayEvents(replay) : [];
+    // Inputs without a color (a hint before any guess) keep the previous one
+    let color = null;
+    this.colors = this.events.map((event) => (color = event.color || color));
+    this.duration = getReplayDuration(this.events);
+    this.scrubber.max = String(this.duration);
+    this.scrubber.disabled = !replay;
+    this.playButton.disabled = !replay;
+    this.seek(0);
+  }
+
+  /**
+   * Jump to a point of the replay
+   * @param {number} time - Replay time in ms
+   */
+  seek(time) {
+    this.time = Math.max(0, Math.min(time, this.duration));
+    this.scrubber.value = String(this.time);
+    this.render();
+  }
+
+  play() {
+    if (!this.replay || this.frame !== null) return;
+    if (this.time >= this.duration) {
+      this.seek(0);
+    }
+
+    this.lastFrameTime = null;
+    this.playButton.textContent = STRINGS.replay.pause;
+    this.frame = requestAnimationFrame((timestamp) => this.step(timestamp));
+  }
+
+  pause() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.playButton.textContent = STRINGS.replay.play;
+  }
+
+  toggle() {
+    if (this.frame !== null) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Advance playback by the time since the previous frame
+   * @private
+   * @param {number} timestamp - Frame timestamp
+   */
+  step(timestamp) {
+    const elapsed = this.lastFrameTime === null ? 0 : timestamp - this.lastFrameTime;
+    this.lastFrameTime = timestamp;
+    this.seek(this.time + elapsed);
+
+    if (this.time >= this.duration) {
+      this.frame = null;
+      this.pause();
+      return;
+    }
+    this.frame = requestAnimationFrame((next) => this.step(next));
+  }
+
+  /**
+   * Paint the swatches and label for the current time
+   * @private
+   */
+  render() {
+    if (!this.replay) {
+      this.swatch.style.backgroundColor = '';
+      this.targetSwatch.style.backgroundColor = '';
+      this.eventLabel.textContent = STRINGS.replay.empty;
+      return;
+    }
+
+    const index = getEventIndexAt(this.events, this.time);
+    const event = index >= 0 ? this.events[index] : null;
+    this.swatch.style.backgroundColor = (index >= 0 && this.colors[index]) || '';
+    this.targetSwatch.style.backgroundColor = this.getTargetAt(index);
+    this.eventLabel.textContent = event
+      ? STRINGS.replay.event(
+          (event.time / 1000).toFixed(1),
+          STRINGS.replay.eventTypes[event.type],
+          event.color
+        )
+      : STRINGS.replay.start(this.events.length);
+  }
+
+  /**
+   * Target being guessed after an event; palette games move on with every check
+   * @private
+   * @param {number} index - Event index
+   * @returns {string} Target hex color
+   */
+  getTargetAt(index) {
+    const { target, targets } = this.replay;
+    if (!targets || targets.length === 0) return target;
+
+    const checks = this.events
+      .slice(0, index)
+      .filter((event) => event.type === REPLAY_EVENT_TYPES.CHECK).length;
+    return targets[Math.min(checks, targets.length - 1)];
+  }
+
+  /**
+   * Stop playback and remove the listeners
+   */
+  destroy() {
+    this.pause();
+    this.scrubber.removeEventListener('input', this.onScrub);
+    this.playButton.removeEventListener('click', this.onPlayClick);
+  }
+}
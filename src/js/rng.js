@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Seedable pseudo-random number generator
+ * Lets a game be reproduced from its seed: the same seed and difficulty
+ * always yield the same target color and computer hints.
+ */
+
+/**
+ * Characters used for generated seeds (no ambiguous 0/O, 1/I/L)
+ * @private
+ */
+const SEED_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+/**
+ * Length of generated seeds
+ */
+export const SEED_LENGTH = 8;
+
+/**
+ * Hash a seed string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string|number} seed - Seed value
+ * @returns {number} 32-bit unsigned integer
+ */
+export function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a deterministic random number generator (mulberry32)
+ * @param {string|number} seed - Seed value
+ * @returns {Function} Function returning floats in [0, 1), like Math.random
+ */
+export function createRng(seed) {
+  let a = hashSeed(seed);
+  const rng = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.seed = String(seed);
+  return rng;
+}
+
+/**
+ * Normalize a seed typed or pasted by the player
+ * @param {string} seed - Raw seed
+ * @returns {string|null} Trimmed uppercase seed or null when empty
+ */
+export function normalizeSeed(seed) {
+  if (seed === undefined || seed === null) return null;
+  const normalized = String(seed).trim().toUpperCase();
+  return normalized || null;
+}
+
+/**
+ * Generate a new random seed that is short enough to read out or type
+ * @returns {string} Seed string
+ */
+export function generateSeed() {
+  const values = new Uint32Array(SEED_LENGTH);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(values);
+  } else {
+    for (let i = 0; i < SEED_LENGTH; i++) {
+      values[i] = Math.floor(Math.random() * 0x100000000);
+    }
+  }
+
+  let seed = '';
+  for (let i = 0; i < SEED_LENGTH; i++) {
+    seed += SEED_ALPHABET[values[i] % SEED_ALPHABET.length];
+  }
+  return seed;
+}
+
+/**
+ * Pick a random element of an array
+ * @param {Array} items - Items to choose from
+ * @param {Function} [rng=Math.random] - Random number generator
+ * @returns {*} Chosen item
+ */
+export function pick(items, rng = Math.random) {
+  return items[Math.floor(rng() * items.length)];
+}
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Accuracy-based scoring
+ * A guess wins when its Delta E is within the difficulty's threshold, and the
+ * score scales with accuracy, time and the tips used. The exact-match
+ * "Perfectionist" mode keeps the original hex-or-nothing rule.
+ */
+
+import { DIFFICULTIES } from './difficulties.js';
+
+/**
+ * Available scoring modes
+ * @readonly
+ * @enum {string}
+ */
+export const SCORING_MODES = {
+  ACCURACY: 'accuracy',
+  PERFECTIONIST: 'perfectionist'
+};
+
+/**
+ * Share of the base score lost for every extra guess
+ */
+export const GUESS_PENALTY_RATE = 0.1;
+
+/**
+ * Share of the base score lost for every computer tip
+ */
+export const COMPUTER_TIP_PENALTY_RATE = 0.15;
+
+/**
+ * Check whether a guess wins
+ * @param {Object} guess - Guess data
+ * @param {string} guess.difficulty - Difficulty level
+ * @param {number} guess.deltaE - Delta E between guess and target
+ * @param {boolean} guess.exactMatch - Whether the hex codes are identical
+ * @param {string} [mode='accuracy'] - SCORING_MODES value
+ * @param {Object} [difficulties=DIFFICULTIES] - Difficulty table
+ * @returns {boolean} Whether the guess wins
+ */
+export function isWinningGuess(
+  { difficulty, deltaE, exactMatch },
+  mode = SCORING_MODES.ACCURACY,
+  difficulties = DIFFICULTIES
+) {
+  if (mode === SCORING_MODES.PERFECTIONIST) {
+    return exactMatch;
+  }
+  return exactMatch || deltaE <= difficulties[difficulty].winThreshold;
+}
+
+/**
+ * Break a finished game's score down into its parts
+ * Every second spent guessing costs the difficulty's timeBonusDecay in points.
+ * @param {Object} game - Game data
+ * @param {string} game.difficulty - Difficulty level
+ * @param {boolean} game.won - Whether the game was won
+ * @param {number} game.accuracy - Accuracy of the final guess (0-100)
+ * @param {number} game.elapsedSeconds - Seconds from the first possible guess
+ * @param {number} [game.guessesUsed=1] - Guesses submitted, including the final one
+ * @param {number} [game.computerTipsUsed=0] - Computer tips used
+ * @param {string} [mode='accuracy'] - SCORING_MODES value
+ * @param {Object} [difficulties=DIFFICULTIES] - Difficulty table
+ * @returns {{base: number, accuracy: number, accuracyPoints: number, timePenalty: number,
+ *   guessPenalty: number, computerTipPenalty: number, total: number, won: boolean}} Score breakdown
+ */
+export function calculateScoreBreakdown(
+  { difficulty, won, accuracy, elapsedSeconds, guessesUsed = 1, computerTipsUsed = 0 },
+  mode = SCORING_MODES.ACCURACY,
+  difficulties = DIFFICULTIES
+) {
+  const base = difficulties[difficulty].score;
+  const perfectionist = mode === SCORING_MODES.PERFECTIONIST;
+
+  // Perfectionist games keep the original base-minus-seconds score
+  const accuracyPoints = perfectionist ? base : Math.round((base * accuracy) / 100);
+  const timePenalty = Math.max(0, Math.round(elapsedSeconds * (difficulties[difficulty].timeBonusDecay ?? 1)));
+  const guessPenalty = perfectionist
+    ? 0
+    : Math.round(base * GUESS_PENALTY_RATE * Math.max(0, guessesUsed - 1));
+  const computerTipPenalty = perfectionist
+    ? 0
+    : Math.round(base * COMPUTER_TIP_PENALTY_RATE * computerTipsUsed);
+
+  const total = won
+    ? Math.max(0, accuracyPoints - timePenalty - guessPenalty - computerTipPenalty)
+    : 0;
+
+  return {
+    base,
+    accuracy,
+    accuracyPoints,
+    timePenalty,
+    guessPenalty,
+    computerTipPenalty,
+    total,
+    won
+  };
+}
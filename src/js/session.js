@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Multi-round session ("match") helpers
+ * A session plays a fixed number of rounds on one difficulty; every round is
+ * scored on its own and the session total is the sum of the round scores.
+ */
+
+import { ToneTrackerError, ERROR_CATEGORIES, ERROR_LEVELS } from './errorHandler.js';
+
+/**
+ * Round counts a session can be played with
+ * @readonly
+ */
+export const SESSION_ROUND_OPTIONS = [5, 10, 20];
+
+/**
+ * Create a new session
+ * @param {Object} options - Session options
+ * @param {number} options.rounds - Number of rounds (one of SESSION_ROUND_OPTIONS)
+ * @param {string} options.difficulty - Difficulty every round is played on
+ * @param {string} options.seed - Session seed; round seeds are derived from it
+ * @returns {Object} Session
+ * @throws {ToneTrackerError} When the round count is not supported
+ */
+export function createSession({ rounds, difficulty, seed }) {
+  if (!SESSION_ROUND_OPTIONS.includes(rounds)) {
+    throw new ToneTrackerError(
+      `Unsupported session length: ${rounds}`,
+      ERROR_CATEGORIES.VALIDATION,
+      ERROR_LEVELS.ERROR,
+      { rounds, allowed: SESSION_ROUND_OPTIONS }
+    );
+  }
+
+  return {
+    id: `session_${Date.now()}`,
+    rounds,
+    difficulty,
+    seed,
+    results: [],
+    startedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Get the seed of a session round
+ * @param {Object} session - Session
+ * @param {number} round - 1-based round number
+ * @returns {string} Round seed
+ */
+export function getRoundSeed(session, round) {
+  return `${session.seed}-${round}`;
+}
+
+/**
+ * Get the 1-based number of the round to play next
+ * @param {Object} session - Session
+ * @returns {number} Next round number
+ */
+export function getNextRound(session) {
+  return session.results.length + 1;
+}
+
+/**
+ * Check whether every round of a session has been played
+ * @param {Object} session - Session
+ * @returns {boolean} Whether the session is complete
+ */
+export function isSessionComplete(session) {
+  return session.results.length >= session.rounds;
+}
+
+/**
+ * Get the sum of the round scores played so far
+ * @param {Object} session - Session
+ * @returns {number} Session total
+ */
+export function getSessionTotal(session) {
+  return session.results.reduce((total, result) => total + result.score, 0);
+}
+
+/**
+ * Return a session with one more round result
+ * @param {Object} session - Session
+ * @param {Object} result - Round result ({won, score, accuracy, time, targetColor, guess, seed})
+ * @returns {Object} Updated session
+ */
+export function addRoundResult(session, result) {
+  return {
+    ...session,
+    results: [...session.results, { round: getNextRound(session), ...result }]
+  };
+}
+
+/**
+ * Summarize a session for the summary table and storage
+ * @param {Object} session - Session
+ * @returns {Object} Summary with totals and averages
+ */
+export function summarizeSession(session) {
+  const played = session.results.length;
+  const wins = session.results.filter((result) => result.won).length;
+  const accuracySum = session.results.reduce((sum, result) => sum + (result.accuracy || 0), 0);
+  const timeSum = session.results.reduce((sum, result) => sum + (result.time || 0), 0);
+
+  return {
+    rounds: session.rounds,
+    played,
+    wins,
+    totalScore: getSessionTotal(session),
+    averageAccuracy: played > 0 ? Math.round((accuracySum / played) * 100) / 100 : 0,
+    totalTime: timeSum
+  };
+}
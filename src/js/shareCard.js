@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Shareable result cards
+ * The text card is spoiler-free: an emoji grid of per-attempt accuracy bands
+ * with the mode, difficulty, score and time, but no colors. The PNG card is
+ * drawn on an offscreen canvas and shows the target and guess swatches.
+ */
+
+import { STRINGS } from './strings.js';
+
+/**
+ * Accuracy bands of the emoji grid, best first
+ * @readonly
+ */
+export const ACCURACY_BANDS = [
+  { min: 95, emoji: '🟩', color: '#2E7D32' },
+  { min: 85, emoji: '🟨', color: '#F9A825' },
+  { min: 70, emoji: '🟧', color: '#EF6C00' },
+  { min: 0, emoji: '🟥', color: '#C62828' }
+];
+
+/**
+ * Grid cell of an attempt the player did not need
+ */
+export const UNUSED_ATTEMPT = '⬜';
+
+/**
+ * Size of the PNG card in pixels
+ * @readonly
+ */
+export const CARD_SIZE = { width: 600, height: 315 };
+
+/**
+ * Display names of modes and difficulties, falling back to the key; custom
+ * difficulties carry their own name
+ * @private
+ */
+const getModeName = (mode) => STRINGS.modeNames[mode] || mode;
+const getDifficultyName = (difficulty, name) => name || STRINGS.difficultyNames[difficulty] || difficulty;
+
+/**
+ * Get the band an accuracy falls into
+ * @param {number} accuracy - Accuracy percentage
+ * @returns {{min: number, emoji: string, color: string}} Accuracy band
+ */
+export function getAccuracyBand(accuracy) {
+  return ACCURACY_BANDS.find((band) => accuracy >= band.min) || ACCURACY_BANDS[ACCURACY_BANDS.length - 1];
+}
+
+/**
+ * Build the emoji grid of a game
+ * @param {number[]} attempts - Accuracy of every attempt (or swatch) in order
+ * @param {number} maxAttempts - Attempts the game allowed
+ * @returns {string} Emoji row
+ */
+export function buildShareGrid(attempts, maxAttempts) {
+  const cells = attempts.map((accuracy) => getAccuracyBand(accuracy).emoji);
+  while (cells.length < maxAttempts) {
+    cells.push(UNUSED_ATTEMPT);
+  }
+  return cells.join('');
+}
+
+/**
+ * Build the spoiler-free text card
+ * @param {Object} card - Finished game summary
+ * @param {string} card.mode - Game mode
+ * @param {string} card.difficulty - Difficulty level
+ * @param {string} [card.difficultyName] - Name of a custom difficulty
+ * @param {boolean} card.won - Whether the game was won
+ * @param {number} card.score - Final score
+ * @param {number} card.time - Game time in ms
+ * @param {number[]} card.attempts - Accuracy of every attempt, or of every swatch in palette games
+ * @param {number} card.maxAttempts - Attempts (or swatches) the game allowed
+ * @returns {string} Text to share
+ */
+export function buildShareText({ mode, difficulty, difficultyName, won, score, time, attempts, maxAttempts }) {
+  const grid = buildShareGrid(attempts, maxAttempts);
+  // Palette games are one round of several swatches rather than several tries
+  const tally = mode === 'palette' ? '' : ` ${won ? attempts.length : 'X'}/${maxAttempts}`;
+
+  return [
+    STRINGS.share.title(getModeName(mode), getDifficultyName(difficulty, difficultyName)),
+    grid + tally,
+    STRINGS.share.summary(score, Math.round(time / 1000))
+  ].join('\n');
+}
+
+/**
+ * Draw the PNG card onto a canvas
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas of CARD_SIZE
+ * @param {Object} card - Finished game summary (see buildShareText), plus
+ *   `swatches`: [{target, guess}] pairs to show side by side
+ * @returns {HTMLCanvasElement|OffscreenCanvas} The canvas
+ */
+export function renderShareCard(canvas, card) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const labels = STRINGS.share;
+  const padding = 32;
+
+  ctx.fillStyle = '#1F2937';
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.fillStyle = '#FFFFFF';
+  ctx.textBaseline = 'alphabetic';
+  ctx.font = 'bold 32px sans-serif';
+  ctx.fillText('ToneTracker', padding, 56);
+  ctx.font = '20px sans-serif';
+  ctx.fillText(`${getModeName(card.mode)} · ${getDifficultyName(card.difficulty, card.difficultyName)}`, padding, 88);
+  ctx.fillText(labels.summary(card.score, Math.round(card.time / 1000)), padding, height - padding);
+
+  // Target and guess of every swatch side by side, as large as the width allows
+  const pairs = card.swatches;
+  const gap = 16;
+  const size = Math.min(
+    96,
+    Math.floor((width - 2 * padding - gap * (pairs.length - 1)) / (pairs.length * 2))
+  );
+  const top = 124;
+  ctx.font = '14px sans-serif';
+  pairs.forEach(({ target, guess }, index) => {
+    const x = padding + index * (size * 2 + gap);
+    ctx.fillStyle = target;
+    ctx.fillRect(x, top, size, size);
+    ctx.fillStyle = guess || '#000000';
+    ctx.fillRect(x + size, top, size, size);
+    if (index === 0) {
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillText(labels.target, x, top - 8);
+      ctx.fillText(labels.guess, x + size, top - 8);
+    }
+  });
+
+  // Accuracy bands of the attempts, like the emoji grid
+  const cell = 20;
+  card.attempts.forEach((accuracy, index) => {
+    ctx.fillStyle = getAccuracyBand(accuracy).color;
+    ctx.fillRect(width - padding - (card.attempts.length - index) * (cell + 4), height - padding - cell + 4, cell, cell);
+  });
+
+  return canvas;
+}
+
+/**
+ * Create an offscreen canvas, or a detached canvas element where
+ * OffscreenCanvas is missing
+ * @private
+ */
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Render the PNG card
+ * @param {Object} card - Finished game summary (see renderShareCard)
+ * @param {Object} [options] - Options
+ * @param {Function} [options.canvasFactory] - Creates a canvas from (width, height)
+ * @returns {Promise<Blob>} PNG image
+ */
+export async function createShareImage(card, { canvasFactory = createCanvas } = {}) {
+  const canvas = renderShareCard(canvasFactory(CARD_SIZE.width, CARD_SIZE.height), card);
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type: 'image/png' });
+  }
+  return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+}
+
+/**
+ * Share text through the Web Share API, falling back to the clipboard
+ * @param {string} text - Text to share
+ * @param {Object} [nav=navigator] - Navigator to use
+ * @returns {Promise<string>} 'shared', 'copied', 'cancelled' or 'failed'
+ */
+export async function shareText(text, nav = globalThis.navigator) {
+  if (nav && typeof nav.share === 'function') {
+    try {
+      await nav.share({ text });
+      return 'shared';
+    } catch (error) {
+      if (error && error.name === 'AbortError') return 'cancelled';
+      // Anything else falls through to the clipboard
+    }
+  }
+
+  try {
+    await nav.clipboard.writeText(text);
+    return 'copied';
+  } catch {
+    return 'failed';
+  }
+}
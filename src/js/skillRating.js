@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Player skill rating and adaptive difficulty
+ * Every game is scored like an Elo match between the player and the game:
+ * a classic game is rated by its difficulty, an adaptive one by its level.
+ * The rating picks the level of the next adaptive game, which sets how far
+ * its target is from neutral grey, how close it may come to the edges of the
+ * RGB gamut and how long it is shown. Saturated colors at the gamut edges
+ * (#FF0000, #00FFFF) are the easiest to remember and reproduce; muted,
+ * mid-range ones the hardest.
+ */
+
+import { hslToRgb, rgbToHex } from './colorUtils.js';
+
+/**
+ * Rating of a new player
+ */
+export const INITIAL_RATING = 1200;
+
+/**
+ * Adaptive levels, from easiest to hardest
+ */
+export const MIN_LEVEL = 1;
+export const MAX_LEVEL = 10;
+
+/**
+ * Rating points between two adaptive levels, and the rating of level 1
+ * @private
+ */
+const LEVEL_STEP = 100;
+const LEVEL_BASE_RATING = 800;
+
+/**
+ * Ratings of the fixed difficulties when a classic game is rated
+ * @private
+ */
+const DIFFICULTY_RATINGS = { easy: 1000, medium: 1200, hard: 1400 };
+
+/**
+ * Rating history entries kept for the chart
+ */
+export const RATING_HISTORY_LIMIT = 100;
+
+/**
+ * Adjustment factor: large while the rating settles, smaller once established
+ * @private
+ */
+const getKFactor = (games) => Math.max(16, 48 - games);
+
+/**
+ * Rating a new player starts from
+ * @returns {{rating: number, games: number, history: Array<{date: string, rating: number}>}}
+ */
+export function createSkillRating() {
+  return { rating: INITIAL_RATING, games: 0, history: [] };
+}
+
+/**
+ * Expected score of the player against a game, from 0 (sure loss) to 1 (sure win)
+ * @param {number} rating - Player rating
+ * @param {number} opponent - Rating of the game
+ * @returns {number} Expected score
+ */
+export function getExpectedScore(rating, opponent) {
+  return 1 / (1 + 10 ** ((opponent - rating) / 400));
+}
+
+/**
+ * Get the adaptive level matching a rating
+ * @param {number} rating - Player rating
+ * @returns {number} Level between MIN_LEVEL and MAX_LEVEL
+ */
+export function getSkillLevel(rating) {
+  const level = Math.round((rating - LEVEL_BASE_RATING) / LEVEL_STEP) + MIN_LEVEL;
+  return Math.min(MAX_LEVEL, Math.max(MIN_LEVEL, level));
+}
+
+/**
+ * Get the rating a game counts as in the player's rating
+ * @param {Object} game - Game result ({difficulty, level})
+ * @returns {number} Rating of the game
+ */
+export function getGameRating({ difficulty, level }) {
+  if (level) {
+    return LEVEL_BASE_RATING + (level - MIN_LEVEL) * LEVEL_STEP;
+  }
+  return DIFFICULTY_RATINGS[difficulty] ?? DIFFICULTY_RATINGS.medium;
+}
+
+/**
+ * Rate a finished game
+ * @param {Object} skill - Current rating (see createSkillRating)
+ * @param {Object} game - Game result ({won, difficulty, level})
+ * @param {string} playedAt - ISO time of the game
+ * @returns {Object} New rating, with the game added to the history
+ */
+export function updateSkillRating(skill, game, playedAt) {
+  const { rating, games, history } = { ...createSkillRating(), ...skill };
+  const expected = getExpectedScore(rating, getGameRating(game));
+  const updated = Math.round(rating + getKFactor(games) * ((game.won ? 1 : 0) - expected));
+
+  return {
+    rating: updated,
+    games: games + 1,
+    history: [...history, { date: playedAt, rating: updated }].slice(-RATING_HISTORY_LIMIT)
+  };
+}
+
+/**
+ * Get the target and timing settings of an adaptive level
+ * @param {number} level - Level between MIN_LEVEL and MAX_LEVEL
+ * @returns {{saturation: number[], edgeMargin: number, memorizeTime: number}} Saturation
+ *   range in percent, smallest distance of every channel from 0 and 255, and the
+ *   memorize time in milliseconds
+ */
+export function getAdaptiveProfile(level) {
+  const t = (Math.min(MAX_LEVEL, Math.max(MIN_LEVEL, level)) - MIN_LEVEL) / (MAX_LEVEL - MIN_LEVEL);
+  const saturation = Math.round(90 - 70 * t);
+
+  return {
+    saturation: [saturation - 10, saturation + 10],
+    edgeMargin: Math.round(48 * t),
+    memorizeTime: Math.round((4000 - 2500 * t) / 100) * 100
+  };
+}
+
+/**
+ * Generate the target of an adaptive game
+ * @param {number} level - Level between MIN_LEVEL and MAX_LEVEL
+ * @param {Function} [rng=Math.random] - Random number generator returning [0, 1)
+ * @returns {string} Uppercase hex color
+ */
+export function generateAdaptiveColor(level, rng = Math.random) {
+  const { saturation: [minSaturation, maxSaturation], edgeMargin } = getAdaptiveProfile(level);
+  const rgb = hslToRgb({
+    h: rng() * 360,
+    s: minSaturation + rng() * (maxSaturation - minSaturation),
+    l: 30 + rng() * 40
+  });
+  const clamp = (channel) => Math.min(255 - edgeMargin, Math.max(edgeMargin, Math.round(channel)));
+
+  return rgbToHex({ r: clamp(rgb.r), g: clamp(rgb.g), b: clamp(rgb.b) });
+}
@@ -4,6 +4,8 @@
  */
 
 import { ToneTrackerError, ERROR_CATEGORIES, ERROR_LEVELS, logError } from './errorHandler.js';
+import { addRoundResult } from './session.js';
+import { isDifficultyId } from './difficulties.js';
 
 /**
  * Deep freeze object to ensure immutability
@@ -41,6 +43,30 @@ function deepClone(obj) {
   return obj;
 }
 
+/**
+ * Compare two state values structurally
+ * The reducer clones the whole tree on every action, so references alone
+ * would report every object-valued path as changed.
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
 /**
  * Validate state structure and types
  * @param {Object} state - State to validate
@@ -74,8 +100,13 @@ function validateState(state) {
     tipCount: (val) => typeof val === 'number' && val >= 0,
     computerTipCount: (val) => typeof val === 'number' && val >= 0,
     isActive: (val) => typeof val === 'boolean',
-    difficulty: (val) => ['easy', 'medium', 'hard'].includes(val),
-    startTime: (val) => val === null || val instanceof Date || typeof val === 'number'
+    difficulty: isDifficultyId,
+    startTime: (val) => val === null || val instanceof Date || typeof val === 'number',
+    phase: (val) => GAME_PHASES.includes(val),
+    mode: (val) => GAME_MODES.includes(val),
+    targets: (val) => Array.isArray(val),
+    guesses: (val) => Array.isArray(val),
+    misses: (val) => Array.isArray(val)
   };
 
   for (const [field, validator] of Object.entries(gameValidation)) {
@@ -90,6 +121,24 @@ function validateState(state) {
   }
 }
 
+/**
+ * Number of dispatched actions kept for performance metrics
+ * @private
+ */
+const MAX_ACTION_LOG = 100;
+
+/**
+ * Phases of a game: waiting, showing the target, guessing, finished
+ * @readonly
+ */
+export const GAME_PHASES = ['idle', 'memorize', 'guess', 'ended'];
+
+/**
+ * Game modes
+ * @readonly
+ */
+export const GAME_MODES = ['classic', 'daily', 'session', 'palette'];
+
 /**
  * Initial application state
  */
@@ -103,6 +152,20 @@ const initialState = deepFreeze({
     isActive: false,
     difficulty: 'easy',
     round: 0,
+    totalRounds: 0,
+    gameId: 0,
+    phase: 'idle',
+    mode: 'classic',
+    seed: null,
+    userColor: null,
+    targets: [], // Palette games: every target, in the order shown
+    guesses: [], // Palette games: guesses submitted so far
+    misses: [], // Single-color games: {guess, accuracy} of every wrong guess
+    paletteOrder: 'ordered',
+    hintState: null,
+    dailyKey: null,
+    level: null, // Adaptive level of the game, null for fixed difficulties
+    session: null,
     streak: 0,
     bestStreak: 0,
     totalGamesPlayed: 0,
@@ -184,6 +247,16 @@ export class StateManager {
     return deepFreeze(deepClone(this._state));
   }
 
+  /**
+   * Get one branch of the state without copying the rest (and its history)
+   * @param {string} path - State path (e.g., 'game' or 'game.score')
+   * @returns {*} Deeply frozen copy of the value at the path
+   */
+  select(path) {
+    const value = this._getNestedValue(this._state, path);
+    return value !== null && typeof value === 'object' ? deepFreeze(deepClone(value)) : value;
+  }
+
   /**
    * Subscribe to state changes
    * @param {string} path - State path to watch (e.g., 'game.score' or '*' for all)
@@ -261,6 +334,10 @@ export class StateManager {
           timestamp: new Date().toISOString(),
           executionTime: performance.now() - startTime
         });
+        // Gameplay dispatches on every guess, so keep the log bounded
+        if (this._actionHistory.length > MAX_ACTION_LOG) {
+          this._actionHistory.shift();
+        }
       }
       
       // Update performance metrics
@@ -318,8 +395,10 @@ export class StateManager {
     const targetState = this._state.history.states[index];
     const previousState = this._state;
     
-    this._state = deepClone(targetState.state);
-    this._state.history.currentIndex = index;
+    this._state = {
+      ...deepClone(targetState.state),
+      history: { ...previousState.history, currentIndex: index }
+    };
     
     this._notifySubscribers(previousState, this._state, { type: 'TIME_TRAVEL', payload: { index } });
     this._isReplaying = false;
@@ -416,19 +495,75 @@ export class StateManager {
         newState.game.score = Math.max(0, newState.game.score + (action.payload?.delta || 0));
         break;
         
+      case 'NEW_GAME': {
+        const payload = action.payload || {};
+        newState.game = {
+          ...newState.game,
+          gameId: newState.game.gameId + 1,
+          phase: 'memorize',
+          isActive: false,
+          startTime: null,
+          mode: payload.mode || 'classic',
+          difficulty: payload.difficulty || newState.game.difficulty,
+          seed: payload.seed ?? null,
+          generatedColor: payload.color ?? null,
+          targets: payload.targets || [],
+          guesses: [],
+          misses: [],
+          paletteOrder: payload.paletteOrder || 'ordered',
+          tipCount: payload.tipCount ?? 0,
+          computerTipCount: payload.computerTipCount ?? 0,
+          dailyKey: payload.dailyKey ?? null,
+          level: payload.level ?? null,
+          userColor: null,
+          hintState: null,
+          // Sessions carry their running total; single games start from zero
+          score: payload.mode === 'session' ? newState.game.score : 0,
+          session: payload.mode === 'session' ? newState.game.session : null
+        };
+        newState.ui.feedback = { ...initialState.ui.feedback };
+        break;
+      }
+        
       case 'START_GAME':
         newState.game = {
           ...newState.game,
+          phase: 'guess',
           isActive: true,
           startTime: action.payload?.startTime || Date.now(),
-          generatedColor: action.payload?.color || null,
-          tipCount: action.payload?.tipCount || 3,
-          computerTipCount: action.payload?.computerTipCount || 3
+          generatedColor: action.payload?.color ?? newState.game.generatedColor,
+          tipCount: action.payload?.tipCount ?? newState.game.tipCount,
+          computerTipCount: action.payload?.computerTipCount ?? newState.game.computerTipCount
         };
         break;
         
+      case 'SET_USER_COLOR':
+        newState.game.userColor = action.payload?.color ?? null;
+        break;
+        
+      case 'WRONG_GUESS':
+        newState.game.tipCount = Math.max(0, newState.game.tipCount - 1);
+        newState.game.misses = [...newState.game.misses, action.payload];
+        break;
+        
+      case 'USE_COMPUTER_TIP':
+        newState.game.computerTipCount = Math.max(0, newState.game.computerTipCount - 1);
+        newState.game.hintState = action.payload?.hintState ?? newState.game.hintState;
+        break;
+        
+      case 'SUBMIT_PALETTE_GUESS': {
+        const guesses = [...newState.game.guesses, action.payload.color];
+        newState.game.guesses = guesses;
+        // Point hints at the next swatch
+        newState.game.generatedColor = newState.game.targets[guesses.length] ?? newState.game.generatedColor;
+        newState.game.hintState = null;
+        break;
+      }
+        
       case 'END_GAME':
         newState.game.isActive = false;
+        newState.game.phase = 'ended';
+        newState.game.score = Math.max(0, newState.game.score + (action.payload?.score || 0));
         newState.game.totalGamesPlayed += 1;
         
         if (action.payload?.won) {
@@ -446,6 +581,25 @@ export class StateManager {
         }
         break;
         
+      case 'START_SESSION':
+        newState.game.round = 0;
+        newState.game.totalRounds = action.payload?.rounds || 0;
+        newState.game.score = 0;
+        newState.game.session = action.payload?.session ?? null;
+        break;
+        
+      case 'NEXT_ROUND':
+        newState.game.round += 1;
+        break;
+        
+      case 'ADD_ROUND_RESULT':
+        newState.game.session = addRoundResult(newState.game.session, action.payload.result);
+        break;
+        
+      case 'END_SESSION':
+        newState.game.totalRounds = 0;
+        break;
+        
       case 'SET_UI_FIELD': {
         if (!action.payload || typeof action.payload.field !== 'string') {
           throw new ToneTrackerError('SET_UI_FIELD requires field and value', ERROR_CATEGORIES.VALIDATION);
@@ -495,28 +649,31 @@ export class StateManager {
    * @private
    */
   _addToHistory(state, action) {
+    // Snapshots leave out the history itself, which would otherwise nest
+    // every earlier snapshot and grow exponentially
+    const { history, ...snapshot } = state;
     const historyEntry = {
-      state: deepClone(state),
+      state: deepClone(snapshot),
       action: deepClone(action),
       timestamp: new Date().toISOString()
     };
     
-    const newHistory = [...state.history.states];
+    const newHistory = [...history.states];
     
     // Remove any states after current index if we're not at the end
-    if (state.history.currentIndex < newHistory.length - 1) {
-      newHistory.splice(state.history.currentIndex + 1);
+    if (history.currentIndex < newHistory.length - 1) {
+      newHistory.splice(history.currentIndex + 1);
     }
     
     newHistory.push(historyEntry);
     
     // Limit history size
-    if (newHistory.length > state.history.maxHistory) {
+    if (newHistory.length > history.maxHistory) {
       newHistory.shift();
     }
     
-    state.history.states = newHistory;
-    state.history.currentIndex = newHistory.length - 1;
+    history.states = newHistory;
+    history.currentIndex = newHistory.length - 1;
   }
 
   /**
@@ -548,7 +705,7 @@ export class StateManager {
         const currentValue = this._getNestedValue(newState, path);
         const previousValue = this._getNestedValue(previousState, path);
         
-        if (currentValue !== previousValue) {
+        if (!isEqual(currentValue, previousValue)) {
           for (const callback of subscribers.values()) {
             try {
               callback(currentValue, previousValue, action);
@@ -600,6 +757,59 @@ export const actions = {
     payload: { won }
   }),
   
+  newGame: (game) => ({
+    type: 'NEW_GAME',
+    payload: game
+  }),
+  
+  beginGuessing: (startTime = Date.now()) => ({
+    type: 'START_GAME',
+    payload: { startTime }
+  }),
+  
+  setUserColor: (color) => ({
+    type: 'SET_USER_COLOR',
+    payload: { color }
+  }),
+  
+  wrongGuess: (guess, accuracy) => ({
+    type: 'WRONG_GUESS',
+    payload: { guess, accuracy }
+  }),
+  
+  useComputerTip: (hintType, hintState) => ({
+    type: 'USE_COMPUTER_TIP',
+    payload: { hintType, hintState }
+  }),
+  
+  submitPaletteGuess: (color) => ({
+    type: 'SUBMIT_PALETTE_GUESS',
+    payload: { color }
+  }),
+  
+  finishGame: (won, score) => ({
+    type: 'END_GAME',
+    payload: { won, score }
+  }),
+  
+  startSession: (rounds, session = null) => ({
+    type: 'START_SESSION',
+    payload: { rounds, session }
+  }),
+  
+  addRoundResult: (result) => ({
+    type: 'ADD_ROUND_RESULT',
+    payload: { result }
+  }),
+  
+  nextRound: () => ({
+    type: 'NEXT_ROUND'
+  }),
+  
+  endSession: () => ({
+    type: 'END_SESSION'
+  }),
+  
   updateScore: (delta) => ({
     type: 'UPDATE_SCORE',
     payload: { delta }
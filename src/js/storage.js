@@ -1,9 +1,54 @@
 /**
- * @fileoverview Local storage manager for game data persistence
- * Provides type-safe localStorage operations with data validation and migration support
+ * @fileoverview Storage manager for game data persistence
+ * Keeps every value in an in-memory cache for synchronous reads and writes
+ * through to a storage adapter: localStorage until init() runs, then
+ * IndexedDB where available. Provides data validation and migration support.
  */
 
 import { ToneTrackerError, ERROR_CATEGORIES, ERROR_LEVELS } from './errorHandler.js';
+import { getPreviousDailyKey, rankDailyResult } from './dailyChallenge.js';
+import {
+  createGameRecord,
+  filterGameHistory,
+  paginate,
+  summarizeGameHistory,
+  HISTORY_PAGE_SIZE
+} from './gameHistory.js';
+import {
+  LocalStorageAdapter,
+  MemoryAdapter,
+  createStorageAdapter,
+  isWebStorageAvailable
+} from './storageAdapters.js';
+import {
+  createBackup,
+  validateBackup,
+  mergeBackup,
+  diffBackup,
+  IMPORTED_SECTIONS
+} from './backup.js';
+import { getAchievementProgress, getAchievementStates, unlockAchievements } from './achievements.js';
+import { createSkillRating, updateSkillRating } from './skillRating.js';
+import {
+  DEFAULT_DIFFICULTY,
+  createCustomDifficulty,
+  createCustomDifficultyId,
+  getDifficultyTable,
+  isBuiltInDifficulty,
+  isCustomDifficulty
+} from './difficulties.js';
+import { MIGRATIONS, LATEST_SCHEMA_VERSION, getSchemaVersion, runMigrations } from './migrations.js';
+import {
+  DEFAULT_PROFILE_ID,
+  addProfile,
+  createProfileRegistry,
+  findProfile,
+  getProfileKey,
+  parseProfileKey,
+  rankProfiles,
+  removeProfile,
+  renameProfile
+} from './profiles.js';
 
 /**
  * Storage keys used throughout the application
@@ -14,16 +59,76 @@ export const STORAGE_KEYS = {
   GAME_STATISTICS: 'tonetracker_game_stats',
   USER_PREFERENCES: 'tonetracker_user_prefs',
   HIGH_SCORES: 'tonetracker_high_scores',
+  CUSTOM_HIGH_SCORES: 'tonetracker_custom_high_scores',
+  DAILY_CHALLENGES: 'tonetracker_daily_challenges',
+  SESSIONS: 'tonetracker_sessions',
+  REPLAYS: 'tonetracker_replays',
   GAME_HISTORY: 'tonetracker_game_history',
   SETTINGS: 'tonetracker_settings',
   LOCALE: 'tonetracker_locale',
   ERRORS: 'tonetracker_errors'
 };
 
+/**
+ * Keys other modules read straight from localStorage; they never move to IndexedDB
+ */
+const LOCAL_ONLY_KEYS = [STORAGE_KEYS.LOCALE, STORAGE_KEYS.ERRORS];
+
+/**
+ * Key of the data saved before the last schema migration
+ */
+const MIGRATION_BACKUP_KEY = 'tonetracker_migration_backup';
+
+/**
+ * Keys every profile keeps its own copy of (see profiles.js); the other keys
+ * are shared by everyone playing on the device
+ */
+const PROFILE_KEYS = [
+  STORAGE_KEYS.GAME_STATISTICS,
+  STORAGE_KEYS.USER_PREFERENCES,
+  STORAGE_KEYS.HIGH_SCORES,
+  STORAGE_KEYS.CUSTOM_HIGH_SCORES,
+  STORAGE_KEYS.DAILY_CHALLENGES,
+  STORAGE_KEYS.SESSIONS,
+  STORAGE_KEYS.REPLAYS,
+  STORAGE_KEYS.GAME_HISTORY,
+  // Profiles are migrated one by one, when they are switched to
+  MIGRATION_BACKUP_KEY
+];
+
+/**
+ * Key of the profile registry
+ */
+export const PROFILES_KEY = 'tonetracker_profiles';
+
+/**
+ * Keys written through the storage manager without the tonetracker_ prefix
+ */
+const UNPREFIXED_KEYS = ['current_difficulty', 'analytics_consent'];
+
+/**
+ * BroadcastChannel the storage managers of all open tabs share
+ */
+const SYNC_CHANNEL = 'tonetracker-storage';
+
+/**
+ * Open the channel to other tabs where BroadcastChannel exists
+ * @private
+ */
+const openSyncChannel = () =>
+  typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(SYNC_CHANNEL);
+
+/**
+ * Check whether a localStorage key belongs to the storage manager
+ * @private
+ */
+const isManagedKey = (key) =>
+  (key.startsWith('tonetracker_') || UNPREFIXED_KEYS.includes(key)) && !LOCAL_ONLY_KEYS.includes(key);
+
 /**
  * Current data schema version for migration purposes
  */
-const SCHEMA_VERSION = 1;
+const SCHEMA_VERSION = LATEST_SCHEMA_VERSION;
 
 /**
  * Default game statistics structure
@@ -52,7 +157,9 @@ const DEFAULT_GAME_STATISTICS = {
     gamesPlayed: 0,
     gamesWon: 0
   },
-  achievements: [],
+  achievements: [], // Unlocked achievements, {id, unlockedAt} (see achievements.js)
+  achievementProgress: {}, // Values of achievements tracked game by game, by id
+  skillRating: createSkillRating(), // Elo-style rating with its recent history (see skillRating.js)
   lastPlayed: null,
   createdAt: new Date().toISOString(),
   updatedAt: new Date().toISOString()
@@ -63,16 +170,24 @@ const DEFAULT_GAME_STATISTICS = {
  */
 const DEFAULT_USER_PREFERENCES = {
   version: SCHEMA_VERSION,
-  difficulty: 'easy',
+  difficulty: DEFAULT_DIFFICULTY,
   soundEnabled: true,
   animationsEnabled: true,
   showPercentageFeedback: true,
   showTimer: true,
-  colorFormat: 'hex', // 'hex', 'rgb', 'hsl'
+  colorFormat: 'hex', // 'hex', 'rgb', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch'
+  colorMetric: 'ciede2000', // 'cie76', 'cie94', 'ciede2000', 'oklab'
+  inputPanel: 'buttons', // 'buttons', 'rgb', 'hsl', 'hsv', 'oklch'
+  sessionRounds: 1, // 1 for single games, otherwise 5, 10 or 20
+  paletteSize: 1, // 1 for single-color games, otherwise 2-5 swatches
+  paletteOrder: 'ordered', // 'ordered', 'any'
+  scoringMode: 'accuracy', // 'accuracy' (Delta E threshold), 'perfectionist' (exact hex match)
   theme: 'light', // 'light', 'dark', 'auto'
   autoStartNextGame: false,
   showHints: true,
-  preferredLanguage: 'hu',
+  adaptiveDifficulty: false, // Pick classic targets and memorize time by the skill rating
+  customDifficulties: {}, // Player-made difficulties by id (see difficulties.createCustomDifficulty)
+  preferredLanguage: null, // Interface language chosen in the switcher; null to detect it
   accessibility: {
     reduceMotion: false,
     highContrast: false,
@@ -88,24 +203,98 @@ const DEFAULT_USER_PREFERENCES = {
  */
 const DEFAULT_HIGH_SCORES = {
   version: SCHEMA_VERSION,
-  scores: [], // Array of {score, time, difficulty, date, accuracy}
+  scores: [], // Array of {score, time, difficulty, date, accuracy, metric, scoringMode, seed, mode}
+  // Palette entries add {targets, guesses, swatches: [{target, guess, deltaE, accuracy}], paletteOrder}
+  // Entries with a stored replay add {replayId}
   maxScores: 100, // Keep only top 100 scores
   createdAt: new Date().toISOString(),
   updatedAt: new Date().toISOString()
 };
 
 /**
- * Storage manager class for handling localStorage operations
+ * Default leaderboard of custom difficulties; entries add {preset} with the
+ * difficulty settings they were played with, as presets can change later
+ */
+const DEFAULT_CUSTOM_HIGH_SCORES = { ...DEFAULT_HIGH_SCORES };
+
+/**
+ * Default Daily Challenge results structure
+ */
+const DEFAULT_DAILY_CHALLENGES = {
+  version: SCHEMA_VERSION,
+  results: [], // Array of {date, seed, difficulty, attempt, status, won, score, accuracy, time}
+  currentStreak: 0, // Consecutive calendar days with a completed daily
+  bestStreak: 0,
+  lastCompletedDate: null,
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString()
+};
+
+/**
+ * Default session results structure
+ */
+const DEFAULT_SESSIONS = {
+  version: SCHEMA_VERSION,
+  sessions: [], // Array of {id, rounds, difficulty, seed, totalScore, results: [round...]}
+  maxSessions: 50, // Keep only the 50 most recent sessions
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString()
+};
+
+/**
+ * Default game history structure
+ */
+const DEFAULT_GAME_HISTORY = {
+  version: SCHEMA_VERSION,
+  games: [], // Array of full game records from gameHistory.createGameRecord, most recent first
+  maxGames: 500, // Keep only the 500 most recent games
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString()
+};
+
+/**
+ * Default replay structure
+ */
+const DEFAULT_REPLAYS = {
+  version: SCHEMA_VERSION,
+  replays: [], // Array of {id, savedAt, imported, replay} with compact replays from replay.js
+  maxReplays: 20, // Input streams are large; keep only the 20 most recent
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString()
+};
+
+/**
+ * Defaults the migrations fill missing fields from
+ */
+const MIGRATION_DEFAULTS = {
+  [STORAGE_KEYS.GAME_STATISTICS]: DEFAULT_GAME_STATISTICS,
+  [STORAGE_KEYS.USER_PREFERENCES]: DEFAULT_USER_PREFERENCES,
+  [STORAGE_KEYS.HIGH_SCORES]: DEFAULT_HIGH_SCORES
+};
+
+/**
+ * Storage manager class for handling persistent game data
  */
 export class StorageManager {
   constructor() {
     this.isSupported = this.checkStorageSupport();
     this.cache = new Map();
     this.listeners = new Map();
-    
-    if (this.isSupported) {
-      this.migrateData();
-    }
+    // localStorage stays the backend of keys other modules read directly
+    this.localAdapter = this.isSupported ? new LocalStorageAdapter(localStorage) : null;
+    this.adapter = this.localAdapter || new MemoryAdapter();
+    this.writes = Promise.resolve();
+    this.channel = null;
+    this.handleStorageEvent = null;
+    this.initializing = null;
+    this.activeProfileId = DEFAULT_PROFILE_ID;
+    // Resolves with the backend name once init() has run
+    this.ready = new Promise((resolve) => {
+      this.resolveReady = resolve;
+    });
+
+    this.loadProfiles();
+    this.migrateData();
   }
 
   /**
@@ -114,148 +303,484 @@ export class StorageManager {
    * @returns {boolean} Whether localStorage is supported
    */
   checkStorageSupport() {
-    try {
-      const testKey = '__storage_test__';
-      localStorage.setItem(testKey, 'test');
-      localStorage.removeItem(testKey);
+    if (isWebStorageAvailable()) {
       return true;
+    }
+    console.warn('LocalStorage is not available');
+    return false;
+  }
+
+  /**
+   * Switch to the best available backend and start syncing with other tabs.
+   * Managed keys still in localStorage are moved into IndexedDB, and the whole
+   * store is loaded into the cache so the synchronous API keeps working.
+   * Safe to call more than once.
+   * @param {Object} [options] - Options
+   * @param {import('./storageAdapters.js').StorageAdapter} [options.adapter] - Backend to use
+   *   instead of the detected one
+   * @param {BroadcastChannel|null} [options.channel] - Channel to other tabs; null disables
+   *   it, and without one `storage` events keep localStorage-backed tabs in sync
+   * @returns {Promise<string>} Name of the backend in use
+   */
+  init({ adapter, channel } = {}) {
+    if (!this.initializing) {
+      this.initializing = this.switchAdapter(adapter).then((name) => {
+        this.startTabSync(channel === undefined ? openSyncChannel() : channel);
+        return name;
+      });
+      this.initializing.then(this.resolveReady);
+    }
+    return this.initializing;
+  }
+
+  /**
+   * Listen for changes made by other tabs
+   * @private
+   */
+  startTabSync(channel) {
+    if (channel) {
+      this.channel = channel;
+      channel.onmessage = ({ data }) => {
+        if (data && typeof data.key === 'string') {
+          this.applyRemoteChange(data.key, data.value);
+        }
+      };
+      return;
+    }
+
+    // Without a channel only localStorage announces changes, through storage events
+    if (this.adapter === this.localAdapter && typeof window !== 'undefined') {
+      this.handleStorageEvent = (event) => {
+        if (event.storageArea !== localStorage) return;
+        if (event.key === null) {
+          this.cache.clear();
+          return;
+        }
+        this.cache.delete(event.key);
+        this.notifyListeners(event.key, this.read(event.key));
+      };
+      window.addEventListener('storage', this.handleStorageEvent);
+    }
+  }
+
+  /**
+   * Stop listening to other tabs
+   */
+  stopTabSync() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    if (this.handleStorageEvent) {
+      window.removeEventListener('storage', this.handleStorageEvent);
+      this.handleStorageEvent = null;
+    }
+  }
+
+  /**
+   * Take over a value another tab stored
+   * @private
+   */
+  applyRemoteChange(key, value) {
+    if (value === null || value === undefined) {
+      this.cache.delete(key);
+    } else {
+      this.cache.set(key, value);
+    }
+    this.notifyListeners(key, value ?? null);
+  }
+
+  /**
+   * Tell other tabs about a stored value; null for removed keys
+   * @private
+   */
+  broadcast(key, value) {
+    if (!this.channel) return;
+
+    try {
+      this.channel.postMessage({ key, value });
     } catch (error) {
-      console.warn('LocalStorage is not available:', error);
-      return false;
+      console.warn(`Failed to announce change of ${key} to other tabs:`, error);
     }
   }
 
   /**
-   * Migrate data from older versions if needed
+   * Move to a new backend, keeping the current one when anything fails
    * @private
    */
-  migrateData() {
+  async switchAdapter(preferred) {
     try {
-      // Check if migration is needed for each data type
-      const stats = this.getRaw(STORAGE_KEYS.GAME_STATISTICS);
-      if (stats && (!stats.version || stats.version < SCHEMA_VERSION)) {
-        this.migrateGameStatistics(stats);
+      const next = preferred || await createStorageAdapter();
+      if (next.name === this.adapter.name) {
+        return this.adapter.name;
       }
 
-      const prefs = this.getRaw(STORAGE_KEYS.USER_PREFERENCES);
-      if (prefs && (!prefs.version || prefs.version < SCHEMA_VERSION)) {
-        this.migrateUserPreferences(prefs);
+      await this.flush();
+      if (this.adapter.sync) {
+        await this.moveKeys(this.adapter, next);
       }
 
-      const scores = this.getRaw(STORAGE_KEYS.HIGH_SCORES);
-      if (scores && (!scores.version || scores.version < SCHEMA_VERSION)) {
-        this.migrateHighScores(scores);
+      // Values read from the new backend win over anything cached before
+      for (const [key, value] of await next.entries()) {
+        this.cache.set(key, value);
       }
+      this.adapter = next;
+      this.loadProfiles();
+      this.migrateData();
     } catch (error) {
-      console.warn('Data migration failed:', error);
+      console.warn(`Storage backend switch failed, staying on ${this.adapter.name}:`, error);
     }
+
+    return this.adapter.name;
   }
 
   /**
-   * Migrate game statistics to current version
+   * Move managed keys from one backend to another. Keys the target already
+   * holds were moved before and are only removed from the source.
    * @private
+   * @returns {Promise<string[]>} Keys copied to the target
    */
-  migrateGameStatistics(oldStats) {
-    const newStats = { ...DEFAULT_GAME_STATISTICS, ...oldStats };
-    newStats.version = SCHEMA_VERSION;
-    newStats.updatedAt = new Date().toISOString();
-    this.set(STORAGE_KEYS.GAME_STATISTICS, newStats);
+  async moveKeys(source, target) {
+    const existing = new Set(await target.keys());
+    const copied = [];
+
+    for (const key of (await source.keys()).filter(isManagedKey)) {
+      try {
+        if (!existing.has(key)) {
+          const value = await source.get(key);
+          if (value !== null) {
+            await target.set(key, value);
+            copied.push(key);
+          }
+        }
+        await source.remove(key);
+        this.cache.delete(key);
+      } catch (error) {
+        console.warn(`Failed to move key ${key} to ${target.name}:`, error);
+      }
+    }
+
+    if (copied.length > 0) {
+      console.log(`📦 Moved ${copied.length} stored keys to ${target.name}`);
+    }
+    return copied;
   }
 
   /**
-   * Migrate user preferences to current version
+   * Storage key of a value in the active profile
    * @private
    */
-  migrateUserPreferences(oldPrefs) {
-    const newPrefs = { ...DEFAULT_USER_PREFERENCES, ...oldPrefs };
-    newPrefs.version = SCHEMA_VERSION;
-    newPrefs.updatedAt = new Date().toISOString();
-    this.set(STORAGE_KEYS.USER_PREFERENCES, newPrefs);
+  scopeKey(key) {
+    return PROFILE_KEYS.includes(key) ? getProfileKey(key, this.activeProfileId) : key;
   }
 
   /**
-   * Migrate high scores to current version
+   * Key listeners know a stored key by, or null when it belongs to a
+   * profile other than the active one
    * @private
    */
-  migrateHighScores(oldScores) {
-    const newScores = { ...DEFAULT_HIGH_SCORES, ...oldScores };
-    newScores.version = SCHEMA_VERSION;
-    newScores.updatedAt = new Date().toISOString();
-    this.set(STORAGE_KEYS.HIGH_SCORES, newScores);
+  unscopeKey(key) {
+    const parsed = parseProfileKey(key, PROFILE_KEYS);
+    if (!parsed) return key;
+    return parsed.profileId === this.activeProfileId ? parsed.key : null;
   }
 
   /**
-   * Get raw data from localStorage without parsing
+   * Backend of a key
    * @private
    */
-  getRaw(key) {
-    if (!this.isSupported) return null;
-    
+  adapterFor(key) {
+    return this.localAdapter && LOCAL_ONLY_KEYS.includes(key) ? this.localAdapter : this.adapter;
+  }
+
+  /**
+   * Queue a write to an asynchronous backend; writes run one at a time in order
+   * @private
+   * @returns {Promise<void>} Settles when the write is done
+   */
+  queueWrite(operation) {
+    const write = this.writes.then(operation);
+    this.writes = write.catch((error) => {
+      console.warn('Storage write failed:', error);
+    });
+    return write;
+  }
+
+  /**
+   * Wait for every queued write to reach the backend
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writes;
+  }
+
+  /**
+   * Migrate data from older versions if needed
+   * @private
+   */
+  migrateData() {
+    const fail = (error) => {
+      console.warn('Data migration failed, stored data left unchanged:', error);
+    };
+
     try {
-      const data = localStorage.getItem(key);
-      return data ? JSON.parse(data) : null;
+      this.migrate().written.catch(fail);
     } catch (error) {
-      console.warn(`Failed to get raw data for key ${key}:`, error);
-      return null;
+      fail(error);
     }
   }
 
   /**
-   * Set data in localStorage
+   * Run the pending schema migrations. Every key about to change is backed
+   * up first, and the backup is put back if writing the upgraded data fails.
+   * Asynchronous backends report failed writes later, through `written`.
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.dryRun=false] - Only report what would change
+   * @param {Array<Object>} [options.migrations=MIGRATIONS] - Registry to run
+   * @returns {{dryRun: boolean, applied: Array<Object>, data: Object, backup: Object|null,
+   *   written: Promise<void>}} Steps that ran (or would run), the upgraded values, the
+   *   backup taken, and a promise that settles once the backend has the upgraded data
+   *   (rejecting after the rollback when it could not be written)
+   * @throws {ToneTrackerError} When a migration fails; stored data is unchanged then
+   */
+  migrate({ dryRun = false, migrations = MIGRATIONS } = {}) {
+    const keys = [...new Set(migrations.flatMap(({ up }) => Object.keys(up)))];
+    const snapshot = Object.fromEntries(keys.map(key => [key, this.getRaw(key)]));
+    const { data, applied } = runMigrations(snapshot, {
+      migrations,
+      context: { defaults: MIGRATION_DEFAULTS }
+    });
+
+    if (dryRun || applied.length === 0) {
+      return { dryRun, applied, data, backup: null, written: Promise.resolve() };
+    }
+
+    const changed = Object.keys(data);
+    const backup = {
+      createdAt: new Date().toISOString(),
+      versions: Object.fromEntries(changed.map(key => [key, getSchemaVersion(snapshot[key])])),
+      data: Object.fromEntries(changed.map(key => [key, snapshot[key]]))
+    };
+    this.set(MIGRATION_BACKUP_KEY, backup);
+
+    const rollBack = (error) => {
+      this.restoreMigrationBackup();
+      return new ToneTrackerError(
+        `Data migration rolled back: ${error.message}`,
+        ERROR_CATEGORIES.STORAGE,
+        ERROR_LEVELS.ERROR,
+        { applied, error: error.message }
+      );
+    };
+
+    let writes;
+    try {
+      const updatedAt = new Date().toISOString();
+      writes = changed.map(key => this.write(key, { ...data[key], updatedAt }));
+    } catch (error) {
+      throw rollBack(error);
+    }
+
+    // Writes queued for an asynchronous backend fail after this returns
+    const written = Promise.all(writes).then(
+      () => {
+        console.log(`🗄️ Migrated ${changed.length} stored keys to schema v${SCHEMA_VERSION}`);
+      },
+      (error) => {
+        throw rollBack(error);
+      }
+    );
+    return { dryRun, applied, data, backup, written };
+  }
+
+  /**
+   * Get the backup taken before the last migration
+   * @returns {Object|null} Backup ({createdAt, versions, data}) or null
+   */
+  getMigrationBackup() {
+    return this.get(MIGRATION_BACKUP_KEY);
+  }
+
+  /**
+   * Put back the data stored before the last migration
+   * @returns {boolean} Whether there was a backup to restore
+   */
+  restoreMigrationBackup() {
+    const backup = this.getMigrationBackup();
+    if (!backup) return false;
+
+    Object.entries(backup.data).forEach(([key, value]) => this.set(key, value));
+    return true;
+  }
+
+  /**
+   * Get stored data without defaults
+   * @private
+   */
+  getRaw(key) {
+    return this.get(key, null);
+  }
+
+  /**
+   * Store data
    * @param {string} key - Storage key
    * @param {*} value - Value to store
    * @returns {boolean} Success status
    */
   set(key, value) {
-    if (!this.isSupported) {
-      console.warn('LocalStorage not supported, data not saved');
-      return false;
+    try {
+      this.write(key, value);
+      return true;
+    } catch (error) {
+      throw this.createWriteError(key, error);
+    }
+  }
+
+  /**
+   * Write a value through to its backend, then update the cache and listeners
+   * @private
+   * @returns {Promise<void>} Settles when the backend has the value
+   */
+  write(key, value) {
+    key = this.scopeKey(key);
+    const adapter = this.adapterFor(key);
+    let written;
+
+    if (adapter.sync) {
+      adapter.setSync(key, value);
+      written = Promise.resolve();
+    } else {
+      // Snapshot now, as later changes to the object must not leak into the queued write
+      const snapshot = JSON.parse(JSON.stringify(value));
+      written = this.queueWrite(() => adapter.set(key, snapshot));
     }
 
+    this.commit(key, value);
+    return written;
+  }
+
+  /**
+   * Update the cache, listeners and other tabs after a write
+   * @private
+   */
+  commit(key, value) {
+    // Update cache
+    this.cache.set(key, value);
+
+    // Notify listeners
+    this.notifyListeners(key, value);
+
+    this.broadcast(key, value);
+  }
+
+  /**
+   * Read, change and store a value in one step, so results written by other
+   * tabs in the meantime are never overwritten. The updater gets a copy of
+   * the latest stored value and returns the new one. It may run twice (once
+   * for the cache, once on the stored value), so it must not have side effects.
+   * @param {string} key - Storage key
+   * @param {function(*): *} updater - Computes the new value
+   * @param {*} [defaultValue=null] - Value the updater starts from when nothing is stored
+   * @returns {*} New value
+   */
+  update(key, updater, defaultValue = null) {
+    key = this.scopeKey(key);
+    const adapter = this.adapterFor(key);
+    const apply = (stored) => updater(JSON.parse(JSON.stringify(stored ?? defaultValue)));
+
     try {
-      const serialized = JSON.stringify(value);
-      localStorage.setItem(key, serialized);
-      
-      // Update cache
+      if (adapter.sync) {
+        // Reads past the cache, which may predate another tab's write
+        const value = adapter.updateSync(key, apply);
+        this.commit(key, value);
+        return value;
+      }
+
+      // Show the change at once, then apply it again to the latest stored value
+      const value = apply(this.read(key));
       this.cache.set(key, value);
-      
-      // Notify listeners
       this.notifyListeners(key, value);
-      
-      return true;
-    } catch (error) {
-      throw new ToneTrackerError(
-        `Failed to save data to localStorage: ${error.message}`,
-        ERROR_CATEGORIES.STORAGE,
-        ERROR_LEVELS.ERROR,
-        { key, error: error.message }
+      this.queueWrite(() => adapter.update(key, apply)).then(
+        (stored) => this.commit(key, stored),
+        () => {}
       );
+      return value;
+    } catch (error) {
+      throw this.createWriteError(key, error);
     }
   }
 
   /**
-   * Get data from localStorage with fallback to default
+   * Like update(), but resolves with the value the backend committed, so
+   * callers can decide on what other tabs wrote before them rather than on
+   * the cache
+   * @param {string} key - Storage key
+   * @param {function(*): *} updater - Computes the new value
+   * @param {*} [defaultValue=null] - Value the updater starts from when nothing is stored
+   * @returns {Promise<*>} Stored value
+   */
+  async updateAsync(key, updater, defaultValue = null) {
+    const scoped = this.scopeKey(key);
+    const adapter = this.adapterFor(scoped);
+    if (adapter.sync) {
+      return this.update(key, updater, defaultValue);
+    }
+
+    const apply = (stored) => updater(JSON.parse(JSON.stringify(stored ?? defaultValue)));
+    try {
+      const stored = await this.queueWrite(() => adapter.update(scoped, apply));
+      this.commit(scoped, stored);
+      return stored;
+    } catch (error) {
+      throw this.createWriteError(scoped, error);
+    }
+  }
+
+  /**
+   * Wrap a failed write
+   * @private
+   */
+  createWriteError(key, error) {
+    const adapter = this.adapterFor(key);
+    return new ToneTrackerError(
+      `Failed to save data to ${adapter.name}: ${error.message}`,
+      ERROR_CATEGORIES.STORAGE,
+      ERROR_LEVELS.ERROR,
+      { key, adapter: adapter.name, error: error.message }
+    );
+  }
+
+  /**
+   * Get stored data with fallback to default
    * @param {string} key - Storage key
    * @param {*} defaultValue - Default value if key doesn't exist
    * @returns {*} Retrieved value or default
    */
   get(key, defaultValue = null) {
-    if (!this.isSupported) {
-      return defaultValue;
-    }
+    return this.read(this.scopeKey(key), defaultValue);
+  }
 
+  /**
+   * Get stored data by its exact key, whichever profile it belongs to
+   * @private
+   */
+  read(key, defaultValue = null) {
     // Check cache first
     if (this.cache.has(key)) {
       return this.cache.get(key);
     }
 
+    // Asynchronous backends are loaded into the cache by init(), so a miss means no data
+    const adapter = this.adapterFor(key);
+    if (!adapter.sync) {
+      return defaultValue;
+    }
+
     try {
-      const data = localStorage.getItem(key);
-      if (data === null) {
+      const parsed = adapter.getSync(key);
+      if (parsed === null) {
         return defaultValue;
       }
-
-      const parsed = JSON.parse(data);
       
       // Update cache
       this.cache.set(key, parsed);
@@ -268,38 +793,204 @@ export class StorageManager {
   }
 
   /**
-   * Remove data from localStorage
+   * Remove stored data
    * @param {string} key - Storage key
    */
   remove(key) {
-    if (!this.isSupported) return;
+    this.removeKey(this.scopeKey(key));
+  }
+
+  /**
+   * Remove stored data by its exact key, whichever profile it belongs to
+   * @param {string} key - Stored key, as listed by keys()
+   */
+  removeKey(key) {
+    const adapter = this.adapterFor(key);
 
     try {
-      localStorage.removeItem(key);
+      if (adapter.sync) {
+        adapter.removeSync(key);
+      } else {
+        this.queueWrite(() => adapter.remove(key));
+      }
       this.cache.delete(key);
       this.notifyListeners(key, null);
+      this.broadcast(key, null);
     } catch (error) {
       console.warn(`Failed to remove key ${key}:`, error);
     }
+
+    // Without a registry the default profile is the only one again
+    if (key === PROFILES_KEY) {
+      this.loadProfiles();
+    }
   }
 
   /**
-   * Clear all ToneTracker data from localStorage
+   * Read data once the backend is ready
+   * @param {string} key - Storage key
+   * @param {*} defaultValue - Default value if key doesn't exist
+   * @returns {Promise<*>} Retrieved value or default
+   */
+  async getAsync(key, defaultValue = null) {
+    await this.init();
+    return this.get(key, defaultValue);
+  }
+
+  /**
+   * Store data and wait until the backend has it
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store
+   * @returns {Promise<boolean>} Success status
+   */
+  async setAsync(key, value) {
+    await this.init();
+    try {
+      await this.write(key, value);
+    } catch (error) {
+      throw this.createWriteError(key, error);
+    }
+    return true;
+  }
+
+  /**
+   * Remove data and wait until the backend dropped it
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async removeAsync(key) {
+    await this.init();
+    this.remove(key);
+    await this.flush();
+  }
+
+  /**
+   * List the keys held by the current backend
+   * @returns {Promise<string[]>} Stored keys
+   */
+  async keys() {
+    await this.init();
+    await this.flush();
+    return this.adapter.keys();
+  }
+
+  /**
+   * Clear all ToneTracker data
    */
   clear() {
-    if (!this.isSupported) return;
+    Object.values(STORAGE_KEYS).forEach(key => this.remove(key));
+    console.log(`All ToneTracker data cleared from ${this.adapter.name}`);
+  }
 
+  /**
+   * Read the profile registry and activate its active profile. The first
+   * run creates the registry, and the default profile takes over the data
+   * stored until then.
+   * @private
+   */
+  loadProfiles() {
     try {
-      Object.values(STORAGE_KEYS).forEach(key => {
-        localStorage.removeItem(key);
-        this.cache.delete(key);
-      });
-      console.log('All ToneTracker data cleared from localStorage');
+      let registry = this.read(PROFILES_KEY);
+      if (!registry) {
+        registry = createProfileRegistry();
+        this.write(PROFILES_KEY, registry);
+      }
+      const known = registry.profiles.some(({ id }) => id === registry.activeId);
+      this.activeProfileId = known ? registry.activeId : registry.profiles[0].id;
     } catch (error) {
-      console.warn('Failed to clear localStorage:', error);
+      console.warn('Failed to load profiles, using the default profile:', error);
+      this.activeProfileId = DEFAULT_PROFILE_ID;
     }
   }
 
+  /**
+   * Get the profile registry
+   * @returns {{activeId: string, profiles: Array<{id: string, name: string, createdAt: string}>}}
+   *   Registry (see profiles.js)
+   */
+  getProfiles() {
+    return this.read(PROFILES_KEY) || createProfileRegistry();
+  }
+
+  /**
+   * Get the profile in use
+   * @returns {{id: string, name: string, createdAt: string}} Active profile
+   */
+  getActiveProfile() {
+    return findProfile(this.getProfiles(), this.activeProfileId);
+  }
+
+  /**
+   * Create a profile; it starts without data and is not switched to
+   * @param {string} name - Profile name
+   * @returns {Object} New profile
+   * @throws {ToneTrackerError} When the name is empty, too long or taken
+   */
+  createProfile(name) {
+    const { registry, profile } = addProfile(this.getProfiles(), name);
+    this.write(PROFILES_KEY, registry);
+    return profile;
+  }
+
+  /**
+   * Rename a profile
+   * @param {string} id - Profile id
+   * @param {string} name - New name
+   * @returns {Object} Renamed profile
+   * @throws {ToneTrackerError} When the profile is unknown or the name is invalid
+   */
+  renameProfile(id, name) {
+    const registry = renameProfile(this.getProfiles(), id, name);
+    this.write(PROFILES_KEY, registry);
+    return findProfile(registry, id);
+  }
+
+  /**
+   * Switch to another profile; listeners of every per-profile key are called
+   * with its data
+   * @param {string} id - Profile id
+   * @returns {Object} Active profile
+   * @throws {ToneTrackerError} When the profile is unknown
+   */
+  switchProfile(id) {
+    const registry = this.getProfiles();
+    const profile = findProfile(registry, id);
+
+    this.write(PROFILES_KEY, { ...registry, activeId: id });
+    this.activeProfileId = id;
+    // A profile not played since an upgrade still holds data in an older schema
+    this.migrateData();
+    PROFILE_KEYS.forEach(key => this.notifyListeners(this.scopeKey(key), this.get(key)));
+    return profile;
+  }
+
+  /**
+   * Delete a profile and all its data. Deleting the active profile switches
+   * to the first remaining one.
+   * @param {string} id - Profile id
+   * @throws {ToneTrackerError} When the profile is unknown or the only one left
+   */
+  deleteProfile(id) {
+    const registry = removeProfile(this.getProfiles(), id);
+
+    if (id === this.activeProfileId) {
+      this.switchProfile(registry.activeId);
+    }
+    this.write(PROFILES_KEY, registry);
+    PROFILE_KEYS.forEach(key => this.removeKey(getProfileKey(key, id)));
+  }
+
+  /**
+   * Rank the profiles of this device against each other
+   * @returns {Array<Object>} Leaderboard rows, best first (see profiles.rankProfiles)
+   */
+  getProfileLeaderboard() {
+    return rankProfiles(this.getProfiles().profiles.map(profile => ({
+      profile,
+      stats: this.read(getProfileKey(STORAGE_KEYS.GAME_STATISTICS, profile.id))
+    })));
+  }
+
   /**
    * Get game statistics
    * @returns {Object} Game statistics
@@ -308,6 +999,22 @@ export class StorageManager {
     return this.get(STORAGE_KEYS.GAME_STATISTICS, { ...DEFAULT_GAME_STATISTICS });
   }
 
+  /**
+   * Get the player's skill rating
+   * @returns {{rating: number, games: number, history: Array<{date: string, rating: number}>}} Rating
+   */
+  getSkillRating() {
+    return { ...createSkillRating(), ...this.getGameStatistics().skillRating };
+  }
+
+  /**
+   * Get the gallery state of every achievement
+   * @returns {Array<Object>} Achievements with their progress (see achievements.getAchievementStates)
+   */
+  getAchievements() {
+    return getAchievementStates(this.getGameStatistics());
+  }
+
   /**
    * Update game statistics
    * @param {Object} updates - Statistics updates
@@ -343,11 +1050,64 @@ export class StorageManager {
       difficulty,
       accuracy,
       targetColor,
-      userGuess
+      userGuess,
+      metric,
+      scoringMode,
+      seed,
+      mode,
+      targets,
+      guesses,
+      swatches,
+      paletteOrder,
+      replay
     } = gameResult;
 
-    const stats = this.getGameStatistics();
-    
+    const playedAt = new Date().toISOString();
+    const stats = this.update(
+      STORAGE_KEYS.GAME_STATISTICS,
+      (current) => this.applyGameResult(current, gameResult, playedAt),
+      DEFAULT_GAME_STATISTICS
+    );
+
+    const replayEntry = replay ? this.saveReplay(replay) : null;
+    this.addGameRecord(createGameRecord(gameResult, { replayId: replayEntry?.id ?? null }));
+
+    // Also record high score if applicable (dailies and session rounds are ranked separately)
+    if (won && score > 0 && mode !== 'daily' && mode !== 'session') {
+      this.addHighScore({
+        score,
+        time,
+        difficulty,
+        accuracy,
+        date: playedAt,
+        targetColor,
+        userGuess,
+        metric,
+        scoringMode,
+        seed,
+        mode,
+        // Multi-target (palette) games store every target and guess
+        ...(targets && { targets, guesses, swatches, paletteOrder }),
+        ...(isCustomDifficulty(difficulty) && { preset: this.getDifficulties()[difficulty] ?? null }),
+        ...(replayEntry && { replayId: replayEntry.id })
+      });
+    }
+
+    return stats;
+  }
+
+  /**
+   * Add a game result to the statistics
+   * @private
+   * @param {Object} stats - Statistics to update in place
+   * @param {Object} gameResult - Game result data
+   * @param {string} playedAt - ISO time of the game
+   * @returns {Object} The statistics
+   */
+  applyGameResult(stats, gameResult, playedAt) {
+    const { won, score, time, difficulty, accuracy } = gameResult;
+    const achievementProgress = getAchievementProgress(stats);
+
     // Update basic stats
     stats.totalGames += 1;
     stats.totalTimeSpent += time;
@@ -390,7 +1150,7 @@ export class StorageManager {
 
     // Update session stats
     if (!stats.sessionStats.startTime) {
-      stats.sessionStats.startTime = new Date().toISOString();
+      stats.sessionStats.startTime = playedAt;
     }
     stats.sessionStats.gamesPlayed += 1;
     if (won) {
@@ -402,23 +1162,11 @@ export class StorageManager {
       ? Math.round(stats.totalScore / stats.gamesWon) 
       : 0;
     
-    stats.lastPlayed = new Date().toISOString();
-    stats.updatedAt = new Date().toISOString();
+    stats.lastPlayed = playedAt;
+    stats.updatedAt = playedAt;
 
-    this.set(STORAGE_KEYS.GAME_STATISTICS, stats);
-
-    // Also record high score if applicable
-    if (won && score > 0) {
-      this.addHighScore({
-        score,
-        time,
-        difficulty,
-        accuracy,
-        date: new Date().toISOString(),
-        targetColor,
-        userGuess
-      });
-    }
+    unlockAchievements(stats, gameResult, playedAt, achievementProgress);
+    stats.skillRating = updateSkillRating(stats.skillRating, gameResult, playedAt);
 
     return stats;
   }
@@ -447,6 +1195,54 @@ export class StorageManager {
     return updated;
   }
 
+  /**
+   * Get the difficulty table: the built-in difficulties and the player's own
+   * @returns {Object<string, Object>} Difficulty settings by id
+   */
+  getDifficulties() {
+    return getDifficultyTable(this.getUserPreferences().customDifficulties);
+  }
+
+  /**
+   * Create or update a custom difficulty
+   * @param {Object} settings - Editor values (see difficulties.createCustomDifficulty)
+   * @param {string} [id] - Custom difficulty to update; a new one is created when omitted
+   * @returns {{id: string, difficulty: Object}} Stored difficulty
+   * @throws {ToneTrackerError} When the settings are invalid or the id is built-in
+   */
+  saveCustomDifficulty(settings, id = createCustomDifficultyId()) {
+    if (!isCustomDifficulty(id)) {
+      throw new ToneTrackerError(
+        `Difficulty ${id} is read-only`,
+        ERROR_CATEGORIES.VALIDATION,
+        ERROR_LEVELS.WARN,
+        { id, builtIn: isBuiltInDifficulty(id) }
+      );
+    }
+
+    const difficulty = createCustomDifficulty(settings);
+    const { customDifficulties } = this.getUserPreferences();
+    this.updateUserPreferences({ customDifficulties: { ...customDifficulties, [id]: difficulty } });
+    return { id, difficulty };
+  }
+
+  /**
+   * Delete a custom difficulty; its leaderboard entries are kept
+   * @param {string} id - Custom difficulty id
+   * @returns {boolean} Whether it existed
+   */
+  deleteCustomDifficulty(id) {
+    const { customDifficulties = {}, difficulty } = this.getUserPreferences();
+    if (!isCustomDifficulty(id) || !customDifficulties[id]) return false;
+
+    const { [id]: deleted, ...rest } = customDifficulties;
+    this.updateUserPreferences({
+      customDifficulties: rest,
+      ...(difficulty === id && { difficulty: DEFAULT_DIFFICULTY })
+    });
+    return Boolean(deleted);
+  }
+
   /**
    * Get high scores
    * @returns {Object} High scores data
@@ -456,35 +1252,47 @@ export class StorageManager {
   }
 
   /**
-   * Add a new high score
+   * Get the leaderboard of custom difficulties
+   * @returns {Object} High scores data, entries with their preset
+   */
+  getCustomHighScores() {
+    return this.get(STORAGE_KEYS.CUSTOM_HIGH_SCORES, { ...DEFAULT_CUSTOM_HIGH_SCORES });
+  }
+
+  /**
+   * Add a new high score; scores on custom difficulties go to their own leaderboard
    * @param {Object} scoreData - Score data
    */
   addHighScore(scoreData) {
-    const highScores = this.getHighScores();
-    
-    highScores.scores.push({
+    const entry = {
       ...scoreData,
-      id: Date.now().toString(),
+      // Unique across devices, as backups are merged by id
+      id: `score_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
       timestamp: new Date().toISOString()
-    });
+    };
+    const [key, defaults] = isCustomDifficulty(entry.difficulty)
+      ? [STORAGE_KEYS.CUSTOM_HIGH_SCORES, DEFAULT_CUSTOM_HIGH_SCORES]
+      : [STORAGE_KEYS.HIGH_SCORES, DEFAULT_HIGH_SCORES];
 
-    // Sort by score descending, then by time ascending
-    highScores.scores.sort((a, b) => {
-      if (b.score !== a.score) {
-        return b.score - a.score;
-      }
-      return a.time - b.time;
-    });
+    return this.update(key, (highScores) => {
+      highScores.scores.push(entry);
 
-    // Keep only top scores
-    if (highScores.scores.length > highScores.maxScores) {
-      highScores.scores = highScores.scores.slice(0, highScores.maxScores);
-    }
+      // Sort by score descending, then by time ascending
+      highScores.scores.sort((a, b) => {
+        if (b.score !== a.score) {
+          return b.score - a.score;
+        }
+        return a.time - b.time;
+      });
 
-    highScores.updatedAt = new Date().toISOString();
-    this.set(STORAGE_KEYS.HIGH_SCORES, highScores);
-    
-    return highScores;
+      // Keep only top scores
+      if (highScores.scores.length > highScores.maxScores) {
+        highScores.scores = highScores.scores.slice(0, highScores.maxScores);
+      }
+
+      highScores.updatedAt = entry.timestamp;
+      return highScores;
+    }, defaults);
   }
 
   /**
@@ -494,7 +1302,7 @@ export class StorageManager {
    * @returns {Array} Top scores
    */
   getTopScores(difficulty = null, limit = 10) {
-    const highScores = this.getHighScores();
+    const highScores = isCustomDifficulty(difficulty) ? this.getCustomHighScores() : this.getHighScores();
     let scores = highScores.scores;
 
     if (difficulty) {
@@ -504,6 +1312,264 @@ export class StorageManager {
     return scores.slice(0, limit);
   }
 
+  /**
+   * Get recorded sessions
+   * @returns {Object} Session results data
+   */
+  getSessions() {
+    return this.get(STORAGE_KEYS.SESSIONS, { ...DEFAULT_SESSIONS, sessions: [] });
+  }
+
+  /**
+   * Record a finished multi-round session as one entry with nested rounds
+   * @param {Object} session - Finished session
+   * @param {Object} summary - Session summary (totals and averages)
+   * @returns {Object} The stored entry
+   */
+  recordSession(session, summary) {
+    const entry = {
+      id: session.id,
+      rounds: session.rounds,
+      difficulty: session.difficulty,
+      seed: session.seed,
+      totalScore: summary.totalScore,
+      wins: summary.wins,
+      averageAccuracy: summary.averageAccuracy,
+      totalTime: summary.totalTime,
+      results: session.results,
+      startedAt: session.startedAt,
+      completedAt: new Date().toISOString()
+    };
+
+    this.update(STORAGE_KEYS.SESSIONS, (data) => ({
+      ...data,
+      sessions: [entry, ...data.sessions].slice(0, data.maxSessions),
+      updatedAt: entry.completedAt
+    }), DEFAULT_SESSIONS);
+
+    return entry;
+  }
+
+  /**
+   * Get the game history
+   * @returns {Object} Game history data
+   */
+  getGameHistory() {
+    return this.get(STORAGE_KEYS.GAME_HISTORY, { ...DEFAULT_GAME_HISTORY, games: [] });
+  }
+
+  /**
+   * Add a game record to the front of the history, dropping the oldest past maxGames
+   * @param {Object} record - Game record
+   * @returns {Object} The stored record
+   */
+  addGameRecord(record) {
+    this.update(STORAGE_KEYS.GAME_HISTORY, (history) => ({
+      ...history,
+      games: [record, ...history.games].slice(0, history.maxGames),
+      updatedAt: new Date().toISOString()
+    }), DEFAULT_GAME_HISTORY);
+    return record;
+  }
+
+  /**
+   * Get one page of the game history
+   * @param {Object} [filters] - Filters ({difficulty, mode, from, to}, see filterGameHistory)
+   * @param {Object} [paging] - Paging options
+   * @param {number} [paging.page=1] - Page number, starting at 1
+   * @param {number} [paging.pageSize] - Records per page
+   * @returns {{items: Array<Object>, page: number, pages: number, total: number, summary: Object}}
+   *   Page of records, with a summary of every matching record
+   */
+  queryGameHistory(filters = {}, { page = 1, pageSize = HISTORY_PAGE_SIZE } = {}) {
+    const games = filterGameHistory(this.getGameHistory().games, filters);
+    return { ...paginate(games, page, pageSize), summary: summarizeGameHistory(games) };
+  }
+
+  /**
+   * Get one game record
+   * @param {string} id - Record id
+   * @returns {Object|null} Record or null when it was dropped from the history
+   */
+  getGameRecord(id) {
+    return this.getGameHistory().games.find(game => game.id === id) || null;
+  }
+
+  /**
+   * Get stored replays, most recent first
+   * @returns {Object} Replay data
+   */
+  getReplays() {
+    return this.get(STORAGE_KEYS.REPLAYS, { ...DEFAULT_REPLAYS, replays: [] });
+  }
+
+  /**
+   * Get one stored replay
+   * @param {string} id - Replay id
+   * @returns {Object|null} Replay entry or null when it was dropped or never stored
+   */
+  getReplay(id) {
+    return this.getReplays().replays.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Store a recorded or imported replay
+   * @param {Object} replay - Compact replay
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.imported=false] - Whether the replay came from a file
+   * @returns {Object} The stored entry
+   */
+  saveReplay(replay, { imported = false } = {}) {
+    const entry = {
+      id: `replay_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      savedAt: new Date().toISOString(),
+      imported,
+      replay
+    };
+
+    this.update(STORAGE_KEYS.REPLAYS, (data) => ({
+      ...data,
+      replays: [entry, ...data.replays].slice(0, data.maxReplays),
+      updatedAt: entry.savedAt
+    }), DEFAULT_REPLAYS);
+
+    return entry;
+  }
+
+  /**
+   * Get Daily Challenge results
+   * @returns {Object} Daily Challenge data
+   */
+  getDailyChallenges() {
+    return this.get(STORAGE_KEYS.DAILY_CHALLENGES, {
+      ...DEFAULT_DAILY_CHALLENGES,
+      results: []
+    });
+  }
+
+  /**
+   * Get the Daily Challenge entry of a day
+   * @param {string} dateKey - Day key in YYYY-MM-DD form
+   * @returns {Object|null} Daily entry or null when the day was not attempted
+   */
+  getDailyChallenge(dateKey) {
+    return this.getDailyChallenges().results.find(entry => entry.date === dateKey) || null;
+  }
+
+  /**
+   * Check whether the player already used the day's attempt
+   * @param {string} dateKey - Day key in YYYY-MM-DD form
+   * @returns {boolean} Whether the day was attempted
+   */
+  hasPlayedDailyChallenge(dateKey) {
+    return this.getDailyChallenge(dateKey) !== null;
+  }
+
+  /**
+   * Claim the day's single attempt when a Daily Challenge starts.
+   * An attempt abandoned before it completes still counts as used.
+   * @param {Object} attempt - Attempt data
+   * @param {string} attempt.date - Day key in YYYY-MM-DD form
+   * @param {string} attempt.seed - Day seed
+   * @param {string} attempt.difficulty - Difficulty level
+   * @returns {Promise<Object>} The started entry, with the attempt id completing it needs
+   */
+  async startDailyChallenge({ date, seed, difficulty }) {
+    const entry = {
+      date,
+      seed,
+      difficulty,
+      attempt: `daily_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      status: 'started',
+      won: false,
+      score: 0,
+      startedAt: new Date().toISOString()
+    };
+
+    const dailies = await this.updateAsync(STORAGE_KEYS.DAILY_CHALLENGES, (data) => (
+      data.results.some(item => item.date === date)
+        ? data
+        : { ...data, results: [...data.results, entry], updatedAt: entry.startedAt }
+    ), DEFAULT_DAILY_CHALLENGES);
+
+    // Another tab may have claimed the day first; only the stored entry tells
+    const stored = dailies.results.find(item => item.date === date);
+    if (stored?.attempt !== entry.attempt) {
+      throw new ToneTrackerError(
+        `Daily Challenge already attempted on ${date}`,
+        ERROR_CATEGORIES.VALIDATION,
+        ERROR_LEVELS.WARN,
+        { date }
+      );
+    }
+
+    return entry;
+  }
+
+  /**
+   * Score the day's attempt and update the daily streak
+   * @param {string} dateKey - Day key in YYYY-MM-DD form
+   * @param {Object} result - Result data ({won, score, accuracy, time})
+   * @param {string} [attempt] - Id of the attempt startDailyChallenge() returned;
+   *   without it any open attempt of the day is scored
+   * @returns {Promise<Object>} Entry with its rank among completed dailies and the streaks
+   */
+  async completeDailyChallenge(dateKey, result, attempt = null) {
+    const completedAt = new Date().toISOString();
+    const isOpen = (entry) =>
+      entry?.status === 'started' && (attempt === null || entry.attempt === attempt);
+
+    const dailies = await this.updateAsync(STORAGE_KEYS.DAILY_CHALLENGES, (data) => {
+      const index = data.results.findIndex(entry => entry.date === dateKey);
+      if (!isOpen(data.results[index])) {
+        return data;
+      }
+
+      const entry = {
+        ...data.results[index],
+        won: result.won,
+        score: result.score,
+        accuracy: result.accuracy,
+        time: result.time,
+        status: 'completed',
+        completedAt
+      };
+      const updated = {
+        ...data,
+        results: data.results.map((item, i) => (i === index ? entry : item)),
+        updatedAt: completedAt
+      };
+
+      if (data.lastCompletedDate !== dateKey) {
+        updated.currentStreak = data.lastCompletedDate === getPreviousDailyKey(dateKey)
+          ? data.currentStreak + 1
+          : 1;
+        updated.bestStreak = Math.max(data.bestStreak, updated.currentStreak);
+        updated.lastCompletedDate = dateKey;
+      }
+      return updated;
+    }, DEFAULT_DAILY_CHALLENGES);
+
+    // Scored only if the stored entry is the one this call completed
+    const entry = dailies.results.find(item => item.date === dateKey);
+    if (entry?.completedAt !== completedAt || (attempt !== null && entry.attempt !== attempt)) {
+      throw new ToneTrackerError(
+        `No open Daily Challenge attempt on ${dateKey}`,
+        ERROR_CATEGORIES.VALIDATION,
+        ERROR_LEVELS.WARN,
+        { date: dateKey }
+      );
+    }
+
+    const completed = dailies.results.filter(item => item.status === 'completed');
+    return {
+      ...entry,
+      ...rankDailyResult(entry, completed),
+      currentStreak: dailies.currentStreak,
+      bestStreak: dailies.bestStreak
+    };
+  }
+
   /**
    * Subscribe to storage changes
    * @param {string} key - Storage key to watch
@@ -534,11 +1600,13 @@ export class StorageManager {
    * @private
    */
   notifyListeners(key, value) {
-    const keyListeners = this.listeners.get(key);
+    // Profile data is announced by its plain key, and only for the active profile
+    const listened = this.unscopeKey(key);
+    const keyListeners = listened === null ? null : this.listeners.get(listened);
     if (keyListeners) {
       keyListeners.forEach(callback => {
         try {
-          callback(value, key);
+          callback(value, listened);
         } catch (error) {
           console.warn('Storage listener callback failed:', error);
         }
@@ -548,49 +1616,77 @@ export class StorageManager {
 
   /**
    * Export all data for backup
-   * @returns {Object} All stored data
+   * @returns {Object} Versioned backup of all stored data (see backup.js)
    */
   exportData() {
-    const data = {};
-    
+    return createBackup(this.getSections(), { schemaVersion: SCHEMA_VERSION });
+  }
+
+  /**
+   * Get every stored value by STORAGE_KEYS name
+   * @private
+   */
+  getSections() {
+    const sections = {};
     Object.entries(STORAGE_KEYS).forEach(([name, key]) => {
-      data[name] = this.get(key);
+      // i18n stores the locale as a plain string rather than JSON
+      const value = key === STORAGE_KEYS.LOCALE ? this.readLocale() : this.get(key);
+      if (value !== null) {
+        sections[name] = value;
+      }
     });
+    return sections;
+  }
 
-    data.exportedAt = new Date().toISOString();
-    data.version = SCHEMA_VERSION;
-    
-    return data;
+  /**
+   * Read the locale i18n saved
+   * @private
+   * @returns {string|null} Locale code, or null when none is saved
+   */
+  readLocale() {
+    return this.isSupported ? localStorage.getItem(STORAGE_KEYS.LOCALE) : null;
+  }
+
+  /**
+   * Validate a backup and work out what importing it would change, without
+   * storing anything. Backups from older releases are migrated first.
+   * @param {string|Object} input - Backup file contents or parsed backup
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.merge=true] - Merge with the stored data instead of replacing it
+   * @returns {{data: Object<string, *>, diff: Object}} Sections to store by name, and the
+   *   figures before and after the import (see backup.diffBackup)
+   * @throws {ToneTrackerError} When the backup is invalid
+   */
+  previewImport(input, { merge = true } = {}) {
+    const { data: sections } = validateBackup(input);
+    const { data: migrated } = runMigrations(
+      Object.fromEntries(Object.entries(sections).map(([name, value]) => [STORAGE_KEYS[name], value])),
+      { context: { defaults: MIGRATION_DEFAULTS } }
+    );
+    const incoming = Object.fromEntries(
+      Object.entries(sections).map(([name, value]) => [name, migrated[STORAGE_KEYS[name]] ?? value])
+    );
+
+    const current = this.getSections();
+    const data = merge
+      ? mergeBackup(current, incoming)
+      : Object.fromEntries(Object.entries(incoming).filter(([name]) => IMPORTED_SECTIONS.includes(name)));
+
+    return { data, diff: diffBackup(current, { ...current, ...data }) };
   }
 
   /**
    * Import data from backup
-   * @param {Object} data - Data to import
+   * @param {string|Object} data - Backup file contents or parsed backup
    * @param {boolean} merge - Whether to merge with existing data
+   * @returns {Object} Figures before and after the import (see previewImport)
    */
   importData(data, merge = false) {
-    if (!data || typeof data !== 'object') {
-      throw new ToneTrackerError(
-        'Invalid data format for import',
-        ERROR_CATEGORIES.VALIDATION,
-        ERROR_LEVELS.ERROR
-      );
-    }
+    const preview = this.previewImport(data, { merge });
 
     try {
-      Object.entries(STORAGE_KEYS).forEach(([name, key]) => {
-        if (data[name]) {
-          if (merge) {
-            const existing = this.get(key);
-            if (existing && typeof existing === 'object') {
-              this.set(key, { ...existing, ...data[name] });
-            } else {
-              this.set(key, data[name]);
-            }
-          } else {
-            this.set(key, data[name]);
-          }
-        }
+      Object.entries(preview.data).forEach(([name, value]) => {
+        this.set(STORAGE_KEYS[name], value);
       });
       
       console.log('Data import completed successfully');
@@ -602,6 +1698,8 @@ export class StorageManager {
         { error: error.message }
       );
     }
+
+    return preview.diff;
   }
 
   /**
@@ -609,8 +1707,8 @@ export class StorageManager {
    * @returns {Object} Storage usage stats
    */
   getStorageInfo() {
-    if (!this.isSupported) {
-      return { supported: false };
+    if (!this.adapter.persistent) {
+      return { supported: false, backend: this.adapter.name };
     }
 
     let totalSize = 0;
@@ -618,7 +1716,8 @@ export class StorageManager {
 
     Object.values(STORAGE_KEYS).forEach(key => {
       try {
-        const data = localStorage.getItem(key);
+        const value = this.get(key);
+        const data = value === null ? null : JSON.stringify(value);
         const size = data ? new Blob([data]).size : 0;
         totalSize += size;
         keyData[key] = {
@@ -633,6 +1732,7 @@ export class StorageManager {
 
     return {
       supported: true,
+      backend: this.adapter.name,
       totalSize: totalSize,
       totalSizeFormatted: this.formatBytes(totalSize),
       keys: keyData,
@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Storage backends
+ * Every adapter offers the same promise-based key-value interface, so the
+ * storage manager can persist to IndexedDB, localStorage or memory alike.
+ * Values are JSON-compatible data. The localStorage and memory adapters are
+ * synchronous underneath and also expose getSync/setSync/removeSync/updateSync.
+ */
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Backend name ('indexeddb', 'localstorage' or 'memory')
+ * @property {boolean} persistent - Whether data survives a reload
+ * @property {boolean} sync - Whether the *Sync methods are available
+ * @property {function(string): Promise<*>} get - Read a value; null when missing
+ * @property {function(string, *): Promise<void>} set - Write a value
+ * @property {function(string): Promise<void>} remove - Delete a value
+ * @property {function(string, function(*): *): Promise<*>} update - Replace a value with
+ *   the updater's result in one step, so no write from another tab can slip in between;
+ *   resolves with the new value
+ * @property {function(): Promise<string[]>} keys - List the stored keys
+ * @property {function(): Promise<Array<[string, *]>>} entries - List every key and value
+ */
+
+/**
+ * IndexedDB database and object store holding the key-value pairs
+ * @readonly
+ */
+export const IDB_DATABASE = 'tonetracker';
+export const IDB_STORE = 'keyval';
+const IDB_VERSION = 1;
+
+/**
+ * Check whether a Web Storage area can be written
+ * @param {Storage} [area=localStorage] - Storage area
+ * @returns {boolean} Whether the area is usable
+ */
+export function isWebStorageAvailable(area) {
+  try {
+    // Merely reading window.localStorage throws when site data is blocked
+    const storageArea = area || globalThis.localStorage;
+    const testKey = '__storage_test__';
+    storageArea.setItem(testKey, 'test');
+    storageArea.removeItem(testKey);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Adapter over a Web Storage area; values are stored as JSON strings
+ */
+export class LocalStorageAdapter {
+  /**
+   * @param {Storage} [area=localStorage] - Storage area
+   */
+  constructor(area = globalThis.localStorage) {
+    this.name = 'localstorage';
+    this.persistent = true;
+    this.sync = true;
+    this.area = area;
+  }
+
+  getSync(key) {
+    const data = this.area.getItem(key);
+    return data === null ? null : JSON.parse(data);
+  }
+
+  setSync(key, value) {
+    this.area.setItem(key, JSON.stringify(value));
+  }
+
+  removeSync(key) {
+    this.area.removeItem(key);
+  }
+
+  updateSync(key, updater) {
+    const value = updater(this.getSync(key));
+    this.setSync(key, value);
+    return value;
+  }
+
+  async get(key) {
+    return this.getSync(key);
+  }
+
+  async set(key, value) {
+    this.setSync(key, value);
+  }
+
+  async remove(key) {
+    this.removeSync(key);
+  }
+
+  async update(key, updater) {
+    return this.updateSync(key, updater);
+  }
+
+  async keys() {
+    return Array.from({ length: this.area.length }, (_, i) => this.area.key(i));
+  }
+
+  async entries() {
+    const keys = await this.keys();
+    return keys.map((key) => [key, this.getSync(key)]);
+  }
+}
+
+/**
+ * Adapter keeping data for the lifetime of the page only
+ */
+export class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.persistent = false;
+    this.sync = true;
+    this.data = new Map();
+  }
+
+  getSync(key) {
+    return this.data.has(key) ? JSON.parse(this.data.get(key)) : null;
+  }
+
+  // Values are kept serialized so stored data cannot be changed through a reference
+  setSync(key, value) {
+    this.data.set(key, JSON.stringify(value));
+  }
+
+  removeSync(key) {
+    this.data.delete(key);
+  }
+
+  updateSync(key, updater) {
+    const value = updater(this.getSync(key));
+    this.setSync(key, value);
+    return value;
+  }
+
+  async get(key) {
+    return this.getSync(key);
+  }
+
+  async set(key, value) {
+    this.setSync(key, value);
+  }
+
+  async remove(key) {
+    this.removeSync(key);
+  }
+
+  async update(key, updater) {
+    return this.updateSync(key, updater);
+  }
+
+  async keys() {
+    return [...this.data.keys()];
+  }
+
+  async entries() {
+    return [...this.data.keys()].map((key) => [key, this.getSync(key)]);
+  }
+}
+
+/**
+ * Adapter over a single IndexedDB object store with out-of-line keys
+ */
+export class IndexedDBAdapter {
+  /**
+   * @param {IDBFactory} [factory=indexedDB] - IndexedDB implementation
+   * @param {Object} [options] - Options
+   * @param {string} [options.database=IDB_DATABASE] - Database name
+   */
+  constructor(factory = globalThis.indexedDB, { database = IDB_DATABASE } = {}) {
+    this.name = 'indexeddb';
+    this.persistent = true;
+    this.sync = false;
+    this.factory = factory;
+    this.database = database;
+    this.db = null;
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  async open() {
+    if (this.db) return this.db;
+    if (!this.factory) {
+      throw new Error('IndexedDB is not available');
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = this.factory.open(this.database, IDB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(IDB_STORE)) {
+          request.result.createObjectStore(IDB_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+    });
+
+    // Let a newer version opened in another tab upgrade; the next call reopens
+    this.db.onversionchange = () => {
+      this.db.close();
+      this.db = null;
+    };
+
+    return this.db;
+  }
+
+  /**
+   * Run requests in one transaction
+   * @private
+   * @param {IDBTransactionMode} mode - Transaction mode
+   * @param {function(IDBObjectStore): (IDBRequest|IDBRequest[])} operation - Issues the requests
+   * @returns {Promise<*>} Result of the request, or results of the requests, once committed
+   */
+  async transact(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(IDB_STORE, mode);
+      const requests = operation(transaction.objectStore(IDB_STORE));
+      transaction.oncomplete = () => resolve(
+        Array.isArray(requests) ? requests.map((request) => request.result) : requests.result
+      );
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  async get(key) {
+    const value = await this.transact('readonly', (store) => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async set(key, value) {
+    await this.transact('readwrite', (store) => store.put(value, key));
+  }
+
+  async remove(key) {
+    await this.transact('readwrite', (store) => store.delete(key));
+  }
+
+  /**
+   * Read and write a value in one readwrite transaction. IndexedDB runs
+   * overlapping readwrite transactions one after another, across tabs too.
+   * @param {string} key - Key
+   * @param {function(*): *} updater - Gets the stored value (null when missing), returns the new one
+   * @returns {Promise<*>} New value, once committed
+   */
+  async update(key, updater) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(IDB_STORE, 'readwrite');
+      const store = transaction.objectStore(IDB_STORE);
+      const read = store.get(key);
+      let value;
+
+      read.onsuccess = () => {
+        try {
+          value = updater(read.result === undefined ? null : read.result);
+          store.put(value, key);
+        } catch (error) {
+          reject(error);
+          transaction.abort();
+        }
+      };
+      transaction.oncomplete = () => resolve(value);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  async keys() {
+    return this.transact('readonly', (store) => store.getAllKeys());
+  }
+
+  async entries() {
+    // Both lists come back in key order from the same snapshot
+    const [keys, values] = await this.transact('readonly', (store) => [store.getAllKeys(), store.getAll()]);
+    return keys.map((key, i) => [key, values[i]]);
+  }
+}
+
+/**
+ * Pick the best available backend: IndexedDB, then localStorage, then memory
+ * @param {Object} [env] - Environment to probe
+ * @param {IDBFactory} [env.indexedDB] - IndexedDB implementation
+ * @param {Storage} [env.localStorage] - Web Storage area
+ * @returns {Promise<StorageAdapter>} Ready adapter
+ */
+export async function createStorageAdapter({ indexedDB = globalThis.indexedDB, localStorage } = {}) {
+  if (indexedDB) {
+    const adapter = new IndexedDBAdapter(indexedDB);
+    try {
+      await adapter.open();
+      return adapter;
+    } catch (error) {
+      // Private browsing modes may expose indexedDB but refuse to open it
+      console.warn('IndexedDB is not available, falling back to localStorage:', error);
+    }
+  }
+
+  if (isWebStorageAvailable(localStorage)) {
+    return new LocalStorageAdapter(localStorage || globalThis.localStorage);
+  }
+
+  return new MemoryAdapter();
+}
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview User-facing game strings (Hungarian)
+ * Re-exported by constants.js; hints and the headless engine import it directly.
+ */
+
+export const STRINGS = {
+  memorizeColor: 'Memorizáld a színt!',
+  congratulations: 'Gratulálok! Eltaláltad!',
+  sorry: 'Sajnálom, nem találtad el.',
+  tryAgain: (tips) => `Próbáld újra! Még ${tips} tippelési lehetőséged van. `,
+  noMoreTips: 'Nincs több tipp',
+  computerTip: (tips) => `Gép tippje (${tips} maradt)`,
+  invalidColor: 'Érvénytelen színkód, alapértelmezettre állítva.',
+  unrecognizedColor: 'Nem értelmezhető szín, próbáld újra.',
+  colorInputPlaceholder: (example) => `Írd be a színt (pl. ${example})`,
+  dailyAlreadyPlayed: 'A mai napi kihívást már teljesítetted. Gyere vissza holnap!',
+  roundOf: (round, rounds) => `${round}/${rounds}`,
+  sessionProgress: (played, rounds, total) =>
+    `${played}/${rounds}. kör kész, eddigi összpontszám: ${total}.`,
+  sessionComplete: (total, wins, rounds) =>
+    `Menet vége! Összpontszám: ${total} (${wins}/${rounds} eltalált szín).`,
+  sessionColumns: ['Kör', 'Cél', 'Tipp', 'Pontosság', 'Idő', 'Pont'],
+  memorizePalette: (size) => `Memorizáld mind a ${size} színt!`,
+  paletteGuessPrompt: (swatch, size) => `Add meg a(z) ${swatch}/${size}. színt!`,
+  paletteColumns: ['#', 'Cél', 'Tipp', 'ΔE', 'Pontosság'],
+  paletteResult: (accuracy, score) => `Átlagos pontosság: ${accuracy}%, pontszám: ${score}.`,
+  hints: {
+    channelNames: { r: 'vörös', g: 'zöld', b: 'kék' },
+    channelRange: (channel, min, max) => `A ${channel} csatorna értéke ${min} és ${max} között van.`,
+    furthestChannel: (channel, direction) =>
+      `A ${channel} csatorna tér el a legjobban: ${direction === 'up' ? 'növeld' : 'csökkentsd'}!`,
+    hueRange: (min, max) => `A színárnyalat ${min}° és ${max}° között van.`,
+    lightnessRange: (min, max) => `A világosság ${min}% és ${max}% között van.`,
+    deltaESwatch: (distance) => `Ez a szín pontosan ΔE ${distance} távolságra van a céltól.`,
+  },
+  scoreBreakdownColumns: ['Tétel', 'Pont'],
+  scoreBreakdown: {
+    accuracyPoints: (base, accuracy) => `Alappont (${base}) × pontosság (${accuracy}%)`,
+    timePenalty: 'Időlevonás',
+    guessPenalty: 'Tipplevonás',
+    computerTipPenalty: 'Gépi tipp levonás',
+    lost: 'Nem sikerült: a pontszám 0',
+  },
+  modeNames: { classic: 'Klasszikus', daily: 'Napi kihívás', session: 'Menet', palette: 'Paletta' },
+  difficultyNames: { easy: 'Könnyű', medium: 'Közepes', hard: 'Nehéz' },
+  dailyResult: (rank, total, streak) =>
+    `Napi kihívás: ${rank}. hely a(z) ${total} napi eredményed közül, sorozat: ${streak} nap.`,
+  challenge: {
+    started: (score) => score === null
+      ? 'Kihívás: ugyanazt a színt kapod, mint a barátod!'
+      : `Kihívás: győzd le a ${score} pontot ugyanezen a színen!`,
+    invalid: 'A kihívás linkje sérült vagy módosították, ezért nem indítható el.',
+    copied: 'A kihívás linkje a vágólapra került.',
+    copyPrompt: 'Másold ki a kihívás linkjét:',
+    customUnavailable: 'Saját nehézségi szinten játszott játékból nem készül kihívás.',
+    columns: ['', 'Kihívó', 'Te'],
+    rows: { score: 'Pont', accuracy: 'Pontosság', time: 'Idő' },
+    outcome: {
+      win: 'Legyőzted a kihívót! 🎉',
+      loss: 'Ezúttal a kihívó nyert.',
+      tie: 'Döntetlen!',
+    },
+    noScore: 'A kihívó nem küldött pontszámot, csak a színt.',
+  },
+  share: {
+    title: (mode, difficulty) => `ToneTracker – ${mode} (${difficulty})`,
+    summary: (score, seconds) => `Pont: ${score} · Idő: ${seconds} mp`,
+    target: 'Cél',
+    guess: 'Tipp',
+    copied: 'Az eredmény a vágólapra került.',
+    copyPrompt: 'Másold ki az eredményt:',
+  },
+  history: {
+    summary: (total, winRate, accuracy) =>
+      `${total} játék, nyerési arány: ${winRate}%, átlagos pontosság: ${accuracy}%.`,
+    empty: 'Nincs a szűrésnek megfelelő játék.',
+    page: (page, pages) => `${page}/${pages}. oldal`,
+    item: (date, mode, difficulty) => `${date} · ${mode} · ${difficulty}`,
+    itemScore: (score, accuracy) => `${score} pont · ${accuracy}%`,
+    detailColumns: ['Tétel', 'Érték'],
+    detailRows: {
+      date: 'Dátum',
+      mode: 'Mód',
+      difficulty: 'Nehézség',
+      seed: 'Játékkód (seed)',
+      result: 'Eredmény',
+      score: 'Pont',
+      accuracy: 'Pontosság',
+      time: 'Idő',
+      attempts: 'Tippek',
+      computerTipsUsed: 'Gépi tippek',
+      target: 'Célszín',
+      guess: 'Tipp',
+    },
+    won: 'Eltalálva',
+    lost: 'Nem sikerült',
+  },
+  replay: {
+    eventTypes: {
+      type: 'Begépelés',
+      picker: 'Színválasztó',
+      step: 'RGB lépés',
+      slider: 'Csúszka',
+      hint: 'Gépi tipp',
+      check: 'Ellenőrzés',
+    },
+    event: (seconds, type, color) => `${seconds} mp – ${type}: ${color || 'nincs szín'}`,
+    start: (events) => `A játék eleje (${events} rögzített lépés).`,
+    entry: (date, seed, score) => `${date} – ${seed} (${score} pont)`,
+    imported: 'importált',
+    empty: 'Még nincs rögzített visszajátszás.',
+    play: 'Lejátszás',
+    pause: 'Szünet',
+    importDone: 'Visszajátszás betöltve.',
+    importFailed: 'A fájl nem érvényes visszajátszás.',
+  },
+  achievements: {
+    summary: (unlocked, total) => `${unlocked}/${total} kitüntetés megszerezve.`,
+    progress: (progress, goal) => `${progress}/${goal}`,
+    unlockedAt: (date) => `Megszerezve: ${date}`,
+    unlockedEarlier: 'Megszerezve',
+    locked: 'Még nincs meg',
+  },
+  backup: {
+    columns: ['Tétel', 'Jelenleg', 'Betöltés után'],
+    rows: {
+      totalGames: 'Lejátszott játékok',
+      bestScore: 'Legjobb pontszám',
+      games: 'Előzmények',
+      highScores: 'Rekordok',
+      customHighScores: 'Saját szintek rekordjai',
+      replays: 'Visszajátszások',
+      sessions: 'Menetek',
+      dailies: 'Napi kihívások',
+      achievements: 'Kitüntetések',
+    },
+    exported: 'Az adatok fájlba mentve.',
+    imported: 'A mentés betöltve.',
+    invalid: 'A fájl nem érvényes ToneTracker mentés.',
+    unchanged: 'A mentés nem tartalmaz új adatot.',
+  },
+  difficulties: {
+    builtIn: 'Beépített szintek',
+    custom: 'Saját szintek',
+    copyName: (name) => `${name} (saját)`,
+    saved: (name) => `A(z) „${name}” szint elmentve.`,
+    deleted: 'A nehézségi szint törölve.',
+    invalid: 'A szint beállításai hibásak: adj nevet, legalább egy beviteli panelt, és maradj a megadott határokon belül.',
+    leaderboardColumns: ['Szint', 'Pont', 'Idő (mp)', 'Dátum'],
+    leaderboardEmpty: 'Saját szinten még nincs rekord.',
+  },
+  profiles: {
+    defaultName: 'Játékos',
+    created: (name) => `A(z) „${name}” profil létrejött.`,
+    renamed: 'A profil átnevezve.',
+    switched: (name) => `Aktív profil: ${name}`,
+    deleted: 'A profil és minden adata törölve.',
+    confirmDelete: (name) => `Biztosan törlöd a(z) „${name}” profilt és minden adatát?`,
+    invalid: 'A profil neve 1–20 karakter legyen, és ne egyezzen egy másik profiléval.',
+    lastProfile: 'Az utolsó profil nem törölhető.',
+    active: 'aktív',
+    rename: 'Átnevezés',
+    remove: 'Törlés',
+    leaderboardColumns: ['Profil', 'Legjobb pont', 'Győzelem', 'Játék', 'Nyerési arány', 'Kitüntetés'],
+  },
+  skill: {
+    level: (level) => `${level}. szint`,
+    chart: (games, first, last) => `Játékerő az utolsó ${games} játékban: ${first} → ${last}`,
+    empty: 'A játékerő az első játék után jelenik meg.',
+  },
+};
@@ -1,8 +1,14 @@
 import { DOM, STRINGS } from './constants.js';
-import { state } from './state.js';
+import { stateManager } from './stateManager.js';
 import { storage } from './storage.js';
-// Import i18n commented out to avoid unused variable warning
-// import { i18n } from './i18n.js';
+import { formatColor } from './colorUtils.js';
+import { syncInputPanel, setInputPanelDisabled, INPUT_PANELS } from './inputPanels.js';
+import { isBuiltInDifficulty, DIFFICULTIES, DEFAULT_DIFFICULTY } from './difficulties.js';
+import { PALETTE_WIN_ACCURACY } from './palette.js';
+import { summarizeGameHistory } from './gameHistory.js';
+import { i18n } from './i18n.js';
+import { getSkillLevel } from './skillRating.js';
+import { MAX_PROFILE_NAME_LENGTH } from './profiles.js';
 
 function formatTime(seconds) {
   const hours = Math.floor(seconds / 3600);
@@ -22,8 +28,66 @@ function formatTime(seconds) {
   return timeString;
 }
 
+/**
+ * Get the color notation the player has chosen for input and display
+ * @returns {string} One of the colorUtils COLOR_FORMATS
+ */
+export function getColorFormat() {
+  return storage.getUserPreferences().colorFormat || 'hex';
+}
+
+/**
+ * Write a color into the text input using the player's color format
+ * @param {string} hex - Hex color string
+ */
+export function setColorInputValue(hex) {
+  const format = getColorFormat();
+  DOM.colorInput.value =
+    format === 'hex' ? hex.replace('#', '') : formatColor(hex, format);
+}
+
+/**
+ * Update the text input's hints to match a color format
+ * @param {string} format - One of the colorUtils COLOR_FORMATS
+ */
+export function applyColorFormat(format) {
+  if (format === 'hex') {
+    DOM.colorInput.placeholder = STRINGS.colorInputPlaceholder('ff5733');
+    DOM.colorInput.setAttribute('pattern', '#?[0-9a-fA-F]{6}');
+  } else {
+    DOM.colorInput.placeholder = STRINGS.colorInputPlaceholder(
+      formatColor('#FF5733', format)
+    );
+    DOM.colorInput.removeAttribute('pattern');
+  }
+}
+
+/**
+ * Listeners notified whenever the user color swatch changes
+ * @private
+ */
+const userColorListeners = new Set();
+
+/**
+ * Subscribe to user color changes from any input source
+ * @param {Function} callback - Called with the new color
+ * @returns {Function} Unsubscribe function
+ */
+export function onUserColorChange(callback) {
+  userColorListeners.add(callback);
+  return () => userColorListeners.delete(callback);
+}
+
 export function updateUserColor(color) {
   DOM.userColor.style.backgroundColor = color;
+  syncInputPanel(color);
+  userColorListeners.forEach((callback) => {
+    try {
+      callback(color);
+    } catch (error) {
+      console.warn('User color listener failed:', error);
+    }
+  });
 }
 
 export function updateRandomColor(color, text = '') {
@@ -40,12 +104,12 @@ export function updateFeedback(message) {
 }
 
 export function updateTimer() {
-  const elapsedTime = Math.floor((Date.now() - state.startTime) / 1000);
+  const elapsedTime = Math.floor((Date.now() - stateManager.select('game.startTime')) / 1000);
   DOM.timer.textContent = formatTime(elapsedTime);
 }
 
 export function updateScore() {
-  DOM.score.textContent = state.score;
+  DOM.score.textContent = stateManager.select('game.score');
 }
 
 export function updateComponentButtonsState(hex) {
@@ -62,10 +126,11 @@ export function updateComponentButtonsState(hex) {
 }
 
 export function updateTipButton() {
-  if (state.computerTipCount > 0) {
+  const computerTipCount = stateManager.select('game.computerTipCount');
+  if (computerTipCount > 0) {
     DOM.computerGuessButton.disabled = false;
     DOM.computerGuessButton.textContent = STRINGS.computerTip(
-      state.computerTipCount
+      computerTipCount
     );
   } else {
     DOM.computerGuessButton.disabled = true;
@@ -77,25 +142,749 @@ export function showModal() {
   document.body.classList.add('modal-open');
 }
 
+/**
+ * Dialogs sharing the modal backdrop; only one of them is shown at a time
+ * @private
+ */
+function getDialogs() {
+  return [
+    DOM.resultModal,
+    DOM.replayModal,
+    DOM.historyModal,
+    DOM.achievementsModal,
+    DOM.settingsModal,
+    DOM.profilesModal
+  ].filter(Boolean);
+}
+
+/**
+ * Show one dialog and hide the others
+ * @param {HTMLElement} dialog - Dialog element
+ */
+export function showDialog(dialog) {
+  getDialogs().forEach((item) => {
+    item.hidden = item !== dialog;
+  });
+  showModal();
+}
+
 export function hideModal() {
   document.body.classList.remove('modal-open');
+  // The result modal is the one shown by showModal
+  getDialogs().forEach((item) => {
+    item.hidden = item !== DOM.resultModal;
+  });
 }
 
-export function showResultModal() {
-  DOM.correctColorCode.textContent = state.generatedColor;
-  showModal();
+/**
+ * Show the replay viewer in place of the result modal
+ */
+export function showReplayModal() {
+  showDialog(DOM.replayModal);
+}
+
+/**
+ * Fill the replay picker with the stored replays
+ * @param {Array<Object>} entries - Stored replay entries, most recent first
+ * @param {string|null} selectedId - Entry to select
+ */
+export function renderReplayList(entries, selectedId) {
+  DOM.replaySelect.innerHTML = '';
+  DOM.replaySelect.disabled = entries.length === 0;
+
+  entries.forEach(({ id, savedAt, imported, replay }) => {
+    const option = document.createElement('option');
+    const date = new Date(replay.recordedAt || savedAt).toLocaleString('hu-HU');
+    const score = replay.result ? replay.result.score : 0;
+    option.value = id;
+    option.textContent = STRINGS.replay.entry(date, replay.seed, score) +
+      (imported ? ` (${STRINGS.replay.imported})` : '');
+    option.selected = id === selectedId;
+    DOM.replaySelect.appendChild(option);
+  });
+}
+
+/**
+ * Swatches of a history record: target and guess of every swatch
+ * @private
+ * @param {Object} record - History record
+ * @returns {HTMLElement} Swatch strip
+ */
+function createHistorySwatches(record) {
+  const strip = document.createElement('span');
+  strip.className = 'history-swatches';
+  const pairs = record.swatches || [{ target: record.targetColor, guess: record.userGuess }];
+
+  pairs.forEach(({ target, guess }) => {
+    [target, guess].forEach((color, index) => {
+      const swatch = document.createElement('span');
+      swatch.className = 'history-swatch';
+      swatch.style.backgroundColor = color || 'transparent';
+      swatch.title = `${index === 0 ? STRINGS.history.detailRows.target : STRINGS.history.detailRows.guess}: ${color || '—'}`;
+      strip.appendChild(swatch);
+    });
+  });
+  return strip;
+}
+
+/**
+ * Render one page of the game history
+ * @param {Object} result - Page from storage.queryGameHistory ({items, page, pages, summary})
+ */
+export function renderHistoryPage({ items, page, pages, summary }) {
+  DOM.historyListView.hidden = false;
+  DOM.historyDetail.hidden = true;
+  DOM.historyList.innerHTML = '';
+
+  DOM.historySummary.textContent = summary.totalGames > 0
+    ? STRINGS.history.summary(
+        summary.totalGames,
+        Math.round(summary.winRate),
+        Math.round(summary.averageAccuracy)
+      )
+    : STRINGS.history.empty;
+
+  items.forEach((record) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'history-item';
+    button.classList.toggle('history-item-won', Boolean(record.won));
+    button.dataset.id = record.id;
+
+    const label = document.createElement('span');
+    label.textContent = STRINGS.history.item(
+      new Date(record.date).toLocaleString('hu-HU'),
+      STRINGS.modeNames[record.mode] || record.mode,
+      record.difficultyName || STRINGS.difficultyNames[record.difficulty] || record.difficulty
+    );
+    const score = document.createElement('span');
+    score.className = 'history-item-score';
+    score.textContent = STRINGS.history.itemScore(record.score, record.accuracy ?? 0);
+
+    button.append(createHistorySwatches(record), label, score);
+    item.appendChild(button);
+    DOM.historyList.appendChild(item);
+  });
+
+  DOM.historyPage.textContent = STRINGS.history.page(page, pages);
+  DOM.historyPrevButton.disabled = page <= 1;
+  DOM.historyNextButton.disabled = page >= pages;
+}
+
+/**
+ * Show the details of one game in place of the history list
+ * @param {Object} record - History record
+ */
+export function renderHistoryDetail(record) {
+  const labels = STRINGS.history.detailRows;
+  DOM.historyListView.hidden = true;
+  DOM.historyDetail.hidden = false;
+  DOM.historyDetailBody.innerHTML = '';
+
+  const rows = [
+    [labels.date, new Date(record.date).toLocaleString('hu-HU')],
+    [labels.mode, STRINGS.modeNames[record.mode] || record.mode],
+    [labels.difficulty, record.difficultyName || STRINGS.difficultyNames[record.difficulty] || record.difficulty],
+    [labels.seed, record.seed || '—'],
+    [labels.result, record.won ? STRINGS.history.won : STRINGS.history.lost],
+    [labels.score, record.score],
+    [labels.accuracy, `${record.accuracy ?? 0}%`],
+    [labels.time, `${Math.round(record.time / 1000)} mp`],
+    ...(record.attempts !== undefined ? [[labels.attempts, record.attempts]] : []),
+    ...(record.computerTipsUsed !== undefined ? [[labels.computerTipsUsed, record.computerTipsUsed]] : []),
+    ...(record.swatches ? [] : [[labels.target, record.targetColor], [labels.guess, record.userGuess || '—']]),
+  ].map((cells) => ({ cells, won: false }));
+
+  DOM.historyDetailBody.append(
+    createHistorySwatches(record),
+    createSummaryTable(STRINGS.history.detailColumns, rows)
+  );
+
+  if (record.swatches) {
+    const swatchRows = record.swatches.map((swatch, index) => ({
+      cells: [index + 1, swatch.target, swatch.guess, swatch.deltaE, `${swatch.accuracy}%`],
+      won: swatch.accuracy >= PALETTE_WIN_ACCURACY,
+    }));
+    DOM.historyDetailBody.appendChild(createSummaryTable(STRINGS.paletteColumns, swatchRows));
+  }
+
+  // Replays are kept for fewer games than the history
+  DOM.historyReplayButton.hidden = !record.replayId || !storage.getReplay(record.replayId);
+  DOM.historyReplayButton.dataset.replayId = record.replayId || '';
+}
+
+/**
+ * Fill the achievements gallery
+ * @param {Array<Object>} entries - Achievements with their progress (see achievements.getAchievementStates)
+ */
+export function renderAchievements(entries) {
+  const strings = STRINGS.achievements;
+  const unlocked = entries.filter(({ state }) => state === 'unlocked').length;
+  DOM.achievementSummary.textContent = strings.summary(unlocked, entries.length);
+  DOM.achievementList.innerHTML = '';
+
+  entries.forEach(({ id, icon, goal, progress, state, unlockedAt }) => {
+    const item = document.createElement('li');
+    item.className = `achievement-item achievement-${state}`;
+
+    const badge = document.createElement('span');
+    badge.className = 'achievement-badge';
+    badge.setAttribute('aria-hidden', 'true');
+    badge.textContent = icon;
+
+    const text = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = i18n.t(`achievements.items.${id}.title`);
+    const details = document.createElement('p');
+    details.textContent = i18n.t(`achievements.items.${id}.description`);
+    text.append(title, details);
+
+    const status = document.createElement('span');
+    status.className = 'achievement-status';
+    if (state === 'unlocked') {
+      status.textContent = unlockedAt
+        ? strings.unlockedAt(new Date(unlockedAt).toLocaleDateString('hu-HU'))
+        : strings.unlockedEarlier;
+    } else if (goal > 1) {
+      const bar = document.createElement('progress');
+      bar.max = goal;
+      bar.value = progress;
+      bar.setAttribute('aria-label', strings.progress(progress, goal));
+      status.append(bar, strings.progress(progress, goal));
+    } else {
+      status.textContent = strings.locked;
+    }
+
+    item.append(badge, text, status);
+    DOM.achievementList.appendChild(item);
+  });
+}
+
+/**
+ * Show what importing a backup would change, changed rows highlighted
+ * @param {Object<string, {before: number, after: number}>} diff - Figures by row (see backup.diffBackup)
+ */
+export function renderBackupPreview(diff) {
+  const labels = STRINGS.backup.rows;
+  const rows = Object.entries(diff).map(([row, { before, after }]) => ({
+    cells: [labels[row] || row, before, after],
+    won: before !== after,
+  }));
+
+  DOM.backupPreviewBody.innerHTML = '';
+  DOM.backupPreviewBody.appendChild(createSummaryTable(STRINGS.backup.columns, rows));
+  DOM.backupPreview.hidden = false;
+}
+
+/**
+ * Display name of a difficulty
+ * @private
+ */
+const getDifficultyLabel = (id, difficulty) => difficulty?.name || STRINGS.difficultyNames[id] || id;
+
+/**
+ * List the custom difficulties in the difficulty selector and every
+ * difficulty in the editor's preset selector
+ * @param {Object<string, Object>} difficulties - Difficulty table (see storage.getDifficulties)
+ * @param {string} [selected] - Preset to select in the editor
+ */
+export function renderDifficultyOptions(difficulties, selected = DOM.difficultyPreset.value) {
+  const option = (id) => new Option(getDifficultyLabel(id, difficulties[id]), id);
+  const customIds = Object.keys(difficulties).filter((id) => !isBuiltInDifficulty(id));
+  const current = DOM.difficulty.value;
+
+  DOM.customDifficultyOptions.replaceChildren(...customIds.map(option));
+  DOM.customDifficultyOptions.hidden = customIds.length === 0;
+  DOM.difficulty.value = difficulties[current] ? current : DEFAULT_DIFFICULTY;
+
+  const builtIn = document.createElement('optgroup');
+  builtIn.label = STRINGS.difficulties.builtIn;
+  builtIn.append(...Object.keys(DIFFICULTIES).map(option));
+  const custom = document.createElement('optgroup');
+  custom.label = STRINGS.difficulties.custom;
+  custom.append(...customIds.map(option));
+  DOM.difficultyPreset.replaceChildren(builtIn, ...(customIds.length > 0 ? [custom] : []));
+  DOM.difficultyPreset.value = difficulties[selected] ? selected : DEFAULT_DIFFICULTY;
+}
+
+/**
+ * Show a difficulty in the editor. Built-in ones are shown as the starting
+ * point of a new custom difficulty and cannot be deleted.
+ * @param {string} id - Difficulty id
+ * @param {Object} difficulty - Difficulty settings
+ */
+export function fillDifficultyForm(id, difficulty) {
+  const builtIn = isBuiltInDifficulty(id);
+
+  DOM.difficultyName.value = builtIn
+    ? STRINGS.difficulties.copyName(getDifficultyLabel(id, difficulty))
+    : difficulty.name;
+  DOM.difficultyMemorizeTime.value = String(difficulty.memorizeTime / 1000);
+  DOM.difficultyTipCount.value = String(difficulty.tipCount);
+  DOM.difficultyComputerTipCount.value = String(difficulty.computerTipCount);
+  DOM.difficultyWinThreshold.value = String(difficulty.winThreshold);
+  DOM.difficultyTimeBonusDecay.value = String(difficulty.timeBonusDecay);
+  DOM.deleteDifficultyButton.disabled = builtIn;
+
+  if (!DOM.difficultyPanels.querySelector('input')) {
+    Object.entries(INPUT_PANELS).forEach(([panelId, { label }]) => {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'form-check form-check-inline';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.className = 'form-check-input';
+      input.id = `difficultyPanel-${panelId}`;
+      input.name = 'difficultyPanels';
+      input.value = panelId;
+      const text = document.createElement('label');
+      text.className = 'form-check-label';
+      text.htmlFor = input.id;
+      text.textContent = label;
+      wrapper.append(input, text);
+      DOM.difficultyPanels.appendChild(wrapper);
+    });
+  }
+  DOM.difficultyPanels.querySelectorAll('input').forEach((input) => {
+    input.checked = difficulty.inputPanels.includes(input.value);
+  });
+}
+
+/**
+ * Read the editor values
+ * @returns {Object} Settings for storage.saveCustomDifficulty
+ */
+export function readDifficultyForm() {
+  const number = (input) => (input.value === '' ? NaN : Number(input.value));
+
+  return {
+    name: DOM.difficultyName.value,
+    memorizeTime: number(DOM.difficultyMemorizeTime) * 1000,
+    tipCount: number(DOM.difficultyTipCount),
+    computerTipCount: number(DOM.difficultyComputerTipCount),
+    winThreshold: number(DOM.difficultyWinThreshold),
+    timeBonusDecay: number(DOM.difficultyTimeBonusDecay),
+    inputPanels: Array.from(DOM.difficultyPanels.querySelectorAll('input:checked'), (input) => input.value)
+  };
+}
+
+/**
+ * Show the leaderboard of custom difficulties
+ * @param {Array<Object>} scores - Entries of storage.getCustomHighScores, best first
+ */
+export function renderCustomLeaderboard(scores) {
+  DOM.customLeaderboard.innerHTML = '';
+  if (scores.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = STRINGS.difficulties.leaderboardEmpty;
+    DOM.customLeaderboard.appendChild(empty);
+    return;
+  }
+
+  const rows = scores.map((entry) => ({
+    cells: [
+      getDifficultyLabel(entry.difficulty, entry.preset),
+      entry.score,
+      Math.round(entry.time / 1000),
+      new Date(entry.date).toLocaleDateString('hu-HU')
+    ],
+    won: false,
+  }));
+  DOM.customLeaderboard.appendChild(createSummaryTable(STRINGS.difficulties.leaderboardColumns, rows));
+}
+
+/**
+ * Show the profiles in the header switcher and in the profile manager, where
+ * every profile can be renamed or deleted
+ * @param {Object} registry - Profile registry ({activeId, profiles})
+ */
+export function renderProfiles({ activeId, profiles }) {
+  const strings = STRINGS.profiles;
+  DOM.profileSelect.replaceChildren(...profiles.map(({ id, name }) => new Option(name, id, false, id === activeId)));
+  DOM.profileList.innerHTML = '';
+
+  profiles.forEach(({ id, name }) => {
+    const item = document.createElement('li');
+    item.className = 'profile-item';
+    item.dataset.profileId = id;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'form-control form-control-sm';
+    input.value = name;
+    input.maxLength = MAX_PROFILE_NAME_LENGTH;
+    input.setAttribute('aria-label', `${strings.rename}: ${name}`);
+
+    const rename = document.createElement('button');
+    rename.type = 'button';
+    rename.className = 'btn btn-sm btn-outline-secondary js-profile-rename';
+    rename.textContent = strings.rename;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-sm btn-outline-danger js-profile-delete';
+    remove.textContent = strings.remove;
+    remove.disabled = profiles.length === 1;
+
+    item.append(input, rename, remove);
+    if (id === activeId) {
+      const badge = document.createElement('span');
+      badge.className = 'badge badge-primary';
+      badge.textContent = strings.active;
+      item.prepend(badge);
+    }
+    DOM.profileList.appendChild(item);
+  });
+}
+
+/**
+ * Show the leaderboard of the profiles on this device
+ * @param {Array<Object>} rows - Rows of storage.getProfileLeaderboard, best first
+ * @param {string} activeId - Id of the active profile, whose row is highlighted
+ */
+export function renderProfileLeaderboard(rows, activeId) {
+  const tableRows = rows.map((row) => ({
+    cells: [row.name, row.bestScore, row.gamesWon, row.totalGames, `${row.winRate}%`, row.achievements],
+    won: row.id === activeId,
+  }));
+  DOM.profileLeaderboard.replaceChildren(createSummaryTable(STRINGS.profiles.leaderboardColumns, tableRows));
+}
+
+/**
+ * Offer text or a blob as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob} content - File contents
+ * @param {string} [type='application/json'] - MIME type
+ */
+export function downloadFile(filename, content, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Show the result modal for the finished game
+ * @param {Object} [details] - Extra result details
+ * @param {Object|null} [details.daily] - Ranked Daily Challenge result
+ * @param {Object|null} [details.session] - Session progress ({session, summary, complete})
+ * @param {Object|null} [details.palette] - Scored palette ({swatches, accuracy, score})
+ * @param {Object|null} [details.breakdown] - Score breakdown of a single-color game
+ * @param {Object|null} [details.challenge] - Head-to-head result of a challenge link
+ */
+export function showResultModal({
+  daily = null,
+  session = null,
+  palette = null,
+  breakdown = null,
+  challenge = null
+} = {}) {
+  const game = stateManager.select('game');
+  const format = getColorFormat();
+  const describeColor = (hex) =>
+    format === 'hex' ? hex : `${formatColor(hex, format)} (${hex})`;
+  DOM.correctColorCode.textContent = palette
+    ? game.targets.map(describeColor).join(', ')
+    : describeColor(game.generatedColor);
+  if (DOM.gameSeed) {
+    DOM.gameSeed.textContent = game.seed || '';
+  }
+  if (DOM.dailyResult) {
+    DOM.dailyResult.hidden = !daily;
+    DOM.dailyResult.textContent = daily
+      ? STRINGS.dailyResult(daily.rank, daily.total, daily.currentStreak)
+      : '';
+  }
+  renderScoreBreakdown(breakdown);
+  renderSessionSummary(session);
+  renderPaletteSummary(palette);
+  renderChallengeResult(challenge);
+  showDialog(DOM.resultModal);
+}
+
+/**
+ * Show the running session's round counter, or hide it outside sessions
+ */
+export function updateRound() {
+  if (!DOM.roundDisplay) return;
+  const session = stateManager.select('game.session');
+  DOM.roundDisplay.hidden = !session;
+  DOM.round.textContent = session
+    ? STRINGS.roundOf(Math.min(session.results.length + 1, session.rounds), session.rounds)
+    : '';
+}
+
+/**
+ * Build a result table; the last column of a won row is highlighted
+ * @private
+ * @param {string[]} columns - Column headings
+ * @param {Array<{cells: Array, won: boolean}>} rows - Table rows
+ * @param {number|string} [total] - Value of the "total" footer row, omitted when undefined
+ * @returns {HTMLTableElement} Table element
+ */
+function createSummaryTable(columns, rows, total) {
+  const table = document.createElement('table');
+  table.className = 'session-summary-table';
+  const headerRow = table.createTHead().insertRow();
+  columns.forEach((column) => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = column;
+    headerRow.appendChild(th);
+  });
+
+  const body = table.createTBody();
+  rows.forEach(({ cells, won }) => {
+    const row = body.insertRow();
+    cells.forEach((value) => {
+      row.insertCell().textContent = String(value);
+    });
+    row.classList.toggle('session-round-won', Boolean(won));
+  });
+
+  if (total !== undefined) {
+    const footRow = table.createTFoot().insertRow();
+    const label = footRow.insertCell();
+    label.colSpan = columns.length - 1;
+    label.textContent = 'Összesen';
+    footRow.insertCell().textContent = String(total);
+  }
+
+  return table;
+}
+
+/**
+ * Render session progress and, once the last round is played, the per-round table
+ * @private
+ * @param {Object|null} progress - Session progress ({session, summary, complete})
+ */
+function renderSessionSummary(progress) {
+  if (!DOM.sessionSummary) return;
+
+  DOM.sessionSummary.innerHTML = '';
+  DOM.sessionSummary.hidden = !progress;
+  if (DOM.nextRoundButton) {
+    DOM.nextRoundButton.hidden = !progress || progress.complete;
+  }
+  if (!progress) return;
+
+  const { session, summary, complete } = progress;
+  const heading = document.createElement('p');
+  heading.textContent = complete
+    ? STRINGS.sessionComplete(summary.totalScore, summary.wins, summary.rounds)
+    : STRINGS.sessionProgress(summary.played, summary.rounds, summary.totalScore);
+  DOM.sessionSummary.appendChild(heading);
+
+  if (!complete) return;
+
+  const rows = session.results.map((result) => ({
+    cells: [
+      result.round,
+      result.targetColor,
+      result.guess || '—',
+      `${result.accuracy}%`,
+      `${Math.round(result.time / 1000)} mp`,
+      result.score,
+    ],
+    won: result.won,
+  }));
+  const table = createSummaryTable(STRINGS.sessionColumns, rows, summary.totalScore);
+  DOM.sessionSummary.appendChild(table);
+}
+
+/**
+ * Render the player's result next to the challenger's
+ * @private
+ * @param {Object|null} headToHead - Comparison from compareWithChallenge
+ */
+function renderChallengeResult(headToHead) {
+  if (!DOM.challengeResult) return;
+
+  DOM.challengeResult.innerHTML = '';
+  DOM.challengeResult.hidden = !headToHead;
+  if (!headToHead) return;
+
+  const { outcome, challenger, player } = headToHead;
+  const heading = document.createElement('p');
+  heading.textContent = outcome ? STRINGS.challenge.outcome[outcome] : STRINGS.challenge.noScore;
+  DOM.challengeResult.appendChild(heading);
+
+  const show = (value, format) => (value === null || value === undefined ? '—' : format(value));
+  const labels = STRINGS.challenge.rows;
+  const rows = [
+    {
+      cells: [labels.score, show(challenger.score, String), player.score],
+      won: challenger.score !== null && player.score > challenger.score,
+    },
+    {
+      cells: [labels.accuracy, show(challenger.accuracy, (v) => `${v}%`), `${player.accuracy}%`],
+      won: challenger.accuracy !== null && player.accuracy > challenger.accuracy,
+    },
+    {
+      cells: [
+        labels.time,
+        show(challenger.time, (v) => `${Math.round(v / 1000)} mp`),
+        `${Math.round(player.time / 1000)} mp`,
+      ],
+      won: challenger.time !== null && player.time < challenger.time,
+    },
+  ];
+  DOM.challengeResult.appendChild(createSummaryTable(STRINGS.challenge.columns, rows));
+}
+
+/**
+ * Render how the game's score was put together
+ * @private
+ * @param {Object|null} breakdown - Score breakdown (see calculateScoreBreakdown)
+ */
+function renderScoreBreakdown(breakdown) {
+  if (!DOM.scoreBreakdown) return;
+
+  DOM.scoreBreakdown.innerHTML = '';
+  DOM.scoreBreakdown.hidden = !breakdown;
+  if (!breakdown) return;
+
+  const labels = STRINGS.scoreBreakdown;
+  const rows = [
+    { cells: [labels.accuracyPoints(breakdown.base, breakdown.accuracy), breakdown.accuracyPoints] },
+    { cells: [labels.timePenalty, -breakdown.timePenalty] },
+    { cells: [labels.guessPenalty, -breakdown.guessPenalty] },
+    { cells: [labels.computerTipPenalty, -breakdown.computerTipPenalty] },
+  ];
+  if (!breakdown.won) {
+    rows.push({ cells: [labels.lost, ''] });
+  }
+
+  DOM.scoreBreakdown.appendChild(
+    createSummaryTable(STRINGS.scoreBreakdownColumns, rows, breakdown.total)
+  );
+}
+
+/**
+ * Render the per-swatch result table of a palette game
+ * @private
+ * @param {Object|null} palette - Scored palette ({swatches, accuracy, score})
+ */
+function renderPaletteSummary(palette) {
+  if (!DOM.paletteSummary) return;
+
+  DOM.paletteSummary.innerHTML = '';
+  DOM.paletteSummary.hidden = !palette;
+  if (!palette) return;
+
+  const heading = document.createElement('p');
+  heading.textContent = STRINGS.paletteResult(palette.accuracy, palette.score);
+  DOM.paletteSummary.appendChild(heading);
+
+  const rows = palette.swatches.map((swatch, index) => ({
+    cells: [index + 1, swatch.target, swatch.guess, swatch.deltaE, `${swatch.accuracy}%`],
+    won: swatch.accuracy >= PALETTE_WIN_ACCURACY,
+  }));
+  DOM.paletteSummary.appendChild(createSummaryTable(STRINGS.paletteColumns, rows));
+}
+
+/**
+ * Create one swatch of the palette strip
+ * @private
+ */
+function createPaletteSwatch(index, color) {
+  const swatch = document.createElement('div');
+  swatch.className = 'palette-swatch';
+  swatch.setAttribute('role', 'listitem');
+  swatch.dataset.index = String(index);
+  swatch.textContent = String(index + 1);
+  if (color) {
+    swatch.style.backgroundColor = color;
+  }
+  return swatch;
+}
+
+/**
+ * Show the palette swatches to memorize in place of the single target box
+ * @param {string[]} colors - Target hex colors
+ * @param {string} [text] - Text shown above the swatches
+ */
+export function showPalette(colors, text = '') {
+  DOM.randomColor.hidden = true;
+  DOM.paletteSwatches.hidden = false;
+  DOM.paletteSwatches.innerHTML = '';
+  DOM.paletteSwatches.setAttribute('aria-label', text || 'Megjegyzendő színpaletta');
+  colors.forEach((color, index) => {
+    const swatch = createPaletteSwatch(index, color);
+    swatch.setAttribute('aria-label', `${index + 1}. szín`);
+    DOM.paletteSwatches.appendChild(swatch);
+  });
+}
+
+/**
+ * Cover the palette with empty numbered slots once memorizing is over
+ * @param {number} size - Number of swatches
+ */
+export function coverPalette(size) {
+  DOM.paletteSwatches.innerHTML = '';
+  for (let index = 0; index < size; index++) {
+    const slot = createPaletteSwatch(index, null);
+    slot.classList.add('palette-slot');
+    slot.setAttribute('aria-label', `${index + 1}. hely, még nincs tipp`);
+    DOM.paletteSwatches.appendChild(slot);
+  }
+}
+
+/**
+ * Fill a palette slot with the player's guess
+ * @param {number} index - Slot index
+ * @param {string} color - Guessed hex color
+ */
+export function updatePaletteSlot(index, color) {
+  const slot = DOM.paletteSwatches.querySelector(`[data-index="${index}"]`);
+  if (!slot) return;
+  slot.style.backgroundColor = color;
+  slot.classList.remove('palette-slot');
+  slot.setAttribute('aria-label', `${index + 1}. tipp: ${color}`);
+}
+
+/**
+ * Show every target next to the guess it was matched with
+ * @param {Array<Object>} swatches - Scored swatches ({target, guess, deltaE})
+ */
+export function revealPalette(swatches) {
+  DOM.paletteSwatches.innerHTML = '';
+  swatches.forEach((swatch, index) => {
+    const pair = createPaletteSwatch(index, swatch.target);
+    pair.classList.add('palette-pair');
+    pair.style.backgroundImage = `linear-gradient(to bottom, ${swatch.target} 60%, ${swatch.guess} 60%)`;
+    pair.textContent = `ΔE ${swatch.deltaE}`;
+    pair.setAttribute('aria-label', `${index + 1}. cél ${swatch.target}, tipp ${swatch.guess}, ΔE ${swatch.deltaE}`);
+    DOM.paletteSwatches.appendChild(pair);
+  });
+}
+
+/**
+ * Hide the palette strip and bring back the single target box
+ */
+export function hidePalette() {
+  if (!DOM.paletteSwatches) return;
+  DOM.paletteSwatches.hidden = true;
+  DOM.paletteSwatches.innerHTML = '';
+  DOM.randomColor.hidden = false;
 }
 
 export function disableGameControls() {
   DOM.checkButton.disabled = true;
   DOM.computerGuessButton.disabled = true;
   DOM.allSecondaryButtons.forEach((btn) => (btn.disabled = true));
+  setInputPanelDisabled(true);
 }
 
 export function enableGameControls() {
   DOM.checkButton.disabled = false;
   DOM.computerGuessButton.disabled = false;
   DOM.allSecondaryButtons.forEach((btn) => (btn.disabled = false));
+  setInputPanelDisabled(false);
 }
 
 export function playSound(type) {
@@ -124,19 +913,96 @@ export function resetUI() {
   updateScore();
 }
 
+/**
+ * Draw a newly started game in its memorize phase
+ * @private
+ * @param {Object} game - Game state
+ */
+function renderNewGame(game) {
+  resetUI();
+  updateRound();
+  if (game.mode === 'palette') {
+    showPalette(game.targets, STRINGS.memorizePalette(game.targets.length));
+  } else {
+    hidePalette();
+    updateRandomColor(game.generatedColor, STRINGS.memorizeColor);
+  }
+  setPulseAnimation(true);
+  disableGameControls();
+}
+
+/**
+ * Hide the target and unlock the controls when guessing starts, lock them
+ * again when the game ends
+ * @private
+ * @param {string} phase - Game phase
+ */
+function renderPhase(phase) {
+  if (phase === 'guess') {
+    const targets = stateManager.select('game.targets');
+    if (targets.length > 0) {
+      coverPalette(targets.length);
+    } else {
+      updateRandomColor('#FFFFFF', '');
+    }
+    setPulseAnimation(false);
+    playSound('start');
+    enableGameControls();
+    updateTipButton();
+  } else if (phase === 'ended') {
+    disableGameControls();
+  }
+}
+
+/**
+ * Sync the swatch, color picker field and component buttons with the player's color
+ * @private
+ * @param {string|null} color - Hex color
+ */
+function renderUserColor(color) {
+  if (!color) return;
+  updateUserColor(color);
+  DOM.colorAdjust.value = color;
+  updateComponentButtonsState(color.replace('#', ''));
+}
+
+/**
+ * Re-render the game screen from store changes
+ * The game loop only dispatches actions; everything shown on screen follows
+ * the store through these path subscriptions, time travel included.
+ * @returns {Function} Unsubscribe function
+ */
+export function bindGameState() {
+  const unsubscribers = [
+    stateManager.subscribe('game.gameId', () => renderNewGame(stateManager.select('game'))),
+    stateManager.subscribe('game.phase', renderPhase),
+    stateManager.subscribe('game.score', updateScore),
+    stateManager.subscribe('game.computerTipCount', () => {
+      // New games reset the count while the controls are still locked
+      if (stateManager.select('game.phase') === 'guess') {
+        updateTipButton();
+      }
+    }),
+    stateManager.subscribe('game.guesses', (guesses) => {
+      if (guesses.length > 0) {
+        updatePaletteSlot(guesses.length - 1, guesses[guesses.length - 1]);
+      }
+    }),
+    stateManager.subscribe('game.userColor', renderUserColor),
+    stateManager.subscribe('game.session', updateRound),
+    stateManager.subscribe('ui.feedback', (feedback) => updateFeedback(feedback.message))
+  ];
+  return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+}
+
 /**
  * Update statistics display with latest game data
  */
 export function updateStatistics() {
   try {
-    // Get game statistics from storage
-    const gameHistory = storage.get('game_history', []);
-    const highScores = storage.getHighScores();
-    
-    // Calculate statistics from game history
-    const totalGames = gameHistory.length;
-    const gamesWon = gameHistory.filter(game => game.won).length;
-    const totalAccuracy = gameHistory.reduce((sum, game) => sum + (game.accuracy || 0), 0);
+    // Totals come from the lifetime counters; the bounded history covers recent games
+    const { totalGames, gamesWon, bestScore } = storage.getGameStatistics();
+    const { averageAccuracy } = summarizeGameHistory(storage.getGameHistory().games);
     
     // Total games
     const totalGamesElement = document.getElementById('total-games');
@@ -154,22 +1020,32 @@ export function updateStatistics() {
     // Best score
     const bestScoreElement = document.getElementById('best-score');
     if (bestScoreElement) {
-      const bestScore = highScores.length > 0 ? highScores[0].score : 0;
       bestScoreElement.textContent = bestScore.toString();
     }
     
     // Average accuracy
     const avgAccuracyElement = document.getElementById('avg-accuracy');
     if (avgAccuracyElement) {
-      const avgAccuracy = totalGames > 0 ? totalAccuracy / totalGames : 0;
-      avgAccuracyElement.textContent = `${Math.round(avgAccuracy)}%`;
+      avgAccuracyElement.textContent = `${Math.round(averageAccuracy)}%`;
     }
+
+    // Skill rating and its recent course
+    const { rating, history } = storage.getSkillRating();
+    const ratingElement = document.getElementById('skill-rating');
+    if (ratingElement) {
+      ratingElement.textContent = rating.toString();
+    }
+    const levelElement = document.getElementById('skill-level');
+    if (levelElement) {
+      levelElement.textContent = STRINGS.skill.level(getSkillLevel(rating));
+    }
+    renderRatingChart(history);
     
     console.log('📈 Statistics updated:', {
       totalGames,
       winRate: `${Math.round((gamesWon / totalGames * 100) || 0)}%`,
-      bestScore: highScores.length > 0 ? highScores[0].score : 0,
-      avgAccuracy: `${Math.round((totalAccuracy / totalGames) || 0)}%`
+      bestScore,
+      avgAccuracy: `${Math.round(averageAccuracy)}%`
     });
     
   } catch (error) {
@@ -190,6 +1066,35 @@ export function updateStatistics() {
   }
 }
 
+/**
+ * Draw the rating history as a sparkline
+ * @param {Array<{date: string, rating: number}>} history - Ratings after each game, oldest first
+ */
+export function renderRatingChart(history) {
+  const chart = document.getElementById('rating-chart');
+  if (!chart) return;
+
+  chart.replaceChildren();
+  if (history.length === 0) {
+    chart.setAttribute('aria-label', STRINGS.skill.empty);
+    return;
+  }
+
+  const [, , width, height] = chart.getAttribute('viewBox').split(' ').map(Number);
+  const ratings = history.map((entry) => entry.rating);
+  const min = Math.min(...ratings);
+  const range = Math.max(1, Math.max(...ratings) - min);
+  // A single rating is drawn as a flat line
+  const step = width / Math.max(1, ratings.length - 1);
+  const points = (ratings.length > 1 ? ratings : [ratings[0], ratings[0]])
+    .map((rating, index) => `${Math.round(index * step)},${Math.round(height - 2 - (rating - min) / range * (height - 4))}`);
+
+  const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+  line.setAttribute('points', points.join(' '));
+  chart.appendChild(line);
+  chart.setAttribute('aria-label', STRINGS.skill.chart(ratings.length, ratings[0], ratings[ratings.length - 1]));
+}
+
 /**
  * Create and show a toast notification
  * @param {string} message - Message to display
@@ -305,16 +1210,17 @@ function getToastColor(type) {
  * Show achievement notification
  * @param {string} achievement - Achievement name
  * @param {string} description - Achievement description
+ * @param {string} [icon='🏆'] - Achievement icon
  */
-export function showAchievement(achievement, description) {
+export function showAchievement(achievement, description, icon = '🏆') {
   const achievementEl = document.createElement('div');
   achievementEl.className = 'achievement-notification';
   
   achievementEl.innerHTML = `
     <div class="achievement-content">
-      <div class="achievement-icon">🏆</div>
+      <div class="achievement-icon">${icon}</div>
       <div class="achievement-text">
-        <div class="achievement-title">Achievement Unlocked!</div>
+        <div class="achievement-title">${i18n.t('achievements.unlocked')}</div>
         <div class="achievement-name">${achievement}</div>
         <div class="achievement-desc">${description}</div>
       </div>
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Unit tests for the achievement registry and stored unlocks
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  ACHIEVEMENTS,
+  getAchievementProgress,
+  unlockAchievements,
+  getLatestUnlocks,
+  getAchievementStates
+} from '../../src/js/achievements.js';
+import { StorageManager } from '../../src/js/storage.js';
+import { i18n } from '../../src/js/i18n.js';
+
+const WIN = { won: true, score: 50, time: 20000, difficulty: 'easy', accuracy: 90 };
+
+describe('achievement registry', () => {
+  it('should have unique ids with a title and description in every locale', () => {
+    const ids = ACHIEVEMENTS.map(({ id }) => id);
+    expect(new Set(ids).size).toBe(ids.length);
+
+    i18n.getAvailableLocales().forEach((locale) => {
+      ids.forEach((id) => {
+        expect(i18n.translations[locale].achievements.items[id]).toEqual({
+          title: expect.any(String),
+          description: expect.any(String)
+        });
+      });
+    });
+  });
+
+  it('should measure either from statistics or by tracking games', () => {
+    expect(ACHIEVEMENTS.every(({ progress, track }) => Boolean(progress) !== Boolean(track))).toBe(true);
+  });
+});
+
+describe('unlockAchievements', () => {
+  const registry = [
+    { id: 'wins', icon: '🏆', goal: 2, progress: (stats) => stats.gamesWon },
+    { id: 'fast', icon: '⚡', goal: 1, track: (count = 0, { time }) => count + (time < 1000 ? 1 : 0) }
+  ];
+
+  it('should unlock once, when the goal is reached', () => {
+    const stats = { gamesWon: 1 };
+    let before = getAchievementProgress(stats, registry);
+
+    expect(unlockAchievements(stats, { time: 5000 }, 't1', before, registry)).toEqual([]);
+
+    before = getAchievementProgress(stats, registry);
+    stats.gamesWon = 2;
+    expect(unlockAchievements(stats, { time: 500 }, 't2', before, registry).map(({ id }) => id)).toEqual(['wins', 'fast']);
+
+    before = getAchievementProgress(stats, registry);
+    stats.gamesWon = 3;
+    expect(unlockAchievements(stats, { time: 500 }, 't3', before, registry)).toEqual([]);
+    expect(stats.achievements).toEqual([{ id: 'wins', unlockedAt: 't2' }, { id: 'fast', unlockedAt: 't2' }]);
+    expect(stats.achievementProgress).toEqual({ fast: 2 });
+  });
+
+  it('should store goals met before the game without reporting them', () => {
+    const stats = { gamesWon: 5 };
+    const before = getAchievementProgress(stats, registry);
+
+    expect(unlockAchievements(stats, { time: 5000 }, 't1', before, registry)).toEqual([]);
+    expect(stats.achievements).toEqual([{ id: 'wins', unlockedAt: null }]);
+  });
+
+  it('should report the gallery states', () => {
+    const states = getAchievementStates({ gamesWon: 1, achievements: ['fast'] }, registry);
+
+    expect(states).toEqual([
+      { id: 'wins', icon: '🏆', goal: 2, progress: 1, state: 'progress', unlockedAt: null },
+      { id: 'fast', icon: '⚡', goal: 1, progress: 1, state: 'unlocked', unlockedAt: null }
+    ]);
+    expect(getAchievementStates({ gamesWon: 0 }, registry)[0].state).toBe('locked');
+  });
+});
+
+describe('StorageManager achievements', () => {
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new StorageManager();
+  });
+
+  it('should persist unlocks with the time of the game', () => {
+    const stats = manager.recordGame(WIN);
+
+    expect(getLatestUnlocks(stats).map(({ id }) => id)).toEqual(['first-win']);
+    expect(manager.getGameStatistics().achievements).toEqual([{ id: 'first-win', unlockedAt: stats.lastPlayed }]);
+
+    // Later wins do not announce it again
+    expect(getLatestUnlocks(manager.recordGame(WIN))).toEqual([]);
+  });
+
+  it('should count per-game progress and list it in the gallery', () => {
+    manager.recordGame({ ...WIN, time: 5000, accuracy: 100 });
+    manager.recordGame({ ...WIN, difficulty: 'hard' });
+    manager.recordGame({ ...WIN, won: false, score: 0 });
+
+    const byId = Object.fromEntries(manager.getAchievements().map((entry) => [entry.id, entry]));
+    expect(byId['perfect-match'].state).toBe('unlocked');
+    expect(byId['lightning-fast'].state).toBe('unlocked');
+    expect(byId['wins-5']).toMatchObject({ state: 'progress', progress: 2, goal: 5 });
+    expect(byId['hard-mode-master']).toMatchObject({ state: 'progress', progress: 1 });
+    expect(byId['wins-100'].state).toBe('progress');
+    expect(manager.getGameStatistics().achievementProgress).toMatchObject({ 'perfect-match': 1, 'lightning-fast': 1 });
+  });
+});
+
+describe('achievement definitions', () => {
+  const progressAfter = (games, stats = {}) => {
+    games.forEach((game) => unlockAchievements(stats, game, 't', getAchievementProgress(stats)));
+    return getAchievementProgress(stats);
+  };
+
+  it('should count games above 95% accuracy, won or not', () => {
+    expect(progressAfter([
+      { ...WIN, accuracy: 96 },
+      { ...WIN, won: false, accuracy: 97 },
+      { ...WIN, accuracy: 95 }
+    ])['sharp-eye']).toBe(2);
+  });
+
+  it('should take streaks from the statistics', () => {
+    expect(getAchievementProgress({ currentStreak: 4, bestStreak: 2 })).toMatchObject({
+      'streak-3': 3,
+      'streak-5': 4
+    });
+  });
+
+  it('should want a win on hard under five seconds', () => {
+    const progress = progressAfter([
+      { ...WIN, difficulty: 'medium', time: 3000 },
+      { ...WIN, difficulty: 'hard', time: 6000 },
+      { ...WIN, won: false, difficulty: 'hard', time: 2000 }
+    ]);
+    expect(progress['hard-lightning']).toBe(0);
+    expect(progressAfter([{ ...WIN, difficulty: 'hard', time: 4999 }])['hard-lightning']).toBe(1);
+  });
+
+  it('should collect the hue sextants of matched colors', () => {
+    const stats = {};
+    progressAfter([
+      { ...WIN, targetColor: '#FF0000' },
+      { ...WIN, targetColor: '#FF1010' },
+      { ...WIN, won: false, targetColor: '#00FF00' },
+      { ...WIN, targetColor: '#808080' },
+      {
+        ...WIN,
+        targetColor: null,
+        swatches: [{ target: '#FFFF00', accuracy: 95 }, { target: '#0000FF', accuracy: 40 }]
+      }
+    ], stats);
+
+    expect(stats.achievementProgress['color-wheel']).toEqual([0, 1]);
+    expect(progressAfter(
+      ['#FF0000', '#FFFF00', '#00FF00', '#00FFFF', '#0000FF', '#FF00FF'].map((targetColor) => ({ ...WIN, targetColor }))
+    )['color-wheel']).toBe(6);
+  });
+
+  it('should need seven Daily Challenges won on consecutive days', () => {
+    const daily = (day, won = true) => ({ ...WIN, won, mode: 'daily', seed: `DAILY-2024-03-${String(day).padStart(2, '0')}` });
+
+    expect(progressAfter([1, 2, 3].map((day) => daily(day)))['daily-week']).toBe(3);
+    expect(progressAfter([daily(1), daily(2), daily(4)])['daily-week']).toBe(1);
+    expect(progressAfter([daily(1), daily(2, false), daily(3)])['daily-week']).toBe(1);
+    expect(progressAfter([daily(1), WIN, daily(2)])['daily-week']).toBe(2);
+    expect(progressAfter([27, 28, 29, 30, 31].map((day) => daily(day)).concat(
+      ['2024-04-01', '2024-04-02'].map((date) => ({ ...WIN, mode: 'daily', seed: `DAILY-${date}` }))
+    ))['daily-week']).toBe(7);
+  });
+});
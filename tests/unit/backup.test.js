@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Unit tests for backup validation, merging and import
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  BACKUP_FORMAT,
+  createBackup,
+  validateBackup,
+  mergeBackup,
+  diffBackup
+} from '../../src/js/backup.js';
+import { StorageManager } from '../../src/js/storage.js';
+
+const game = (id, date, won, score, extra = {}) => ({
+  id, date, won, score, time: 10000, difficulty: 'easy', mode: 'classic', accuracy: won ? 98 : 60, ...extra
+});
+
+const stats = (games, extra = {}) => ({
+  version: 2,
+  totalGames: games.length,
+  gamesWon: games.filter((g) => g.won).length,
+  gamesLost: games.filter((g) => !g.won).length,
+  totalScore: games.reduce((sum, g) => sum + (g.won ? g.score : 0), 0),
+  totalTimeSpent: games.length * 10000,
+  bestScore: Math.max(0, ...games.map((g) => (g.won ? g.score : 0))),
+  achievements: [],
+  ...extra
+});
+
+describe('validateBackup', () => {
+  it('should accept a backup and a legacy flat export', () => {
+    const sections = { HIGH_SCORES: { scores: [{ score: 10, time: 1, difficulty: 'easy' }] } };
+
+    expect(validateBackup(JSON.stringify(createBackup(sections))).data).toEqual(sections);
+    expect(validateBackup({ ...sections, exportedAt: '2024-01-01', version: 2 })).toMatchObject({ version: 0, data: sections });
+  });
+
+  it('should list what does not match the schema', () => {
+    const backup = createBackup({
+      GAME_HISTORY: { games: [{ id: 'a', date: '2024-01-01', won: 'yes', score: 1 }] },
+      SESSIONS: []
+    });
+
+    expect(() => validateBackup(backup)).toThrow('SESSIONS must be object; GAME_HISTORY.games[0].won must be boolean');
+    expect(() => validateBackup('{')).toThrow('not JSON');
+    expect(() => validateBackup({ format: 'other', data: {} })).toThrow('unknown format');
+    expect(() => validateBackup({ format: BACKUP_FORMAT, version: 99, data: {} })).toThrow('unsupported version');
+    expect(() => validateBackup({ unrelated: true })).toThrow('no data');
+  });
+});
+
+describe('mergeBackup', () => {
+  it('should keep one copy of every high score', () => {
+    const shared = { id: '1', score: 90, time: 5, difficulty: 'easy' };
+    const merged = mergeBackup(
+      { HIGH_SCORES: { maxScores: 2, scores: [shared, { id: '2', score: 50, time: 5, difficulty: 'easy' }] } },
+      { HIGH_SCORES: { maxScores: 100, scores: [{ ...shared }, { id: '3', score: 70, time: 5, difficulty: 'easy' }] } }
+    );
+
+    expect(merged.HIGH_SCORES.scores.map(({ id }) => id)).toEqual(['1', '3']);
+  });
+
+  it('should recompute the statistics from the merged history', () => {
+    const shared = game('a', '2024-01-01T10:00:00Z', true, 50);
+    const local = [game('b', '2024-01-03T10:00:00Z', true, 80), shared];
+    const remote = [game('c', '2024-01-02T10:00:00Z', false, 0), shared];
+    const merged = mergeBackup(
+      {
+        GAME_HISTORY: { games: local },
+        // Two games were played before the history was kept
+        GAME_STATISTICS: stats(local, {
+          totalGames: 4,
+          gamesWon: 4,
+          totalScore: 230,
+          totalTimeSpent: 40000,
+          achievements: ['first'],
+          achievementProgress: { 'sharp-eye': 1, 'color-wheel': [0, 2] }
+        })
+      },
+      {
+        GAME_HISTORY: { games: remote },
+        GAME_STATISTICS: stats(remote, {
+          achievements: ['first', 'streak'],
+          achievementProgress: { 'sharp-eye': 3, 'color-wheel': [2, 4] }
+        })
+      }
+    );
+
+    expect(merged.GAME_HISTORY.games.map(({ id }) => id)).toEqual(['b', 'c', 'a']);
+    expect(merged.GAME_STATISTICS).toMatchObject({
+      totalGames: 5,
+      gamesWon: 4,
+      gamesLost: 1,
+      totalScore: 230,
+      averageScore: 58,
+      bestScore: 80,
+      currentStreak: 1,
+      achievements: ['first', 'streak'],
+      achievementProgress: { 'sharp-eye': 3, 'color-wheel': [0, 2, 4] }
+    });
+  });
+
+  it('should keep completed dailies and recount the streak', () => {
+    const merged = mergeBackup(
+      { DAILY_CHALLENGES: { results: [{ date: '2024-01-01', status: 'completed' }, { date: '2024-01-02', status: 'started' }] } },
+      { DAILY_CHALLENGES: { results: [{ date: '2024-01-02', status: 'completed' }, { date: '2024-01-03', status: 'completed' }] } }
+    );
+
+    expect(merged.DAILY_CHALLENGES).toMatchObject({ currentStreak: 3, bestStreak: 3, lastCompletedDate: '2024-01-03' });
+  });
+});
+
+describe('StorageManager import', () => {
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new StorageManager();
+  });
+
+  it('should preview without storing, then merge on import', () => {
+    manager.recordGame({ won: true, score: 50, time: 1000, difficulty: 'easy', accuracy: 99 });
+    const backup = manager.exportData();
+    localStorage.clear();
+    manager = new StorageManager();
+    manager.recordGame({ won: true, score: 70, time: 1000, difficulty: 'easy', accuracy: 99 });
+
+    const { diff } = manager.previewImport(JSON.stringify(backup));
+    expect(diff.games).toEqual({ before: 1, after: 2 });
+    expect(diff.bestScore).toEqual({ before: 70, after: 70 });
+    expect(manager.getGameHistory().games).toHaveLength(1);
+
+    expect(manager.importData(backup, true)).toEqual(diff);
+    expect(manager.getGameStatistics().totalGames).toBe(2);
+    expect(manager.getHighScores().scores.map(({ score }) => score)).toEqual([70, 50]);
+
+    // Importing the same file again adds nothing
+    const again = manager.previewImport(backup).diff;
+    expect(Object.values(again).every(({ before, after }) => before === after)).toBe(true);
+  });
+
+  it('should export the locale i18n saved as a plain string', () => {
+    const warn = vi.spyOn(console, 'warn');
+    localStorage.setItem('tonetracker_locale', 'en');
+
+    expect(manager.exportData().data.LOCALE).toBe('en');
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('should migrate backups from older releases', () => {
+    manager.importData({ USER_PREFERENCES: { language: 'en' } });
+
+    expect(manager.getUserPreferences()).toMatchObject({ version: 2, preferredLanguage: 'en' });
+  });
+
+  it('should leave the stored data alone when the backup is invalid', () => {
+    manager.updateUserPreferences({ difficulty: 'hard' });
+
+    expect(() => manager.importData({ USER_PREFERENCES: 'hard' })).toThrow('Invalid backup');
+    expect(manager.getUserPreferences().difficulty).toBe('hard');
+  });
+});
+
+describe('diffBackup', () => {
+  it('should report the figures before and after', () => {
+    const diff = diffBackup({}, { GAME_STATISTICS: { totalGames: 3, bestScore: 9, achievements: ['a'] } });
+
+    expect(diff.totalGames).toEqual({ before: 0, after: 3 });
+    expect(diff.achievements).toEqual({ before: 0, after: 1 });
+    expect(diff.replays).toEqual({ before: 0, after: 0 });
+  });
+});
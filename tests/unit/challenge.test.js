@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Unit tests for challenge links
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createChallengeLink,
+  createChallengeParams,
+  parseChallenge,
+  removeChallengeParams,
+  compareWithChallenge
+} from '../../src/js/challenge.js';
+
+const BASE_URL = 'https://example.com/tonetracker/';
+
+describe('challenge links', () => {
+  it('should round-trip a classic challenge through its link', () => {
+    const link = createChallengeLink(
+      {
+        seed: 'ABCD1234',
+        difficulty: 'hard',
+        mode: 'daily',
+        metric: 'cie94',
+        scoringMode: 'perfectionist',
+        score: 142,
+        accuracy: 97.6,
+        time: 8123
+      },
+      BASE_URL
+    );
+    const url = new URL(link);
+
+    expect(url.pathname).toBe('/tonetracker/');
+    expect(parseChallenge(url.search)).toEqual({
+      seed: 'ABCD1234',
+      difficulty: 'hard',
+      mode: 'classic',
+      paletteSize: null,
+      paletteOrder: null,
+      level: null,
+      metric: 'cie94',
+      scoringMode: 'perfectionist',
+      score: 142,
+      accuracy: 98,
+      time: 8123
+    });
+  });
+
+  it('should carry palette size and order', () => {
+    const params = createChallengeParams({
+      seed: 'P',
+      difficulty: 'easy',
+      mode: 'palette',
+      paletteSize: 4,
+      paletteOrder: 'any'
+    });
+
+    expect(parseChallenge(params)).toMatchObject({
+      mode: 'palette',
+      paletteSize: 4,
+      paletteOrder: 'any',
+      score: null
+    });
+  });
+
+  it('should carry the adaptive level of a classic game', () => {
+    const params = createChallengeParams({ seed: 'ABCD1234', difficulty: 'medium', level: 7 });
+    expect(parseChallenge(params).level).toBe(7);
+
+    const outOfRange = createChallengeParams({ seed: 'ABCD1234', difficulty: 'medium', level: 11 });
+    expect(() => parseChallenge(outOfRange)).toThrow('bad level');
+  });
+
+  it('should sign the metric and scoring mode and reject unknown ones', () => {
+    const params = createChallengeParams({ seed: 'ABCD1234', difficulty: 'easy', metric: 'oklab', scoringMode: 'accuracy' });
+    params.set('scoring', 'perfectionist');
+    expect(() => parseChallenge(params)).toThrow('checksum mismatch');
+
+    const metric = createChallengeParams({ seed: 'ABCD1234', difficulty: 'easy', metric: 'made-up' });
+    expect(() => parseChallenge(metric)).toThrow('unknown metric');
+    const scoring = createChallengeParams({ seed: 'ABCD1234', difficulty: 'easy', scoringMode: 'lenient' });
+    expect(() => parseChallenge(scoring)).toThrow('unknown scoring mode');
+
+    // Links made before they were carried leave them to the player's settings
+    expect(parseChallenge(createChallengeParams({ seed: 'ABCD1234', difficulty: 'easy' })))
+      .toMatchObject({ metric: null, scoringMode: null });
+  });
+
+  it('should ignore pages opened without a challenge', () => {
+    expect(parseChallenge('')).toBe(null);
+    expect(parseChallenge('?utm_source=mail')).toBe(null);
+  });
+
+  it('should detect edited parameters', () => {
+    const params = createChallengeParams({ seed: 'ABCD1234', difficulty: 'easy', score: 10 });
+    params.set('score', '9999');
+    expect(() => parseChallenge(params)).toThrow('checksum mismatch');
+
+    const unsigned = createChallengeParams({ seed: 'ABCD1234', difficulty: 'easy' });
+    unsigned.delete('sig');
+    expect(() => parseChallenge(unsigned)).toThrow('checksum mismatch');
+  });
+
+  it('should reject unknown difficulties even with a valid checksum', () => {
+    const params = createChallengeParams({ seed: 'ABCD1234', difficulty: 'insane' });
+    expect(() => parseChallenge(params)).toThrow('unknown difficulty');
+  });
+
+  it('should strip only the challenge parameters', () => {
+    const params = createChallengeParams({ seed: 'ABCD1234', difficulty: 'easy' });
+    params.set('lang', 'en');
+    expect(removeChallengeParams(`?${params}`)).toBe('?lang=en');
+    expect(removeChallengeParams('?challenge=1&sig=x')).toBe('');
+  });
+});
+
+describe('compareWithChallenge', () => {
+  const challenge = { score: 100, accuracy: 95, time: 10000 };
+
+  it('should rank by score first', () => {
+    expect(compareWithChallenge(challenge, { score: 120, accuracy: 90, time: 20000 }).outcome).toBe('win');
+    expect(compareWithChallenge(challenge, { score: 80, accuracy: 99, time: 1000 }).outcome).toBe('loss');
+  });
+
+  it('should break score ties by accuracy, then time', () => {
+    expect(compareWithChallenge(challenge, { score: 100, accuracy: 96, time: 20000 }).outcome).toBe('win');
+    expect(compareWithChallenge(challenge, { score: 100, accuracy: 95, time: 12000 }).outcome).toBe('loss');
+    expect(compareWithChallenge(challenge, { score: 100, accuracy: 95, time: 10000 }).outcome).toBe('tie');
+  });
+
+  it('should treat figures missing from the link as equal', () => {
+    const scoreOnly = { score: 100, accuracy: null, time: null };
+    expect(compareWithChallenge(scoreOnly, { score: 100, accuracy: 70, time: 50000 }).outcome).toBe('tie');
+  });
+
+  it('should not pick a winner without a challenger score', () => {
+    const result = compareWithChallenge({ score: null, accuracy: null, time: null }, { score: 50, accuracy: 90, time: 5000 });
+    expect(result.outcome).toBe(null);
+    expect(result.player).toEqual({ score: 50, accuracy: 90, time: 5000 });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Unit tests for the canvas color picker
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  ColorPicker,
+  getPickerLayout,
+  pointToHue,
+  hueToPoint,
+  isPointInRing,
+  isPointInSquare,
+  pointToSaturationLightness,
+  saturationLightnessToPoint
+} from '../../src/js/colorPicker.js';
+
+describe('colorPicker', () => {
+  describe('geometry helpers', () => {
+    const layout = getPickerLayout(200, 20);
+
+    it('should fit the square inside the ring', () => {
+      const { square, innerRadius, cx, cy } = layout;
+      const corner = Math.hypot(square.x - cx, square.y - cy);
+      expect(corner).toBeLessThan(innerRadius);
+      expect(layout.outerRadius).toBe(100);
+      expect(innerRadius).toBe(80);
+    });
+
+    it('should map points around the center to hues', () => {
+      expect(pointToHue(200, 100, 100, 100)).toBe(0);
+      expect(pointToHue(100, 200, 100, 100)).toBe(90);
+      expect(pointToHue(0, 100, 100, 100)).toBe(180);
+      expect(pointToHue(100, 0, 100, 100)).toBe(270);
+    });
+
+    it('should invert hueToPoint', () => {
+      [0, 45, 123, 270, 359].forEach((hue) => {
+        const { x, y } = hueToPoint(hue, 100, 100, 90);
+        expect(pointToHue(x, y, 100, 100)).toBeCloseTo(hue, 6);
+      });
+    });
+
+    it('should hit-test the ring and the square', () => {
+      expect(isPointInRing(190, 100, layout)).toBe(true);
+      expect(isPointInRing(100, 100, layout)).toBe(false);
+      expect(isPointInSquare(100, 100, layout.square)).toBe(true);
+      expect(isPointInSquare(5, 5, layout.square)).toBe(false);
+    });
+
+    it('should map square corners to saturation and lightness', () => {
+      const { square } = layout;
+      expect(pointToSaturationLightness(square.x, square.y, square)).toEqual({ s: 0, l: 100 });
+      expect(
+        pointToSaturationLightness(square.x + square.size, square.y + square.size, square)
+      ).toEqual({ s: 100, l: 0 });
+    });
+
+    it('should clamp points outside the square', () => {
+      const { square } = layout;
+      expect(pointToSaturationLightness(-50, 1000, square)).toEqual({ s: 0, l: 0 });
+    });
+
+    it('should invert saturationLightnessToPoint', () => {
+      const { square } = layout;
+      const { x, y } = saturationLightnessToPoint(30, 70, square);
+      const result = pointToSaturationLightness(x, y, square);
+      expect(result.s).toBeCloseTo(30, 6);
+      expect(result.l).toBeCloseTo(70, 6);
+    });
+  });
+
+  describe('ColorPicker', () => {
+    let container;
+    let target;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      target = document.createElement('input');
+      document.body.appendChild(container);
+    });
+
+    it('should expose two ARIA sliders', () => {
+      new ColorPicker(container, { target });
+      const sliders = container.querySelectorAll('[role="slider"]');
+      expect(sliders).toHaveLength(2);
+      sliders.forEach((slider) => expect(slider.tabIndex).toBe(0));
+    });
+
+    it('should emit input events on the target when the hue changes', () => {
+      const picker = new ColorPicker(container, { target });
+      const onInput = vi.fn();
+      target.addEventListener('input', onInput);
+
+      picker.setColor('#FF0000');
+      picker.hueThumb.dispatchEvent(new KeyboardEvent('keydown', { key: 'End' }));
+
+      expect(onInput).toHaveBeenCalledTimes(1);
+      expect(target.value).toBe(picker.getColor());
+      expect(picker.hueThumb.getAttribute('aria-valuenow')).toBe('359');
+    });
+
+    it('should change saturation and lightness with arrow keys', () => {
+      const onChange = vi.fn();
+      const picker = new ColorPicker(container, { onChange });
+      picker.setColor('#808080');
+
+      picker.areaThumb.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp', shiftKey: true }));
+      expect(picker.hsl.l).toBe(60);
+
+      picker.areaThumb.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight' }));
+      expect(picker.hsl.s).toBe(1);
+      expect(onChange).toHaveBeenLastCalledWith(picker.getColor());
+    });
+
+    it('should keep the hue when set to a grey', () => {
+      const picker = new ColorPicker(container);
+      picker.setColor('#00FF00');
+      picker.setColor('#777777');
+      expect(picker.hsl.h).toBe(120);
+    });
+
+    it('should not emit when the color is set programmatically', () => {
+      const onChange = vi.fn();
+      const picker = new ColorPicker(container, { onChange });
+      picker.setColor('#123456');
+      expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('should remove itself on destroy', () => {
+      const picker = new ColorPicker(container);
+      picker.destroy();
+      expect(container.children).toHaveLength(0);
+    });
+  });
+});
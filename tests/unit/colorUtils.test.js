@@ -2,13 +2,33 @@
  * @fileoverview Unit tests for colorUtils module
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import {
   compareColors,
   adjustHexColor,
   generateRandomColor,
   isValidHexColor,
-  generateCloseColor
+  generateCloseColor,
+  calculateColorDifference,
+  deltaE94,
+  deltaE2000,
+  registerColorMetric,
+  unregisterColorMetric,
+  getColorMetric,
+  getAvailableMetrics,
+  hexToRgb,
+  rgbToHex,
+  rgbToHsl,
+  hslToRgb,
+  rgbToHsv,
+  hsvToRgb,
+  parseColor,
+  isValidColor,
+  toHex,
+  formatColor,
+  getHueSextant,
+  COLOR_FORMATS,
+  DEFAULT_COLOR_METRIC
 } from '../../src/js/colorUtils.js';
 
 describe('colorUtils', () => {
@@ -97,7 +117,7 @@ describe('colorUtils', () => {
 
     it('should return different feedback based on similarity levels', () => {
       // Test that feedback messages are properly formatted and categorized
-      const veryClose = compareColors('#FF0000', '#FF0001');
+      const veryClose = compareColors('#FF0000', '#FF0001', 'cie76');
       expect(veryClose).toContain('%-ban helyes');
       expect(veryClose).toContain('Jó úton'); // Should be in 70-90% range
 
@@ -159,4 +179,184 @@ describe('colorUtils', () => {
       expect(isValidHexColor(darkClose)).toBe(true);
     });
   });
+
+  describe('color metrics', () => {
+    // The registry is shared by the whole module; leave only the built-in metrics behind
+    afterEach(() => {
+      unregisterColorMetric('constant');
+    });
+
+    it('should register the built-in metrics', () => {
+      const names = getAvailableMetrics().map((metric) => metric.name);
+      expect(names).toEqual(
+        expect.arrayContaining(['cie76', 'cie94', 'ciede2000', 'oklab'])
+      );
+    });
+
+    it('should match CIEDE2000 reference values', () => {
+      // Sharma, Wu & Dalal (2005) test data
+      expect(
+        deltaE2000({ l: 50, a: 2.6772, b: -79.7751 }, { l: 50, a: 0, b: -82.7485 })
+      ).toBeCloseTo(2.0425, 4);
+      expect(
+        deltaE2000({ l: 50, a: 2.5, b: 0 }, { l: 73, a: 25, b: -18 })
+      ).toBeCloseTo(27.1492, 4);
+      expect(
+        deltaE2000({ l: 2.0776, a: 0.0795, b: -1.135 }, { l: 0.9033, a: -0.0636, b: -0.5514 })
+      ).toBeCloseTo(0.9082, 4);
+    });
+
+    it('should weight chroma differences in CIE94', () => {
+      const lab1 = { l: 50, a: 60, b: 0 };
+      const lab2 = { l: 50, a: 50, b: 0 };
+      expect(deltaE94(lab1, lab2)).toBeCloseTo(10 / 3.7, 4);
+    });
+
+    it('should return zero for identical colors with every metric', () => {
+      getAvailableMetrics().forEach(({ name }) => {
+        expect(calculateColorDifference('#3A7BD5', '#3A7BD5', name)).toBeCloseTo(0, 6);
+      });
+    });
+
+    it('should penalise saturated blues less than CIE76', () => {
+      const cie76 = calculateColorDifference('#0000FF', '#0000C0', 'cie76');
+      const ciede2000 = calculateColorDifference('#0000FF', '#0000C0', 'ciede2000');
+      expect(ciede2000).toBeLessThan(cie76);
+    });
+
+    it('should measure with the default metric when none is given', () => {
+      expect(calculateColorDifference('#0000FF', '#0000C0'))
+        .toBe(calculateColorDifference('#0000FF', '#0000C0', DEFAULT_COLOR_METRIC));
+      expect(compareColors('#0000FF', '#0000FE')).toBe(compareColors('#0000FF', '#0000FE', DEFAULT_COLOR_METRIC));
+    });
+
+    it('should scale OKLab distance to the Delta E range', () => {
+      expect(calculateColorDifference('#000000', '#FFFFFF', 'oklab')).toBeCloseTo(100, 3);
+    });
+
+    it('should pass the metric through compareColors', () => {
+      const cie76 = compareColors('#0000FF', '#0000FE', 'cie76');
+      const ciede2000 = compareColors('#0000FF', '#0000FE', 'ciede2000');
+      expect(cie76).not.toBe(ciede2000);
+    });
+
+    it('should allow registering custom metrics', () => {
+      registerColorMetric('constant', () => 42, 'Constant');
+      expect(getColorMetric('constant').label).toBe('Constant');
+      expect(calculateColorDifference('#000000', '#FFFFFF', 'constant')).toBe(42);
+
+      expect(unregisterColorMetric('constant')).toBe(true);
+      expect(getAvailableMetrics().map(({ name }) => name)).not.toContain('constant');
+    });
+
+    it('should reject unknown metrics', () => {
+      expect(() => getColorMetric('unknown')).toThrow('Unknown color metric');
+      expect(() => registerColorMetric('broken', null)).toThrow();
+    });
+  });
+
+  describe('hexToRgb', () => {
+    it('should parse 3, 4, 6 and 8 digit hex', () => {
+      expect(hexToRgb('#F80')).toEqual({ r: 255, g: 136, b: 0 });
+      expect(hexToRgb('f808')).toEqual({ r: 255, g: 136, b: 0 });
+      expect(hexToRgb('#FF8800')).toEqual({ r: 255, g: 136, b: 0 });
+      expect(hexToRgb('FF880080')).toEqual({ r: 255, g: 136, b: 0 });
+    });
+
+    it('should reject malformed hex', () => {
+      expect(() => hexToRgb('#12345')).toThrow('Invalid hex color format');
+      expect(() => hexToRgb('')).toThrow();
+    });
+  });
+
+  describe('color space conversions', () => {
+    it('should convert between RGB and HSL', () => {
+      expect(rgbToHsl({ r: 255, g: 0, b: 0 })).toEqual({ h: 0, s: 100, l: 50 });
+      expect(hslToRgb({ h: 120, s: 100, l: 25 })).toEqual({ r: 0, g: 128, b: 0 });
+      expect(hslToRgb({ h: 0, s: 0, l: 50 })).toEqual({ r: 128, g: 128, b: 128 });
+    });
+
+    it('should convert between RGB and HSV', () => {
+      expect(rgbToHsv({ r: 0, g: 0, b: 255 })).toEqual({ h: 240, s: 100, v: 100 });
+      expect(hsvToRgb({ h: 60, s: 100, v: 100 })).toEqual({ r: 255, g: 255, b: 0 });
+    });
+  });
+
+  describe('parseColor', () => {
+    it.each([
+      ['red', '#FF0000'],
+      ['RebeccaPurple', '#663399'],
+      ['#f00', '#FF0000'],
+      ['ff5733', '#FF5733'],
+      ['rgb(255, 87, 51)', '#FF5733'],
+      ['rgb(100% 0% 0%)', '#FF0000'],
+      ['rgba(255 0 0 / 50%)', '#FF0000'],
+      ['hsl(120deg 100% 25%)', '#008000'],
+      ['hsl(0.5turn 50% 50%)', '#40BFBF'],
+      ['hwb(0 0% 0%)', '#FF0000'],
+      ['hwb(0 60% 60%)', '#808080'],
+      ['lab(54.29% 80.8 69.89)', '#FF0000'],
+      ['lch(54.29 106.84 40.85)', '#FF0000'],
+      ['oklab(0.628 0.2249 0.1258)', '#FF0000'],
+      ['oklch(62.8% 0.2577 29.23)', '#FF0000'],
+    ])('should parse %s', (input, expected) => {
+      expect(toHex(input)).toBe(expected);
+    });
+
+    it('should parse alpha components', () => {
+      expect(parseColor('#FF000080').alpha).toBeCloseTo(128 / 255, 5);
+      expect(parseColor('rgb(0 0 0 / 0.25)').alpha).toBe(0.25);
+      expect(parseColor('transparent')).toEqual({ r: 0, g: 0, b: 0, alpha: 0 });
+    });
+
+    it('should reject invalid colors', () => {
+      ['', 'notacolor', 'rgb(1 2)', 'rgb(1, 2 3)', 'hsl(10 20 30 40)', 'lab(1deg 2 3)', 'foo(1 2 3)'].forEach(
+        (input) => expect(isValidColor(input)).toBe(false)
+      );
+      expect(() => parseColor(null)).toThrow();
+    });
+  });
+
+  describe('getHueSextant', () => {
+    it('should centre the sextants on the primaries and secondaries', () => {
+      expect(['#FF0000', '#FFFF00', '#00FF00', '#00FFFF', '#0000FF', '#FF00FF'].map(getHueSextant))
+        .toEqual([0, 1, 2, 3, 4, 5]);
+      expect(getHueSextant('#FF0040')).toBe(0);
+    });
+
+    it('should leave out colors without a clear hue', () => {
+      ['#808080', '#FFF8F8', '#100000', '#806070'].forEach((hex) => {
+        expect(getHueSextant(hex)).toBe(null);
+      });
+    });
+  });
+
+  describe('formatColor', () => {
+    it('should format in each notation', () => {
+      expect(formatColor('#FF5733', 'hex')).toBe('#FF5733');
+      expect(formatColor('#FF5733', 'rgb')).toBe('rgb(255 87 51)');
+      expect(formatColor('#FF0000', 'hsl')).toBe('hsl(0 100% 50%)');
+      expect(formatColor('#FF0000', 'hwb')).toBe('hwb(0 0% 0%)');
+      expect(formatColor('#FFFFFF', 'oklch')).toMatch(/^oklch\(100% 0 0\)$/);
+      expect(formatColor({ r: 255, g: 0, b: 0, alpha: 0.5 }, 'rgb')).toBe('rgb(255 0 0 / 0.5)');
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => formatColor('#FF0000', 'cmyk')).toThrow('Unsupported color format');
+    });
+
+    it('should round-trip every format back to the same hex', () => {
+      const samples = [0, 1, 4, 50, 128, 200, 254, 255];
+      samples.forEach((r) => {
+        samples.forEach((g) => {
+          samples.forEach((b) => {
+            const hex = rgbToHex({ r, g, b });
+            COLOR_FORMATS.forEach((format) => {
+              expect(toHex(formatColor(hex, format))).toBe(hex);
+            });
+          });
+        });
+      });
+    });
+  });
 });
@@ -11,22 +11,39 @@ describe('constants', () => {
       expect(DIFFICULTIES.easy).toEqual({
         tipCount: 3,
         computerTipCount: 3,
-        score: 100
+        score: 100,
+        winThreshold: 10,
+        memorizeTime: 3000,
+        timeBonusDecay: 1,
+        inputPanels: ['buttons', 'rgb', 'hsl', 'hsv', 'oklch']
       });
 
       expect(DIFFICULTIES.medium).toEqual({
         tipCount: 2,
         computerTipCount: 2,
-        score: 200
+        score: 200,
+        winThreshold: 5,
+        memorizeTime: 3000,
+        timeBonusDecay: 1,
+        inputPanels: ['buttons', 'rgb', 'hsl', 'hsv', 'oklch']
       });
 
       expect(DIFFICULTIES.hard).toEqual({
         tipCount: 1,
         computerTipCount: 1,
-        score: 300
+        score: 300,
+        winThreshold: 2.3,
+        memorizeTime: 3000,
+        timeBonusDecay: 1,
+        inputPanels: ['buttons', 'rgb', 'hsl', 'hsv', 'oklch']
       });
     });
 
+    it('should be read-only', () => {
+      expect(Object.isFrozen(DIFFICULTIES)).toBe(true);
+      expect(Object.isFrozen(DIFFICULTIES.easy)).toBe(true);
+    });
+
     it('should have all required difficulty levels', () => {
       expect(Object.keys(DIFFICULTIES)).toEqual(['easy', 'medium', 'hard']);
     });
@@ -42,6 +59,7 @@ describe('constants', () => {
         expect(difficulty.tipCount).toBeGreaterThan(0);
         expect(difficulty.computerTipCount).toBeGreaterThan(0);
         expect(difficulty.score).toBeGreaterThan(0);
+        expect(difficulty.winThreshold).toBeGreaterThan(0);
       });
     });
   });
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Unit tests for the Daily Challenge mode
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  DAILY_DIFFICULTY,
+  getDailyKey,
+  getPreviousDailyKey,
+  getDailySeed,
+  getDailyKeyFromSeed,
+  rankDailyResult
+} from '../../src/js/dailyChallenge.js';
+import { StorageManager, STORAGE_KEYS } from '../../src/js/storage.js';
+import { MemoryAdapter } from '../../src/js/storageAdapters.js';
+import { createRng } from '../../src/js/rng.js';
+import { generateRandomColor } from '../../src/js/colorUtils.js';
+
+describe('dailyChallenge', () => {
+  describe('day keys and seeds', () => {
+    it('should format the local calendar day', () => {
+      expect(getDailyKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+    });
+
+    it('should step back across month and year boundaries', () => {
+      expect(getPreviousDailyKey('2026-03-01')).toBe('2026-02-28');
+      expect(getPreviousDailyKey('2026-01-01')).toBe('2025-12-31');
+    });
+
+    it('should give every player the same target for a day', () => {
+      const seed = getDailySeed('2026-10-19');
+      expect(seed).toBe(getDailySeed(getDailyKey(new Date(2026, 9, 19, 8))));
+      expect(generateRandomColor(createRng(seed))).toBe(
+        generateRandomColor(createRng(getDailySeed('2026-10-19')))
+      );
+      expect(getDailySeed('2026-10-20')).not.toBe(seed);
+    });
+
+    it('should read the day back from a daily seed only', () => {
+      expect(getDailyKeyFromSeed(getDailySeed('2026-10-19'))).toBe('2026-10-19');
+      expect(getDailyKeyFromSeed('ABCD-1234')).toBe(null);
+      expect(getDailyKeyFromSeed(undefined)).toBe(null);
+    });
+  });
+
+  describe('rankDailyResult', () => {
+    it('should rank by score, then accuracy', () => {
+      const results = [
+        { date: '2026-10-16', score: 150, accuracy: 100 },
+        { date: '2026-10-17', score: 0, accuracy: 80 },
+        { date: '2026-10-18', score: 150, accuracy: 90 }
+      ];
+      const today = { date: '2026-10-19', score: 150, accuracy: 95 };
+
+      expect(rankDailyResult(today, [...results, today])).toEqual({ rank: 2, total: 4 });
+    });
+  });
+
+  describe('storage', () => {
+    let manager;
+
+    beforeEach(() => {
+      localStorage.clear();
+      manager = new StorageManager();
+    });
+
+    const play = async (date, score) => {
+      await manager.startDailyChallenge({ date, seed: getDailySeed(date), difficulty: DAILY_DIFFICULTY });
+      return manager.completeDailyChallenge(date, { won: score > 0, score, accuracy: 100, time: 5000 });
+    };
+
+    it('should allow only one attempt per day', async () => {
+      await play('2026-10-19', 120);
+      expect(manager.hasPlayedDailyChallenge('2026-10-19')).toBe(true);
+      await expect(
+        manager.startDailyChallenge({ date: '2026-10-19', seed: 'x', difficulty: DAILY_DIFFICULTY })
+      ).rejects.toThrow('already attempted');
+      await expect(
+        manager.completeDailyChallenge('2026-10-19', { won: true, score: 200 })
+      ).rejects.toThrow('No open Daily Challenge');
+    });
+
+    it('should keep the entries two tabs write from stale caches', async () => {
+      const otherTab = new StorageManager();
+      otherTab.getDailyChallenges();
+      manager.getDailyChallenges();
+
+      await play('2026-10-18', 100);
+      await otherTab.startDailyChallenge({ date: '2026-10-19', seed: 'x', difficulty: DAILY_DIFFICULTY });
+      await expect(
+        otherTab.startDailyChallenge({ date: '2026-10-18', seed: 'x', difficulty: DAILY_DIFFICULTY })
+      ).rejects.toThrow('already attempted');
+
+      expect(new StorageManager().getDailyChallenges().results.map(({ date, status }) => [date, status])).toEqual([
+        ['2026-10-18', 'completed'],
+        ['2026-10-19', 'started']
+      ]);
+    });
+
+    it('should leave the day to the tab that claimed it first on an asynchronous backend', async () => {
+      const backend = new MemoryAdapter();
+      backend.sync = false;
+      const otherTab = new StorageManager();
+      await manager.init({ adapter: backend, channel: null });
+      await otherTab.init({ adapter: backend, channel: null });
+      manager.getDailyChallenges();
+
+      const { attempt } = await otherTab.startDailyChallenge({ date: '2026-10-19', seed: 'x', difficulty: DAILY_DIFFICULTY });
+
+      // This tab's cache still shows the day open
+      expect(manager.hasPlayedDailyChallenge('2026-10-19')).toBe(false);
+      await expect(
+        manager.startDailyChallenge({ date: '2026-10-19', seed: 'x', difficulty: DAILY_DIFFICULTY })
+      ).rejects.toThrow('already attempted');
+      await expect(
+        manager.completeDailyChallenge('2026-10-19', { won: true, score: 200 }, 'daily_mine')
+      ).rejects.toThrow('No open Daily Challenge');
+
+      const result = await otherTab.completeDailyChallenge('2026-10-19', { won: true, score: 90 }, attempt);
+      expect(result).toMatchObject({ attempt, status: 'completed', score: 90 });
+      expect(backend.getSync(STORAGE_KEYS.DAILY_CHALLENGES).results).toHaveLength(1);
+    });
+
+    it('should count an abandoned attempt as used', async () => {
+      await manager.startDailyChallenge({ date: '2026-10-19', seed: 'x', difficulty: DAILY_DIFFICULTY });
+      expect(manager.hasPlayedDailyChallenge('2026-10-19')).toBe(true);
+      expect(manager.getDailyChallenge('2026-10-19').status).toBe('started');
+    });
+
+    it('should track consecutive-day streaks', async () => {
+      expect((await play('2026-10-17', 100)).currentStreak).toBe(1);
+      expect((await play('2026-10-18', 0)).currentStreak).toBe(2);
+      const gap = await play('2026-10-20', 100);
+      expect(gap.currentStreak).toBe(1);
+      expect(gap.bestStreak).toBe(2);
+    });
+
+    it('should rank the attempt against previous dailies', async () => {
+      await play('2026-10-17', 100);
+      await play('2026-10-18', 180);
+      expect(await play('2026-10-19', 150)).toMatchObject({ rank: 2, total: 3 });
+    });
+
+    it('should keep dailies out of the high scores', async () => {
+      await play('2026-10-19', 150);
+      manager.recordGame({ won: true, score: 150, time: 5000, difficulty: 'medium', mode: 'daily' });
+      expect(manager.getHighScores().scores).toHaveLength(0);
+      expect(manager.get(STORAGE_KEYS.DAILY_CHALLENGES).results).toHaveLength(1);
+    });
+  });
+});
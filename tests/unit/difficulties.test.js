@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Unit tests for custom difficulties and their leaderboard
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  DIFFICULTIES,
+  CUSTOM_DIFFICULTY_SCORE,
+  createCustomDifficulty,
+  getDifficultyTable,
+  isDifficultyId
+} from '../../src/js/difficulties.js';
+import { GameEngine } from '../../src/js/gameEngine.js';
+import { calculateScoreBreakdown } from '../../src/js/scoring.js';
+import { StorageManager } from '../../src/js/storage.js';
+
+const SETTINGS = {
+  name: '  Villám  ',
+  memorizeTime: 1500,
+  tipCount: 2,
+  computerTipCount: 0,
+  winThreshold: 4,
+  timeBonusDecay: 2.5,
+  inputPanels: ['hsl', 'buttons']
+};
+
+describe('createCustomDifficulty', () => {
+  it('should build a difficulty in the built-in structure', () => {
+    const difficulty = createCustomDifficulty(SETTINGS);
+
+    expect(difficulty).toEqual({
+      ...SETTINGS,
+      name: 'Villám',
+      score: CUSTOM_DIFFICULTY_SCORE,
+      inputPanels: ['buttons', 'hsl']
+    });
+    expect(Object.keys(difficulty).sort()).toEqual(['name', ...Object.keys(DIFFICULTIES.easy)].sort());
+  });
+
+  it('should list every setting out of range', () => {
+    expect(() => createCustomDifficulty({
+      ...SETTINGS,
+      name: ' ',
+      memorizeTime: 100,
+      tipCount: 1.5,
+      inputPanels: ['sliders']
+    })).toThrow(
+      'Invalid difficulty: name must be 1-30 characters; memorizeTime must be between 500 and 10000; '
+        + 'tipCount must be a whole number; inputPanels must list some of buttons, rgb, hsl, hsv, oklch'
+    );
+    expect(() => createCustomDifficulty({ ...SETTINGS, winThreshold: NaN })).toThrow('winThreshold must be between 1 and 20');
+  });
+
+  it('should keep built-in ids out of the custom table', () => {
+    const table = getDifficultyTable({ easy: { tipCount: 9 }, 'custom-a1': createCustomDifficulty(SETTINGS), other: {} });
+
+    expect(Object.keys(table).sort()).toEqual(['custom-a1', 'easy', 'hard', 'medium']);
+    expect(table.easy).toBe(DIFFICULTIES.easy);
+    expect(isDifficultyId('custom-a1')).toBe(true);
+    expect(isDifficultyId('insane')).toBe(false);
+  });
+});
+
+describe('custom difficulty rules', () => {
+  const difficulties = getDifficultyTable({ 'custom-a1': createCustomDifficulty(SETTINGS) });
+
+  it('should show the target for the preset memorize time', () => {
+    const engine = new GameEngine({ difficulties, now: () => 0 });
+    const { state, events } = engine.start({ difficulty: 'custom-a1', seed: 'ABCD1234' });
+
+    expect(events[0].memorizeTime).toBe(1500);
+    expect(state).toMatchObject({ tipCount: 2, computerTipCount: 0 });
+    expect(engine.getSettings()).toBe(difficulties['custom-a1']);
+  });
+
+  it('should take the time decay off the score', () => {
+    const game = { difficulty: 'custom-a1', won: true, accuracy: 100, elapsedSeconds: 10 };
+
+    expect(calculateScoreBreakdown(game, 'accuracy', difficulties)).toMatchObject({ timePenalty: 25, total: 175 });
+    expect(calculateScoreBreakdown({ ...game, difficulty: 'medium' }).timePenalty).toBe(10);
+  });
+});
+
+describe('StorageManager custom difficulties', () => {
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new StorageManager();
+  });
+
+  it('should save, update and delete presets but never built-in ones', () => {
+    const { id } = manager.saveCustomDifficulty(SETTINGS);
+    manager.updateUserPreferences({ difficulty: id });
+
+    manager.saveCustomDifficulty({ ...SETTINGS, tipCount: 4 }, id);
+    expect(manager.getDifficulties()[id]).toMatchObject({ name: 'Villám', tipCount: 4 });
+    expect(() => manager.saveCustomDifficulty(SETTINGS, 'easy')).toThrow('read-only');
+
+    expect(manager.deleteCustomDifficulty(id)).toBe(true);
+    expect(manager.deleteCustomDifficulty('easy')).toBe(false);
+    expect(manager.getDifficulties()[id]).toBeUndefined();
+    expect(manager.getUserPreferences().difficulty).toBe('easy');
+  });
+
+  it('should rank custom scores on their own leaderboard with the preset', () => {
+    const { id, difficulty } = manager.saveCustomDifficulty(SETTINGS);
+    manager.recordGame({ won: true, score: 150, time: 4000, difficulty: id, accuracy: 98 });
+    manager.recordGame({ won: true, score: 90, time: 4000, difficulty: 'easy', accuracy: 98 });
+
+    expect(manager.getHighScores().scores.map(({ score }) => score)).toEqual([90]);
+    expect(manager.getCustomHighScores().scores).toEqual([
+      expect.objectContaining({ score: 150, difficulty: id, preset: difficulty })
+    ]);
+    expect(manager.getTopScores(id)).toHaveLength(1);
+  });
+});
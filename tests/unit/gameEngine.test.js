@@ -0,0 +1,353 @@
+// @vitest-environment node
+/**
+ * @fileoverview Unit tests for the headless game engine
+ * Runs without a DOM to keep the engine free of browser dependencies.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  GameEngine,
+  ENGINE_EVENTS,
+  ENGINE_PHASES,
+  DEFAULT_MEMORIZE_TIME
+} from '../../src/js/gameEngine.js';
+import { DIFFICULTIES } from '../../src/js/difficulties.js';
+import { SCORING_MODES } from '../../src/js/scoring.js';
+import { getPaletteMemorizeTime } from '../../src/js/palette.js';
+import { hexToRgb } from '../../src/js/colorUtils.js';
+import { generateAdaptiveColor, getAdaptiveProfile } from '../../src/js/skillRating.js';
+import { createRng } from '../../src/js/rng.js';
+
+const types = (result) => result.events.map((event) => event.type);
+
+describe('GameEngine', () => {
+  let clock;
+  let engine;
+
+  const createEngine = (config = {}) => new GameEngine({ now: () => clock, ...config });
+
+  /** Start a game and skip its memorize phase */
+  const startGuessing = (options = {}) => {
+    const started = engine.start({ difficulty: 'medium', seed: 'ABCD1234', ...options });
+    clock += started.events[0].memorizeTime;
+    engine.tick();
+    return engine.getState();
+  };
+
+  beforeEach(() => {
+    clock = 1000;
+    engine = createEngine();
+  });
+
+  describe('start', () => {
+    it('should be idle before the first game', () => {
+      expect(engine.getState().phase).toBe(ENGINE_PHASES.IDLE);
+      expect(types(engine.guess('#000000'))).toEqual([]);
+      expect(types(engine.hint())).toEqual([]);
+      expect(types(engine.tick())).toEqual([]);
+    });
+
+    it('should start in the memorize phase with the difficulty allowances', () => {
+      const { state, events } = engine.start({ difficulty: 'easy', seed: 'abcd1234' });
+
+      expect(state).toMatchObject({
+        phase: ENGINE_PHASES.MEMORIZE,
+        mode: 'classic',
+        difficulty: 'easy',
+        seed: 'ABCD1234',
+        tipCount: DIFFICULTIES.easy.tipCount,
+        computerTipCount: DIFFICULTIES.easy.computerTipCount,
+        memorizeEndsAt: 1000 + DEFAULT_MEMORIZE_TIME
+      });
+      expect(state.target).toMatch(/^#[0-9A-F]{6}$/);
+      expect(events).toEqual([
+        { type: ENGINE_EVENTS.STARTED, target: state.target, targets: [], memorizeTime: DEFAULT_MEMORIZE_TIME }
+      ]);
+    });
+
+    it('should reproduce the target from the seed', () => {
+      const first = engine.start({ difficulty: 'easy', seed: 'SAME0001' }).state.target;
+      const second = createEngine().start({ difficulty: 'hard', seed: 'SAME0001' }).state.target;
+      expect(second).toBe(first);
+    });
+
+    it('should generate a seed when none is given', () => {
+      expect(engine.start({ difficulty: 'easy' }).state.seed).toMatch(/^[A-Z0-9]{8}$/);
+    });
+
+    it('should use the configured generator', () => {
+      engine = createEngine({ rng: () => 0 });
+      expect(engine.start({ difficulty: 'easy' }).state.target).toBe('#000000');
+    });
+
+    it('should reject difficulties missing from the table', () => {
+      expect(() => engine.start({ difficulty: 'expert' })).toThrow(/Unknown difficulty/);
+    });
+
+    it('should accept a custom difficulty table', () => {
+      engine = createEngine({
+        difficulties: { zen: { tipCount: 9, computerTipCount: 0, score: 50, winThreshold: 20 } }
+      });
+      expect(engine.start({ difficulty: 'zen' }).state).toMatchObject({ tipCount: 9, computerTipCount: 0 });
+    });
+
+    it('should pick adaptive targets and memorize times by level', () => {
+      const { state, events } = engine.start({ difficulty: 'medium', seed: 'LEVEL001', level: 10 });
+
+      expect(state.level).toBe(10);
+      expect(state.target).toBe(generateAdaptiveColor(10, createRng('LEVEL001')));
+      expect(events[0].memorizeTime).toBe(getAdaptiveProfile(10).memorizeTime);
+      expect(createEngine().start({ difficulty: 'medium', seed: 'LEVEL001' }).state.level).toBe(null);
+    });
+
+    it('should start palette games on their first swatch', () => {
+      const { state, events } = engine.start({
+        difficulty: 'easy',
+        mode: 'palette',
+        paletteSize: 3,
+        paletteOrder: 'any'
+      });
+
+      expect(state.targets).toHaveLength(3);
+      expect(state.target).toBe(state.targets[0]);
+      expect(state.paletteOrder).toBe('any');
+      expect(events[0].memorizeTime).toBe(getPaletteMemorizeTime(3));
+    });
+  });
+
+  describe('tick', () => {
+    it('should keep memorizing until the memorize time is up', () => {
+      engine.start({ difficulty: 'easy' });
+      clock += DEFAULT_MEMORIZE_TIME - 1;
+      expect(types(engine.tick())).toEqual([]);
+      expect(engine.getState().phase).toBe(ENGINE_PHASES.MEMORIZE);
+    });
+
+    it('should start guessing once the memorize time is up', () => {
+      engine.start({ difficulty: 'easy' });
+      clock += DEFAULT_MEMORIZE_TIME;
+      const { state, events } = engine.tick();
+
+      expect(state).toMatchObject({ phase: ENGINE_PHASES.GUESS, startTime: clock, elapsedSeconds: 0 });
+      expect(events).toEqual([{ type: ENGINE_EVENTS.GUESSING_STARTED, startTime: clock }]);
+    });
+
+    it('should report each new elapsed second once', () => {
+      startGuessing();
+      clock += 1500;
+      expect(engine.tick().events).toEqual([{ type: ENGINE_EVENTS.TICK, elapsedSeconds: 1 }]);
+      clock += 400;
+      expect(types(engine.tick())).toEqual([]);
+      clock += 100;
+      expect(engine.tick().state.elapsedSeconds).toBe(2);
+    });
+  });
+
+  describe('guess', () => {
+    it('should ignore guesses outside the guess phase', () => {
+      engine.start({ difficulty: 'easy' });
+      expect(types(engine.guess(engine.getState().target))).toEqual([]);
+      expect(engine.getState().phase).toBe(ENGINE_PHASES.MEMORIZE);
+    });
+
+    it('should report colors it cannot read', () => {
+      startGuessing();
+      const before = engine.getState();
+      const result = engine.guess('not a color');
+
+      expect(result.events).toEqual([{ type: ENGINE_EVENTS.INVALID_COLOR, input: 'not a color' }]);
+      expect(result.state).toBe(before);
+    });
+
+    it('should win and score an exact match', () => {
+      const { target } = startGuessing();
+      clock += 4000;
+      const { state, events } = engine.guess(target.toLowerCase());
+
+      expect(state.phase).toBe(ENGINE_PHASES.ENDED);
+      expect(types({ events })).toEqual([ENGINE_EVENTS.ENDED]);
+      expect(state.result).toMatchObject({
+        won: true,
+        accuracy: 100,
+        time: 4000,
+        score: DIFFICULTIES.medium.score - 4
+      });
+      expect(state.result.breakdown).toMatchObject({ timePenalty: 4, guessPenalty: 0 });
+    });
+
+    it('should accept any CSS notation', () => {
+      const { target } = startGuessing();
+      const { r, g, b } = hexToRgb(target);
+      expect(engine.guess(`rgb(${r}, ${g}, ${b})`).state.result.won).toBe(true);
+    });
+
+    it('should count down the tips on a miss', () => {
+      const { target } = startGuessing();
+      const miss = target === '#000000' ? '#FFFFFF' : '#000000';
+      const { state, events } = engine.guess(miss);
+
+      expect(state).toMatchObject({ phase: ENGINE_PHASES.GUESS, tipCount: 1, userColor: miss });
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ type: ENGINE_EVENTS.WRONG_GUESS, color: miss, remainingTips: 1 });
+      expect(events[0].accuracy).toBeLessThan(100);
+    });
+
+    it('should lose with no score when the tips run out', () => {
+      const { target } = startGuessing();
+      const miss = target === '#000000' ? '#FFFFFF' : '#000000';
+      engine.guess(miss);
+      const result = engine.guess(miss);
+
+      expect(types(result)).toEqual([ENGINE_EVENTS.WRONG_GUESS, ENGINE_EVENTS.ENDED]);
+      expect(result.state.result).toMatchObject({ won: false, score: 0 });
+      expect(types(engine.guess(target))).toEqual([]);
+    });
+
+    it('should charge earlier guesses and computer tips', () => {
+      engine = createEngine({ rng: () => 0.5 });
+      const { target } = startGuessing({ difficulty: 'easy' });
+      engine.guess(target === '#000000' ? '#FFFFFF' : '#000000');
+      engine.hint();
+      const { breakdown } = engine.guess(target).state.result;
+
+      expect(breakdown.guessPenalty).toBe(10);
+      expect(breakdown.computerTipPenalty).toBe(15);
+    });
+
+    it('should win a close guess by Delta E but not in perfectionist mode', () => {
+      engine = createEngine({ rng: () => 0.5 });
+      startGuessing({ difficulty: 'easy' });
+      // #888888 target; one step off is well inside the easy threshold
+      expect(engine.guess('#898888').state.result.won).toBe(true);
+
+      engine = createEngine({ rng: () => 0.5, scoringMode: SCORING_MODES.PERFECTIONIST });
+      startGuessing({ difficulty: 'easy' });
+      expect(types(engine.guess('#898888'))).toEqual([ENGINE_EVENTS.WRONG_GUESS]);
+    });
+  });
+
+  describe('palette games', () => {
+    it('should take one guess per swatch and score them together', () => {
+      const { targets } = startGuessing({ mode: 'palette', paletteSize: 2 });
+
+      const first = engine.guess(targets[0]);
+      expect(first.events).toEqual([
+        { type: ENGINE_EVENTS.PALETTE_GUESS, color: targets[0], index: 0, remaining: 1 }
+      ]);
+      expect(first.state.target).toBe(targets[1]);
+
+      clock += 2000;
+      const last = engine.guess(targets[1]);
+      expect(types(last)).toEqual([ENGINE_EVENTS.PALETTE_GUESS, ENGINE_EVENTS.ENDED]);
+      expect(last.state.guesses).toEqual(targets);
+      expect(last.state.result).toMatchObject({
+        won: true,
+        accuracy: 100,
+        averageDeltaE: 0,
+        score: DIFFICULTIES.medium.score * 2 - 2
+      });
+      expect(last.state.result.swatches).toHaveLength(2);
+    });
+
+    it('should match guesses in any order when allowed', () => {
+      const { targets } = startGuessing({ mode: 'palette', paletteSize: 2, paletteOrder: 'any' });
+      engine.guess(targets[1]);
+      expect(engine.guess(targets[0]).state.result.accuracy).toBe(100);
+    });
+  });
+
+  describe('hint', () => {
+    it('should use up computer tips', () => {
+      startGuessing();
+      const { state, events } = engine.hint();
+
+      expect(state.computerTipCount).toBe(DIFFICULTIES.medium.computerTipCount - 1);
+      expect(state.hintState).not.toBe(null);
+      expect(events[0]).toMatchObject({ type: ENGINE_EVENTS.HINT, tipNumber: 1, remainingTips: 1 });
+      expect(events[0].hint.message).toEqual(expect.any(String));
+    });
+
+    it('should stop when no computer tips are left', () => {
+      startGuessing({ difficulty: 'hard' });
+      engine.hint();
+      expect(types(engine.hint())).toEqual([]);
+    });
+
+    it('should set the player color for swatch hints', () => {
+      startGuessing({ difficulty: 'easy' });
+      engine.hint();
+      engine.hint();
+      const { state, events } = engine.hint();
+
+      expect(events[0].hint.type).toBe('delta-e-swatch');
+      expect(events[1]).toEqual({ type: ENGINE_EVENTS.COLOR_CHANGED, color: events[0].hint.color });
+      expect(state.userColor).toBe(events[0].hint.color);
+    });
+
+    it('should give the same hints for the same seed', () => {
+      startGuessing({ difficulty: 'hard', seed: 'HINT0001' });
+      const first = engine.hint().events[0].hint;
+
+      engine = createEngine();
+      startGuessing({ difficulty: 'hard', seed: 'HINT0001' });
+      expect(engine.hint().events[0].hint).toEqual(first);
+    });
+  });
+
+  describe('setColor and adjust', () => {
+    it('should store the player color with its distance', () => {
+      const { target } = startGuessing();
+      const { state, events } = engine.setColor(target.toLowerCase());
+
+      expect(state.userColor).toBe(target);
+      expect(events).toEqual([{ type: ENGINE_EVENTS.COLOR_CHANGED, color: target, deltaE: 0 }]);
+    });
+
+    it('should clear the color on invalid input', () => {
+      startGuessing();
+      engine.setColor('#123456');
+      const { state, events } = engine.setColor('nope');
+
+      expect(state.userColor).toBe(null);
+      expect(types({ events })).toEqual([ENGINE_EVENTS.INVALID_COLOR]);
+    });
+
+    it('should nudge one channel within range', () => {
+      startGuessing();
+      engine.setColor('#FF0010');
+      expect(engine.adjust('r', 1).state.userColor).toBe('#FF0010');
+      expect(engine.adjust('b', -1).state.userColor).toBe('#FF000F');
+    });
+
+    it('should start from black without a color', () => {
+      startGuessing();
+      const result = engine.adjust('g', 5);
+
+      expect(types(result)).toEqual([ENGINE_EVENTS.INVALID_COLOR, ENGINE_EVENTS.COLOR_CHANGED]);
+      expect(result.state.userColor).toBe('#000500');
+    });
+
+    it('should ignore color changes outside the guess phase', () => {
+      engine.start({ difficulty: 'easy' });
+      expect(types(engine.setColor('#123456'))).toEqual([]);
+      expect(types(engine.adjust('r', 1))).toEqual([]);
+    });
+  });
+
+  describe('snapshots', () => {
+    it('should be deeply frozen', () => {
+      const state = startGuessing({ mode: 'palette', paletteSize: 2 });
+
+      expect(Object.isFrozen(state)).toBe(true);
+      expect(Object.isFrozen(state.targets)).toBe(true);
+      expect(() => { state.targets.push('#000000'); }).toThrow();
+    });
+
+    it('should not change earlier snapshots', () => {
+      const before = startGuessing();
+      engine.hint();
+      expect(before.computerTipCount).toBe(DIFFICULTIES.medium.computerTipCount);
+      expect(engine.getState()).not.toBe(before);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Unit tests for the game history helpers
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createGameRecord,
+  filterGameHistory,
+  paginate,
+  summarizeGameHistory
+} from '../../src/js/gameHistory.js';
+
+const at = (day, hour = 12) => new Date(2026, 9, day, hour).toISOString();
+
+const GAMES = [
+  { id: 'a', date: at(19), difficulty: 'easy', mode: 'classic', won: true, accuracy: 98 },
+  { id: 'b', date: at(18, 23), difficulty: 'hard', mode: 'daily', won: false, accuracy: 60 },
+  { id: 'c', date: at(18, 1), difficulty: 'easy', mode: 'palette', won: true, accuracy: 91 },
+  { id: 'd', date: at(10), difficulty: 'medium', mode: 'session', won: false, accuracy: 71 }
+];
+
+describe('createGameRecord', () => {
+  it('should keep the full result with an id and date', () => {
+    const record = createGameRecord(
+      {
+        won: true,
+        score: 120,
+        time: 8000,
+        difficulty: 'medium',
+        accuracy: 97,
+        targetColor: '#336699',
+        userGuess: '#346699',
+        seed: 'ABCD1234',
+        mode: 'classic',
+        attempts: 2,
+        computerTipsUsed: 1,
+        timestamp: Date.UTC(2026, 9, 19)
+      },
+      { replayId: 'replay_1' }
+    );
+
+    expect(record).toMatchObject({
+      date: '2026-10-19T00:00:00.000Z',
+      score: 120,
+      targetColor: '#336699',
+      userGuess: '#346699',
+      attempts: 2,
+      computerTipsUsed: 1,
+      replayId: 'replay_1'
+    });
+    expect(record.id).toMatch(/^game_/);
+    expect(record).not.toHaveProperty('targets');
+  });
+
+  it('should keep every swatch of palette games', () => {
+    const swatches = [{ target: '#111111', guess: '#121212', deltaE: 1, accuracy: 99 }];
+    const record = createGameRecord({
+      won: true,
+      score: 50,
+      time: 1000,
+      difficulty: 'easy',
+      mode: 'palette',
+      targets: ['#111111'],
+      guesses: ['#121212'],
+      swatches,
+      paletteOrder: 'any'
+    });
+
+    expect(record).toMatchObject({ targetColor: null, swatches, paletteOrder: 'any', replayId: null });
+  });
+});
+
+describe('filterGameHistory', () => {
+  it('should match everything without filters', () => {
+    expect(filterGameHistory(GAMES, { difficulty: '', mode: '' })).toHaveLength(4);
+  });
+
+  it('should filter by difficulty and mode', () => {
+    expect(filterGameHistory(GAMES, { difficulty: 'easy' }).map((game) => game.id)).toEqual(['a', 'c']);
+    expect(filterGameHistory(GAMES, { difficulty: 'easy', mode: 'palette' }).map((game) => game.id)).toEqual(['c']);
+  });
+
+  it('should filter by local calendar day, inclusive', () => {
+    expect(filterGameHistory(GAMES, { from: '2026-10-18', to: '2026-10-18' }).map((game) => game.id))
+      .toEqual(['b', 'c']);
+    expect(filterGameHistory(GAMES, { to: '2026-10-17' }).map((game) => game.id)).toEqual(['d']);
+  });
+});
+
+describe('paginate', () => {
+  const items = Array.from({ length: 25 }, (_, i) => i);
+
+  it('should cut pages', () => {
+    expect(paginate(items, 3)).toEqual({ items: [20, 21, 22, 23, 24], page: 3, pages: 3, total: 25 });
+  });
+
+  it('should clamp the page number', () => {
+    expect(paginate(items, 99).page).toBe(3);
+    expect(paginate(items, 0).page).toBe(1);
+    expect(paginate([], 2)).toEqual({ items: [], page: 1, pages: 1, total: 0 });
+  });
+});
+
+describe('summarizeGameHistory', () => {
+  it('should total wins and average accuracy', () => {
+    expect(summarizeGameHistory(GAMES)).toEqual({
+      totalGames: 4,
+      gamesWon: 2,
+      winRate: 50,
+      averageAccuracy: 80
+    });
+  });
+
+  it('should report zeros for an empty history', () => {
+    expect(summarizeGameHistory([])).toEqual({ totalGames: 0, gamesWon: 0, winRate: 0, averageAccuracy: 0 });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Unit tests for the computer hint engine
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  HINT_TYPES,
+  HINT_PLANS,
+  createHintState,
+  chooseHintType,
+  generateHint,
+  findColorAtDistance
+} from '../../src/js/hints.js';
+import { createRng } from '../../src/js/rng.js';
+import { calculateColorDifference, hexToRgb, rgbToHsl } from '../../src/js/colorUtils.js';
+
+const target = '#3A7BD5';
+
+describe('hints', () => {
+  describe('chooseHintType', () => {
+    it('should follow the difficulty plan as tips are used', () => {
+      const context = { difficulty: 'easy', target, userColor: '#000000', hintState: createHintState() };
+      HINT_PLANS.easy.forEach((type, tipsUsed) => {
+        expect(chooseHintType({ ...context, tipsUsed })).toBe(type);
+      });
+    });
+
+    it('should fall back to a channel range without a guess to compare', () => {
+      expect(
+        chooseHintType({ difficulty: 'medium', tipsUsed: 1, target, userColor: null, hintState: createHintState() })
+      ).toBe(HINT_TYPES.CHANNEL_RANGE);
+    });
+
+    it('should bisect lightness instead of hue for greys', () => {
+      expect(
+        chooseHintType({ difficulty: 'easy', tipsUsed: 0, target: '#808080', hintState: createHintState() })
+      ).toBe(HINT_TYPES.BISECT_LIGHTNESS);
+    });
+  });
+
+  describe('generateHint', () => {
+    it('should reveal a channel range that contains the target value', () => {
+      const hint = generateHint({ difficulty: 'hard', tipsUsed: 0, target, rng: createRng('range') });
+      const [min, max] = hint.range;
+
+      expect(hint.type).toBe(HINT_TYPES.CHANNEL_RANGE);
+      expect(max - min).toBe(64);
+      expect(hexToRgb(target)[hint.channel]).toBeGreaterThanOrEqual(min);
+      expect(hexToRgb(target)[hint.channel]).toBeLessThanOrEqual(max);
+      expect(hint.hintState.revealedChannels).toEqual([hint.channel]);
+    });
+
+    it('should name the channel that is furthest off', () => {
+      const hint = generateHint({ difficulty: 'easy', tipsUsed: 1, target, userColor: '#3A7B00' });
+      expect(hint).toMatchObject({ type: HINT_TYPES.FURTHEST_CHANNEL, channel: 'b', direction: 'up' });
+    });
+
+    it('should halve the hue interval like a binary search', () => {
+      const hue = rgbToHsl(hexToRgb(target)).h;
+      let hintState = createHintState();
+      for (let i = 0; i < 4; i++) {
+        const hint = generateHint({ difficulty: 'easy', tipsUsed: 0, target, hintState });
+        hintState = hint.hintState;
+      }
+      const [low, high] = hintState.hue;
+      expect(high - low).toBe(22.5);
+      expect(hue).toBeGreaterThanOrEqual(low);
+      expect(hue).toBeLessThan(high);
+    });
+
+    it('should show a swatch at the difficulty distance', () => {
+      const hint = generateHint({
+        difficulty: 'easy',
+        tipsUsed: 2,
+        target,
+        userColor: '#000000',
+        metric: 'ciede2000',
+        rng: createRng('swatch')
+      });
+      expect(hint.type).toBe(HINT_TYPES.DELTA_E_SWATCH);
+      expect(calculateColorDifference(target, hint.color, 'ciede2000')).toBeCloseTo(5, 0);
+    });
+
+    it('should be reproducible with a seeded generator', () => {
+      const make = () => generateHint({ difficulty: 'hard', tipsUsed: 0, target, rng: createRng('same') });
+      expect(make()).toEqual(make());
+    });
+  });
+
+  describe('findColorAtDistance', () => {
+    it('should land close to the requested Delta E', () => {
+      const rng = createRng('distance');
+      ['#000000', '#FFFFFF', '#FF0000', '#123456'].forEach((color) => {
+        const swatch = findColorAtDistance(color, 10, { rng });
+        expect(Math.abs(calculateColorDifference(color, swatch) - 10)).toBeLessThan(1);
+      });
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Unit tests for the switchable color input panels
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  INPUT_PANELS,
+  getPanelValues,
+  isInputPanel,
+  mountInputPanel,
+  syncInputPanel
+} from '../../src/js/inputPanels.js';
+
+const SLIDER_PANELS = ['rgb', 'hsl', 'hsv', 'oklch'];
+
+describe('inputPanels', () => {
+  describe('panel definitions', () => {
+    it('should know every panel id', () => {
+      ['buttons', ...SLIDER_PANELS].forEach((id) => {
+        expect(isInputPanel(id)).toBe(true);
+      });
+      expect(isInputPanel('cmyk')).toBe(false);
+    });
+
+    it('should keep slider values inside channel ranges', () => {
+      SLIDER_PANELS.forEach((id) => {
+        const values = getPanelValues(id, '#3A7BD5');
+        INPUT_PANELS[id].channels.forEach(({ key, min, max }) => {
+          expect(values[key]).toBeGreaterThanOrEqual(min);
+          expect(values[key]).toBeLessThanOrEqual(max);
+        });
+      });
+    });
+
+    it('should map slider values back to the same color', () => {
+      ['#000000', '#FFFFFF', '#FF0000', '#3A7BD5', '#808080'].forEach((hex) => {
+        expect(INPUT_PANELS.rgb.fromChannels(getPanelValues('rgb', hex))).toBe(hex);
+        expect(INPUT_PANELS.oklch.fromChannels(getPanelValues('oklch', hex))).toBe(hex);
+      });
+      expect(INPUT_PANELS.hsl.fromChannels({ h: 0, s: 100, l: 50 })).toBe('#FF0000');
+      expect(INPUT_PANELS.hsv.fromChannels({ h: 240, s: 100, v: 100 })).toBe('#0000FF');
+    });
+  });
+
+  describe('mountInputPanel', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+    });
+
+    it('should render one slider per channel', () => {
+      mountInputPanel(container, 'hsl', { onInput: () => {} });
+      const sliders = container.querySelectorAll('input[type="range"]');
+      expect(sliders).toHaveLength(3);
+      expect(sliders[0].max).toBe('360');
+    });
+
+    it('should render nothing for the button panel', () => {
+      expect(mountInputPanel(container, 'buttons', { onInput: () => {} })).toBeNull();
+      expect(container.children).toHaveLength(0);
+    });
+
+    it('should emit hex colors while sliding', () => {
+      const onInput = vi.fn();
+      const panel = mountInputPanel(container, 'rgb', { onInput });
+      panel.setColor('#000000');
+
+      const red = container.querySelector('[data-channel="r"]');
+      red.value = '255';
+      red.dispatchEvent(new Event('input'));
+
+      expect(onInput).toHaveBeenCalledWith('#FF0000');
+    });
+
+    it('should follow colors set elsewhere', () => {
+      mountInputPanel(container, 'rgb', { onInput: () => {} });
+      syncInputPanel('#102030');
+
+      expect(container.querySelector('[data-channel="g"]').value).toBe('32');
+    });
+
+    it('should disable every slider', () => {
+      const panel = mountInputPanel(container, 'oklch', { onInput: () => {} });
+      panel.setDisabled(true);
+      container.querySelectorAll('input').forEach((slider) => {
+        expect(slider.disabled).toBe(true);
+      });
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Unit tests for schema migrations
+ * Every fixture in tests/fixtures/migrations holds stored data as an older
+ * release left it, the values expected after migrating and the steps run.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  MIGRATIONS,
+  LATEST_SCHEMA_VERSION,
+  getSchemaVersion,
+  runMigrations
+} from '../../src/js/migrations.js';
+import { StorageManager, STORAGE_KEYS } from '../../src/js/storage.js';
+import { MemoryAdapter } from '../../src/js/storageAdapters.js';
+
+const FIXTURES = Object.entries(import.meta.glob('../fixtures/migrations/*.json', { eager: true, import: 'default' }))
+  .map(([path, fixture]) => ({ file: path.split('/').pop(), ...fixture }));
+
+const DEFAULTS = {
+  tonetracker_game_stats: { gamesLost: 0, colorAccuracyHistory: [] },
+  tonetracker_user_prefs: { soundEnabled: true },
+  tonetracker_high_scores: { maxScores: 100 }
+};
+
+describe('migration registry', () => {
+  it('should list strictly increasing versions', () => {
+    const versions = MIGRATIONS.map(({ version }) => version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(new Set(versions).size).toBe(versions.length);
+    expect(LATEST_SCHEMA_VERSION).toBe(versions[versions.length - 1]);
+  });
+
+  it('should treat unversioned data as version 0', () => {
+    expect(getSchemaVersion({ totalGames: 1 })).toBe(0);
+    expect(getSchemaVersion({ version: 2 })).toBe(2);
+  });
+});
+
+describe.each(FIXTURES)('fixture $file', ({ input, expected, steps }) => {
+  it('should upgrade to the expected data', () => {
+    const { data } = runMigrations(input, { context: { defaults: DEFAULTS } });
+
+    expect(Object.keys(data).sort()).toEqual(Object.keys(expected).sort());
+    Object.entries(expected).forEach(([key, value]) => {
+      expect(data[key]).toMatchObject(value);
+    });
+  });
+
+  it('should run the expected steps in order', () => {
+    const { applied } = runMigrations(input, { context: { defaults: DEFAULTS } });
+    expect(applied.map(({ version, key }) => [version, key])).toEqual(steps);
+  });
+
+  it('should be idempotent and leave the input alone', () => {
+    const before = JSON.parse(JSON.stringify(input));
+    const { data } = runMigrations(input, { context: { defaults: DEFAULTS } });
+
+    expect(runMigrations({ ...input, ...data }, { context: { defaults: DEFAULTS } }).applied).toEqual([]);
+    expect(input).toEqual(before);
+  });
+});
+
+describe('StorageManager.migrate', () => {
+  const legacy = FIXTURES.find(({ file }) => file === 'v0-unversioned.json').input;
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    Object.entries(legacy).forEach(([key, value]) => localStorage.setItem(key, JSON.stringify(value)));
+    manager = new StorageManager();
+  });
+
+  it('should migrate on startup and keep a backup', () => {
+    expect(manager.getUserPreferences()).toMatchObject({ version: 2, preferredLanguage: 'en' });
+    expect(manager.getUserPreferences()).not.toHaveProperty('language');
+
+    const backup = manager.getMigrationBackup();
+    expect(backup.versions).toEqual({
+      tonetracker_game_stats: 0,
+      tonetracker_user_prefs: 0,
+      tonetracker_high_scores: 0
+    });
+    expect(backup.data[STORAGE_KEYS.USER_PREFERENCES]).toEqual(legacy.tonetracker_user_prefs);
+  });
+
+  it('should only report in a dry run', () => {
+    // Data another tab wrote with an older release after startup
+    localStorage.setItem(STORAGE_KEYS.USER_PREFERENCES, JSON.stringify({ version: 1, language: 'hu' }));
+    manager.cache.clear();
+
+    const report = manager.migrate({ dryRun: true });
+
+    expect(report.applied.map(({ version }) => version)).toEqual([2]);
+    expect(report.data[STORAGE_KEYS.USER_PREFERENCES].preferredLanguage).toBe('hu');
+    expect(report.backup).toBe(null);
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.USER_PREFERENCES))).toEqual({ version: 1, language: 'hu' });
+  });
+
+  it('should change nothing when a migration throws', () => {
+    const broken = [{ version: 3, description: 'broken', up: { tonetracker_user_prefs: () => { throw new Error('boom'); } } }];
+    const before = localStorage.getItem(STORAGE_KEYS.USER_PREFERENCES);
+
+    expect(() => manager.migrate({ migrations: broken })).toThrow('failed for tonetracker_user_prefs: boom');
+    expect(localStorage.getItem(STORAGE_KEYS.USER_PREFERENCES)).toBe(before);
+  });
+
+  it('should roll back when writing the upgraded data fails', () => {
+    const bump = (data) => ({ ...data, bumped: true });
+    const migrations = [{ version: 3, description: 'bump', up: { tonetracker_game_stats: bump, tonetracker_user_prefs: bump } }];
+    const stats = localStorage.getItem(STORAGE_KEYS.GAME_STATISTICS);
+    const setSync = manager.adapter.setSync.bind(manager.adapter);
+    vi.spyOn(manager.adapter, 'setSync').mockImplementation((key, value) => {
+      if (key === STORAGE_KEYS.USER_PREFERENCES && value.bumped) {
+        throw new Error('QuotaExceededError');
+      }
+      setSync(key, value);
+    });
+
+    expect(() => manager.migrate({ migrations })).toThrow('rolled back');
+    expect(localStorage.getItem(STORAGE_KEYS.GAME_STATISTICS)).toBe(stats);
+    expect(manager.getGameStatistics()).not.toHaveProperty('bumped');
+  });
+
+  it('should roll back when a queued write to an asynchronous backend fails', async () => {
+    const backend = new MemoryAdapter();
+    backend.sync = false;
+    await manager.init({ adapter: backend, channel: null });
+    const stats = backend.getSync(STORAGE_KEYS.GAME_STATISTICS);
+    const set = backend.set.bind(backend);
+    vi.spyOn(backend, 'set').mockImplementation(async (key, value) => {
+      if (key === STORAGE_KEYS.USER_PREFERENCES && value.bumped) {
+        throw new Error('QuotaExceededError');
+      }
+      return set(key, value);
+    });
+
+    const bump = (data) => ({ ...data, bumped: true });
+    const migrations = [{ version: 3, description: 'bump', up: { tonetracker_game_stats: bump, tonetracker_user_prefs: bump } }];
+    const report = manager.migrate({ migrations });
+
+    await expect(report.written).rejects.toThrow('rolled back');
+    await manager.flush();
+    expect(backend.getSync(STORAGE_KEYS.GAME_STATISTICS)).toEqual(stats);
+    expect(manager.getGameStatistics()).not.toHaveProperty('bumped');
+  });
+
+  it('should keep a backup per profile', () => {
+    const profile = manager.createProfile('Anna');
+    localStorage.setItem(`${STORAGE_KEYS.USER_PREFERENCES}@${profile.id}`, JSON.stringify({ version: 1, language: 'hu' }));
+
+    manager.switchProfile(profile.id);
+    expect(manager.getMigrationBackup().versions).toEqual({ tonetracker_user_prefs: 1 });
+
+    manager.switchProfile('default');
+    expect(manager.getMigrationBackup().data[STORAGE_KEYS.USER_PREFERENCES]).toEqual(legacy.tonetracker_user_prefs);
+  });
+});
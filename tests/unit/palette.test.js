@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Unit tests for the palette memory mode
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  PALETTE_ORDERS,
+  generatePalette,
+  getPaletteMemorizeTime,
+  solveAssignment,
+  scorePalette,
+  calculatePaletteScore
+} from '../../src/js/palette.js';
+import { createRng } from '../../src/js/rng.js';
+import { StorageManager } from '../../src/js/storage.js';
+
+/**
+ * Cheapest assignment by trying every permutation
+ */
+function bruteForceCost(cost) {
+  const permute = (items) =>
+    items.length <= 1
+      ? [items]
+      : items.flatMap((item, i) =>
+          permute([...items.slice(0, i), ...items.slice(i + 1)]).map((rest) => [item, ...rest])
+        );
+  const columns = cost.map((_, i) => i);
+  return Math.min(
+    ...permute(columns).map((perm) => perm.reduce((sum, col, row) => sum + cost[row][col], 0))
+  );
+}
+
+describe('palette', () => {
+  describe('generatePalette', () => {
+    it('should generate the requested number of swatches from the seed', () => {
+      const palette = generatePalette(4, createRng('PAL'));
+      expect(palette).toHaveLength(4);
+      expect(generatePalette(4, createRng('PAL'))).toEqual(palette);
+    });
+
+    it('should reject unsupported sizes', () => {
+      expect(() => generatePalette(1)).toThrow('Unsupported palette size');
+      expect(() => generatePalette(6)).toThrow('Unsupported palette size');
+    });
+
+    it('should give larger palettes more time', () => {
+      expect(getPaletteMemorizeTime(2)).toBe(4500);
+      expect(getPaletteMemorizeTime(5)).toBeGreaterThan(getPaletteMemorizeTime(4));
+    });
+  });
+
+  describe('solveAssignment', () => {
+    it('should find the optimal assignment', () => {
+      const cost = [
+        [4, 1, 3],
+        [2, 0, 5],
+        [3, 2, 2]
+      ];
+      const assignment = solveAssignment(cost);
+      const total = assignment.reduce((sum, col, row) => sum + cost[row][col], 0);
+      expect(total).toBe(5);
+      expect(new Set(assignment).size).toBe(3);
+    });
+
+    it('should match brute force on random matrices', () => {
+      const rng = createRng('hungarian');
+      for (let trial = 0; trial < 50; trial++) {
+        const n = 2 + (trial % 4);
+        const cost = Array.from({ length: n }, () =>
+          Array.from({ length: n }, () => Math.round(rng() * 1000) / 10)
+        );
+        const assignment = solveAssignment(cost);
+        const total = assignment.reduce((sum, col, row) => sum + cost[row][col], 0);
+        expect(total).toBeCloseTo(bruteForceCost(cost), 6);
+      }
+    });
+  });
+
+  describe('scorePalette', () => {
+    const targets = ['#FF0000', '#00FF00', '#0000FF'];
+    const guesses = ['#0000FF', '#FF0000', '#00FF00'];
+
+    it('should score guesses in the order shown', () => {
+      const result = scorePalette(targets, guesses, { order: PALETTE_ORDERS.ORDERED });
+      expect(result.swatches[0]).toMatchObject({ target: '#FF0000', guess: '#0000FF' });
+      expect(result.accuracy).toBeLessThan(50);
+    });
+
+    it('should match guesses optimally in any order', () => {
+      const result = scorePalette(targets, guesses, { order: PALETTE_ORDERS.ANY });
+      expect(result.swatches.map((swatch) => swatch.guess)).toEqual(targets);
+      expect(result.averageDeltaE).toBe(0);
+      expect(result.accuracy).toBe(100);
+    });
+
+    it('should use the chosen metric per swatch', () => {
+      const result = scorePalette(['#808080'], ['#828282'], { metric: 'ciede2000' });
+      expect(result.swatches[0].deltaE).toBeGreaterThan(0);
+      expect(result.swatches[0].deltaE).toBeLessThan(2);
+    });
+
+    it('should require one guess per target', () => {
+      expect(() => scorePalette(targets, guesses.slice(1))).toThrow('Expected 3 guesses');
+    });
+  });
+
+  describe('calculatePaletteScore', () => {
+    it('should weight the base score by accuracy and subtract elapsed seconds', () => {
+      const swatches = [{ accuracy: 100 }, { accuracy: 50 }];
+      expect(calculatePaletteScore(swatches, 200, 30)).toBe(270);
+      expect(calculatePaletteScore(swatches, 200, 1000)).toBe(0);
+    });
+  });
+
+  describe('storage format', () => {
+    it('should keep every target and guess of a multi-target game', () => {
+      localStorage.clear();
+      const manager = new StorageManager();
+      const targets = ['#FF0000', '#00FF00'];
+      const { swatches } = scorePalette(targets, targets);
+
+      manager.recordGame({
+        won: true,
+        score: 350,
+        time: 9000,
+        difficulty: 'medium',
+        accuracy: 100,
+        mode: 'palette',
+        targetColor: null,
+        targets,
+        guesses: targets,
+        swatches,
+        paletteOrder: PALETTE_ORDERS.ORDERED
+      });
+
+      const [entry] = manager.getHighScores().scores;
+      expect(entry).toMatchObject({ mode: 'palette', targets, paletteOrder: 'ordered' });
+      expect(entry.swatches).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Unit tests for player profiles and their storage namespaces
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  DEFAULT_PROFILE_ID,
+  addProfile,
+  createProfileRegistry,
+  getProfileKey,
+  parseProfileKey,
+  rankProfiles,
+  removeProfile,
+  renameProfile
+} from '../../src/js/profiles.js';
+import { StorageManager, STORAGE_KEYS, PROFILES_KEY, storage } from '../../src/js/storage.js';
+import { MemoryAdapter } from '../../src/js/storageAdapters.js';
+import { pwaManager } from '../../src/js/pwaManager.js';
+
+describe('profile registry', () => {
+  it('should keep the plain keys for the default profile', () => {
+    expect(getProfileKey(STORAGE_KEYS.HIGH_SCORES, DEFAULT_PROFILE_ID)).toBe(STORAGE_KEYS.HIGH_SCORES);
+    expect(getProfileKey(STORAGE_KEYS.HIGH_SCORES, 'p1')).toBe(`${STORAGE_KEYS.HIGH_SCORES}@p1`);
+    expect(parseProfileKey(`${STORAGE_KEYS.HIGH_SCORES}@p1`, [STORAGE_KEYS.HIGH_SCORES]))
+      .toEqual({ key: STORAGE_KEYS.HIGH_SCORES, profileId: 'p1' });
+    expect(parseProfileKey(STORAGE_KEYS.LOCALE, [STORAGE_KEYS.HIGH_SCORES])).toBeNull();
+  });
+
+  it('should add and rename profiles with unique names', () => {
+    const { registry, profile } = addProfile(createProfileRegistry('t0'), '  Anna ');
+
+    expect(profile.name).toBe('Anna');
+    expect(registry.profiles).toHaveLength(2);
+    expect(() => addProfile(registry, 'anna')).toThrow('Invalid profile change: name taken');
+    expect(() => addProfile(registry, ' ')).toThrow('name must be 1-20 characters');
+    expect(renameProfile(registry, profile.id, 'Anna').profiles[1].name).toBe('Anna');
+    expect(() => renameProfile(registry, 'missing', 'Béla')).toThrow('unknown profile');
+  });
+
+  it('should move the active profile when it is removed, but never remove the last', () => {
+    const { registry, profile } = addProfile(createProfileRegistry('t0'), 'Anna');
+    const removed = removeProfile({ ...registry, activeId: profile.id }, profile.id);
+
+    expect(removed.activeId).toBe(DEFAULT_PROFILE_ID);
+    expect(() => removeProfile(removed, DEFAULT_PROFILE_ID)).toThrow('last profile');
+  });
+
+  it('should rank profiles by best score, then wins', () => {
+    const rows = rankProfiles([
+      { profile: { id: 'a', name: 'A' }, stats: { bestScore: 50, gamesWon: 1, totalGames: 4 } },
+      { profile: { id: 'b', name: 'B' }, stats: { bestScore: 90, gamesWon: 2, totalGames: 2, achievements: [{}] } },
+      { profile: { id: 'c', name: 'C' }, stats: null }
+    ]);
+
+    expect(rows.map(({ id }) => id)).toEqual(['b', 'a', 'c']);
+    expect(rows[0]).toMatchObject({ winRate: 100, achievements: 1 });
+    expect(rows[2]).toMatchObject({ bestScore: 0, winRate: 0 });
+  });
+});
+
+describe('StorageManager profiles', () => {
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should give the data stored before profiles to the default profile', () => {
+    localStorage.setItem(STORAGE_KEYS.GAME_STATISTICS, JSON.stringify({ version: 2, totalGames: 7, gamesWon: 3 }));
+    manager = new StorageManager();
+
+    expect(manager.getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+    expect(manager.getGameStatistics().totalGames).toBe(7);
+    expect(JSON.parse(localStorage.getItem(PROFILES_KEY)).profiles).toHaveLength(1);
+  });
+
+  it('should keep every profile\'s data apart and remember the active one', () => {
+    manager = new StorageManager();
+    manager.recordGame({ won: true, score: 80, time: 5000, difficulty: 'easy', accuracy: 95 });
+    const profile = manager.createProfile('Anna');
+
+    const heard = [];
+    manager.subscribe(STORAGE_KEYS.GAME_STATISTICS, (stats) => heard.push(stats));
+    manager.switchProfile(profile.id);
+
+    expect(heard).toEqual([null]);
+    expect(manager.getGameStatistics().totalGames).toBe(0);
+    expect(manager.getHighScores().scores).toEqual([]);
+    manager.updateUserPreferences({ difficulty: 'hard' });
+    expect(localStorage.getItem(`${STORAGE_KEYS.USER_PREFERENCES}@${profile.id}`)).toContain('"hard"');
+
+    const reloaded = new StorageManager();
+    expect(reloaded.getActiveProfile().id).toBe(profile.id);
+    expect(reloaded.getUserPreferences().difficulty).toBe('hard');
+    reloaded.switchProfile(DEFAULT_PROFILE_ID);
+    expect(reloaded.getGameStatistics().totalGames).toBe(1);
+    expect(reloaded.getUserPreferences().difficulty).not.toBe('hard');
+  });
+
+  it('should delete a profile with its data and rank the rest', () => {
+    manager = new StorageManager();
+    manager.recordGame({ won: true, score: 80, time: 5000, difficulty: 'easy', accuracy: 95 });
+    const profile = manager.createProfile('Anna');
+    manager.switchProfile(profile.id);
+    manager.recordGame({ won: true, score: 120, time: 5000, difficulty: 'hard', accuracy: 99 });
+
+    expect(manager.getProfileLeaderboard().map(({ name, bestScore }) => [name, bestScore]))
+      .toEqual([['Anna', 120], ['Játékos', 80]]);
+
+    manager.deleteProfile(profile.id);
+
+    expect(manager.getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+    expect(Object.keys(localStorage).filter((key) => key.endsWith(`@${profile.id}`))).toEqual([]);
+    expect(() => manager.deleteProfile(DEFAULT_PROFILE_ID)).toThrow('last profile');
+  });
+});
+
+describe('clearing app data', () => {
+  it('should remove every profile\'s data, not only the active one\'s', async () => {
+    vi.stubGlobal('caches', { keys: async () => [], delete: async () => true });
+    // Data of two players on a backend the direct localStorage clear cannot reach, like IndexedDB
+    const backend = new MemoryAdapter();
+    backend.setSync(STORAGE_KEYS.GAME_STATISTICS, { totalGames: 1 });
+    backend.setSync(`${STORAGE_KEYS.GAME_STATISTICS}@p1`, { totalGames: 2 });
+    backend.setSync(PROFILES_KEY, {
+      activeId: 'p1',
+      profiles: [...createProfileRegistry('t0').profiles, { id: 'p1', name: 'Anna', createdAt: 't1' }]
+    });
+    await storage.init({ adapter: backend, channel: null });
+    expect(storage.getActiveProfile().id).toBe('p1');
+
+    await pwaManager.clearAppData();
+
+    const keys = await storage.keys();
+    expect(keys.filter((key) => key.startsWith(STORAGE_KEYS.GAME_STATISTICS))).toEqual([]);
+    expect(storage.getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+    vi.unstubAllGlobals();
+  });
+});
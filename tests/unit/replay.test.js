@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Unit tests for replay recording and parsing
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  ReplayRecorder,
+  REPLAY_EVENT_TYPES,
+  REPLAY_VERSION,
+  encodeReplay,
+  expandReplayEvents,
+  parseReplay,
+  getReplayDuration,
+  getEventIndexAt
+} from '../../src/js/replay.js';
+
+const GAME = { seed: 'ABCD1234', difficulty: 'easy', mode: 'classic', target: '#336699' };
+
+describe('ReplayRecorder', () => {
+  let clock;
+  let recorder;
+
+  beforeEach(() => {
+    clock = 1000;
+    recorder = new ReplayRecorder(GAME, { now: () => clock });
+  });
+
+  it('should ignore inputs before guessing starts', () => {
+    recorder.record(REPLAY_EVENT_TYPES.TYPE, '#000000');
+    recorder.start();
+    expect(recorder.finish().events).toEqual([]);
+  });
+
+  it('should store delta-timed tuples without the hash', () => {
+    recorder.start();
+    clock = 1500;
+    recorder.record(REPLAY_EVENT_TYPES.TYPE, '#112233');
+    clock = 1800;
+    recorder.record(REPLAY_EVENT_TYPES.STEP, '#122233');
+    clock = 2000;
+    recorder.record(REPLAY_EVENT_TYPES.CHECK, '#122233');
+
+    const replay = recorder.finish({ won: false, score: 0, accuracy: 91 });
+    expect(replay).toMatchObject({
+      v: REPLAY_VERSION,
+      seed: 'ABCD1234',
+      target: '#336699',
+      result: { won: false, score: 0, accuracy: 91 },
+      events: [[500, 't', '112233'], [300, 's', '122233'], [200, 'c', '122233']]
+    });
+    expect(replay).not.toHaveProperty('targets');
+  });
+
+  it('should coalesce drags into one sample per window', () => {
+    recorder.start();
+    [10, 40, 70, 130, 160].forEach((offset, i) => {
+      clock = 1000 + offset;
+      recorder.record(REPLAY_EVENT_TYPES.PICKER, `#00000${i}`);
+    });
+
+    expect(expandReplayEvents(recorder.finish())).toEqual([
+      { time: 10, type: 'picker', color: '#000002' },
+      { time: 130, type: 'picker', color: '#000004' }
+    ]);
+  });
+
+  it('should keep every step and hint', () => {
+    recorder.start();
+    recorder.record(REPLAY_EVENT_TYPES.HINT, null);
+    recorder.record(REPLAY_EVENT_TYPES.STEP, '#010000');
+    recorder.record(REPLAY_EVENT_TYPES.STEP, '#020000');
+
+    expect(recorder.finish().events).toEqual([[0, 'h', ''], [0, 's', '010000'], [0, 's', '020000']]);
+  });
+});
+
+describe('replay helpers', () => {
+  const events = [
+    { time: 0, type: 'type', color: '#111111' },
+    { time: 250, type: 'step', color: '#121111' },
+    { time: 900, type: 'check', color: '#121111' }
+  ];
+
+  it('should round-trip events through the compact form', () => {
+    const replay = encodeReplay({ ...GAME, events, targets: ['#336699', '#996633'] });
+    expect(replay.targets).toEqual(['#336699', '#996633']);
+    expect(expandReplayEvents(replay)).toEqual(events);
+    expect(getReplayDuration(events)).toBe(900);
+  });
+
+  it('should find the event shown at a point of the replay', () => {
+    expect(getEventIndexAt(events, -1)).toBe(-1);
+    expect(getEventIndexAt(events, 0)).toBe(0);
+    expect(getEventIndexAt(events, 899)).toBe(1);
+    expect(getEventIndexAt(events, 5000)).toBe(2);
+    expect(getEventIndexAt([], 10)).toBe(-1);
+  });
+
+  it('should parse exported replays', () => {
+    const replay = encodeReplay({ ...GAME, events });
+    expect(parseReplay(JSON.stringify(replay))).toEqual(replay);
+  });
+
+  it('should reject files that are not replays', () => {
+    const replay = encodeReplay({ ...GAME, events });
+
+    expect(() => parseReplay('{nope')).toThrow('not JSON');
+    expect(() => parseReplay({ ...replay, v: 99 })).toThrow('unsupported version');
+    expect(() => parseReplay({ ...replay, target: 'blue' })).toThrow('target');
+    expect(() => parseReplay({ ...replay, events: [[-5, 't', '111111']] })).toThrow('malformed event 0');
+    expect(() => parseReplay({ ...replay, events: [[5, 'x', '111111']] })).toThrow('malformed event 0');
+  });
+});
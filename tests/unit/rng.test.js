@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Unit tests for the seedable random number generator
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createRng,
+  hashSeed,
+  generateSeed,
+  normalizeSeed,
+  pick,
+  SEED_LENGTH
+} from '../../src/js/rng.js';
+import { generateRandomColor, generateCloseColor } from '../../src/js/colorUtils.js';
+
+describe('rng', () => {
+  describe('createRng', () => {
+    it('should produce the same sequence for the same seed', () => {
+      const a = createRng('ABC123');
+      const b = createRng('ABC123');
+      const sequenceA = Array.from({ length: 20 }, () => a());
+      const sequenceB = Array.from({ length: 20 }, () => b());
+      expect(sequenceA).toEqual(sequenceB);
+    });
+
+    it('should produce different sequences for different seeds', () => {
+      const a = createRng('seed-one');
+      const b = createRng('seed-two');
+      expect(a()).not.toBe(b());
+    });
+
+    it('should return floats in [0, 1)', () => {
+      const rng = createRng(42);
+      for (let i = 0; i < 1000; i++) {
+        const value = rng();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+
+    it('should remember its seed', () => {
+      expect(createRng('XYZ').seed).toBe('XYZ');
+    });
+  });
+
+  describe('hashSeed', () => {
+    it('should return a stable 32-bit unsigned integer', () => {
+      expect(hashSeed('')).toBe(0x811c9dc5);
+      expect(hashSeed('a')).toBe(0xe40c292c);
+      expect(hashSeed(12)).toBe(hashSeed('12'));
+    });
+  });
+
+  describe('generateSeed', () => {
+    it('should generate readable seeds of fixed length', () => {
+      const seed = generateSeed();
+      expect(seed).toHaveLength(SEED_LENGTH);
+      expect(seed).toMatch(/^[2-9A-HJKMNP-Z]+$/);
+    });
+  });
+
+  describe('normalizeSeed', () => {
+    it('should trim and uppercase seeds', () => {
+      expect(normalizeSeed('  abc9 ')).toBe('ABC9');
+    });
+
+    it('should return null for empty seeds', () => {
+      expect(normalizeSeed('   ')).toBe(null);
+      expect(normalizeSeed(undefined)).toBe(null);
+    });
+  });
+
+  describe('pick', () => {
+    it('should pick deterministically with a seeded generator', () => {
+      const items = ['a', 'b', 'c', 'd'];
+      expect(pick(items, createRng('P'))).toBe(pick(items, createRng('P')));
+    });
+  });
+
+  describe('seeded color generation', () => {
+    it('should reproduce the target and computer hints from a seed', () => {
+      const play = (seed) => {
+        const rng = createRng(seed);
+        const target = generateRandomColor(rng);
+        return [target, generateCloseColor(target, rng), generateRandomColor(rng)];
+      };
+
+      expect(play('REPLAY')).toEqual(play('REPLAY'));
+      expect(play('REPLAY')[0]).toMatch(/^#[0-9A-F]{6}$/);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Unit tests for accuracy-based scoring
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SCORING_MODES,
+  isWinningGuess,
+  calculateScoreBreakdown
+} from '../../src/js/scoring.js';
+
+describe('scoring', () => {
+  describe('isWinningGuess', () => {
+    it('should win within the difficulty threshold', () => {
+      expect(isWinningGuess({ difficulty: 'easy', deltaE: 9.9, exactMatch: false })).toBe(true);
+      expect(isWinningGuess({ difficulty: 'hard', deltaE: 2.3, exactMatch: false })).toBe(true);
+      expect(isWinningGuess({ difficulty: 'hard', deltaE: 2.4, exactMatch: false })).toBe(false);
+    });
+
+    it('should require an exact match in Perfectionist mode', () => {
+      const nearMiss = { difficulty: 'easy', deltaE: 0.3, exactMatch: false };
+      expect(isWinningGuess(nearMiss, SCORING_MODES.PERFECTIONIST)).toBe(false);
+      expect(
+        isWinningGuess({ ...nearMiss, deltaE: 0, exactMatch: true }, SCORING_MODES.PERFECTIONIST)
+      ).toBe(true);
+    });
+  });
+
+  describe('calculateScoreBreakdown', () => {
+    it('should scale with accuracy, time and tips used', () => {
+      const breakdown = calculateScoreBreakdown({
+        difficulty: 'medium',
+        won: true,
+        accuracy: 96,
+        elapsedSeconds: 12,
+        guessesUsed: 2,
+        computerTipsUsed: 1
+      });
+
+      expect(breakdown).toEqual({
+        base: 200,
+        accuracy: 96,
+        accuracyPoints: 192,
+        timePenalty: 12,
+        guessPenalty: 20,
+        computerTipPenalty: 30,
+        total: 130,
+        won: true
+      });
+    });
+
+    it('should score more for a closer guess', () => {
+      const game = { difficulty: 'easy', won: true, elapsedSeconds: 5 };
+      expect(calculateScoreBreakdown({ ...game, accuracy: 99 }).total).toBeGreaterThan(
+        calculateScoreBreakdown({ ...game, accuracy: 92 }).total
+      );
+    });
+
+    it('should score nothing for a lost game', () => {
+      const breakdown = calculateScoreBreakdown({
+        difficulty: 'hard',
+        won: false,
+        accuracy: 80,
+        elapsedSeconds: 3
+      });
+      expect(breakdown.total).toBe(0);
+      expect(breakdown.accuracyPoints).toBe(240);
+    });
+
+    it('should never go below zero', () => {
+      const breakdown = calculateScoreBreakdown({
+        difficulty: 'easy',
+        won: true,
+        accuracy: 91,
+        elapsedSeconds: 500
+      });
+      expect(breakdown.total).toBe(0);
+    });
+
+    it('should keep the base-minus-seconds score in Perfectionist mode', () => {
+      const breakdown = calculateScoreBreakdown(
+        {
+          difficulty: 'hard',
+          won: true,
+          accuracy: 100,
+          elapsedSeconds: 20,
+          guessesUsed: 1,
+          computerTipsUsed: 1
+        },
+        SCORING_MODES.PERFECTIONIST
+      );
+      expect(breakdown.total).toBe(280);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Unit tests for multi-round sessions
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  SESSION_ROUND_OPTIONS,
+  createSession,
+  addRoundResult,
+  getNextRound,
+  getRoundSeed,
+  getSessionTotal,
+  isSessionComplete,
+  summarizeSession
+} from '../../src/js/session.js';
+import { StateManager, actions } from '../../src/js/stateManager.js';
+import { StorageManager } from '../../src/js/storage.js';
+
+const playRounds = (session, scores) =>
+  scores.reduce(
+    (current, score) =>
+      addRoundResult(current, {
+        won: score > 0,
+        score,
+        accuracy: score > 0 ? 100 : 80,
+        time: 4000,
+        targetColor: '#336699',
+        guess: score > 0 ? '#336699' : '#000000'
+      }),
+    session
+  );
+
+describe('session', () => {
+  let session;
+
+  beforeEach(() => {
+    session = createSession({ rounds: 5, difficulty: 'medium', seed: 'ABCD' });
+  });
+
+  it('should only accept the supported round counts', () => {
+    expect(SESSION_ROUND_OPTIONS).toEqual([5, 10, 20]);
+    expect(() => createSession({ rounds: 3, difficulty: 'easy', seed: 'X' })).toThrow(
+      'Unsupported session length'
+    );
+  });
+
+  it('should derive a distinct seed for every round', () => {
+    expect(getRoundSeed(session, 1)).toBe('ABCD-1');
+    expect(getRoundSeed(session, 2)).not.toBe(getRoundSeed(session, 1));
+  });
+
+  it('should number rounds and total their scores', () => {
+    const played = playRounds(session, [150, 0, 120]);
+    expect(played.results.map((result) => result.round)).toEqual([1, 2, 3]);
+    expect(getNextRound(played)).toBe(4);
+    expect(getSessionTotal(played)).toBe(270);
+    expect(isSessionComplete(played)).toBe(false);
+    expect(session.results).toHaveLength(0);
+  });
+
+  it('should summarize a complete session', () => {
+    const played = playRounds(session, [150, 0, 120, 100, 0]);
+    expect(isSessionComplete(played)).toBe(true);
+    expect(summarizeSession(played)).toEqual({
+      rounds: 5,
+      played: 5,
+      wins: 3,
+      totalScore: 370,
+      averageAccuracy: 92,
+      totalTime: 20000
+    });
+  });
+
+  it('should store a finished session as one entry with nested rounds', () => {
+    localStorage.clear();
+    const manager = new StorageManager();
+    const played = playRounds(session, [150, 0, 120, 100, 0]);
+
+    manager.recordSession(played, summarizeSession(played));
+
+    const { sessions } = manager.getSessions();
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0]).toMatchObject({ rounds: 5, totalScore: 370, seed: 'ABCD' });
+    expect(sessions[0].results).toHaveLength(5);
+  });
+
+  it('should track the round in StateManager', () => {
+    const manager = new StateManager();
+    manager.dispatch(actions.updateScore(50));
+    manager.dispatch(actions.startSession(10));
+    manager.dispatch(actions.nextRound());
+    manager.dispatch(actions.nextRound());
+
+    expect(manager.getState().game).toMatchObject({ round: 2, totalRounds: 10, score: 0 });
+
+    manager.dispatch(actions.endSession());
+    expect(manager.getState().game.totalRounds).toBe(0);
+  });
+});
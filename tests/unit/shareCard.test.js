@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Unit tests for shareable result cards
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  getAccuracyBand,
+  buildShareGrid,
+  buildShareText,
+  renderShareCard,
+  createShareImage,
+  shareText,
+  CARD_SIZE
+} from '../../src/js/shareCard.js';
+
+const CLASSIC_CARD = {
+  seed: 'ABCD1234',
+  mode: 'classic',
+  difficulty: 'medium',
+  won: true,
+  score: 142,
+  time: 12400,
+  attempts: [72, 97],
+  maxAttempts: 3,
+  swatches: [{ target: '#336699', guess: '#346699' }]
+};
+
+/**
+ * Canvas stand-in that records what is drawn
+ */
+function createStubCanvas(width = CARD_SIZE.width, height = CARD_SIZE.height) {
+  const calls = [];
+  const ctx = {
+    fillStyle: null,
+    font: null,
+    textBaseline: null,
+    fillRect: (...args) => calls.push({ op: 'fillRect', fillStyle: ctx.fillStyle, args }),
+    fillText: (...args) => calls.push({ op: 'fillText', fillStyle: ctx.fillStyle, args })
+  };
+  return {
+    width,
+    height,
+    calls,
+    getContext: () => ctx,
+    convertToBlob: vi.fn(async ({ type }) => ({ type, calls }))
+  };
+}
+
+describe('share text', () => {
+  it('should band accuracies', () => {
+    expect(getAccuracyBand(100).emoji).toBe('🟩');
+    expect(getAccuracyBand(90).emoji).toBe('🟨');
+    expect(getAccuracyBand(70).emoji).toBe('🟧');
+    expect(getAccuracyBand(12).emoji).toBe('🟥');
+  });
+
+  it('should pad the grid with unused attempts', () => {
+    expect(buildShareGrid([72, 97], 3)).toBe('🟧🟩⬜');
+  });
+
+  it('should summarize without giving the colors away', () => {
+    const text = buildShareText(CLASSIC_CARD);
+
+    expect(text).toBe('ToneTracker – Klasszikus (Közepes)\n🟧🟩⬜ 2/3\nPont: 142 · Idő: 12 mp');
+    expect(text).not.toMatch(/#?336699/i);
+  });
+
+  it('should mark lost games and leave the tally off palettes', () => {
+    expect(buildShareText({ ...CLASSIC_CARD, won: false, attempts: [50, 60, 80] })).toContain('🟥🟥🟧 X/3');
+    expect(buildShareText({ ...CLASSIC_CARD, mode: 'palette', attempts: [99, 88], maxAttempts: 2 }))
+      .toContain('\n🟩🟨\n');
+  });
+});
+
+describe('share image', () => {
+  it('should draw target and guess swatches side by side', () => {
+    const canvas = renderShareCard(createStubCanvas(), CLASSIC_CARD);
+    const swatches = canvas.calls.filter(
+      (call) => call.op === 'fillRect' && ['#336699', '#346699'].includes(call.fillStyle)
+    );
+
+    expect(swatches).toHaveLength(2);
+    const [target, guess] = swatches.map((call) => call.args);
+    expect(guess[0]).toBe(target[0] + target[2]);
+    expect(guess[1]).toBe(target[1]);
+  });
+
+  it('should fit five palette pairs inside the card', () => {
+    const swatches = Array.from({ length: 5 }, (_, i) => ({ target: `#00000${i}`, guess: `#11111${i}` }));
+    const canvas = renderShareCard(createStubCanvas(), { ...CLASSIC_CARD, mode: 'palette', swatches });
+    const right = Math.max(
+      ...canvas.calls.filter((call) => call.op === 'fillRect').map(({ args }) => args[0] + args[2])
+    );
+
+    expect(right).toBeLessThanOrEqual(CARD_SIZE.width);
+  });
+
+  it('should encode the card as PNG', async () => {
+    const canvasFactory = vi.fn((width, height) => createStubCanvas(width, height));
+    const image = await createShareImage(CLASSIC_CARD, { canvasFactory });
+
+    expect(canvasFactory).toHaveBeenCalledWith(CARD_SIZE.width, CARD_SIZE.height);
+    expect(image.type).toBe('image/png');
+  });
+});
+
+describe('shareText', () => {
+  it('should prefer the Web Share API', async () => {
+    const nav = { share: vi.fn(async () => {}), clipboard: { writeText: vi.fn() } };
+
+    expect(await shareText('hi', nav)).toBe('shared');
+    expect(nav.share).toHaveBeenCalledWith({ text: 'hi' });
+    expect(nav.clipboard.writeText).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to the clipboard', async () => {
+    const nav = { clipboard: { writeText: vi.fn(async () => {}) } };
+    expect(await shareText('hi', nav)).toBe('copied');
+
+    const failing = { share: vi.fn(async () => { throw new Error('denied'); }), clipboard: nav.clipboard };
+    expect(await shareText('hi', failing)).toBe('copied');
+  });
+
+  it('should respect a cancelled share sheet', async () => {
+    const abort = Object.assign(new Error('cancelled'), { name: 'AbortError' });
+    const nav = { share: vi.fn(async () => { throw abort; }), clipboard: { writeText: vi.fn() } };
+
+    expect(await shareText('hi', nav)).toBe('cancelled');
+    expect(nav.clipboard.writeText).not.toHaveBeenCalled();
+  });
+
+  it('should report when nothing worked', async () => {
+    expect(await shareText('hi', {})).toBe('failed');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Unit tests for the skill rating and adaptive difficulty
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  INITIAL_RATING,
+  MIN_LEVEL,
+  MAX_LEVEL,
+  RATING_HISTORY_LIMIT,
+  createSkillRating,
+  getExpectedScore,
+  getSkillLevel,
+  getGameRating,
+  updateSkillRating,
+  getAdaptiveProfile,
+  generateAdaptiveColor
+} from '../../src/js/skillRating.js';
+import { createRng } from '../../src/js/rng.js';
+import { hexToRgb, rgbToHsl } from '../../src/js/colorUtils.js';
+import { StorageManager } from '../../src/js/storage.js';
+
+describe('updateSkillRating', () => {
+  it('should gain more for beating a harder game', () => {
+    const skill = createSkillRating();
+    const easy = updateSkillRating(skill, { won: true, difficulty: 'easy' }, 't1').rating;
+    const hard = updateSkillRating(skill, { won: true, difficulty: 'hard' }, 't1').rating;
+
+    expect(easy).toBeGreaterThan(INITIAL_RATING);
+    expect(hard).toBeGreaterThan(easy);
+    expect(updateSkillRating(skill, { won: false, difficulty: 'medium' }, 't1').rating).toBe(INITIAL_RATING - 24);
+  });
+
+  it('should rate adaptive games by their level', () => {
+    expect(getGameRating({ difficulty: 'easy', level: MAX_LEVEL })).toBeGreaterThan(getGameRating({ difficulty: 'hard' }));
+    expect(getExpectedScore(1200, 1200)).toBe(0.5);
+  });
+
+  it('should settle and keep a bounded history', () => {
+    let skill = createSkillRating();
+    for (let i = 0; i < RATING_HISTORY_LIMIT + 5; i++) {
+      skill = updateSkillRating(skill, { won: i % 2 === 0, difficulty: 'medium' }, `t${i}`);
+    }
+
+    expect(skill.games).toBe(RATING_HISTORY_LIMIT + 5);
+    expect(skill.history).toHaveLength(RATING_HISTORY_LIMIT);
+    expect(skill.history[skill.history.length - 1]).toEqual({ date: `t${RATING_HISTORY_LIMIT + 4}`, rating: skill.rating });
+    expect(Math.abs(skill.rating - INITIAL_RATING)).toBeLessThan(16);
+  });
+});
+
+describe('adaptive levels', () => {
+  it('should map ratings onto the level range', () => {
+    expect(getSkillLevel(INITIAL_RATING)).toBe(5);
+    expect(getSkillLevel(0)).toBe(MIN_LEVEL);
+    expect(getSkillLevel(3000)).toBe(MAX_LEVEL);
+  });
+
+  it('should get harder with every level', () => {
+    const easiest = getAdaptiveProfile(MIN_LEVEL);
+    const hardest = getAdaptiveProfile(MAX_LEVEL);
+
+    expect(hardest.saturation[1]).toBeLessThan(easiest.saturation[0]);
+    expect(hardest.edgeMargin).toBeGreaterThan(easiest.edgeMargin);
+    expect(hardest.memorizeTime).toBeLessThan(easiest.memorizeTime);
+  });
+
+  it('should keep hard targets muted and away from the gamut edges', () => {
+    const rng = createRng('ADAPTIVE');
+    const { edgeMargin } = getAdaptiveProfile(MAX_LEVEL);
+
+    for (let i = 0; i < 50; i++) {
+      const color = generateAdaptiveColor(MAX_LEVEL, rng);
+      const rgb = hexToRgb(color);
+      Object.values(rgb).forEach((channel) => {
+        expect(channel).toBeGreaterThanOrEqual(edgeMargin);
+        expect(channel).toBeLessThanOrEqual(255 - edgeMargin);
+      });
+      expect(rgbToHsl(rgb).s).toBeLessThanOrEqual(35);
+    }
+    expect(generateAdaptiveColor(3, createRng('SAME'))).toBe(generateAdaptiveColor(3, createRng('SAME')));
+  });
+});
+
+describe('StorageManager skill rating', () => {
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new StorageManager();
+  });
+
+  it('should rate every recorded game', () => {
+    expect(manager.getSkillRating()).toEqual(createSkillRating());
+
+    const stats = manager.recordGame({ won: true, score: 50, time: 8000, difficulty: 'hard', accuracy: 96 });
+    const skill = manager.getSkillRating();
+
+    expect(skill.rating).toBeGreaterThan(INITIAL_RATING);
+    expect(skill.history).toEqual([{ date: stats.lastPlayed, rating: skill.rating }]);
+  });
+});
@@ -1,108 +0,0 @@
-/**
- * @fileoverview Unit tests for state management
- */
-
-import { describe, it, expect, beforeEach } from 'vitest';
-import { state, resetState, setDifficulty } from '../../src/js/state.js';
-
-describe('state', () => {
-  beforeEach(() => {
-    resetState();
-  });
-
-  describe('initial state', () => {
-    it('should have correct initial values', () => {
-      expect(state.generatedColor).toBe(null);
-      expect(state.tipCount).toBe(0);
-      expect(state.computerTipCount).toBe(0);
-      expect(state.difficulty).toBe('easy');
-      expect(state.score).toBe(0);
-      expect(state.startTime).toBe(null);
-      expect(state.timerInterval).toBe(null);
-      expect(state.isGameActive).toBe(false);
-    });
-  });
-
-  describe('resetState', () => {
-    it('should reset all state values to initial state', () => {
-      // Modify state
-      state.generatedColor = '#ff0000';
-      state.tipCount = 1;
-      state.score = 100;
-      state.isGameActive = true;
-
-      // Reset and verify
-      resetState();
-      
-      expect(state.generatedColor).toBe(null);
-      expect(state.tipCount).toBe(0);
-      expect(state.computerTipCount).toBe(0);
-      expect(state.difficulty).toBe('easy'); // Difficulty doesn't change on reset
-      expect(state.score).toBe(100); // Score persists between games
-      expect(state.startTime).toBe(null);
-      expect(state.timerInterval).toBe(null);
-      expect(state.isGameActive).toBe(false);
-    });
-  });
-
-  describe('setDifficulty', () => {
-    it('should set difficulty to easy', () => {
-      setDifficulty('easy');
-      expect(state.difficulty).toBe('easy');
-      expect(state.tipCount).toBe(3);
-      expect(state.computerTipCount).toBe(3);
-    });
-
-    it('should set difficulty to medium', () => {
-      setDifficulty('medium');
-      expect(state.difficulty).toBe('medium');
-      expect(state.tipCount).toBe(2);
-      expect(state.computerTipCount).toBe(2);
-    });
-
-    it('should set difficulty to hard', () => {
-      setDifficulty('hard');
-      expect(state.difficulty).toBe('hard');
-      expect(state.tipCount).toBe(1);
-      expect(state.computerTipCount).toBe(1);
-    });
-
-    it('should throw error for invalid difficulty', () => {
-      const originalDifficulty = state.difficulty;
-      // The implementation sets difficulty first, then tries to access DIFFICULTIES
-      // which will throw when trying to read properties of undefined
-      expect(() => setDifficulty('invalid')).toThrow();
-      
-      // The difficulty was already set before the error occurred
-      expect(state.difficulty).toBe('invalid');
-      
-      // Clean up for other tests
-      setDifficulty('easy');
-    });
-  });
-
-  describe('state mutations', () => {
-    it('should allow direct state modifications', () => {
-      state.generatedColor = '#123456';
-      state.score = 50;
-      state.isGameActive = true;
-
-      expect(state.generatedColor).toBe('#123456');
-      expect(state.score).toBe(50);
-      expect(state.isGameActive).toBe(true);
-    });
-
-    it('should maintain state changes until reset', () => {
-      state.tipCount = 1;
-      state.score = 25;
-      
-      expect(state.tipCount).toBe(1);
-      expect(state.score).toBe(25);
-
-      resetState();
-      
-      expect(state.tipCount).toBe(0); // Reset to 0
-      expect(state.score).toBe(25); // Score persists between games
-    });
-  });
-});
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Unit tests for the game actions of the state manager
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { StateManager, actions } from '../../src/js/stateManager.js';
+
+const newGame = (overrides = {}) =>
+  actions.newGame({
+    mode: 'classic',
+    difficulty: 'medium',
+    seed: 'ABCD1234',
+    color: '#336699',
+    tipCount: 2,
+    computerTipCount: 2,
+    ...overrides
+  });
+
+describe('StateManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new StateManager();
+  });
+
+  describe('game actions', () => {
+    it('should start a game in its memorize phase', () => {
+      manager.dispatch(newGame());
+
+      expect(manager.select('game')).toMatchObject({
+        gameId: 1,
+        phase: 'memorize',
+        isActive: false,
+        mode: 'classic',
+        difficulty: 'medium',
+        seed: 'ABCD1234',
+        generatedColor: '#336699',
+        tipCount: 2,
+        computerTipCount: 2,
+        score: 0
+      });
+    });
+
+    it('should unlock guessing and count down the tips', () => {
+      manager.dispatch(newGame());
+      manager.dispatch(actions.beginGuessing(1000));
+      manager.dispatch(actions.wrongGuess('#000000', 40));
+      manager.dispatch(actions.useComputerTip('channel-range', { revealedChannels: ['r'] }));
+
+      expect(manager.select('game')).toMatchObject({
+        phase: 'guess',
+        isActive: true,
+        startTime: 1000,
+        generatedColor: '#336699',
+        tipCount: 1,
+        computerTipCount: 1,
+        hintState: { revealedChannels: ['r'] },
+        misses: [{ guess: '#000000', accuracy: 40 }]
+      });
+    });
+
+    it('should add the final score and lock the game when it ends', () => {
+      manager.dispatch(newGame());
+      manager.dispatch(actions.beginGuessing());
+      manager.dispatch(actions.finishGame(true, 120));
+
+      expect(manager.select('game')).toMatchObject({
+        phase: 'ended',
+        isActive: false,
+        score: 120,
+        streak: 1
+      });
+
+      manager.dispatch(newGame());
+      expect(manager.select('game.score')).toBe(0);
+    });
+
+    it('should keep the running total and session between session rounds', () => {
+      const session = { id: 's', rounds: 5, difficulty: 'medium', seed: 'S', results: [] };
+      manager.dispatch(actions.startSession(5, session));
+      manager.dispatch(newGame({ mode: 'session' }));
+      manager.dispatch(actions.finishGame(true, 80));
+      manager.dispatch(actions.addRoundResult({ won: true, score: 80 }));
+      manager.dispatch(newGame({ mode: 'session' }));
+
+      const game = manager.select('game');
+      expect(game.score).toBe(80);
+      expect(game.session.results).toEqual([{ round: 1, won: true, score: 80 }]);
+
+      manager.dispatch(newGame());
+      expect(manager.select('game.session')).toBe(null);
+    });
+
+    it('should advance palette games to the next target', () => {
+      manager.dispatch(newGame({
+        mode: 'palette',
+        color: '#111111',
+        targets: ['#111111', '#222222'],
+        paletteOrder: 'any'
+      }));
+      manager.dispatch(actions.submitPaletteGuess('#101010'));
+
+      expect(manager.select('game')).toMatchObject({
+        guesses: ['#101010'],
+        generatedColor: '#222222',
+        paletteOrder: 'any'
+      });
+    });
+
+    it('should reject invalid game modes', () => {
+      expect(() => manager.dispatch(newGame({ mode: 'unknown' }))).toThrow();
+    });
+  });
+
+  describe('subscriptions', () => {
+    it('should only notify path subscribers when the value changes', () => {
+      const calls = [];
+      manager.subscribe('game.guesses', (value) => calls.push(value));
+
+      manager.dispatch(actions.updateScore(10));
+      expect(calls).toHaveLength(0);
+
+      manager.dispatch(newGame({ mode: 'palette', targets: ['#111111', '#222222'] }));
+      manager.dispatch(actions.submitPaletteGuess('#101010'));
+      expect(calls).toEqual([['#101010']]);
+    });
+  });
+
+  describe('history', () => {
+    it('should not nest earlier snapshots in history entries', () => {
+      for (let i = 0; i < 30; i++) {
+        manager.dispatch(actions.updateScore(1));
+      }
+
+      const { history } = manager.getState();
+      expect(history.states.length).toBeLessThanOrEqual(history.maxHistory);
+      expect(history.states.every((entry) => !('history' in entry.state))).toBe(true);
+    });
+
+    it('should travel back to an earlier game state', () => {
+      manager.dispatch(newGame());
+      manager.dispatch(actions.beginGuessing());
+      manager.dispatch(actions.wrongGuess('#000000', 40));
+
+      const { states } = manager.getState().history;
+      manager.timeTravel(states.length - 2);
+      expect(manager.select('game')).toMatchObject({ phase: 'guess', tipCount: 2 });
+      expect(manager.getState().history.states).toHaveLength(states.length);
+    });
+  });
+});
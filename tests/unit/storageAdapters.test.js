@@ -0,0 +1,270 @@
+/**
+ * @fileoverview Unit tests for storage backends and the move to IndexedDB
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  LocalStorageAdapter,
+  MemoryAdapter,
+  IndexedDBAdapter,
+  createStorageAdapter
+} from '../../src/js/storageAdapters.js';
+import { StorageManager, STORAGE_KEYS } from '../../src/js/storage.js';
+
+/**
+ * Asynchronous backend standing in for IndexedDB
+ */
+class AsyncMemoryAdapter extends MemoryAdapter {
+  constructor() {
+    super();
+    this.name = 'indexeddb';
+    this.persistent = true;
+    this.sync = false;
+  }
+}
+
+/**
+ * Just enough of IDBFactory for one object store; events fire asynchronously
+ */
+function createFakeIndexedDB() {
+  const stores = new Map();
+  const later = (fn) => setTimeout(fn, 0);
+
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name) => stores.set(name, new Map()),
+    close() {},
+    transaction(name) {
+      const data = stores.get(name);
+      const transaction = { abort: () => { transaction.aborted = true; } };
+      let pending = 0;
+      const request = (run) => {
+        const req = { result: run() };
+        pending += 1;
+        later(() => {
+          req.onsuccess?.();
+          pending -= 1;
+          if (pending === 0) {
+            (transaction.aborted ? transaction.onabort : transaction.oncomplete)?.();
+          }
+        });
+        return req;
+      };
+      transaction.objectStore = () => ({
+        get: (key) => request(() => data.get(key)),
+        put: (value, key) => request(() => data.set(key, structuredClone(value))),
+        delete: (key) => request(() => data.delete(key)),
+        getAllKeys: () => request(() => [...data.keys()].sort()),
+        getAll: () => request(() => [...data.keys()].sort().map((key) => data.get(key)))
+      });
+      return transaction;
+    }
+  };
+
+  return {
+    open() {
+      const req = { result: db };
+      later(() => {
+        req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    }
+  };
+}
+
+describe('storage adapters', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should share one interface across backends', async () => {
+    const adapters = [new MemoryAdapter(), new LocalStorageAdapter(localStorage), new IndexedDBAdapter(createFakeIndexedDB())];
+
+    for (const adapter of adapters) {
+      await adapter.set('a', { n: 1 });
+      await adapter.set('b', [2]);
+      await adapter.remove('b');
+
+      expect(await adapter.get('a')).toEqual({ n: 1 });
+      expect(await adapter.get('b')).toBe(null);
+      expect(await adapter.keys()).toEqual(['a']);
+      expect(await adapter.entries()).toEqual([['a', { n: 1 }]]);
+    }
+  });
+
+  it('should update values in one step', async () => {
+    for (const adapter of [new MemoryAdapter(), new LocalStorageAdapter(localStorage), new IndexedDBAdapter(createFakeIndexedDB())]) {
+      await adapter.set('count', 1);
+
+      expect(await adapter.update('count', (count) => count + 1)).toBe(2);
+      expect(await adapter.update('missing', (value) => value ?? 'fresh')).toBe('fresh');
+      await expect(adapter.update('count', () => { throw new Error('nope'); })).rejects.toThrow('nope');
+      expect(await adapter.get('count')).toBe(2);
+    }
+  });
+
+  it('should not let callers change stored memory values through a reference', () => {
+    const adapter = new MemoryAdapter();
+    const value = { n: 1 };
+    adapter.setSync('a', value);
+    value.n = 2;
+
+    expect(adapter.getSync('a')).toEqual({ n: 1 });
+  });
+
+  it('should prefer IndexedDB, then localStorage, then memory', async () => {
+    expect((await createStorageAdapter({ indexedDB: createFakeIndexedDB() })).name).toBe('indexeddb');
+
+    const refusing = { open: () => { throw new Error('SecurityError'); } };
+    expect((await createStorageAdapter({ indexedDB: refusing, localStorage })).name).toBe('localstorage');
+
+    const full = { setItem: () => { throw new Error('QuotaExceededError'); } };
+    expect((await createStorageAdapter({ indexedDB: null, localStorage: full })).name).toBe('memory');
+  });
+});
+
+describe('StorageManager backends', () => {
+  let manager;
+  let backend;
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new StorageManager();
+    backend = new AsyncMemoryAdapter();
+  });
+
+  it('should move managed localStorage keys into the new backend once', async () => {
+    manager.updateUserPreferences({ difficulty: 'hard' });
+    manager.set('current_difficulty', 'hard');
+    localStorage.setItem(STORAGE_KEYS.LOCALE, 'en');
+    localStorage.setItem('install-prompt-dismissed', '1');
+
+    expect(await manager.init({ adapter: backend, channel: null })).toBe('indexeddb');
+    expect(await manager.init()).toBe('indexeddb');
+    expect(await manager.ready).toBe('indexeddb');
+
+    expect(await backend.keys()).toEqual(
+      expect.arrayContaining([STORAGE_KEYS.USER_PREFERENCES, 'current_difficulty'])
+    );
+    expect(localStorage.getItem(STORAGE_KEYS.USER_PREFERENCES)).toBe(null);
+    expect(localStorage.getItem(STORAGE_KEYS.LOCALE)).toBe('en');
+    expect(localStorage.getItem('install-prompt-dismissed')).toBe('1');
+    expect(manager.getUserPreferences().difficulty).toBe('hard');
+  });
+
+  it('should keep values the new backend already holds', async () => {
+    await backend.set('tonetracker_user_id', 'user_old');
+    localStorage.setItem('tonetracker_user_id', JSON.stringify('user_new'));
+
+    await manager.init({ adapter: backend, channel: null });
+
+    expect(manager.get('tonetracker_user_id')).toBe('user_old');
+    expect(localStorage.getItem('tonetracker_user_id')).toBe(null);
+  });
+
+  it('should write through to the asynchronous backend', async () => {
+    await manager.init({ adapter: backend, channel: null });
+    const stats = manager.recordGame({ won: true, score: 50, time: 1000, difficulty: 'easy', accuracy: 99 });
+    await manager.flush();
+
+    expect(await backend.get(STORAGE_KEYS.GAME_STATISTICS)).toMatchObject({ totalGames: stats.totalGames });
+    expect(localStorage.getItem(STORAGE_KEYS.GAME_STATISTICS)).toBe(null);
+
+    await manager.setAsync('analytics_consent', true);
+    expect(await backend.get('analytics_consent')).toBe(true);
+    await manager.removeAsync('analytics_consent');
+    expect(await manager.getAsync('analytics_consent', 'unset')).toBe('unset');
+  });
+
+  it('should stay on localStorage when the new backend fails', async () => {
+    manager.set('current_difficulty', 'hard');
+    backend.keys = async () => { throw new Error('broken'); };
+
+    expect(await manager.init({ adapter: backend, channel: null })).toBe('localstorage');
+    expect(manager.get('current_difficulty')).toBe('hard');
+  });
+});
+
+describe('cross-tab sync', () => {
+  const GAME = { won: true, score: 50, time: 1000, difficulty: 'easy', accuracy: 99, mode: 'classic' };
+
+  /**
+   * BroadcastChannel stand-in that delivers to every other member at once
+   */
+  function createChannelHub() {
+    const members = new Set();
+    return () => {
+      const channel = {
+        onmessage: null,
+        postMessage: (data) => members.forEach((member) => {
+          if (member !== channel) member.onmessage?.({ data: structuredClone(data) });
+        }),
+        close: () => members.delete(channel)
+      };
+      members.add(channel);
+      return channel;
+    };
+  }
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should keep results both localStorage tabs record', async () => {
+    const join = createChannelHub();
+    const tabA = new StorageManager();
+    const tabB = new StorageManager();
+    await tabA.init({ channel: join() });
+    await tabB.init({ channel: join() });
+    const heard = vi.fn();
+    tabA.subscribe(STORAGE_KEYS.GAME_STATISTICS, heard);
+
+    tabA.getGameStatistics();
+    tabB.recordGame({ ...GAME, score: 70 });
+    tabA.recordGame(GAME);
+
+    expect(heard).toHaveBeenCalledWith(expect.objectContaining({ totalGames: 1 }), STORAGE_KEYS.GAME_STATISTICS);
+    expect(tabA.getGameStatistics().totalGames).toBe(2);
+    expect(tabB.getGameStatistics().totalGames).toBe(2);
+    expect(tabB.getHighScores().scores.map(({ score }) => score)).toEqual([70, 50]);
+    tabA.stopTabSync();
+    tabB.stopTabSync();
+  });
+
+  it('should not lose games recorded in parallel on IndexedDB', async () => {
+    const backend = new AsyncMemoryAdapter();
+    const join = createChannelHub();
+    const tabA = new StorageManager();
+    const tabB = new StorageManager();
+    await tabA.init({ adapter: backend, channel: join() });
+    await tabB.init({ adapter: backend, channel: join() });
+
+    // Neither tab has seen the other's write when recording
+    tabA.recordGame(GAME);
+    tabB.recordGame({ ...GAME, won: false, score: 0 });
+    await Promise.all([tabA.flush(), tabB.flush()]);
+
+    const stored = await backend.get(STORAGE_KEYS.GAME_STATISTICS);
+    expect(stored).toMatchObject({ totalGames: 2, gamesWon: 1, gamesLost: 1 });
+    expect((await backend.get(STORAGE_KEYS.GAME_HISTORY)).games).toHaveLength(2);
+    expect(tabA.getGameStatistics().totalGames).toBe(2);
+    expect(tabB.getGameHistory().games).toHaveLength(2);
+  });
+
+  it('should fall back to storage events without a channel', async () => {
+    const manager = new StorageManager();
+    await manager.init({ channel: null });
+    const heard = vi.fn();
+    manager.subscribe('current_difficulty', heard);
+    manager.set('current_difficulty', 'easy');
+
+    // Another tab writes straight to localStorage
+    localStorage.setItem('current_difficulty', JSON.stringify('hard'));
+    window.dispatchEvent(new StorageEvent('storage', { key: 'current_difficulty', storageArea: localStorage }));
+
+    expect(manager.get('current_difficulty')).toBe('hard');
+    expect(heard).toHaveBeenLastCalledWith('hard', 'current_difficulty');
+    manager.stopTabSync();
+  });
+});
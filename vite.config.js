@@ -20,7 +20,6 @@ export default defineConfig({
           // Core game modules
           game: [
             'src/js/game.js',
-            'src/js/state.js',
             'src/js/ui.js'
           ],
           